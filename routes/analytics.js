@@ -0,0 +1,39 @@
+import express from 'express';
+import { getFunnelAnalytics, parseBucket, DEFAULT_BUCKET } from '../services/funnel-analytics.js';
+import { checkTimeRange } from '../services/run-store.js';
+
+const router = express.Router();
+
+// GET /api/analytics/funnel?company=&journey=&source=&from=&to=&bucket=1h
+router.get('/funnel', async (req, res) => {
+  try {
+    const { company, journey, source, from, to } = req.query;
+    const bucket = req.query.bucket || DEFAULT_BUCKET;
+    const bucketMs = parseBucket(bucket);
+    if (!bucketMs) {
+      return res.status(400).json({ ok: false, error: 'bucket must be a window like 15m, 1h or 1d (at most 31d)' });
+    }
+    const errors = checkTimeRange({ from, to });
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+
+    const { totalRuns, skippedRuns, journeys } = await getFunnelAnalytics({ workspace: req.workspace, company, journey, source, from, to, bucketMs });
+    res.json({
+      ok: true,
+      workspace: req.workspace,
+      filters: { company: company || null, journey: journey || null, source: source || null, from: from || null, to: to || null },
+      bucket,
+      totalRuns,
+      skippedRuns,
+      count: journeys.length,
+      journeys,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('[analytics] Failed to build funnel:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
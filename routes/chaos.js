@@ -0,0 +1,111 @@
+import express from 'express';
+import { chaosProfiles } from '../services/chaos-profiles.js';
+
+const router = express.Router();
+
+// GET /api/chaos/profiles
+router.get('/profiles', (req, res) => {
+  try {
+    const profiles = chaosProfiles.list();
+    res.json({ ok: true, count: profiles.length, profiles, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[chaos] Failed to list profiles:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/chaos/profiles/:name
+router.get('/profiles/:name', (req, res) => {
+  const profile = chaosProfiles.get(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ ok: false, error: `Chaos profile "${req.params.name}" not found` });
+  }
+  res.json({ ok: true, profile });
+});
+
+// POST /api/chaos/profiles - create a new profile (409 if the name is taken)
+router.post('/profiles', (req, res) => {
+  try {
+    const { profile, errors, conflict } = chaosProfiles.upsert(req.body, { mustNotExist: true });
+    if (errors) {
+      return res.status(conflict ? 409 : 400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(201).json({ ok: true, profile });
+  } catch (err) {
+    console.error('[chaos] Failed to create profile:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// PUT /api/chaos/profiles/:name - create or replace
+router.put('/profiles/:name', (req, res) => {
+  try {
+    const { profile, created, errors } = chaosProfiles.upsert({ ...req.body, name: req.params.name });
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(created ? 201 : 200).json({ ok: true, created, profile });
+  } catch (err) {
+    console.error('[chaos] Failed to save profile:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/chaos/profiles/:name
+router.delete('/profiles/:name', (req, res) => {
+  try {
+    if (!chaosProfiles.remove(req.params.name)) {
+      return res.status(404).json({ ok: false, error: `Chaos profile "${req.params.name}" not found` });
+    }
+    res.json({ ok: true, deleted: req.params.name });
+  } catch (err) {
+    console.error('[chaos] Failed to delete profile:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/chaos/profiles/:name/preview?step=Payment&samples=100 - dry run the profile without calling any service
+router.get('/profiles/:name/preview', (req, res) => {
+  const profile = chaosProfiles.get(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ ok: false, error: `Chaos profile "${req.params.name}" not found` });
+  }
+
+  const stepName = req.query.step || '';
+  const samples = Math.max(1, Math.min(parseInt(req.query.samples) || 100, 10000));
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ ok: false, error: `Invalid "at" timestamp: ${req.query.at}` });
+  }
+
+  let errors = 0;
+  let timeouts = 0;
+  let totalLatency = 0;
+  const httpStatuses = {};
+  let rules = [];
+  for (let i = 0; i < samples; i++) {
+    const outcome = chaosProfiles.evaluate({ profileName: profile.name, stepName, now: at });
+    rules = outcome.rules;
+    totalLatency += outcome.injectedLatencyMs;
+    if (outcome.timeout) timeouts++;
+    if (outcome.hasError) {
+      errors++;
+      httpStatuses[outcome.httpStatus] = (httpStatuses[outcome.httpStatus] || 0) + 1;
+    }
+  }
+
+  res.json({
+    ok: true,
+    profile: profile.name,
+    stepName,
+    at: at.toISOString(),
+    samples,
+    matchedRules: rules,
+    errorRate: errors / samples,
+    timeoutRate: timeouts / samples,
+    avgInjectedLatencyMs: Math.round(totalLatency / samples),
+    httpStatuses
+  });
+});
+
+export default router;
@@ -2,20 +2,97 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { industryPacks } from '../services/industry-packs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+const DEFAULT_STEP_GAP_MINUTES = 10;
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 1440) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / 1440)}d`;
+}
+
+// Worked example steps for the prompt, built from an industry pack with midpoint timings
+function packExampleSteps(pack, journeyStartTime) {
+  let time = new Date(journeyStartTime).getTime();
+  return pack.steps.map((step, i, steps) => {
+    const next = steps[i + 1] && pack.timingPatterns?.[steps[i + 1].stepName];
+    const estimatedDuration = i === steps.length - 1 ? 2
+      : Math.max(1, Math.round(next ? (next.min + next.max) / 2 : DEFAULT_STEP_GAP_MINUTES));
+    const substepNames = step.substeps?.length ? step.substeps : [step.stepName];
+    const substepDuration = Math.round((estimatedDuration / substepNames.length) * 100) / 100;
+    const stepName = step.stepName.replace(/\s+/g, '');
+    const stepTime = time;
+    const substeps = substepNames.map((substepName, j) => ({
+      substepName,
+      timestamp: new Date(stepTime + j * substepDuration * 60000).toISOString(),
+      duration: substepDuration
+    }));
+    time += estimatedDuration * 60000;
+    return {
+      stepIndex: i + 1,
+      stepName,
+      serviceName: `${stepName}Service`,
+      description: step.description || `Customer ${step.stepName.toLowerCase()}`,
+      category: step.category || 'Process',
+      timestamp: new Date(stepTime).toISOString(),
+      estimatedDuration,
+      businessRationale: step.businessRationale
+        ? step.businessRationale.replace(/\{duration\}/g, estimatedDuration)
+        : `${pack.name} customers typically spend ${estimatedDuration} minutes on ${step.stepName.toLowerCase()}`,
+      substeps
+    };
+  });
+}
+
+// Steps, timings and error modes from the pack, for Copilot to adapt to the company
+function packGuidance(pack) {
+  const steps = pack.steps.map((step, i) => {
+    const timing = pack.timingPatterns?.[step.stepName];
+    const when = timing && i > 0 ? ` (${formatMinutes(timing.min)}-${formatMinutes(timing.max)} after the previous step, ${timing.type || 'immediate'})` : '';
+    const substeps = step.substeps?.length ? ` Substeps: ${step.substeps.join(', ')}.` : '';
+    return `${i + 1}. ${step.stepName}${when} - ${step.description || step.category || ''}.${substeps}`;
+  });
+  const errorModes = (pack.errorModes || []).map(mode =>
+    `- ${mode.name}: ${(mode.errorTypes || ['errors']).join('/')} on ${(mode.steps || ['any']).join(', ')} steps, ~${Math.round((mode.errorRate || 0) * 100)}% of calls, HTTP ${(mode.httpErrors || [500]).join('/')}`
+  );
+  return `
+📦 INDUSTRY PACK: ${pack.name} (${pack.id})
+Use these typical ${pack.name} steps and timings as your starting point, renamed for the company:
+${steps.join('\n')}
+${errorModes.length ? `\nTypical ${pack.name} error modes (mention them in businessRationale where relevant):\n${errorModes.join('\n')}\n` : ''}${pack.fieldGenerators ? `\nKeep the "fieldGenerators" block so every simulated customer gets realistic ${pack.name} fields; adjust values to the company.\n` : ''}`;
+}
+
 // GET /api/config/copilot-prompt - Returns the CORRECTED AGGRESSIVE timestamp-mandatory prompt
 router.get('/copilot-prompt', async (req, res) => {
   try {
-    const { company = 'Smyths', domain = 'smyths.co.uk', industry = 'Retail' } = req.query;
+    const { company = 'Smyths', domain = 'smyths.co.uk', industry = 'Retail', pack: packId } = req.query;
+    if (packId && !industryPacks.get(packId)) {
+      return res.status(400).json({ success: false, error: `Unknown industry pack "${packId}"` });
+    }
     
     // Generate current timestamp for journey start
     const timestamp = Date.now();
     const journeyStartTime = new Date().toISOString();
+
+    // Draw the example and guidance from the industry pack; unknown industries get the retail example only
+    const pack = industryPacks.get(packId) || industryPacks.resolve(industry, { fallback: null });
+    const examplePack = pack || industryPacks.resolve('retail');
+    const indent = json => json.replace(/\n/g, '\n    ');
+    const stepsExample = indent(JSON.stringify(packExampleSteps(examplePack, journeyStartTime), null, 2));
+    const fieldGeneratorsExample = pack?.fieldGenerators
+      ? `,\n    "fieldGenerators": ${indent(JSON.stringify(pack.fieldGenerators, null, 2))}`
+      : '';
+    const productFieldsExample = pack?.fieldGenerators ? '' : `,
+    "ProductId": "PRD-${timestamp}",
+    "ProductName": "Example Product Name",
+    "Price": "£99.99",
+    "ProductType": "Example Category"`;
     
     // Use the corrected aggressive prompt that FORCES timestamp inclusion
     const prompt = `🚨 CRITICAL: This response REQUIRES timestamps or it will be rejected 🚨
@@ -35,150 +112,7 @@ You MUST respond with this EXACT structure (replace examples with real data):
     "industryType": "${industry}",
     "journeyId": "journey_${timestamp}",
     "journeyStartTime": "${journeyStartTime}",
-    "steps": [
-      {
-        "stepIndex": 1,
-        "stepName": "ProductBrowsing",
-        "serviceName": "ProductBrowsingService",
-        "description": "Customer explores toys and games online",
-        "category": "Discovery",
-        "timestamp": "${journeyStartTime}",
-        "estimatedDuration": 12,
-        "businessRationale": "Retail customers spend 10-15 minutes browsing products before selection",
-        "substeps": [
-          {
-            "substepName": "Category navigation",
-            "timestamp": "${journeyStartTime}",
-            "duration": 4
-          },
-          {
-            "substepName": "Product filtering", 
-            "timestamp": "2025-10-14T15:21:00.000Z",
-            "duration": 5
-          },
-          {
-            "substepName": "Product comparison",
-            "timestamp": "2025-10-14T15:26:00.000Z",
-            "duration": 3
-          }
-        ]
-      },
-      {
-        "stepIndex": 2,
-        "stepName": "ProductSelection",
-        "serviceName": "ProductSelectionService",
-        "description": "Customer selects specific products for purchase",
-        "category": "Selection",
-        "timestamp": "2025-10-14T15:29:00.000Z",
-        "estimatedDuration": 8,
-        "businessRationale": "Product selection takes 5-10 minutes for detailed review",
-        "substeps": [
-          {
-            "substepName": "Product details review",
-            "timestamp": "2025-10-14T15:29:00.000Z",
-            "duration": 3
-          },
-          {
-            "substepName": "Stock availability check",
-            "timestamp": "2025-10-14T15:32:00.000Z",
-            "duration": 2
-          },
-          {
-            "substepName": "Size and options selection",
-            "timestamp": "2025-10-14T15:34:00.000Z",
-            "duration": 3
-          }
-        ]
-      },
-      {
-        "stepIndex": 3,
-        "stepName": "CartManagement",
-        "serviceName": "CartManagementService",
-        "description": "Adding multiple products to shopping cart",
-        "category": "Cart",
-        "timestamp": "2025-10-14T15:37:00.000Z",
-        "estimatedDuration": 6,
-        "businessRationale": "Multi-product cart management takes 5-8 minutes",
-        "substeps": [
-          {
-            "substepName": "Add first product to cart",
-            "timestamp": "2025-10-14T15:37:00.000Z",
-            "duration": 2
-          },
-          {
-            "substepName": "Continue shopping for more items",
-            "timestamp": "2025-10-14T15:39:00.000Z",
-            "duration": 4
-          }
-        ]
-      },
-      {
-        "stepIndex": 4,
-        "stepName": "SecureCheckout",
-        "serviceName": "SecureCheckoutService",
-        "description": "Complete payment and shipping details",
-        "category": "Purchase",
-        "timestamp": "2025-10-14T15:43:00.000Z",
-        "estimatedDuration": 10,
-        "businessRationale": "Checkout with multiple items takes 8-12 minutes",
-        "substeps": [
-          {
-            "substepName": "Shipping address entry",
-            "timestamp": "2025-10-14T15:43:00.000Z",
-            "duration": 4
-          },
-          {
-            "substepName": "Payment processing",
-            "timestamp": "2025-10-14T15:47:00.000Z",
-            "duration": 6
-          }
-        ]
-      },
-      {
-        "stepIndex": 5,
-        "stepName": "OrderConfirmation",
-        "serviceName": "OrderConfirmationService",
-        "description": "Order confirmation and email receipt",
-        "category": "Confirmation",
-        "timestamp": "2025-10-14T15:53:00.000Z",
-        "estimatedDuration": 3,
-        "businessRationale": "Order confirmation is immediate but customer reviews details",
-        "substeps": [
-          {
-            "substepName": "Confirmation display",
-            "timestamp": "2025-10-14T15:53:00.000Z",
-            "duration": 1
-          },
-          {
-            "substepName": "Email receipt review",
-            "timestamp": "2025-10-14T15:54:00.000Z",
-            "duration": 2
-          }
-        ]
-      },
-      {
-        "stepIndex": 6,
-        "stepName": "DeliveryTracking",
-        "serviceName": "DeliveryTrackingService",
-        "description": "Track order delivery status",
-        "category": "Fulfillment",
-        "timestamp": "2025-10-15T09:00:00.000Z",
-        "estimatedDuration": 1440,
-        "businessRationale": "Next day delivery, customer tracks progress",
-        "substeps": [
-          {
-            "substepName": "Order preparation notification",
-            "timestamp": "2025-10-15T09:00:00.000Z",
-            "duration": 60
-          },
-          {
-            "substepName": "Delivery tracking updates",
-            "timestamp": "2025-10-15T10:00:00.000Z",
-            "duration": 1380
-          }
-        ]
-      }
-    ]
+    "steps": ${stepsExample}${fieldGeneratorsExample}
   },
   "customerProfile": {
     "userId": "user_${company.toLowerCase()}_${timestamp}",
@@ -206,14 +140,10 @@ You MUST respond with this EXACT structure (replace examples with real data):
     "loyaltyStatus": "returning",
     "abandonmentRisk": "low",
     "conversionProbability": 0.82,
-    "personalizationTags": ["${industry.toLowerCase()}", "online_shopping"],
-    "ProductId": "PRD-${timestamp}",
-    "ProductName": "Example Product Name",
-    "Price": "£99.99",
-    "ProductType": "Example Category"
+    "personalizationTags": ["${industry.toLowerCase()}", "online_shopping"]${productFieldsExample}
   }
 }
-
+${pack ? packGuidance(pack) : ''}
 🔥 VALIDATION REQUIREMENTS (Check before submitting): 🔥
 - ✅ EVERY step has "timestamp" field
 - ✅ EVERY step has "estimatedDuration" field  
@@ -236,6 +166,7 @@ Make this realistic for ${company} in the ${industry} industry with multiple pro
         company,
         domain,
         industry,
+        pack: pack?.id || null,
         timestamp,
         journeyStartTime,
         promptVersion: 'CORRECTED-AGGRESSIVE-TIMESTAMP-MANDATORY-v2.0',
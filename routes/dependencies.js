@@ -0,0 +1,39 @@
+import express from 'express';
+import { dependencyStubs } from '../services/dependency-stubs.js';
+
+const router = express.Router();
+
+// GET /api/dependencies/stubs - HTTP dependency stubs called in this workspace, with their faults
+router.get('/stubs', (req, res) => {
+  try {
+    const stubs = dependencyStubs.list(req.workspace);
+    res.json({ ok: true, workspace: req.workspace, port: dependencyStubs.port, count: stubs.length, stubs, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[dependencies] Failed to list stubs:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// PUT /api/dependencies/stubs/:name/faults - { latencyMs?, errorRate?, httpStatus? } applied to every call
+router.put('/stubs/:name/faults', (req, res) => {
+  try {
+    const { stub, errors } = dependencyStubs.setFaults(req.workspace, req.params.name, req.body);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.json({ ok: true, stub });
+  } catch (err) {
+    console.error('[dependencies] Failed to set stub faults:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/dependencies/stubs/:name/faults
+router.delete('/stubs/:name/faults', (req, res) => {
+  if (!dependencyStubs.clearFaults(req.workspace, req.params.name)) {
+    return res.status(404).json({ ok: false, error: `No faults set for stub ${req.params.name}` });
+  }
+  res.json({ ok: true, cleared: req.params.name });
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import { checkStepCount } from '../services/journey-schema.js';
 
 const router = express.Router();
 
@@ -21,6 +22,12 @@ router.post('/runFlow', async (req, res) => {
   const correlationId = req.correlationId;
   try {
     const { payload = {}, port } = req.body || {};
+    // One call per step in payload.steps (any length up to the limit); six generic steps without it
+    const stepCount = Array.isArray(payload.steps) && payload.steps.length > 0 ? payload.steps.length : 6;
+    const stepCountError = checkStepCount(stepCount);
+    if (stepCountError) {
+      return res.status(400).json({ ...stepCountError, correlationId });
+    }
     const PORT = port || process.env.PORT || 4000;
   const baseUrl = `http://127.0.0.1:${PORT}/api/steps`;
     // Default: use child-service chaining across the service flow (Service A -> B -> C ...)
@@ -41,7 +48,7 @@ router.post('/runFlow', async (req, res) => {
     const results = [];
     const journeyId = payload?.id;
     const domain = payload?.domain;
-    for (let i=1; i<=6; i++) {
+    for (let i=1; i<=stepCount; i++) {
       // Attach a high-level journey step name if present
       const ps = { ...payload };
       // Prefer structured step data from payload.steps
@@ -62,7 +69,7 @@ router.post('/runFlow', async (req, res) => {
       ps.stepIndex = i - 1;
       if (journeyId) ps.journeyId = journeyId;
       if (domain) ps.domain = domain;
-      const r = await callStep(baseUrl, `/step${i}`, ps, correlationId);
+      const r = await callStep(baseUrl, `/step/${i}`, ps, correlationId);
       results.push(r);
     }
     res.json({ ok: true, correlationId, results });
@@ -1,7 +1,21 @@
 import express from 'express';
 import http from 'http';
 import crypto, { randomBytes } from 'crypto';
-import { ensureServiceRunning, getServicePort, getServiceNameFromStep } from '../services/service-manager.js';
+import { ensureServiceRunning, getServicePort, getServiceNameFromStep, touchService } from '../services/service-manager.js';
+import { runStore } from '../services/run-store.js';
+import { jobQueue, checkJobOptions } from '../services/job-queue.js';
+import { chaosProfiles } from '../services/chaos-profiles.js';
+import { circuitBreakers } from '../services/circuit-breakers.js';
+import { journeyEvents } from '../services/journey-events.js';
+import { sessionRecorder } from '../services/session-recorder.js';
+import { checkJourney } from '../services/journey-schema.js';
+import { telemetry } from '../services/telemetry.js';
+import { createRandom, checkSeed } from '../services/seeded-random.js';
+import { evaluateFieldGenerators } from '../services/field-generators.js';
+import { planRoute, routeStatus, isGraphJourney } from '../services/journey-graph.js';
+import { revenueOf } from '../services/funnel-analytics.js';
+import { recordJourneyStarted } from '../services/metricsService.js';
+import { currentWorkspace } from '../services/workspaces.js';
 
 const router = express.Router();
 
@@ -10,6 +24,22 @@ const DEFAULT_JOURNEY_STEPS = [
   'Discovery', 'Awareness', 'Consideration', 'Purchase', 'Retention', 'Advocacy'
 ];
 
+// Generators draw from this unless a route passes the seeded source built from the request's `seed`
+const unseededRandom = createRandom();
+
+// Seeded runs stamp generated timestamps from the journey's own start time so a replay matches exactly
+function simulationRandom(body, journeyObj) {
+  return createRandom(body?.seed, { epoch: journeyObj?.journeyStartTime });
+}
+
+// A seeded run without an inbound x-correlation-id gets one derived from the seed as well
+function simulationCorrelationId(req, res, random) {
+  if (!random.seeded || req.headers['x-correlation-id']) return req.correlationId;
+  req.correlationId = random.uuid();
+  res.setHeader('x-correlation-id', req.correlationId);
+  return req.correlationId;
+}
+
 // Helper to infer a domain if missing
   function inferDomain(obj) {
     const d = obj?.domain || obj?.website || obj?.companyDomain || '';
@@ -44,46 +74,7 @@ function extractTracingHeaders(req) {
   return tracingHeaders;
 }
 
-// --- Customer-specific error profiles and helpers ---
-const CUSTOMER_ERROR_PROFILES = {
-  'acme corp': {
-    errorRate: 0.15,
-    errorTypes: ['payment_gateway_timeout', 'inventory_service_down', 'authentication_failure'],
-    httpErrors: [500, 503, 429],
-    problematicSteps: ['checkout', 'payment', 'order confirmation']
-  },
-  'globex corporation': {
-    errorRate: 0.25,
-    errorTypes: ['database_connection_lost', 'third_party_api_failure', 'rate_limit_exceeded'],
-    httpErrors: [500, 502, 503, 429],
-    problematicSteps: ['product selection', 'cart', 'verification']
-  },
-  'initech': {
-    errorRate: 0.08,
-    errorTypes: ['session_timeout', 'validation_error', 'temporary_service_unavailable'],
-    httpErrors: [408, 422, 503],
-    problematicSteps: ['discovery', 'application', 'login']
-  },
-  'stark industries': {
-    errorRate: 0.05,
-    errorTypes: ['minor_validation_warning', 'cache_miss'],
-    httpErrors: [422, 404],
-    problematicSteps: ['customization']
-  },
-  'umbrella corporation': {
-    errorRate: 0.35,
-    errorTypes: ['security_breach_detected', 'system_contamination', 'containment_failure', 'biohazard_alert'],
-    httpErrors: [500, 503, 502],
-    problematicSteps: ['verification', 'security', 'data processing', 'confirmation']
-  },
-  'default': {
-    errorRate: 0.12,
-    errorTypes: ['network_timeout', 'service_unavailable', 'validation_failed'],
-    httpErrors: [500, 503, 422],
-    problematicSteps: ['checkout', 'verification']
-  }
-};
-
+// --- Fault injection helpers (profiles live in services/chaos-profiles.js) ---
 function generateErrorMessage(errorType, stepName) {
   const messages = {
     payment_gateway_timeout: `Payment gateway timeout during ${stepName}`,
@@ -103,35 +94,48 @@ function generateErrorMessage(errorType, stepName) {
     biohazard_alert: `Biohazard alert in ${stepName}`,
     network_timeout: `Network timeout during ${stepName}`,
     service_unavailable: `Service unavailable for ${stepName}`,
-    validation_failed: `Validation failed in ${stepName}`
+    validation_failed: `Validation failed in ${stepName}`,
+    upstream_timeout: `Upstream dependency timed out during ${stepName}`
   };
   return messages[errorType] || `Unknown error in ${stepName}`;
 }
 
-function computeCustomerError(customerName, stepName) {
-  const key = String(customerName || '').toLowerCase().trim();
-  const profile = CUSTOMER_ERROR_PROFILES[key] || CUSTOMER_ERROR_PROFILES.default;
-  const isProblematic = profile.problematicSteps.some(s =>
-    String(stepName || '').toLowerCase().includes(s)
-  );
-  const effectiveRate = Math.min(0.95, profile.errorRate * (isProblematic ? 1.5 : 1));
-  if (Math.random() < effectiveRate) {
-    const errorType = profile.errorTypes[Math.floor(Math.random() * profile.errorTypes.length)];
-    const httpStatus = profile.httpErrors[Math.floor(Math.random() * profile.httpErrors.length)];
+// Plan the fault for one step from the named chaos profile, or the company's profile when none is named
+function computeCustomerError(customerName, stepName, profileName = null, random = unseededRandom) {
+  const fault = chaosProfiles.evaluate({ profileName, companyName: customerName, stepName, random: random.next });
+  const injection = { injectedLatencyMs: fault.injectedLatencyMs || 0, chaosProfile: fault.profile };
+  if (fault.hasError) {
+    const httpStatus = fault.httpStatus;
     return {
       hasError: true,
-      errorType,
+      errorType: fault.errorType,
       httpStatus,
-      errorMessage: generateErrorMessage(errorType, stepName),
+      errorMessage: generateErrorMessage(fault.errorType, stepName),
       retryable: httpStatus !== 400 && httpStatus !== 404 && httpStatus !== 422,
-      severity: httpStatus >= 500 ? 'critical' : httpStatus >= 400 ? 'warning' : 'info'
+      severity: httpStatus >= 500 ? 'critical' : httpStatus >= 400 ? 'warning' : 'info',
+      ...injection
     };
   }
-  return { hasError: false };
+  return { hasError: false, ...injection };
+}
+
+// Reject requests naming a chaos profile that doesn't exist rather than silently running without faults
+function checkChaosProfile(profileName) {
+  if (profileName && !chaosProfiles.get(profileName)) {
+    return { ok: false, error: `Unknown chaos profile "${profileName}"`, availableProfiles: chaosProfiles.list().map(p => p.name) };
+  }
+  return null;
+}
+
+// Journeys that declare fieldGenerators get exactly those fields per customer instead of the built-in defaults below.
+// Routes draw them from the `fields:<customerIndex>` stream so /api/journey/fields/preview shows the same values.
+function generateCustomerFields(fieldGenerators, existingFields, companyName, customerIndex, random = unseededRandom) {
+  if (!fieldGenerators) return generateAdditionalFields(existingFields, companyName, customerIndex, random);
+  return evaluateFieldGenerators(fieldGenerators, { random, customerIndex, fields: existingFields || {} });
 }
 
 // Generate realistic additionalFields ensuring ALL fields are included (agnostic approach)
-function generateAdditionalFields(existingFields, companyName, customerIndex) {
+function generateAdditionalFields(existingFields, companyName, customerIndex, random = unseededRandom) {
   // Start with existing fields or empty object
   const fields = (existingFields && typeof existingFields === 'object') ? { ...existingFields } : {};
   
@@ -189,25 +193,25 @@ function generateAdditionalFields(existingFields, companyName, customerIndex) {
   }
 
   // REVENUE AND FINANCIAL METRICS
-  if (!fields.transactionValue) fields.transactionValue = Math.round((50 + (customerIndex * 25) + Math.random() * 200) * 100) / 100;
-  if (!fields.orderTotal) fields.orderTotal = Math.round((75 + (customerIndex * 35) + Math.random() * 300) * 100) / 100;
+  if (!fields.transactionValue) fields.transactionValue = Math.round((50 + (customerIndex * 25) + random.next() * 200) * 100) / 100;
+  if (!fields.orderTotal) fields.orderTotal = Math.round((75 + (customerIndex * 35) + random.next() * 300) * 100) / 100;
   if (!fields.averageOrderValue) fields.averageOrderValue = Math.round((85 + (customerIndex * 20)) * 100) / 100;
-  if (!fields.customerLifetimeValue) fields.customerLifetimeValue = Math.round((500 + (customerIndex * 150) + Math.random() * 1000) * 100) / 100;
+  if (!fields.customerLifetimeValue) fields.customerLifetimeValue = Math.round((500 + (customerIndex * 150) + random.next() * 1000) * 100) / 100;
   if (!fields.revenuePerCustomer) fields.revenuePerCustomer = Math.round((200 + (customerIndex * 75)) * 100) / 100;
   if (!fields.profitMargin) fields.profitMargin = Math.round((0.15 + (customerIndex % 4) * 0.05) * 100) / 100;
-  if (!fields.discountApplied) fields.discountApplied = customerIndex % 3 === 0 ? Math.round((5 + Math.random() * 15) * 100) / 100 : 0;
+  if (!fields.discountApplied) fields.discountApplied = customerIndex % 3 === 0 ? Math.round((5 + random.next() * 15) * 100) / 100 : 0;
   if (!fields.taxAmount) fields.taxAmount = Math.round((fields.orderTotal * 0.08) * 100) / 100;
-  if (!fields.shippingCost) fields.shippingCost = customerIndex % 2 === 0 ? Math.round((5 + Math.random() * 15) * 100) / 100 : 0;
+  if (!fields.shippingCost) fields.shippingCost = customerIndex % 2 === 0 ? Math.round((5 + random.next() * 15) * 100) / 100 : 0;
   
   // PRICING AND TIER INFORMATION
   if (!fields.pricingTier) fields.pricingTier = ['Bronze', 'Silver', 'Gold', 'Platinum'][customerIndex % 4];
   if (!fields.subscriptionLevel) fields.subscriptionLevel = ['Basic', 'Premium', 'Enterprise', 'Ultimate'][customerIndex % 4];
   if (!fields.membershipStatus) fields.membershipStatus = ['Regular', 'VIP', 'Elite', 'Ambassador'][customerIndex % 4];
-  if (!fields.contractValue) fields.contractValue = Math.round((1000 + (customerIndex * 500) + Math.random() * 5000) * 100) / 100;
+  if (!fields.contractValue) fields.contractValue = Math.round((1000 + (customerIndex * 500) + random.next() * 5000) * 100) / 100;
   if (!fields.annualRevenue) fields.annualRevenue = Math.round((fields.customerLifetimeValue * 2.5) * 100) / 100;
   
   // BUSINESS INTELLIGENCE METRICS
-  if (!fields.acquisitionCost) fields.acquisitionCost = Math.round((25 + (customerIndex * 10) + Math.random() * 50) * 100) / 100;
+  if (!fields.acquisitionCost) fields.acquisitionCost = Math.round((25 + (customerIndex * 10) + random.next() * 50) * 100) / 100;
   if (!fields.retentionProbability) fields.retentionProbability = Math.round((0.7 + (customerIndex % 3) * 0.1) * 100) / 100;
   if (!fields.churnRisk) fields.churnRisk = customerIndex % 4 === 0 ? 'high' : customerIndex % 3 === 0 ? 'medium' : 'low';
   if (!fields.upsellPotential) fields.upsellPotential = Math.round((fields.customerLifetimeValue * 0.3) * 100) / 100;
@@ -217,11 +221,11 @@ function generateAdditionalFields(existingFields, companyName, customerIndex) {
   
   // PERFORMANCE AND CONVERSION METRICS
   if (!fields.conversionRate) fields.conversionRate = Math.round((0.05 + (customerIndex % 5) * 0.02) * 100) / 100;
-  if (!fields.engagementScore) fields.engagementScore = Math.round((60 + (customerIndex * 8) + Math.random() * 25) * 100) / 100;
+  if (!fields.engagementScore) fields.engagementScore = Math.round((60 + (customerIndex * 8) + random.next() * 25) * 100) / 100;
   if (!fields.satisfactionRating) fields.satisfactionRating = Math.round((3.5 + (customerIndex % 3) * 0.5) * 100) / 100;
   if (!fields.netPromoterScore) fields.netPromoterScore = Math.round((40 + (customerIndex % 6) * 10) * 100) / 100;
   if (!fields.purchaseFrequency) fields.purchaseFrequency = Math.round((2 + (customerIndex % 4) * 1.5) * 100) / 100;
-  if (!fields.timeToConversion) fields.timeToConversion = Math.round((5 + (customerIndex * 2) + Math.random() * 10) * 100) / 100;
+  if (!fields.timeToConversion) fields.timeToConversion = Math.round((5 + (customerIndex * 2) + random.next() * 10) * 100) / 100;
   
   // COMPETITIVE AND MARKET POSITIONING
   if (!fields.competitiveAdvantage) fields.competitiveAdvantage = ['Price', 'Quality', 'Service', 'Innovation'][customerIndex % 4];
@@ -230,7 +234,7 @@ function generateAdditionalFields(existingFields, companyName, customerIndex) {
   if (!fields.competitorComparison) fields.competitorComparison = ['Better', 'Similar', 'Superior', 'Leading'][customerIndex % 4];
   
   // OPERATIONAL EFFICIENCY METRICS
-  if (!fields.processingTime) fields.processingTime = Math.round((10 + (customerIndex * 5) + Math.random() * 20) * 100) / 100;
+  if (!fields.processingTime) fields.processingTime = Math.round((10 + (customerIndex * 5) + random.next() * 20) * 100) / 100;
   if (!fields.operationalCost) fields.operationalCost = Math.round((fields.revenuePerCustomer * 0.4) * 100) / 100;
   if (!fields.efficiencyRating) fields.efficiencyRating = Math.round((70 + (customerIndex % 4) * 7.5) * 100) / 100;
   if (!fields.resourceUtilization) fields.resourceUtilization = Math.round((0.6 + (customerIndex % 3) * 0.15) * 100) / 100;
@@ -253,7 +257,7 @@ function generateAdditionalFields(existingFields, companyName, customerIndex) {
 }
 
 // Generate realistic customerProfile if missing or empty
-function generateCustomerProfile(existingProfile, companyName, customerIndex) {
+function generateCustomerProfile(existingProfile, companyName, customerIndex, random = unseededRandom) {
   if (existingProfile && Object.keys(existingProfile).length > 0) {
     return existingProfile; // Use existing profile if available
   }
@@ -269,12 +273,12 @@ function generateCustomerProfile(existingProfile, companyName, customerIndex) {
     painPoints: painPoints[customerIndex % painPoints.length],
     goals: goals[customerIndex % goals.length],
     customerTier: customerIndex % 4 === 0 ? 'premium' : customerIndex % 3 === 0 ? 'gold' : 'standard',
-    registrationDate: new Date(Date.now() - (customerIndex * 30 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0]
+    registrationDate: new Date(random.now() - (customerIndex * 30 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0]
   };
 }
 
 // Generate realistic traceMetadata if missing or empty
-function generateTraceMetadata(existingMetadata, correlationId, customerIndex) {
+function generateTraceMetadata(existingMetadata, correlationId, customerIndex, random = unseededRandom) {
   if (existingMetadata && Object.keys(existingMetadata).length > 0) {
     return existingMetadata; // Use existing metadata if available
   }
@@ -285,7 +289,7 @@ function generateTraceMetadata(existingMetadata, correlationId, customerIndex) {
   
   return {
     correlationId: correlationId,
-    sessionId: `session_${Date.now()}_${customerIndex}`,
+    sessionId: `session_${random.now()}_${customerIndex}`,
     businessContext: {
       campaignSource: sources[customerIndex % sources.length],
       campaignName: campaigns[customerIndex % campaigns.length],
@@ -341,65 +345,64 @@ function generateDynamicServiceName(stepName, description = '', category = '', o
   return dynamicServiceName;
 }
 
-// Circuit breaker state per service
-const circuitBreakerState = new Map();
-
-// Initialize circuit breaker for a service
-function initCircuitBreaker(serviceName) {
-  if (!circuitBreakerState.has(serviceName)) {
-    circuitBreakerState.set(serviceName, {
-      failureCount: 0,
-      lastFailureTime: 0,
-      state: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
-      threshold: 5, // Failures before opening
-      timeout: 10000 // 10 seconds before half-open
+// Failures where the request never reached the step service, so the service can't report the step itself
+const UNREACHED_ERROR_TYPES = ['circuit_breaker_open', 'connection_error'];
+
+// Call a step service, publish its step events to the live stream and capture it for an active recording. Chained services report
+// their own hops, so for a chained call only a failure to reach the first service is published here.
+export async function callDynamicService(stepName, port, payload, incomingHeaders = {}) {
+  const reportsOwnSteps = payload?.isChained === true;
+  const event = {
+    correlationId: incomingHeaders['x-correlation-id'] || payload?.correlationId || null,
+    parentCorrelationId: payload?.parentCorrelationId || undefined,
+    journeyId: payload?.journeyId,
+    customerId: payload?.customerId,
+    companyName: payload?.companyName,
+    stepName,
+    stepIndex: payload?.stepIndex,
+    serviceName: payload?.serviceName || getServiceNameFromStep(stepName),
+    ...(payload?.visit ? { visit: payload.visit, attempt: payload.attempt } : {})
+  };
+  if (!reportsOwnSteps) journeyEvents.publish('step.entered', event);
+
+  // While a session is recorded in this workspace, chained services report their hops too
+  const workspace = currentWorkspace();
+  const recordingId = reportsOwnSteps ? sessionRecorder.recordingIdFor(workspace, payload) : null;
+  const startedAt = Date.now();
+  const result = await requestStepService(stepName, port, recordingId ? { ...payload, recordingId } : payload, incomingHeaders);
+  sessionRecorder.capture(workspace, { stepName, startedAt, headers: incomingHeaders, payload, result });
+
+  if (!reportsOwnSteps || UNREACHED_ERROR_TYPES.includes(result.errorType)) {
+    const failed = result.status === 'failed' || result.status === 'error' || result.httpStatus >= 400;
+    journeyEvents.publish(failed ? 'step.failed' : 'step.completed', {
+      ...event,
+      latencyMs: result.processingTime ?? result.latencyMs ?? null,
+      httpStatus: result.httpStatus || null,
+      ...(failed ? { errorType: result.errorType || null, error: result.error || null } : {})
     });
   }
-  return circuitBreakerState.get(serviceName);
-}
-
-// Check if circuit breaker allows request
-function canMakeRequest(serviceName) {
-  const breaker = initCircuitBreaker(serviceName);
-  const now = Date.now();
-  
-  if (breaker.state === 'CLOSED') {
-    return true;
-  } else if (breaker.state === 'OPEN') {
-    if (now - breaker.lastFailureTime > breaker.timeout) {
-      breaker.state = 'HALF_OPEN';
-      return true;
-    }
-    return false;
-  } else if (breaker.state === 'HALF_OPEN') {
-    return true;
-  }
-  return false;
+  return result;
 }
 
-// Record success/failure for circuit breaker
-function recordResult(serviceName, success) {
-  const breaker = initCircuitBreaker(serviceName);
-  
-  if (success) {
-    breaker.failureCount = 0;
-    breaker.state = 'CLOSED';
-  } else {
-    breaker.failureCount++;
-    breaker.lastFailureTime = Date.now();
-    
-    if (breaker.failureCount >= breaker.threshold) {
-      breaker.state = 'OPEN';
-      console.log(`[journey-sim] Circuit breaker OPENED for ${serviceName} after ${breaker.failureCount} failures`);
-    }
-  }
+const STEP_REQUEST_TIMEOUT_MS = 15000;
+const CHAINED_HOP_TIMEOUT_MS = parseInt(process.env.CHAINED_HOP_TIMEOUT_MS || '5000');
+
+// A chained call only returns once every later step has run, so it gets extra time per remaining hop;
+// a step with parallel branches waits for the slowest of them, which counts as one more hop
+function stepRequestTimeout(payload) {
+  const chained = payload?.isChained && Array.isArray(payload.steps);
+  const remainingHops = chained ? Math.max(0, payload.steps.length - (payload.stepIndex || 1)) : 0;
+  const joins = chained
+    ? payload.steps.filter(s => Array.isArray(s?.parallel) && s.parallel.length > 0).length
+    : (Array.isArray(payload?.parallel) && payload.parallel.length > 0 ? 1 : 0);
+  return STEP_REQUEST_TIMEOUT_MS + (remainingHops + joins) * CHAINED_HOP_TIMEOUT_MS;
 }
 
 // Call a service with improved error handling and retry logic
-async function callDynamicService(stepName, port, payload, incomingHeaders = {}) {
-  // Check circuit breaker first
-  if (!canMakeRequest(stepName)) {
-    const breaker = circuitBreakerState.get(stepName);
+async function requestStepService(stepName, port, payload, incomingHeaders = {}) {
+  // Check circuit breaker first (breakers are per workspace)
+  const workspace = currentWorkspace();
+  if (!circuitBreakers.canRequest(workspace, stepName)) {
     console.log(`[journey-sim] Circuit breaker OPEN for ${stepName}, returning fallback response`);
     
     return {
@@ -409,12 +412,15 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
       errorType: 'circuit_breaker_open',
       serviceName: stepName,
       timestamp: new Date().toISOString(),
-      circuitBreakerState: breaker.state,
+      circuitBreakerState: circuitBreakers.describe(workspace, stepName).state,
       fallback: true
     };
   }
 
-  return new Promise((resolve, reject) => {
+  touchService(port);
+  const requestStartedAt = Date.now();
+  let clientSpan = null;
+  const result = await new Promise((resolve, reject) => {
     // Build outgoing headers by preserving tracing headers when present
     const headers = {
       'Content-Type': 'application/json',
@@ -470,6 +476,20 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
       } catch (e) {}
     }
 
+    // Client span for this hop; the step service's server span becomes its child
+    clientSpan = telemetry.startSpan(`POST /process ${stepName}`, {
+      kind: 'client',
+      traceparent: headers['traceparent'],
+      attributes: {
+        'server.address': '127.0.0.1',
+        'server.port': Number(port),
+        'journey.step': stepName,
+        'journey.correlation_id': headers['x-correlation-id'],
+        'company.name': payload.companyName
+      }
+    });
+    headers['traceparent'] = clientSpan.traceparent();
+
     // Add business context headers for better Dynatrace visibility
     if (payload.companyName) headers['x-business-company'] = payload.companyName;
     if (payload.domain) headers['x-business-domain'] = payload.domain;
@@ -491,7 +511,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
       path: '/process',
       method: 'POST',
       headers,
-      timeout: 15000  // Increased timeout to 15 seconds
+      timeout: stepRequestTimeout(payload)
     };
     
     const req = http.request(options, (res) => {
@@ -504,7 +524,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
             console.error(`[journey-sim] ${stepName} returned HTML error page (status ${res.statusCode}):`, body.substring(0, 200));
             
             // Record circuit breaker failure for HTML errors
-            recordResult(stepName, false);
+            circuitBreakers.record(workspace, stepName, false, 'html_error_response');
             
             // Create a fallback JSON response for HTML error pages
             const fallbackResponse = {
@@ -539,7 +559,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
           
           // Record circuit breaker result
           const isSuccess = res.statusCode >= 200 && res.statusCode < 400;
-          recordResult(stepName, isSuccess);
+          circuitBreakers.record(workspace, stepName, isSuccess, isSuccess ? null : `HTTP ${res.statusCode}`);
           
           console.log(`[journey-sim] ${stepName} responded with status ${res.statusCode}, trace: ${headers['traceparent']?.substring(0, 20)}...`);
           
@@ -553,7 +573,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
           console.error(`[journey-sim] JSON parse error from ${stepName}:`, e.message, 'Body preview:', body.substring(0, 200));
           
           // Record circuit breaker failure
-          recordResult(stepName, false);
+          circuitBreakers.record(workspace, stepName, false, 'json_parse_error');
           
           // Create a structured error response instead of rejecting
           const errorResponse = {
@@ -580,7 +600,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
       console.error(`[journey-sim] Request error to ${stepName} on port ${port}:`, err.message);
       
       // Record circuit breaker failure
-      recordResult(stepName, false);
+      circuitBreakers.record(workspace, stepName, false, 'connection_error');
       
       // Create a structured error response instead of rejecting
       const errorResponse = {
@@ -604,7 +624,7 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
       req.destroy();
       
       // Record circuit breaker failure
-      recordResult(stepName, false);
+      circuitBreakers.record(workspace, stepName, false, 'timeout');
       
       // Create a structured error response instead of rejecting
       const errorResponse = {
@@ -628,21 +648,150 @@ async function callDynamicService(stepName, port, payload, incomingHeaders = {})
     req.write(payloadString);
     req.end();
   });
+
+  // Round-trip latency as seen by the simulator (includes any downstream chain)
+  result.latencyMs = Date.now() - requestStartedAt;
+
+  clientSpan.setAttribute('http.response.status_code', result.httpStatus);
+  if (result.status === 'failed' || result.httpStatus >= 400) {
+    clientSpan.setStatus('error', result.error || `HTTP ${result.httpStatus}`);
+  }
+  clientSpan.end();
+  return result;
+}
+
+// Describe an injected error plan for run history (null when the step was meant to succeed)
+function describeInjectedError(plan) {
+  if (!plan || !plan.hasError) return null;
+  return {
+    errorType: plan.errorType || null,
+    httpStatus: plan.httpStatus || null,
+    errorMessage: plan.errorMessage || null
+  };
+}
+
+// Convert a step service response into a run history step record
+function toRunStep(result, stepIndex, plan = null) {
+  const failed = !result || result.status === 'failed' || result.status === 'error' || (result.httpStatus && result.httpStatus >= 400);
+  return {
+    stepIndex,
+    stepName: result?.stepName || plan?.stepName || null,
+    serviceName: result?.serviceName || result?.service || plan?.serviceName || null,
+    status: failed ? 'failed' : 'completed',
+    httpStatus: result?.httpStatus || (failed ? 500 : 200),
+    latencyMs: result?.processingTime ?? result?.latencyMs ?? null,
+    errorType: failed ? (result?.errorType || null) : null,
+    error: failed ? (result?.error || null) : null,
+    fallback: result?.fallback === true,
+    injectedError: describeInjectedError(plan || result),
+    injectedLatencyMs: plan?.injectedLatencyMs || result?.injectedLatencyMs || 0,
+    ...(result?.parallel ? { parallel: result.parallel } : {}),
+    ...(result?.dependencies ? { dependencies: result.dependencies } : {})
+  };
+}
+
+// Walk one customer through the journey graph; linear journeys get one visit per step
+function planCustomerRoute(stepData, journeyObj, random, planVisit) {
+  const graphSteps = stepData.map(s => ({ ...s.originalStep, stepName: s.stepName, serviceName: s.serviceName }));
+  return planRoute(graphSteps, { random: random.next, planVisit, maxHops: journeyObj?.maxHops });
+}
+
+// Just the fault fields of an error plan
+function faultOf(plan) {
+  return {
+    hasError: plan.hasError === true,
+    errorType: plan.errorType,
+    errorMessage: plan.errorMessage,
+    httpStatus: plan.httpStatus,
+    retryable: plan.retryable,
+    severity: plan.severity,
+    injectedLatencyMs: plan.injectedLatencyMs
+  };
+}
+
+// The route as chained services receive it: where to go next and that visit's fault plan
+function routeForPayload(route) {
+  return route.visits.map(v => ({
+    stepName: v.stepName,
+    serviceName: v.serviceName,
+    stepIndex: v.stepIndex,
+    routeIndex: v.routeIndex,
+    visit: v.visit,
+    attempt: v.attempt,
+    hasError: v.hasError === true,
+    errorType: v.errorType,
+    errorMessage: v.errorMessage,
+    httpStatus: v.httpStatus,
+    injectedLatencyMs: v.injectedLatencyMs || 0
+  }));
+}
+
+// Step details chained services look up for the next hop (with per-step fault plans for linear journeys)
+function chainSteps(plannedSteps) {
+  return plannedSteps.map(s => ({
+    stepName: s.stepName,
+    serviceName: s.serviceName,
+    description: s.description,
+    category: s.category,
+    estimatedDuration: s.estimatedDuration ?? s.originalStep?.estimatedDuration,
+    businessRationale: s.businessRationale ?? s.originalStep?.businessRationale,
+    substeps: s.substeps ?? s.originalStep?.substeps,
+    latency: s.originalStep?.latency,
+    parallel: s.originalStep?.parallel,
+    dependencies: s.originalStep?.dependencies,
+    async: s.originalStep?.async,
+    transitions: s.originalStep?.transitions,
+    hasError: s.hasError === true,
+    errorType: s.errorType,
+    errorMessage: s.errorMessage,
+    httpStatus: s.httpStatus,
+    injectedLatencyMs: s.injectedLatencyMs || 0
+  }));
+}
+
+// Chained services nest each downstream response under `next`; flatten that into per-step records
+function flattenChainedResult(result) {
+  const steps = [];
+  let node = result;
+  while (node && typeof node === 'object') {
+    steps.push(toRunStep(node, steps.length + 1));
+    // The rest of the journey runs when the broker delivers the message, after this response
+    if (node.queued) {
+      steps.push({ stepIndex: steps.length + 1, stepName: node.queued.stepName, serviceName: node.queued.serviceName, status: 'queued', topic: node.queued.topic, messageId: node.queued.messageId, injectedError: null });
+      break;
+    }
+    if (node.nextError) {
+      steps.push({ stepIndex: steps.length + 1, stepName: node.nextStepName || null, status: 'failed', error: node.nextError, injectedError: null });
+      break;
+    }
+    node = node.next;
+  }
+  return steps;
 }
 
 // Simulate journey
 router.post('/simulate-journey', async (req, res) => {
   console.log('[journey-sim] Route handler called');
+  // Wall-clock start for the run record; the payload's startTime follows the seed
+  const requestStartedAt = Date.now();
   try {
+    const random = simulationRandom(req.body, req.body?.journey || req.body?.aiJourney);
     const { 
-      journeyId = `journey_${Date.now()}`, 
-      customerId = `customer_${Date.now()}`,
+      journeyId = `journey_${random.now()}`, 
+      customerId = `customer_${random.now()}`,
       chained = true,
       thinkTimeMs = 250,
-      errorSimulationEnabled = true
+      errorSimulationEnabled = true,
+      chaosProfile = null
     } = req.body || {};
+
+    // No journey at all falls back to the default steps; a journey that is present must be valid
+    const profileError = checkSeed(req.body?.seed) || checkChaosProfile(chaosProfile) || checkJourney(req.body?.journey || req.body?.aiJourney, req.body, { required: false });
+    if (profileError) {
+      return res.status(400).json(profileError);
+    }
     
-    const correlationId = req.correlationId;
+    const correlationId = simulationCorrelationId(req, res, random);
     
     // Extract step data with serviceName support
     let stepData = [];
@@ -666,7 +815,7 @@ router.post('/simulate-journey', async (req, res) => {
       
       if (stepsArray) {
         console.log('[journey-sim] Raw stepsArray:', JSON.stringify(stepsArray, null, 2));
-        stepData = stepsArray.slice(0, 6).map(step => {
+        stepData = stepsArray.map(step => {
           console.log('[journey-sim] Processing step:', JSON.stringify(step, null, 2));
           // Extract step name from various AI response formats
           const stepName = step.stepName || step.name || step.step || step.title || 'UnknownStep';
@@ -726,17 +875,19 @@ router.post('/simulate-journey', async (req, res) => {
       journeyId: req.body.journey?.journeyId || journeyId,
       customerId,
       correlationId,
-      startTime: new Date().toISOString(),
+      startTime: new Date(random.now()).toISOString(),
       companyName: req.body.journey?.companyName || req.body.companyName || 'DefaultCompany',
       domain: req.body.journey?.domain || req.body.domain || 'default.com',
       industryType: req.body.journey?.industryType || req.body.industryType || 'general',
       additionalFields: req.body.journey?.additionalFields || req.body.additionalFields || null,
+      fieldGenerators: req.body.journey?.fieldGenerators || req.body.aiJourney?.fieldGenerators || req.body.fieldGenerators || null,
       customerProfile: req.body.journey?.customerProfile || req.body.customerProfile || null,
       traceMetadata: req.body.journey?.traceMetadata || req.body.traceMetadata || null,
       sources: req.body.journey?.sources || req.body.sources || [],
       provider: req.body.journey?.provider || req.body.provider || 'unknown',
       steps: req.body.journey?.steps || req.body.steps || []
     };
+    recordJourneyStarted('simulate-journey', currentPayload.companyName);
     
     // Debug logging for additionalFields extraction
     console.log('[journey-sim] ADDITIONALFIELDS DEBUG:', {
@@ -754,8 +905,7 @@ router.post('/simulate-journey', async (req, res) => {
         const value = obj[key];
         if (Array.isArray(value) && value.length > 0) {
           // For realistic customer journeys, pick ONE item instead of arrays
-          const randomIndex = Math.floor(Math.random() * value.length);
-          simplified[key] = value[randomIndex];
+          simplified[key] = random.pick(value);
         } else if (value !== null && value !== undefined && typeof value === 'object') {
           // Recursively simplify nested objects
           simplified[key] = simplifyFieldArrays(value);
@@ -775,9 +925,12 @@ router.post('/simulate-journey', async (req, res) => {
     
     // Only enhance additionalFields if they are truly empty (preserve rich AI context)
     const hasRichContext = currentPayload.additionalFields && Object.keys(currentPayload.additionalFields).length > 10;
-    if (!hasRichContext) {
+    if (currentPayload.fieldGenerators) {
+      console.log('[journey-sim] Generating fields from journey fieldGenerators:', Object.keys(currentPayload.fieldGenerators).join(', '));
+      currentPayload.additionalFields = generateCustomerFields(currentPayload.fieldGenerators, simplifyFieldArrays(currentPayload.additionalFields), currentPayload.companyName, 0, random.fork('fields:0'));
+    } else if (!hasRichContext) {
       console.log('[journey-sim] No rich context found, generating basic fields');
-      currentPayload.additionalFields = generateAdditionalFields(currentPayload.additionalFields, currentPayload.companyName, 0);
+      currentPayload.additionalFields = generateAdditionalFields(currentPayload.additionalFields, currentPayload.companyName, 0, random);
     } else {
       console.log('[journey-sim] Rich context detected, preserving AI-generated fields:', Object.keys(currentPayload.additionalFields).length);
     }
@@ -820,7 +973,7 @@ router.post('/simulate-journey', async (req, res) => {
         console.log(`[journey-sim] 🔴 Error configured for step: ${s.stepName} (from Step 3 journey processing)`);
         
         // Use journey data error configuration with customer-specific error profiles as fallback
-        let plan = computeCustomerError(currentPayload.companyName, s.stepName);
+        let plan = computeCustomerError(currentPayload.companyName, s.stepName, chaosProfile, random);
         
         // Apply error configuration from journey data
         plan = {
@@ -829,15 +982,42 @@ router.post('/simulate-journey', async (req, res) => {
           httpStatus: plan.httpStatus || 500,
           errorMessage: errorHintFromJourneyData || generateErrorMessage(plan.errorType || 'service_unavailable', s.stepName),
           retryable: ![400, 404, 422].includes(Number(plan.httpStatus || 500)),
-          severity: Number(plan.httpStatus || 500) >= 500 ? 'critical' : Number(plan.httpStatus || 500) >= 400 ? 'warning' : 'info'
+          severity: Number(plan.httpStatus || 500) >= 500 ? 'critical' : Number(plan.httpStatus || 500) >= 400 ? 'warning' : 'info',
+          injectedLatencyMs: plan.injectedLatencyMs
         };
         
+        return { ...s, ...plan };
+      } else if (chaosProfile && errorSimulationEnabled) {
+        // An explicitly requested chaos profile decides faults for steps the journey didn't mark
+        const plan = computeCustomerError(currentPayload.companyName, s.stepName, chaosProfile, random);
+        console.log(`[journey-sim] Chaos profile "${chaosProfile}" for step ${s.stepName}: ${plan.hasError ? `${plan.errorType} (${plan.httpStatus})` : 'success'}${plan.injectedLatencyMs ? `, +${plan.injectedLatencyMs}ms` : ''}`);
         return { ...s, ...plan };
       } else {
         console.log(`[journey-sim] ✅ Success configured for step: ${s.stepName} (from Step 3 journey processing)`);
         return { ...s, hasError: false };
       }
     });
+    journeyEvents.publish('journey.started', {
+      correlationId,
+      journeyId: currentPayload.journeyId,
+      customerId,
+      source: 'simulate-journey',
+      companyName: currentPayload.companyName,
+      steps: errorPlannedSteps.map(s => ({ stepName: s.stepName, serviceName: s.serviceName }))
+    });
+
+    // A step's first visit uses the plan above; loop-backs and retries get fresh draws from the chaos profile
+    const journeyDefinition = req.body.journey || req.body.aiJourney;
+    const graph = isGraphJourney(journeyDefinition?.steps);
+    const route = planCustomerRoute(stepData, journeyDefinition, random.fork('route'), (step, { stepIndex, routeIndex, visit, attempt }) => {
+      if (visit === 1 && attempt === 1) return faultOf(errorPlannedSteps[stepIndex - 1]);
+      return chaosProfile && errorSimulationEnabled
+        ? computeCustomerError(currentPayload.companyName, step.stepName, chaosProfile, random.fork(`visit:${routeIndex}`))
+        : { hasError: false };
+    });
+    if (graph) {
+      console.log(`[journey-sim] Planned route: ${route.visits.map(v => v.stepName).join(' → ')} (${route.outcome})`);
+    }
 
     for (const stepInfo of errorPlannedSteps) {
       const { stepName, serviceName, description, category } = stepInfo;
@@ -891,12 +1071,17 @@ router.post('/simulate-journey', async (req, res) => {
         businessRationale: firstStepInfo.businessRationale,
         substeps: firstStepInfo.substeps,
         estimatedDurationMs: firstStepInfo.estimatedDuration ? firstStepInfo.estimatedDuration * 60 * 1000 : null,
+        latency: firstStepInfo.originalStep?.latency,
+        parallel: firstStepInfo.originalStep?.parallel,
+        dependencies: firstStepInfo.originalStep?.dependencies,
         
-        // Chain configuration - only include routing info for next step (not all steps)
+        // Chain configuration - services follow steps[] in order, or the planned route for graph journeys
         thinkTimeMs,
         isChained: true,
-        nextStepName: stepData.length > 1 ? stepData[1].stepName : null,
-        nextStepService: stepData.length > 1 ? stepData[1].serviceName : null,
+        nextStepName: route.visits.length > 1 ? route.visits[1].stepName : null,
+        nextStepService: route.visits.length > 1 ? route.visits[1].serviceName : null,
+        steps: chainSteps(errorPlannedSteps),
+        ...(graph ? { route: routeForPayload(route), routeIndex: 0, visit: 1, attempt: 1 } : {}),
         
         // Current step's substeps
         subSteps: firstStepInfo.originalStep?.subSteps || firstStepInfo.substeps || [],
@@ -908,6 +1093,7 @@ router.post('/simulate-journey', async (req, res) => {
         httpStatus: firstStepInfo.httpStatus,
         retryable: firstStepInfo.retryable,
         severity: firstStepInfo.severity,
+        injectedLatencyMs: firstStepInfo.injectedLatencyMs || 0,
         
         // Include full customer/business context in each trace
         additionalFields: currentPayload.additionalFields || {},
@@ -929,8 +1115,10 @@ router.post('/simulate-journey', async (req, res) => {
         });
       }
     } else {
-      for (let i = 0; i < stepData.length; i++) {
-        const stepInfo = errorPlannedSteps[i];
+      for (const visit of route.visits) {
+        const i = visit.stepIndex - 1;
+        const stepInfo = errorPlannedSteps[i] && { ...errorPlannedSteps[i], ...faultOf(visit) };
+        const visitInfo = graph ? { routeIndex: visit.routeIndex, visit: visit.visit, attempt: visit.attempt } : {};
         if (!stepInfo) {
           console.error(`[journey-sim] Step ${i} is undefined, skipping`);
           continue;
@@ -962,6 +1150,7 @@ router.post('/simulate-journey', async (req, res) => {
             stepName,
             stepIndex: i + 1,
             totalSteps: stepData.length,
+            ...visitInfo,
             stepDescription: stepInfo.description || '',
             stepCategory: stepInfo.category || '',
             
@@ -970,6 +1159,9 @@ router.post('/simulate-journey', async (req, res) => {
             businessRationale: stepInfo.businessRationale,
             substeps: stepInfo.substeps,
             estimatedDurationMs: stepInfo.estimatedDuration ? stepInfo.estimatedDuration * 60 * 1000 : null,
+            latency: stepInfo.originalStep?.latency,
+            parallel: stepInfo.originalStep?.parallel,
+            dependencies: stepInfo.originalStep?.dependencies,
             
             // Current step's substeps if available
             subSteps: stepInfo.originalStep?.subSteps || stepInfo.substeps || [],
@@ -981,6 +1173,7 @@ router.post('/simulate-journey', async (req, res) => {
             httpStatus: stepInfo.httpStatus,
             retryable: stepInfo.retryable,
             severity: stepInfo.severity,
+            injectedLatencyMs: stepInfo.injectedLatencyMs || 0,
             
             // Include full customer/business context in each trace
             additionalFields: currentPayload.additionalFields || {},
@@ -998,7 +1191,8 @@ router.post('/simulate-journey', async (req, res) => {
             stepNumber: i + 1,
             stepName,
             serviceName,
-            status: isFailed ? 'failed' : (stepResult?.status || 'completed')
+            status: isFailed ? 'failed' : (stepResult?.status || 'completed'),
+            ...visitInfo
           });
           
           console.log(`[journey-sim] ✅ Step ${i + 1}: ${serviceName}`);
@@ -1009,7 +1203,8 @@ router.post('/simulate-journey', async (req, res) => {
             stepName,
             serviceName,
             status: 'failed',
-            error: error.message
+            error: error.message,
+            ...visitInfo
           });
         }
         
@@ -1021,25 +1216,54 @@ router.post('/simulate-journey', async (req, res) => {
       journeyId,
       customerId,
       correlationId,
-      status: 'completed',
+      status: route.outcome === 'abandoned' ? 'abandoned' : 'completed',
+      ...(graph ? { outcome: route.outcome, exitStep: route.exitStep, exitReason: route.reason, route: route.visits.map(v => v.stepName) } : {}),
       totalSteps: stepData.length,
       completedSteps: journeyResults.filter(r => r.status !== 'failed').length,
       stepNames: stepData.map(s => s.stepName),
       steps: journeyResults,
-      additionalFields: generateAdditionalFields(currentPayload.additionalFields, currentPayload.companyName, 0),
-      customerProfile: generateCustomerProfile(currentPayload.customerProfile, currentPayload.companyName, 0),
-      traceMetadata: generateTraceMetadata(currentPayload.traceMetadata, correlationId, 0),
+      additionalFields: currentPayload.fieldGenerators ? currentPayload.additionalFields : generateAdditionalFields(currentPayload.additionalFields, currentPayload.companyName, 0, random),
+      customerProfile: generateCustomerProfile(currentPayload.customerProfile, currentPayload.companyName, 0, random),
+      traceMetadata: generateTraceMetadata(currentPayload.traceMetadata, correlationId, 0, random),
       sources: currentPayload.sources,
       provider: currentPayload.provider
     };
+
+    runStore.record({
+      source: 'simulate-journey',
+      correlationId,
+      journeyId: currentPayload.journeyId,
+      customerId,
+      companyName: currentPayload.companyName,
+      domain: currentPayload.domain,
+      industryType: currentPayload.industryType,
+      startedAt: new Date(requestStartedAt).toISOString(),
+      status: route.outcome === 'abandoned' ? 'abandoned' : undefined,
+      exitStep: graph ? route.exitStep : null,
+      journeySteps: stepData.map(s => s.stepName),
+      revenue: revenueOf(currentPayload.additionalFields, journeyDefinition?.revenueField || req.body.revenueField),
+      totalSteps: stepData.length,
+      steps: chained
+        ? flattenChainedResult(journeyResults[0])
+        : journeyResults.map(r => toRunStep(r, r.stepNumber, route.visits[r.routeIndex ?? r.stepNumber - 1]))
+    });
     
     res.json({
       success: true,
+      seed: random.seed,
       journey: journeyComplete
     });
 
   } catch (error) {
     console.error('[journey-sim] Journey simulation failed:', error.message);
+    runStore.record({
+      source: 'simulate-journey',
+      correlationId: req.correlationId,
+      companyName: req.body?.journey?.companyName || req.body?.companyName,
+      startedAt: new Date(requestStartedAt).toISOString(),
+      status: 'failed',
+      error: error.message
+    });
     res.status(500).json({
       success: false,
       error: error.message
@@ -1047,6 +1271,432 @@ router.post('/simulate-journey', async (req, res) => {
   }
 });
 
+// Batches up to this size still run inline on the request; anything larger becomes a background job
+const INLINE_CUSTOMER_LIMIT = parseInt(process.env.SIMULATION_INLINE_CUSTOMERS || '5');
+
+function checkCustomerLimit(requestedCustomers) {
+  if (requestedCustomers <= jobQueue.maxItems) return null;
+  return {
+    ok: false,
+    error: `Customer limit exceeded. Maximum allowed: ${jobQueue.maxItems}, requested: ${requestedCustomers}`,
+    maxCustomers: jobQueue.maxItems,
+    requestedCustomers
+  };
+}
+
+function shouldRunAsJob(body, requestedCustomers) {
+  return body?.async === true || requestedCustomers > INLINE_CUSTOMER_LIMIT;
+}
+
+function jobAccepted(job) {
+  return {
+    ok: true,
+    async: true,
+    jobId: job.id,
+    status: job.status,
+    total: job.total,
+    concurrency: job.concurrency,
+    ratePerSecond: job.ratePerSecond,
+    statusUrl: `/api/journey-simulation/jobs/${job.id}`
+  };
+}
+
+// Start every step service once before a job begins so workers don't each pay the start-up wait
+async function prestartServices(steps, companyContext, settleMs = 2000) {
+  for (const s of steps) {
+    await ensureServiceRunning(s.stepName, {
+      ...companyContext,
+      stepName: s.stepName,
+      serviceName: s.serviceName,
+      description: s.description,
+      category: s.category
+    });
+  }
+  await new Promise(resolve => setTimeout(resolve, settleMs));
+}
+
+// Compact per-customer result kept on a job (full step detail lives in the run store)
+function summarizeCustomerJourney(customerJourney) {
+  return {
+    customerIndex: customerJourney.customerIndex,
+    correlationId: customerJourney.correlationId,
+    status: customerJourney.status,
+    completedSteps: customerJourney.completedSteps || 0,
+    totalSteps: customerJourney.totalSteps || 0,
+    totalTime: customerJourney.totalTime,
+    outcome: customerJourney.outcome,
+    exitStep: customerJourney.exitStep,
+    error: customerJourney.error
+  };
+}
+
+// Run one customer through every step of a journey, returning its per-step results.
+// Shared by the inline /simulate-multiple-journeys loop and its background job worker.
+async function runCustomerJourney(ctx, customerIndex) {
+  const { journeyObj, currentPayload, thinkTimeMs, errorSimulationEnabled, chaosProfile = null, customers, prewarmed = false } = ctx;
+  // Each customer draws from its own stream so concurrent job workers can't reorder each other's draws
+  const random = (ctx.random || unseededRandom).fork(`customer:${customerIndex}`);
+  try {
+    // Generate unique IDs for each customer
+    const customerStartedAt = Date.now();
+    const uniqueId = random.now() + customerIndex;
+    const journeyId = `journey_${uniqueId}`;
+    const customerId = `customer_${uniqueId}`;
+    const correlationId = random.uuid();
+    const additionalFields = currentPayload.fieldGenerators
+      ? generateCustomerFields(currentPayload.fieldGenerators, currentPayload.additionalFields, journeyObj.companyName, customerIndex, (ctx.random || unseededRandom).fork(`fields:${customerIndex}`))
+      : currentPayload.additionalFields || {};
+
+    console.log(`[journey-sim] Starting journey for customer ${customerIndex + 1}/${customers}, correlationId: ${correlationId}`);
+
+    const companyName = journeyObj.companyName || journeyObj.company || 'DefaultCompany';
+    const domain = journeyObj.domain || inferDomain(journeyObj) || 'default.com';
+    const industryType = journeyObj.industryType || journeyObj.industry || 'general';
+    recordJourneyStarted('simulate-multiple-journeys', companyName);
+
+    // Prepare step data with duration fields from Copilot response
+    const stepData = journeyObj.steps.map(step => {
+      const stepName = step.stepName || step.name || step.step || step.title || 'UnknownStep';
+      const description = step.description || step.action || step.summary || '';
+      const category = step.category || step.type || step.phase || '';
+      
+      return {
+        stepName,
+        serviceName: getServiceNameFromStep(stepName),
+        description,
+        category,
+        // Include Copilot duration fields for OneAgent capture
+        estimatedDuration: step.estimatedDuration,
+        businessRationale: step.businessRationale,
+        substeps: step.substeps,
+        originalStep: step,
+        hasError: errorSimulationEnabled ? computeCustomerError(companyName, step.stepName || step.name || 'UnknownStep', chaosProfile, random).hasError : false
+      };
+    });
+
+    // The customer's path through the journey; each visit carries its own fault plan.
+    // Visit n draws from stream step:n, so a linear journey keeps its per-step draws.
+    const graph = isGraphJourney(journeyObj.steps);
+    const route = planCustomerRoute(stepData, journeyObj, random.fork('route'), (step, { routeIndex }) => (
+      errorSimulationEnabled ? computeCustomerError(companyName, step.stepName, chaosProfile, random.fork(`step:${routeIndex}`)) : { hasError: false }
+    ));
+
+    // Simulate the journey
+    const customerJourney = {
+      customerIndex: customerIndex + 1,
+      journeyId,
+      customerId, 
+      correlationId,
+      stepNames: stepData.map(s => s.stepName),
+      serviceNames: stepData.map(s => s.serviceName),
+      steps: [],
+      totalTime: 0,
+      status: 'in_progress'
+    };
+    journeyEvents.publish('journey.started', {
+      correlationId,
+      parentCorrelationId: currentPayload.correlationId,
+      journeyId,
+      customerId,
+      source: 'simulate-multiple-journeys',
+      companyName,
+      steps: stepData.map(s => ({ stepName: s.stepName, serviceName: s.serviceName }))
+    });
+
+    // Ensure all services are running first before processing any steps
+    console.log(`[journey-sim] Customer ${customerIndex + 1}: Ensuring all services are ready...`);
+    
+    // Pre-start all services for this customer's journey
+    const servicePorts = new Map();
+    for (const step of stepData) {
+      const port = await ensureServiceRunning(step.stepName, { 
+        companyName, 
+        domain, 
+        industryType, 
+        stepName: step.stepName, 
+        serviceName: step.serviceName,
+        description: step.description,
+        category: step.category
+      });
+      servicePorts.set(step.stepName, port);
+    }
+
+    // Wait for all services to be fully ready with progressive delay for later customers
+    // (job runs pre-start every service once up front, so they skip this)
+    if (!prewarmed) {
+      const stabilizationDelay = Math.min(1000 + (customerIndex * 300), 5000);
+      console.log(`[journey-sim] Customer ${customerIndex + 1}: Waiting ${stabilizationDelay}ms for services to stabilize...`);
+      await new Promise(resolve => setTimeout(resolve, stabilizationDelay));
+    }
+
+    // Process each visit on the route in sequence using pre-allocated ports
+    for (const visit of route.visits) {
+      const stepIndex = visit.stepIndex - 1;
+      const step = stepData[stepIndex];
+      const stepStartTime = Date.now();
+      // Per-visit stream: a fallback step must not shift the draws of the steps after it
+      const stepRandom = random.fork(`step:${visit.routeIndex}`);
+      const visitInfo = graph ? { stepIndex: visit.stepIndex, visit: visit.visit, attempt: visit.attempt } : {};
+
+      try {
+        const port = servicePorts.get(step.stepName);
+        
+        // Enhanced service readiness verification
+        console.log(`[journey-sim] Customer ${customerIndex + 1}: Verifying ${step.stepName} on port ${port}`);
+
+        let serviceReady = false;
+        let verificationAttempts = 0;
+        const maxVerificationAttempts = 6;
+        
+        while (!serviceReady && verificationAttempts < maxVerificationAttempts) {
+          try {
+            const healthCheckResult = await new Promise((resolve) => {
+              const healthReq = http.request({
+                hostname: '127.0.0.1',
+                port: port,
+                path: '/health',
+                method: 'GET',
+                timeout: 3000
+              }, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, body, ready: res.statusCode === 200 }));
+              });
+              
+              healthReq.on('error', (err) => resolve({ status: 'error', error: err.code, ready: false }));
+              healthReq.on('timeout', () => {
+                healthReq.destroy();
+                resolve({ status: 'timeout', ready: false });
+              });
+              healthReq.end();
+            });
+            
+            if (healthCheckResult.ready) {
+              serviceReady = true;
+            } else {
+              verificationAttempts++;
+              if (verificationAttempts < maxVerificationAttempts) {
+                const backoffDelay = 500 + (verificationAttempts * 300);
+                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+              }
+            }
+          } catch (error) {
+            verificationAttempts++;
+            if (verificationAttempts < maxVerificationAttempts) {
+              await new Promise(resolve => setTimeout(resolve, 500 + (verificationAttempts * 300)));
+            }
+          }
+        }
+        
+        if (!serviceReady) {
+          // Create fallback response that still generates meaningful trace data
+          console.log(`[journey-sim] Service ${step.stepName} unavailable, creating fallback response`);
+          
+          const stepResult = {
+            stepName: step.stepName,
+            serviceName: step.serviceName,
+            processingTime: 120 + stepRandom.next() * 180,
+            status: 'completed', // Mark as completed to continue journey
+            httpStatus: 200,
+            fallback: true,
+            estimatedDuration: step.estimatedDuration,
+            businessRationale: step.businessRationale,
+            category: step.category,
+            substeps: step.substeps,
+            ...visitInfo
+          };
+
+          customerJourney.steps.push(stepResult);
+          customerJourney.totalTime += stepResult.processingTime;
+          continue;
+        }
+
+        // Build comprehensive step payload
+        const errorPlan = visit;
+        const payload = {
+          journeyId,
+          customerId,
+          correlationId,
+          parentCorrelationId: currentPayload.correlationId,
+          startTime: new Date(random.now()).toISOString(),
+          companyName,
+          domain,
+          industryType,
+          
+          // Current step specific data
+          stepName: step.stepName,
+          stepIndex: stepIndex + 1,
+          totalSteps: stepData.length,
+          ...(graph ? { routeIndex: visit.routeIndex, visit: visit.visit, attempt: visit.attempt } : {}),
+          stepDescription: step.description,
+          stepCategory: step.category,
+          thinkTimeMs,
+          hasError: errorPlan.hasError,
+          errorType: errorPlan.errorType,
+          errorMessage: errorPlan.errorMessage,
+          httpStatus: errorPlan.httpStatus,
+          injectedLatencyMs: errorPlan.injectedLatencyMs || 0,
+          
+          // Duration and business context
+          estimatedDuration: step.estimatedDuration,
+          businessRationale: step.businessRationale,
+          category: step.category,
+          substeps: step.substeps,
+          estimatedDurationMs: step.estimatedDuration ? step.estimatedDuration * 60 * 1000 : null,
+          latency: step.originalStep?.latency,
+          parallel: step.originalStep?.parallel,
+          dependencies: step.originalStep?.dependencies,
+          subSteps: step.substeps || [],
+          
+          // Customer context
+          customerIndex: customerIndex + 1,
+          totalCustomers: customers,
+          
+          // Business context - use processed payload data
+          additionalFields,
+          customerProfile: currentPayload.customerProfile || {},
+          traceMetadata: currentPayload.traceMetadata || {},
+          sources: currentPayload.sources || [],
+          provider: currentPayload.provider || 'unknown'
+        };
+
+        // Enhanced tracing headers
+        const traceHeaders = {
+          'traceparent': `00-${crypto.randomBytes(16).toString('hex')}-${crypto.randomBytes(8).toString('hex')}-01`,
+          'x-correlation-id': correlationId,
+          'x-customer-index': String(customerIndex + 1),
+          'x-customer-total': String(customers)
+        };
+
+        console.log(`[journey-sim] Customer ${customerIndex + 1}: Calling ${step.stepName} on port ${port}`);
+        const response = await callDynamicService(step.stepName, port, payload, traceHeaders);
+        const processingTime = Date.now() - stepStartTime;
+
+        // Enhanced response evaluation
+        const isSuccessful = response && 
+          response.status !== 'failed' && 
+          !response.errorType &&
+          (!response.httpStatus || response.httpStatus < 400);
+
+        const stepResult = {
+          stepName: step.stepName,
+          serviceName: step.serviceName,
+          processingTime,
+          status: isSuccessful ? 'completed' : 'failed',
+          httpStatus: response?.httpStatus || 200,
+          errorType: response?.errorType,
+          error: response?.error,
+          injectedError: describeInjectedError(errorPlan),
+          injectedLatencyMs: errorPlan.injectedLatencyMs || 0,
+          estimatedDuration: step.estimatedDuration,
+          businessRationale: step.businessRationale,
+          category: step.category,
+          substeps: step.substeps,
+          ...visitInfo
+        };
+
+        customerJourney.steps.push(stepResult);
+        customerJourney.totalTime += processingTime;
+
+        console.log(`[journey-sim] ${isSuccessful ? '✅' : '❌'} Step ${stepIndex + 1}: ${step.serviceName} (customer ${customerIndex + 1}) - ${stepResult.status}`);
+
+        // Adaptive delay between steps
+        if (visit.routeIndex < route.visits.length - 1) {
+          const adaptiveDelay = Math.max(thinkTimeMs, 200) + (Math.min(customerIndex, 5) * 50);
+          await new Promise(resolve => setTimeout(resolve, adaptiveDelay));
+        }
+
+      } catch (stepError) {
+        console.error(`[journey-sim] Step ${step.stepName} failed for customer ${customerIndex + 1}:`, stepError.message);
+        const processingTime = Date.now() - stepStartTime;
+        
+        customerJourney.steps.push({
+          stepName: step.stepName,
+          serviceName: step.serviceName,
+          processingTime,
+          status: 'failed',
+          error: stepError.message,
+          estimatedDuration: step.estimatedDuration,
+          businessRationale: step.businessRationale,
+          category: step.category,
+          substeps: step.substeps,
+          ...visitInfo
+        });
+        customerJourney.totalTime += processingTime;
+        
+        // Continue to next step even if this one failed
+        console.log(`[journey-sim] Continuing journey for customer ${customerIndex + 1} despite step failure`);
+      }
+    }
+
+    // Determine final status: abandoned, failed if a step's last visit failed, otherwise completed
+    const completedSteps = customerJourney.steps.filter(s => s.status === 'completed').length;
+    customerJourney.status = routeStatus(route, customerJourney.steps);
+    customerJourney.completedSteps = completedSteps;
+    customerJourney.totalSteps = stepData.length;
+    if (graph) {
+      customerJourney.outcome = route.outcome;
+      customerJourney.exitStep = route.exitStep;
+      customerJourney.exitReason = route.reason;
+      customerJourney.visitedSteps = customerJourney.steps.length;
+    }
+
+    runStore.record({
+      source: 'simulate-multiple-journeys',
+      correlationId,
+      parentCorrelationId: currentPayload.correlationId,
+      journeyId,
+      customerId,
+      companyName,
+      domain,
+      industryType,
+      startedAt: new Date(customerStartedAt).toISOString(),
+      status: customerJourney.status,
+      exitStep: customerJourney.exitStep,
+      journeySteps: customerJourney.stepNames,
+      revenue: revenueOf(additionalFields, journeyObj.revenueField),
+      totalSteps: stepData.length,
+      steps: customerJourney.steps.map((s, i) => ({
+        ...toRunStep(s, s.stepIndex || i + 1),
+        injectedError: s.injectedError || null,
+        ...(s.visit ? { visit: s.visit, attempt: s.attempt } : {})
+      }))
+    });
+
+    return customerJourney;
+  } catch (customerError) {
+    console.error(`[journey-sim] Customer ${customerIndex + 1} journey failed:`, customerError.message);
+    
+    // Create a minimal journey trace even for failed customers
+    const failedJourney = {
+      customerIndex: customerIndex + 1,
+      journeyId: `journey_${random.now() + customerIndex}`,
+      customerId: `customer_${random.now() + customerIndex}`,
+      correlationId: random.uuid(),
+      status: 'failed',
+      error: customerError.message,
+      steps: [], // Empty steps array
+      totalTime: 0,
+      // Still include customer context for failed traces
+      additionalFields: generateCustomerFields(currentPayload.fieldGenerators, null, journeyObj.companyName || 'DefaultCompany', customerIndex, random),
+      customerProfile: generateCustomerProfile(null, journeyObj.companyName || 'DefaultCompany', customerIndex, random),
+      traceMetadata: generateTraceMetadata(null, random.uuid(), customerIndex, random)
+    };
+    
+    runStore.record({
+      source: 'simulate-multiple-journeys',
+      correlationId: failedJourney.correlationId,
+      parentCorrelationId: currentPayload.correlationId,
+      journeyId: failedJourney.journeyId,
+      customerId: failedJourney.customerId,
+      companyName: journeyObj.companyName || 'DefaultCompany',
+      status: 'failed',
+      error: customerError.message
+    });
+    return failedJourney;
+  }
+}
+
 // Multiple customer journey simulation with detailed output
 router.post('/simulate-multiple-journeys', async (req, res) => {
   console.log('[journey-sim] Multiple journeys simulation called');
@@ -1056,36 +1706,35 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
       thinkTimeMs = 250,
       aiJourney,
       journey,
-      errorSimulationEnabled = true
+      errorSimulationEnabled = true,
+      chaosProfile = null
     } = req.body || {};
 
-    // Enforce customer limit of 5
+    // Batches above the inline limit run as background jobs; only the job engine ceiling is enforced here
     const requestedCustomers = Number(customers || 1);
-    if (requestedCustomers > 5) {
-      return res.status(400).json({
-        ok: false,
-        error: `Customer limit exceeded. Maximum allowed: 5, requested: ${requestedCustomers}`,
-        maxCustomers: 5,
-        requestedCustomers: requestedCustomers
-      });
+    const limitError = checkCustomerLimit(requestedCustomers) || checkJobOptions(req.body) || checkSeed(req.body.seed) || checkChaosProfile(chaosProfile) || checkJourney(aiJourney || journey, req.body);
+    if (limitError) {
+      return res.status(400).json(limitError);
     }
 
     // Use aiJourney or journey
     const journeyObj = aiJourney || journey || {};
+    const random = simulationRandom(req.body, journeyObj);
     
     // Extract and process payload data similar to single journey endpoint
-    const journeyId = `journey_${Date.now()}`;
-    const correlationId = req.correlationId || crypto.randomUUID();
+    const journeyId = `journey_${random.now()}`;
+    const correlationId = simulationCorrelationId(req, res, random) || random.uuid();
     
     // Extract company context and all business analytics details
     const currentPayload = {
       journeyId: journeyObj.journeyId || journeyId,
       correlationId,
-      startTime: new Date().toISOString(),
+      startTime: new Date(random.now()).toISOString(),
       companyName: journeyObj.companyName || req.body.companyName || 'DefaultCompany',
       domain: journeyObj.domain || req.body.domain || 'default.com',
       industryType: journeyObj.industryType || req.body.industryType || 'general',
       additionalFields: journeyObj.additionalFields || req.body.additionalFields || null,
+      fieldGenerators: journeyObj.fieldGenerators || req.body.fieldGenerators || null,
       customerProfile: journeyObj.customerProfile || req.body.customerProfile || null,
       traceMetadata: journeyObj.traceMetadata || req.body.traceMetadata || null,
       sources: journeyObj.sources || req.body.sources || [],
@@ -1102,8 +1751,7 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
         const value = obj[key];
         if (Array.isArray(value) && value.length > 0) {
           // For realistic customer journeys, pick ONE item instead of arrays
-          const randomIndex = Math.floor(Math.random() * value.length);
-          simplified[key] = value[randomIndex];
+          simplified[key] = random.pick(value);
         } else if (value !== null && value !== undefined && typeof value === 'object') {
           // Recursively simplify nested objects
           simplified[key] = simplifyFieldArrays(value);
@@ -1152,16 +1800,36 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
     console.log('[journey-sim] DEBUGGING - journeyObj.customerProfile:', JSON.stringify(journeyObj.customerProfile, null, 2));
     console.log('[journey-sim] DEBUGGING - journeyObj.traceMetadata:', JSON.stringify(journeyObj.traceMetadata, null, 2));
     
-    if (!journeyObj.steps || !Array.isArray(journeyObj.steps)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing aiJourney.steps or journey.steps array' 
+    const ctx = { journeyObj, currentPayload, thinkTimeMs, errorSimulationEnabled, chaosProfile, customers: requestedCustomers, random };
+
+    // Above the inline limit (or when asked) hand the batch to the job engine and return immediately
+    if (shouldRunAsJob(req.body, requestedCustomers)) {
+      const job = jobQueue.createJob({
+        type: 'simulate-multiple-journeys',
+        total: requestedCustomers,
+        concurrency: req.body.concurrency,
+        ratePerSecond: req.body.ratePerSecond,
+        meta: { companyName: journeyObj.companyName || 'DefaultCompany', steps: journeyObj.steps.length, seed: random.seed },
+        prepare: () => prestartServices(
+          journeyObj.steps.map(step => {
+            const stepName = step.stepName || step.name || step.step || step.title || 'UnknownStep';
+            return { stepName, serviceName: getServiceNameFromStep(stepName), description: step.description || '', category: step.category || step.type || '' };
+          }),
+          {
+            companyName: journeyObj.companyName || journeyObj.company || 'DefaultCompany',
+            domain: journeyObj.domain || inferDomain(journeyObj) || 'default.com',
+            industryType: journeyObj.industryType || journeyObj.industry || 'general'
+          }
+        ),
+        worker: async (customerIndex) => summarizeCustomerJourney(await runCustomerJourney({ ...ctx, prewarmed: true }, customerIndex))
       });
+      return res.status(202).json(jobAccepted(job));
     }
 
     const results = [];
     let totalSuccessful = 0;
     let totalFailed = 0;
+    let totalAbandoned = 0;
     let failureCount = 0;
     const maxFailuresBeforeSlowdown = 3;
 
@@ -1169,537 +1837,33 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
 
     // Process customers sequentially (not in parallel) to prevent service overload
     for (let customerIndex = 0; customerIndex < customers; customerIndex++) {
-      try {
-        // Generate unique IDs for each customer
-        const uniqueId = Date.now() + customerIndex;
-        const journeyId = `journey_${uniqueId}`;
-        const customerId = `customer_${uniqueId}`;
-        const correlationId = crypto.randomUUID();
-
-        console.log(`[journey-sim] Starting journey for customer ${customerIndex + 1}/${customers}, correlationId: ${correlationId}`);
-
-        // Prepare step data with duration fields from Copilot response
-        const stepData = journeyObj.steps.slice(0, 6).map(step => {
-          const stepName = step.stepName || step.name || step.step || step.title || 'UnknownStep';
-          const description = step.description || step.action || step.summary || '';
-          const category = step.category || step.type || step.phase || '';
-          
-          return {
-            stepName,
-            serviceName: getServiceNameFromStep(stepName),
-            description,
-            category,
-            // Include Copilot duration fields for OneAgent capture
-            estimatedDuration: step.estimatedDuration,
-            businessRationale: step.businessRationale,
-            substeps: step.substeps,
-            originalStep: step,
-            hasError: errorSimulationEnabled ? computeCustomerError(companyName, step.stepName || step.name || 'UnknownStep').hasError : false
-          };
-        });
-
-        // Simulate the journey
-        const customerJourney = {
-          customerIndex: customerIndex + 1,
-          journeyId,
-          customerId, 
-          correlationId,
-          stepNames: stepData.map(s => s.stepName),
-          serviceNames: stepData.map(s => s.serviceName),
-          steps: [],
-          totalTime: 0,
-          status: 'in_progress'
-        };
+      const customerJourney = await runCustomerJourney(ctx, customerIndex);
+      results.push(customerJourney);
+
+      if (customerJourney.status === 'completed') {
+        totalSuccessful++;
+      } else if (customerJourney.status === 'abandoned') {
+        // Dropping off is part of the journey graph, not a failure
+        totalAbandoned++;
+      } else {
+        totalFailed++;
+        if (customerJourney.error) failureCount++;
+      }
 
-        // Ensure all services are running first before processing any steps
-        console.log(`[journey-sim] Customer ${customerIndex + 1}: Ensuring all services are ready...`);
-        const companyName = journeyObj.companyName || journeyObj.company || 'DefaultCompany';
-        const domain = journeyObj.domain || inferDomain(journeyObj) || 'default.com';
-        const industryType = journeyObj.industryType || journeyObj.industry || 'general';
+      // Adaptive delay between customers based on failure count
+      if (customerIndex < customers - 1) {
+        let delay = 300 + (customerIndex * 100); // Base delay
         
-        // Pre-start all services for this customer's journey
-        const servicePorts = new Map();
-        for (const step of stepData) {
-          const port = await ensureServiceRunning(step.stepName, { 
-            companyName, 
-            domain, 
-            industryType, 
-            stepName: step.stepName, 
-            serviceName: step.serviceName,
-            description: step.description,
-            category: step.category
-          });
-          servicePorts.set(step.stepName, port);
-        }
-
-        // Wait for all services to be fully ready with progressive delay for later customers
-        const stabilizationDelay = Math.min(1000 + (customerIndex * 300), 5000);
-        console.log(`[journey-sim] Customer ${customerIndex + 1}: Waiting ${stabilizationDelay}ms for services to stabilize...`);
-        await new Promise(resolve => setTimeout(resolve, stabilizationDelay));
-
-        // Process each step in sequence using pre-allocated ports
-        for (let stepIndex = 0; stepIndex < stepData.length; stepIndex++) {
-          const step = stepData[stepIndex];
-          const stepStartTime = Date.now();
-
-          try {
-            const port = servicePorts.get(step.stepName);
-            
-            // Enhanced service readiness verification
-            console.log(`[journey-sim] Customer ${customerIndex + 1}: Verifying ${step.stepName} on port ${port}`);
-
-            let serviceReady = false;
-            let verificationAttempts = 0;
-            const maxVerificationAttempts = 6;
-            
-            while (!serviceReady && verificationAttempts < maxVerificationAttempts) {
-              try {
-                const healthCheckResult = await new Promise((resolve) => {
-                  const healthReq = http.request({
-                    hostname: '127.0.0.1',
-                    port: port,
-                    path: '/health',
-                    method: 'GET',
-                    timeout: 3000
-                  }, (res) => {
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => resolve({ status: res.statusCode, body, ready: res.statusCode === 200 }));
-                  });
-                  
-                  healthReq.on('error', (err) => resolve({ status: 'error', error: err.code, ready: false }));
-                  healthReq.on('timeout', () => {
-                    healthReq.destroy();
-                    resolve({ status: 'timeout', ready: false });
-                  });
-                  healthReq.end();
-                });
-                
-                if (healthCheckResult.ready) {
-                  serviceReady = true;
-                } else {
-                  verificationAttempts++;
-                  if (verificationAttempts < maxVerificationAttempts) {
-                    const backoffDelay = 500 + (verificationAttempts * 300);
-                    await new Promise(resolve => setTimeout(resolve, backoffDelay));
-                  }
-                }
-              } catch (error) {
-                verificationAttempts++;
-                if (verificationAttempts < maxVerificationAttempts) {
-                  await new Promise(resolve => setTimeout(resolve, 500 + (verificationAttempts * 300)));
-                }
-              }
-            }
-            
-            if (!serviceReady) {
-              // Create fallback response that still generates meaningful trace data
-              console.log(`[journey-sim] Service ${step.stepName} unavailable, creating fallback response`);
-              
-              const stepResult = {
-                stepName: step.stepName,
-                serviceName: step.serviceName,
-                processingTime: 120 + Math.random() * 180,
-                status: 'completed', // Mark as completed to continue journey
-                httpStatus: 200,
-                fallback: true,
-                estimatedDuration: step.estimatedDuration,
-                businessRationale: step.businessRationale,
-                category: step.category,
-                substeps: step.substeps
-              };
-
-              customerJourney.steps.push(stepResult);
-              customerJourney.totalTime += stepResult.processingTime;
-              continue;
-            }
-
-            // Build comprehensive step payload
-            const payload = {
-              journeyId,
-              customerId,
-              correlationId,
-              startTime: new Date().toISOString(),
-              companyName,
-              domain,
-              industryType,
-              
-              // Current step specific data
-              stepName: step.stepName,
-              stepIndex: stepIndex + 1,
-              totalSteps: stepData.length,
-              stepDescription: step.description,
-              stepCategory: step.category,
-              thinkTimeMs,
-              hasError: errorSimulationEnabled ? computeCustomerError(companyName, step.stepName).hasError : false,
-              
-              // Duration and business context
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps,
-              estimatedDurationMs: step.estimatedDuration ? step.estimatedDuration * 60 * 1000 : null,
-              subSteps: step.substeps || [],
-              
-              // Customer context
-              customerIndex: customerIndex + 1,
-              totalCustomers: customers,
-              
-              // Business context - use processed payload data
-              additionalFields: currentPayload.additionalFields || {},
-              customerProfile: currentPayload.customerProfile || {},
-              traceMetadata: currentPayload.traceMetadata || {},
-              sources: currentPayload.sources || [],
-              provider: currentPayload.provider || 'unknown'
-            };
-
-            // Enhanced tracing headers
-            const traceHeaders = {
-              'traceparent': `00-${crypto.randomBytes(16).toString('hex')}-${crypto.randomBytes(8).toString('hex')}-01`,
-              'x-correlation-id': correlationId,
-              'x-customer-index': String(customerIndex + 1),
-              'x-customer-total': String(customers)
-            };
-
-            console.log(`[journey-sim] Customer ${customerIndex + 1}: Calling ${step.stepName} on port ${port}`);
-            const response = await callDynamicService(step.stepName, port, payload, traceHeaders);
-            const processingTime = Date.now() - stepStartTime;
-
-            // Enhanced response evaluation
-            const isSuccessful = response && 
-              response.status !== 'failed' && 
-              !response.errorType &&
-              (!response.httpStatus || response.httpStatus < 400);
-
-            const stepResult = {
-              stepName: step.stepName,
-              serviceName: step.serviceName,
-              processingTime,
-              status: isSuccessful ? 'completed' : 'failed',
-              httpStatus: response?.httpStatus || 200,
-              errorType: response?.errorType,
-              error: response?.error,
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps
-            };
-
-            customerJourney.steps.push(stepResult);
-            customerJourney.totalTime += processingTime;
-
-            console.log(`[journey-sim] ${isSuccessful ? '✅' : '❌'} Step ${stepIndex + 1}: ${step.serviceName} (customer ${customerIndex + 1}) - ${stepResult.status}`);
-
-            // Adaptive delay between steps
-            if (stepIndex < stepData.length - 1) {
-              const adaptiveDelay = Math.max(thinkTimeMs, 200) + (customerIndex * 50);
-              await new Promise(resolve => setTimeout(resolve, adaptiveDelay));
-            }
-
-          } catch (stepError) {
-            console.error(`[journey-sim] Step ${step.stepName} failed for customer ${customerIndex + 1}:`, stepError.message);
-            const processingTime = Date.now() - stepStartTime;
-            
-            customerJourney.steps.push({
-              stepName: step.stepName,
-              serviceName: step.serviceName,
-              processingTime,
-              status: 'failed',
-              error: stepError.message,
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps
-            });
-            customerJourney.totalTime += processingTime;
-            
-            // Continue to next step even if this one failed
-            console.log(`[journey-sim] Continuing journey for customer ${customerIndex + 1} despite step failure`);
-          }
-        }
-        for (let stepIndex = 0; stepIndex < stepData.length; stepIndex++) {
-          const step = stepData[stepIndex];
-          const stepStartTime = Date.now();
-
-          try {
-            // Ensure service is running for this step with proper company context
-            const companyName = journeyObj.companyName || journeyObj.company || 'DefaultCompany';
-            const domain = journeyObj.domain || inferDomain(journeyObj) || 'default.com';
-            const industryType = journeyObj.industryType || journeyObj.industry || 'general';
-            
-            const port = await ensureServiceRunning(step.stepName, { 
-              companyName, 
-              domain, 
-              industryType, 
-              stepName: step.stepName, 
-              serviceName: step.serviceName,
-              description: step.description,
-              category: step.category
-            });
-            
-            // Add small delay to prevent race conditions in multi-customer simulations
-            if (customerIndex > 0 && stepIndex === 0) {
-              await new Promise(resolve => setTimeout(resolve, 100 * customerIndex));
-            }
-            
-            // Verify service is actually responding on the allocated port
-            console.log(`[journey-sim] Customer ${customerIndex + 1}: Calling ${step.stepName} on port ${port}`);
-
-            // Build step-specific payload - ONLY current step data, no full steps array
-            const payload = {
-              journeyId,
-              customerId,
-              correlationId,
-              startTime: new Date().toISOString(),
-              companyName: journeyObj.companyName || journeyObj.company || 'DefaultCompany',
-              domain: journeyObj.domain || inferDomain(journeyObj) || 'default.com',
-              industryType: journeyObj.industryType || journeyObj.industry || 'general',
-              
-              // Current step specific data ONLY
-              stepName: step.stepName,
-              stepIndex: stepIndex + 1,
-              totalSteps: stepData.length,
-              stepDescription: step.description,
-              stepCategory: step.category,
-              thinkTimeMs,
-              hasError: errorSimulationEnabled ? computeCustomerError(companyName, step.stepName).hasError : false,
-              
-              // Add duration fields from Copilot response for OneAgent capture
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps,
-              // Convert estimated duration from minutes to milliseconds for processing simulation
-              estimatedDurationMs: step.estimatedDuration ? step.estimatedDuration * 60 * 1000 : null,
-              subSteps: step.substeps || [], // Legacy field for backward compatibility
-              
-              // Include full customer/business context in each trace - use processed payload data
-              additionalFields: currentPayload.additionalFields || {},
-              customerProfile: currentPayload.customerProfile || {},
-              traceMetadata: currentPayload.traceMetadata || {},
-              sources: currentPayload.sources || [],
-              provider: currentPayload.provider || 'unknown'
-            };
-
-            // Enhanced debugging for payload values
-            console.log('[journey-sim] PAYLOAD DEBUGGING for step:', step.stepName);
-            console.log('[journey-sim] - journeyObj.additionalFields:', JSON.stringify(journeyObj.additionalFields, null, 2));
-            console.log('[journey-sim] - req.body.additionalFields:', JSON.stringify(req.body.additionalFields, null, 2));
-            console.log('[journey-sim] - Final payload.additionalFields:', JSON.stringify(payload.additionalFields, null, 2));
-            console.log('[journey-sim] - Final payload.customerProfile:', JSON.stringify(payload.customerProfile, null, 2));
-            console.log('[journey-sim] - Final payload.traceMetadata:', JSON.stringify(payload.traceMetadata, null, 2));
-
-            // Wait a bit longer for services to start, especially during heavy load
-            if (customerIndex > 2) {
-              const additionalDelay = Math.min(customerIndex * 200, 2000); // Max 2 second delay
-              console.log(`[journey-sim] Customer ${customerIndex + 1}: Adding ${additionalDelay}ms delay for service stability`);
-              await new Promise(resolve => setTimeout(resolve, additionalDelay));
-            }
-            
-            // Verify service is ready before making the request
-            let serviceReady = false;
-            let retryCount = 0;
-            const maxRetries = 5; // Increased retries
-            
-            while (!serviceReady && retryCount < maxRetries) {
-              try {
-                // Check if process is actually running first
-                console.log(`[journey-sim] Checking if service ${step.stepName} (PID from service-manager) is responding on port ${port}`);
-                
-                // Simple connectivity test with longer timeout
-                const testResponse = await new Promise((resolve) => {
-                  const testReq = http.request({
-                    hostname: '127.0.0.1',
-                    port: port,
-                    path: '/health',
-                    method: 'GET',
-                    timeout: 2000 // Increased timeout
-                  }, (res) => {
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => resolve({ status: res.statusCode, body }));
-                  });
-                  testReq.on('error', (err) => {
-                    console.log(`[journey-sim] Health check error for ${step.stepName} on port ${port}:`, err.code);
-                    resolve({ status: 'error', error: err.code });
-                  });
-                  testReq.on('timeout', () => {
-                    console.log(`[journey-sim] Health check timeout for ${step.stepName} on port ${port}`);
-                    resolve({ status: 'timeout' });
-                  });
-                  testReq.end();
-                });
-                
-                if (testResponse.status === 200) {
-                  console.log(`[journey-sim] Service ${step.stepName} is ready on port ${port}`);
-                  serviceReady = true;
-                } else {
-                  retryCount++;
-                  if (retryCount < maxRetries) {
-                    const delay = 1000 + (retryCount * 500); // Progressive delay
-                    console.log(`[journey-sim] Service ${step.stepName} not ready on port ${port} (${testResponse.status}), retrying in ${delay}ms (attempt ${retryCount}/${maxRetries})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                  }
-                }
-              } catch (error) {
-                retryCount++;
-                if (retryCount < maxRetries) {
-                  const delay = 1000 + (retryCount * 500);
-                  console.log(`[journey-sim] Service ${step.stepName} health check failed (${error.message}), retrying in ${delay}ms (attempt ${retryCount}/${maxRetries})`);
-                  await new Promise(resolve => setTimeout(resolve, delay));
-                }
-              }
-            }
-            
-            if (!serviceReady) {
-              // Instead of failing, create a fallback trace response
-              console.log(`[journey-sim] Service ${step.stepName} unavailable, creating fallback trace response for customer ${customerIndex + 1}`);
-              
-              const fallbackResponse = {
-                status: 'completed',
-                stepName: step.stepName,
-                serviceName: step.serviceName,
-                httpStatus: 200,
-                processingTime: 150 + Math.random() * 100,
-                fallback: true,
-                message: `Fallback response - service temporarily unavailable`,
-                timestamp: new Date().toISOString(),
-                // Include the full payload context in the fallback
-                context: {
-                  journeyId,
-                  customerId,
-                  correlationId,
-                  stepIndex: stepIndex + 1,
-                  totalSteps: stepData.length,
-                  additionalFields: payload.additionalFields,
-                  customerProfile: payload.customerProfile,
-                  traceMetadata: payload.traceMetadata
-                }
-              };
-              
-              const stepResult = {
-                stepName: step.stepName,
-                serviceName: step.serviceName,
-                processingTime: fallbackResponse.processingTime,
-                status: 'completed', // Mark as completed so journey continues
-                httpStatus: 200,
-                fallback: true,
-                estimatedDuration: step.estimatedDuration,
-                businessRationale: step.businessRationale,
-                category: step.category,
-                substeps: step.substeps
-              };
-
-              customerJourney.steps.push(stepResult);
-              customerJourney.totalTime += fallbackResponse.processingTime;
-              
-              console.log(`[journey-sim] ✅ Fallback Step ${stepIndex + 1}: ${step.serviceName} (fallback trace created)`);
-              continue; // Skip the actual service call and move to next step
-            }
-
-            // Call the service
-            const traceHeaders = {
-              'traceparent': `00-${crypto.randomBytes(16).toString('hex')}-${crypto.randomBytes(8).toString('hex')}-01`,
-              'x-correlation-id': correlationId
-            };
-
-            const response = await callDynamicService(step.stepName, port, payload, traceHeaders);
-            const processingTime = Date.now() - stepStartTime;
-
-            const stepResult = {
-              stepName: step.stepName,
-              serviceName: step.serviceName,
-              processingTime,
-              status: (response && response.httpStatus && response.httpStatus < 400) ? 'completed' : 'failed',
-              httpStatus: response?.httpStatus || 200,
-              // Include duration fields from Copilot response
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps
-            };
-
-            customerJourney.steps.push(stepResult);
-            customerJourney.totalTime += processingTime;
-
-            // Small delay between steps
-            if (stepIndex < stepData.length - 1) {
-              await new Promise(resolve => setTimeout(resolve, thinkTimeMs));
-            }
-
-          } catch (stepError) {
-            console.error(`[journey-sim] Step ${step.stepName} failed for customer ${customerIndex + 1}:`, stepError.message);
-            const processingTime = Date.now() - stepStartTime;
-            
-            customerJourney.steps.push({
-              stepName: step.stepName,
-              serviceName: step.serviceName,
-              processingTime,
-              status: 'failed',
-              error: stepError.message,
-              // Include duration fields from Copilot response even on failure
-              estimatedDuration: step.estimatedDuration,
-              businessRationale: step.businessRationale,
-              category: step.category,
-              substeps: step.substeps
-            });
-            customerJourney.totalTime += processingTime;
-            break; // Stop processing further steps for this customer
-          }
-        }
-
-        // Determine final status
-        const completedSteps = customerJourney.steps.filter(s => s.status === 'completed').length;
-        customerJourney.status = completedSteps === stepData.length ? 'completed' : 'failed';
-        customerJourney.completedSteps = completedSteps;
-        customerJourney.totalSteps = stepData.length;
-
-        if (customerJourney.status === 'completed') {
-          totalSuccessful++;
+        // If we've had failures, slow down significantly
+        if (failureCount >= maxFailuresBeforeSlowdown) {
+          delay = Math.min(2000 + (failureCount * 500), 5000); // Up to 5 second delay
+          console.log(`[journey-sim] ⚠️ High failure count (${failureCount}), using extended delay of ${delay}ms`);
         } else {
-          totalFailed++;
-        }
-
-        results.push(customerJourney);
-
-        // Adaptive delay between customers based on failure count
-        if (customerIndex < customers - 1) {
-          let delay = 300 + (customerIndex * 100); // Base delay
-          
-          // If we've had failures, slow down significantly
-          if (failureCount >= maxFailuresBeforeSlowdown) {
-            delay = Math.min(2000 + (failureCount * 500), 5000); // Up to 5 second delay
-            console.log(`[journey-sim] ⚠️ High failure count (${failureCount}), using extended delay of ${delay}ms`);
-          } else {
-            delay = Math.min(delay, 1500); // Normal max delay
-          }
-          
-          console.log(`[journey-sim] Waiting ${delay}ms before starting customer ${customerIndex + 2}`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          delay = Math.min(delay, 1500); // Normal max delay
         }
-
-      } catch (customerError) {
-        console.error(`[journey-sim] Customer ${customerIndex + 1} journey failed:`, customerError.message);
-        totalFailed++;
-        failureCount++;
-        
-        // Create a minimal journey trace even for failed customers
-        const failedJourney = {
-          customerIndex: customerIndex + 1,
-          journeyId: `journey_${Date.now() + customerIndex}`,
-          customerId: `customer_${Date.now() + customerIndex}`,
-          correlationId: crypto.randomUUID(),
-          status: 'failed',
-          error: customerError.message,
-          steps: [], // Empty steps array
-          totalTime: 0,
-          // Still include customer context for failed traces
-          additionalFields: generateAdditionalFields(null, journeyObj.companyName || 'DefaultCompany', customerIndex),
-          customerProfile: generateCustomerProfile(null, journeyObj.companyName || 'DefaultCompany', customerIndex),
-          traceMetadata: generateTraceMetadata(null, crypto.randomUUID(), customerIndex)
-        };
         
-        results.push(failedJourney);
+        console.log(`[journey-sim] Waiting ${delay}ms before starting customer ${customerIndex + 2}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
 
@@ -1769,10 +1933,12 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
 
     res.json({
       success: true,
+      seed: random.seed,
       loadTestSummary: {
         customersProcessed: customers,
         successfulCustomers: totalSuccessful,
         failedCustomers: totalFailed,
+        abandonedCustomers: totalAbandoned,
         successRate: summary.successRate,
         averageCompletionTime: `${avgTime}ms`,
         averageStepsCompleted: avgSteps
@@ -1786,7 +1952,8 @@ router.post('/simulate-multiple-journeys', async (req, res) => {
         status: customer.status,
         completedSteps: customer.completedSteps,
         totalSteps: customer.totalSteps,
-        totalTime: customer.totalTime
+        totalTime: customer.totalTime,
+        ...(customer.outcome ? { outcome: customer.outcome, exitStep: customer.exitStep, exitReason: customer.exitReason } : {})
       }))
     });
 
@@ -1811,23 +1978,22 @@ router.post('/simulate-batch-chained', async (req, res) => {
       companyName: bodyCompany,
       domain: bodyDomain,
       industryType: bodyIndustry,
-      errorSimulationEnabled = true
+      errorSimulationEnabled = true,
+      chaosProfile = null
     } = req.body || {};
 
-    // Enforce customer limit of 5
+    // Batches above the inline limit run as background jobs; only the job engine ceiling is enforced here
     const requestedCustomers = Number(customers || 1);
-    if (requestedCustomers > 5) {
-      return res.status(400).json({
-        ok: false,
-        error: `Customer limit exceeded. Maximum allowed: 5, requested: ${requestedCustomers}`,
-        maxCustomers: 5,
-        requestedCustomers: requestedCustomers
-      });
+    const submittedJourney = journey || aiJourney || (Array.isArray(customSteps) ? { steps: customSteps } : null);
+    const limitError = checkCustomerLimit(requestedCustomers) || checkJobOptions(req.body) || checkSeed(req.body.seed) || checkChaosProfile(chaosProfile) || checkJourney(submittedJourney, req.body, { required: false });
+    if (limitError) {
+      return res.status(400).json(limitError);
     }
 
-    const correlationId = req.correlationId;
     // Prefer journey payload then aiJourney
     const journeyObj = journey || aiJourney || {};
+    const random = simulationRandom(req.body, journeyObj);
+    const correlationId = simulationCorrelationId(req, res, random);
 
     // Build step data using the same logic as /simulate-journey
     let stepData = [];
@@ -1838,7 +2004,7 @@ router.post('/simulate-batch-chained', async (req, res) => {
       stepsArray = customSteps;
     }
     if (stepsArray) {
-      stepData = stepsArray.slice(0, 6).map(step => {
+      stepData = stepsArray.map(step => {
         const stepName = step.stepName || step.name || step.step || step.title || 'UnknownStep';
         const description = step.description || step.action || step.summary || '';
         const category = step.category || step.type || step.phase || '';
@@ -1857,17 +2023,18 @@ router.post('/simulate-batch-chained', async (req, res) => {
     const companyName = journeyObj.companyName || bodyCompany || 'DefaultCompany';
     const domain = journeyObj.domain || bodyDomain || inferDomain(journeyObj);
     const industryType = journeyObj.industryType || bodyIndustry || 'general';
+    const fieldGenerators = journeyObj.fieldGenerators || req.body.fieldGenerators || null;
 
     // Compute per-step error plan
     const errorPlannedSteps = stepData.map(s => {
       const hint = s.originalStep?.errorHint || s.originalStep?.errorPlan;
-      let plan = errorSimulationEnabled ? computeCustomerError(companyName, s.stepName) : { hasError: false };
+      let plan = errorSimulationEnabled ? computeCustomerError(companyName, s.stepName, chaosProfile, random) : { hasError: false };
       if (hint && typeof hint === 'object') {
         const typeFromHint = hint.type || hint.errorType;
         const statusFromHint = hint.httpStatus || hint.status;
         const likelihood = typeof hint.likelihood === 'number' ? Math.max(0, Math.min(1, hint.likelihood)) : null;
         const forced = hint.force === true;
-        const shouldFail = forced ? true : (likelihood != null ? Math.random() < likelihood : null);
+        const shouldFail = forced ? true : (likelihood != null ? random.chance(likelihood) : null);
         if (shouldFail === true) {
           const chosenType = typeFromHint || plan.errorType || 'service_unavailable';
           const chosenStatus = statusFromHint || plan.httpStatus || 500;
@@ -1877,33 +2044,34 @@ router.post('/simulate-batch-chained', async (req, res) => {
             httpStatus: chosenStatus,
             errorMessage: generateErrorMessage(chosenType, s.stepName),
             retryable: ![400, 404, 422].includes(Number(chosenStatus)),
-            severity: Number(chosenStatus) >= 500 ? 'critical' : Number(chosenStatus) >= 400 ? 'warning' : 'info'
+            severity: Number(chosenStatus) >= 500 ? 'critical' : Number(chosenStatus) >= 400 ? 'warning' : 'info',
+            injectedLatencyMs: plan.injectedLatencyMs
           };
         } else if (shouldFail === false) {
-          plan = { hasError: false };
+          plan = { hasError: false, injectedLatencyMs: plan.injectedLatencyMs };
         }
       }
       return { ...s, ...plan };
     });
 
-    // Ensure services running with correct context
-    for (const s of errorPlannedSteps) {
-      await ensureServiceRunning(s.stepName, { companyName, domain, industryType, stepName: s.stepName, serviceName: s.serviceName, description: s.description, category: s.category });
-    }
-
-    // Give time to boot
-    await new Promise(r => setTimeout(r, 1000));
-
-    let completed = 0;
-    let failed = 0;
-    const results = [];
+    // Ensure services running with correct context, then give them time to boot
+    const startServices = async () => {
+      for (const s of errorPlannedSteps) {
+        await ensureServiceRunning(s.stepName, { companyName, domain, industryType, stepName: s.stepName, serviceName: s.serviceName, description: s.description, category: s.category });
+      }
+      await new Promise(r => setTimeout(r, 1000));
+    };
 
-    // Identify first step and its port
+    // Identify first step; its port is resolved once services are up
     const first = errorPlannedSteps[0];
-    const firstPort = await getServicePort(first.stepName, companyName);
+    let firstPort = null;
+    const graph = isGraphJourney(stepsArray);
+    const chainedSteps = chainSteps(errorPlannedSteps);
 
-    for (let i = 0; i < requestedCustomers; i++) {
+    // Fire one customer into the head of the chain
+    const runCustomer = async (i) => {
       try {
+        recordJourneyStarted('simulate-batch-chained', companyName);
         // Debug the payload construction
         console.log('[journey-sim] MULTI-JOURNEY PAYLOAD CONSTRUCTION:', {
           'req.body.additionalFields': JSON.stringify(req.body.additionalFields, null, 2),
@@ -1913,32 +2081,46 @@ router.post('/simulate-batch-chained', async (req, res) => {
           'journeyObj.customerProfile': JSON.stringify(journeyObj.customerProfile, null, 2),
           'journeyObj.traceMetadata': JSON.stringify(journeyObj.traceMetadata, null, 2)
         });
-        
+      
+        // Each customer walks its own route; a step's first visit uses the batch's error plan
+        const route = planCustomerRoute(errorPlannedSteps, journeyObj, random.fork(`route:${i}`), (step, { stepIndex, routeIndex, visit, attempt }) => {
+          if (visit === 1 && attempt === 1) return faultOf(errorPlannedSteps[stepIndex - 1]);
+          return errorSimulationEnabled
+            ? computeCustomerError(companyName, step.stepName, chaosProfile, random.fork(`visit:${i}:${routeIndex}`))
+            : { hasError: false };
+        });
+
         // Create step-specific payload for chained batch - ONLY first step data
         const firstStepInfo = errorPlannedSteps[0];
         const payload = {
           // Journey metadata
-          journeyId: `journey_${Date.now()}_${i}`,
-          customerId: `customer_${Date.now()}_${i}`,
+          journeyId: `journey_${random.now()}_${i}`,
+          customerId: `customer_${random.now()}_${i}`,
           correlationId,
-          startTime: new Date().toISOString(),
+          startTime: new Date(random.now()).toISOString(),
           companyName,
           domain,
           industryType,
-          
+        
           // Current step specific data ONLY
           stepName: first.stepName,
           stepIndex: 1,
           totalSteps: errorPlannedSteps.length,
           stepDescription: firstStepInfo.description || '',
           stepCategory: firstStepInfo.category || '',
+          estimatedDuration: firstStepInfo.originalStep?.estimatedDuration,
+          latency: firstStepInfo.originalStep?.latency,
+          parallel: firstStepInfo.originalStep?.parallel,
+          dependencies: firstStepInfo.originalStep?.dependencies,
           thinkTimeMs,
-          
-          // Chain configuration - only include routing info for next step
+        
+          // Chain configuration - services follow steps[] in order, or the planned route for graph journeys
           isChained: true,
-          nextStepName: errorPlannedSteps.length > 1 ? errorPlannedSteps[1].stepName : null,
-          nextStepService: errorPlannedSteps.length > 1 ? errorPlannedSteps[1].serviceName : null,
-          
+          nextStepName: route.visits.length > 1 ? route.visits[1].stepName : null,
+          nextStepService: route.visits.length > 1 ? route.visits[1].serviceName : null,
+          steps: chainedSteps,
+          ...(graph ? { route: routeForPayload(route), routeIndex: 0, visit: 1, attempt: 1 } : {}),
+        
           // Error configuration for first step
           hasError: firstStepInfo.hasError,
           errorType: firstStepInfo.errorType,
@@ -1946,26 +2128,91 @@ router.post('/simulate-batch-chained', async (req, res) => {
           httpStatus: firstStepInfo.httpStatus,
           retryable: firstStepInfo.retryable,
           severity: firstStepInfo.severity,
-          
+          injectedLatencyMs: firstStepInfo.injectedLatencyMs || 0,
+        
           // Include full customer/business context in each trace
-          additionalFields: req.body.additionalFields || journeyObj.additionalFields || {},
+          additionalFields: fieldGenerators
+            ? generateCustomerFields(fieldGenerators, req.body.additionalFields || journeyObj.additionalFields, companyName, i, random.fork(`fields:${i}`))
+            : req.body.additionalFields || journeyObj.additionalFields || {},
           customerProfile: req.body.customerProfile || journeyObj.customerProfile || {},
           traceMetadata: req.body.traceMetadata || journeyObj.traceMetadata || {},
           sources: journeyObj.sources || [],
           provider: journeyObj.provider || 'unknown'
         };
-        
+      
         console.log('[journey-sim] FINAL PAYLOAD additionalFields:', JSON.stringify(payload.additionalFields, null, 2));
         console.log('[journey-sim] FINAL PAYLOAD customerProfile:', JSON.stringify(payload.customerProfile, null, 2));
         console.log('[journey-sim] FINAL PAYLOAD traceMetadata:', JSON.stringify(payload.traceMetadata, null, 2));
+        journeyEvents.publish('journey.started', {
+          correlationId,
+          journeyId: payload.journeyId,
+          customerId: payload.customerId,
+          source: 'simulate-batch-chained',
+          companyName,
+          steps: errorPlannedSteps.map(s => ({ stepName: s.stepName, serviceName: s.serviceName }))
+        });
+        const customerStartedAt = Date.now();
         const r = await callDynamicService(first.stepName, firstPort, payload, { 'x-correlation-id': correlationId });
         const isFailed = r?.status === 'failed' || (r?.httpStatus && r.httpStatus >= 400);
-        if (isFailed) failed++; else completed++;
-        if (i < 5) results.push({ index: i + 1, status: isFailed ? 'failed' : 'completed', service: first.serviceName, httpStatus: r?.httpStatus, error: r?.error });
+        runStore.record({
+          source: 'simulate-batch-chained',
+          correlationId,
+          journeyId: payload.journeyId,
+          customerId: payload.customerId,
+          companyName,
+          domain,
+          industryType,
+          startedAt: new Date(customerStartedAt).toISOString(),
+          status: route.outcome === 'abandoned' ? 'abandoned' : undefined,
+          exitStep: graph ? route.exitStep : null,
+          journeySteps: errorPlannedSteps.map(s => s.stepName),
+          revenue: revenueOf(payload.additionalFields, journeyObj.revenueField || req.body.revenueField),
+          totalSteps: errorPlannedSteps.length,
+          steps: flattenChainedResult(r)
+        });
+        const status = route.outcome === 'abandoned' ? 'abandoned' : isFailed ? 'failed' : 'completed';
+        return {
+          index: i + 1,
+          status,
+          service: first.serviceName,
+          httpStatus: r?.httpStatus,
+          error: r?.error,
+          ...(graph ? { outcome: route.outcome, exitStep: route.exitStep } : {})
+        };
       } catch (e) {
-        failed++;
-        if (i < 5) results.push({ index: i + 1, status: 'failed', error: e.message });
+        runStore.record({ source: 'simulate-batch-chained', correlationId, companyName, domain, industryType, status: 'failed', error: e.message });
+        return { index: i + 1, status: 'failed', error: e.message };
       }
+    };
+
+    if (shouldRunAsJob(req.body, requestedCustomers)) {
+      const job = jobQueue.createJob({
+        type: 'simulate-batch-chained',
+        total: requestedCustomers,
+        concurrency: req.body.concurrency,
+        ratePerSecond: req.body.ratePerSecond,
+        meta: { companyName, steps: errorPlannedSteps.length, seed: random.seed },
+        prepare: async () => {
+          await startServices();
+          firstPort = await getServicePort(first.stepName, companyName);
+        },
+        worker: runCustomer
+      });
+      return res.status(202).json(jobAccepted(job));
+    }
+
+    await startServices();
+    firstPort = await getServicePort(first.stepName, companyName);
+
+    let completed = 0;
+    let failed = 0;
+    let abandoned = 0;
+    const results = [];
+
+    for (let i = 0; i < requestedCustomers; i++) {
+      const result = await runCustomer(i);
+      if (result.status === 'failed') failed++; else if (result.status === 'abandoned') abandoned++; else completed++;
+      if (i < 5) results.push(result);
       
       // Dynamic throttling based on customer count and current index (max 5 customers)
       let delay = 10; // Base delay
@@ -1983,7 +2230,7 @@ router.post('/simulate-batch-chained', async (req, res) => {
       await new Promise(r => setTimeout(r, delay));
     }
 
-    res.json({ ok: true, summary: { customers: requestedCustomers, completed, failed }, sample: results });
+    res.json({ ok: true, seed: random.seed, summary: { customers: requestedCustomers, completed, failed, ...(graph ? { abandoned } : {}) }, sample: results });
   } catch (e) {
     console.error('[journey-sim] simulate-batch-chained error:', e);
     res.status(500).json({ ok: false, error: e.message });
@@ -1998,38 +2245,30 @@ router.post('/simulate-single-step-journeys', async (req, res) => {
       customers = 1,
       thinkTimeMs = 250,
       aiJourney,
-      journey
+      journey,
+      chaosProfile = null
     } = req.body || {};
 
-    // Enforce customer limit of 5
+    // Batches above the inline limit run as background jobs; only the job engine ceiling is enforced here
     const requestedCustomers = Number(customers || 1);
-    if (requestedCustomers > 5) {
-      return res.status(400).json({
-        ok: false,
-        error: `Customer limit exceeded. Maximum allowed: 5, requested: ${requestedCustomers}`,
-        maxCustomers: 5,
-        requestedCustomers: requestedCustomers
-      });
+    const limitError = checkCustomerLimit(requestedCustomers) || checkJobOptions(req.body) || checkSeed(req.body.seed) || checkChaosProfile(chaosProfile) || checkJourney(aiJourney || journey, req.body);
+    if (limitError) {
+      return res.status(400).json(limitError);
     }
     // Use aiJourney or journey
     const journeyObj = aiJourney || journey || {};
+    const random = simulationRandom(req.body, journeyObj);
     
     console.log('[journey-sim] SINGLE-STEP MODE: Creating individual traces for each step');
     
-    if (!journeyObj.steps || !Array.isArray(journeyObj.steps)) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Missing or invalid steps array in journey object' 
-      });
-    }
-
     const companyName = journeyObj.companyName || req.body.companyName || 'UnknownCompany';
-    const correlationId = `single-step-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const correlationId = `single-step-${random.now()}-${random.next().toString(36).substring(2, 8)}`;
     
     const bodyDomain = req.body.domain;
     const bodyIndustry = req.body.industryType;
     const domain = journeyObj.domain || bodyDomain || inferDomain(journeyObj);
     const industryType = journeyObj.industryType || bodyIndustry || 'general';
+    const fieldGenerators = journeyObj.fieldGenerators || req.body.fieldGenerators || null;
 
     const stepData = journeyObj.steps.map((step, index) => ({ 
       ...step, 
@@ -2037,15 +2276,11 @@ router.post('/simulate-single-step-journeys', async (req, res) => {
       originalStep: step 
     }));
 
-    let completed = 0;
-    let failed = 0;
-    const results = [];
+    const customerCount = Number(customers || 0);
+    const stepPorts = new Map();
 
-    // Process each step as an individual journey/trace
-    for (const step of stepData) {
-      console.log(`[journey-sim] SINGLE-STEP: Processing step ${step.stepName} as individual trace`);
-      
-      // Ensure service is running for this step
+    // Ensure service is running for a step
+    const startStepService = async (step) => {
       const stepPort = await ensureServiceRunning(step.stepName, { 
         companyName, 
         domain, 
@@ -2055,59 +2290,103 @@ router.post('/simulate-single-step-journeys', async (req, res) => {
         description: step.description, 
         category: step.category 
       });
+      stepPorts.set(step.stepName, stepPort);
+      return stepPort;
+    };
+
+    // Execute one customer against one step as its own trace
+    const runSingleStep = async (step, i) => {
+      const stepCorrelationId = `${correlationId}-${step.stepName}-${i}`;
+      
+      try {
+        // Single-step traces only get faults when a chaos profile is explicitly requested
+        const errorPlan = chaosProfile ? computeCustomerError(companyName, step.stepName, chaosProfile, random.fork(`${step.stepIndex}:${i}`)) : { hasError: false };
+
+        // Single-step payload - only contains this one step
+        const payload = {
+          companyName,
+          domain,
+          industryType,
+          correlationId: stepCorrelationId,
+          stepName: step.stepName,
+          thinkTimeMs,
+          hasError: errorPlan.hasError,
+          errorType: errorPlan.errorType,
+          errorMessage: errorPlan.errorMessage,
+          httpStatus: errorPlan.httpStatus,
+          injectedLatencyMs: errorPlan.injectedLatencyMs || 0,
+          steps: [step], // Only this single step
+          // Keyed by customer only, so a customer carries the same generated fields into every step
+          additionalFields: fieldGenerators
+            ? generateCustomerFields(fieldGenerators, req.body.additionalFields || journeyObj.additionalFields, companyName, i, random.fork(`fields:${i}`))
+            : req.body.additionalFields || journeyObj.additionalFields || {},
+          customerProfile: req.body.customerProfile || journeyObj.customerProfile || {},
+          traceMetadata: req.body.traceMetadata || journeyObj.traceMetadata || {},
+          sources: journeyObj.sources || [],
+          provider: journeyObj.provider || 'unknown',
+          singleStepMode: true // Flag to indicate this is a single-step trace
+        };
+        
+        console.log(`[journey-sim] SINGLE-STEP: Calling ${step.stepName} with correlation ID: ${stepCorrelationId}`);
+        
+        const r = await callDynamicService(step.stepName, stepPorts.get(step.stepName), payload, { 
+          'x-correlation-id': stepCorrelationId 
+        });
+        
+        const isFailed = r?.status === 'failed' || (r?.httpStatus && r.httpStatus >= 400);
+        return { 
+          stepName: step.stepName,
+          customerIndex: i + 1, 
+          correlationId: stepCorrelationId,
+          status: isFailed ? 'failed' : 'completed', 
+          service: step.serviceName, 
+          httpStatus: r?.httpStatus, 
+          error: r?.error 
+        };
+        
+      } catch (e) {
+        return { 
+          stepName: step.stepName,
+          customerIndex: i + 1, 
+          correlationId: stepCorrelationId,
+          status: 'failed', 
+          error: e.message 
+        };
+      }
+    };
+
+    // Large batches become a job whose items are (step, customer) pairs
+    if (shouldRunAsJob(req.body, requestedCustomers)) {
+      const job = jobQueue.createJob({
+        type: 'simulate-single-step-journeys',
+        total: stepData.length * customerCount,
+        concurrency: req.body.concurrency,
+        ratePerSecond: req.body.ratePerSecond,
+        meta: { companyName, steps: stepData.length, customers: customerCount, seed: random.seed },
+        prepare: async () => {
+          for (const step of stepData) await startStepService(step);
+        },
+        worker: (index) => runSingleStep(stepData[Math.floor(index / customerCount)], index % customerCount)
+      });
+      return res.status(202).json(jobAccepted(job));
+    }
+
+    let completed = 0;
+    let failed = 0;
+    const results = [];
+
+    // Process each step as an individual journey/trace
+    for (const step of stepData) {
+      console.log(`[journey-sim] SINGLE-STEP: Processing step ${step.stepName} as individual trace`);
+      await startStepService(step);
       
       // Create individual customers for this step
-      for (let i = 0; i < Number(customers || 0); i++) {
-        const stepCorrelationId = `${correlationId}-${step.stepName}-${i}`;
+      for (let i = 0; i < customerCount; i++) {
+        const result = await runSingleStep(step, i);
+        if (result.status === 'failed') failed++; else completed++;
         
-        try {
-          // Single-step payload - only contains this one step
-          const payload = {
-            companyName,
-            domain,
-            industryType,
-            correlationId: stepCorrelationId,
-            stepName: step.stepName,
-            thinkTimeMs,
-            steps: [step], // Only this single step
-            additionalFields: req.body.additionalFields || journeyObj.additionalFields || {},
-            customerProfile: req.body.customerProfile || journeyObj.customerProfile || {},
-            traceMetadata: req.body.traceMetadata || journeyObj.traceMetadata || {},
-            sources: journeyObj.sources || [],
-            provider: journeyObj.provider || 'unknown',
-            singleStepMode: true // Flag to indicate this is a single-step trace
-          };
-          
-          console.log(`[journey-sim] SINGLE-STEP: Calling ${step.stepName} with correlation ID: ${stepCorrelationId}`);
-          
-          const r = await callDynamicService(step.stepName, stepPort, payload, { 
-            'x-correlation-id': stepCorrelationId 
-          });
-          
-          const isFailed = r?.status === 'failed' || (r?.httpStatus && r.httpStatus >= 400);
-          if (isFailed) failed++; else completed++;
-          
-          // Collect results for all single-step executions
-          results.push({ 
-            stepName: step.stepName,
-            customerIndex: i + 1, 
-            correlationId: stepCorrelationId,
-            status: isFailed ? 'failed' : 'completed', 
-            service: step.serviceName, 
-            httpStatus: r?.httpStatus, 
-            error: r?.error 
-          });
-          
-        } catch (e) {
-          failed++;
-          results.push({ 
-            stepName: step.stepName,
-            customerIndex: i + 1, 
-            correlationId: stepCorrelationId,
-            status: 'failed', 
-            error: e.message 
-          });
-        }
+        // Collect results for all single-step executions
+        results.push(result);
         
         // Small delay to avoid thundering herd
         await new Promise(r => setTimeout(r, 10));
@@ -2117,6 +2396,7 @@ router.post('/simulate-single-step-journeys', async (req, res) => {
     res.json({ 
       ok: true, 
       mode: 'single-step',
+      seed: random.seed,
       summary: { 
         customers: Number(customers), 
         stepsProcessed: stepData.length,
@@ -2133,4 +2413,102 @@ router.post('/simulate-single-step-journeys', async (req, res) => {
   }
 });
 
+// Background simulation jobs of the workspace
+router.get('/jobs', (req, res) => {
+  res.json({ ok: true, jobs: jobQueue.list(req.workspace), timestamp: new Date().toISOString() });
+});
+
+router.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id, req.workspace);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: `Job ${req.params.id} not found` });
+  }
+  res.json({ ok: true, job });
+});
+
+router.post('/jobs/:id/cancel', (req, res) => {
+  const job = jobQueue.cancel(req.params.id, req.workspace);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: `Job ${req.params.id} not found` });
+  }
+  res.json({ ok: true, job });
+});
+
+// Circuit breakers guarding each of the workspace's step services
+router.get('/circuit-breakers', (req, res) => {
+  const breakers = circuitBreakers.list(req.workspace);
+  res.json({
+    ok: true,
+    defaults: circuitBreakers.defaultsFor(req.workspace),
+    count: breakers.length,
+    open: breakers.filter(b => b.state !== 'CLOSED').length,
+    breakers,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// PUT /circuit-breakers/defaults - { threshold?, timeoutMs?, enabled? } for services without their own settings
+router.put('/circuit-breakers/defaults', (req, res) => {
+  try {
+    const { defaults, errors } = circuitBreakers.configure(req.workspace, null, req.body);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.json({ ok: true, defaults });
+  } catch (err) {
+    console.error('[journey-sim] Failed to save circuit breaker defaults:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /circuit-breakers/reset - reset every breaker of the workspace to CLOSED
+router.post('/circuit-breakers/reset', (req, res) => {
+  const reset = circuitBreakers.resetAll(req.workspace);
+  res.json({ ok: true, reset, breakers: circuitBreakers.list(req.workspace) });
+});
+
+router.get('/circuit-breakers/:service', (req, res) => {
+  const name = circuitBreakers.resolveName(req.workspace, req.params.service);
+  if (!name) {
+    return res.status(404).json({ ok: false, error: `No circuit breaker for service "${req.params.service}"` });
+  }
+  res.json({ ok: true, breaker: circuitBreakers.describe(req.workspace, name) });
+});
+
+// PUT /circuit-breakers/:service - { threshold?, timeoutMs?, enabled? }; works before the service has been called
+router.put('/circuit-breakers/:service', (req, res) => {
+  try {
+    const { breaker, errors } = circuitBreakers.configure(req.workspace, req.params.service, req.body);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.json({ ok: true, breaker });
+  } catch (err) {
+    console.error('[journey-sim] Failed to save circuit breaker settings:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /circuit-breakers/:service/settings - go back to the defaults
+router.delete('/circuit-breakers/:service/settings', (req, res) => {
+  try {
+    if (!circuitBreakers.clearSettings(req.workspace, req.params.service)) {
+      return res.status(404).json({ ok: false, error: `No settings for service "${req.params.service}"` });
+    }
+    res.json({ ok: true, breaker: circuitBreakers.describe(req.workspace, circuitBreakers.resolveName(req.workspace, req.params.service)) });
+  } catch (err) {
+    console.error('[journey-sim] Failed to clear circuit breaker settings:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /circuit-breakers/:service/open|close|reset
+router.post('/circuit-breakers/:service/:action(open|close|reset)', (req, res) => {
+  const breaker = circuitBreakers.control(req.workspace, req.params.service, req.params.action);
+  if (!breaker) {
+    return res.status(404).json({ ok: false, error: `No circuit breaker for service "${req.params.service}"` });
+  }
+  res.json({ ok: true, action: req.params.action, breaker });
+});
+
 export default router;
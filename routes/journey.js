@@ -1,12 +1,23 @@
 import express from 'express';
-import { generateJourney } from '../services/journeyService.js';
+import { generateJourney, validateTimestampSequence, findBusinessHoursViolations, repairTimestamps } from '../services/journeyService.js';
+import { validateJourney, getJourneySchema, checkStepCount, CURRENT_SCHEMA_VERSION } from '../services/journey-schema.js';
+import { validateFieldGenerators, evaluateFieldGenerators } from '../services/field-generators.js';
+import { createRandom, checkSeed } from '../services/seeded-random.js';
+import { industryPacks } from '../services/industry-packs.js';
 
 const router = express.Router();
 
 // POST /api/generateJourney
 router.post('/generateJourney', async (req, res) => {
   try {
-    const { customer = '', region = '', journeyType = '', details = '', website = '', customSteps = null } = req.body || {};
+    const { customer = '', region = '', journeyType = '', details = '', website = '', customSteps = null, industry = '', pack = null } = req.body || {};
+    if (pack && !industryPacks.get(pack)) {
+      return res.status(400).json({ error: `Unknown industry pack "${pack}"` });
+    }
+    const stepCountError = Array.isArray(customSteps) ? checkStepCount(customSteps.length) : null;
+    if (stepCountError) {
+      return res.status(400).json(stepCountError);
+    }
     const aiHint = [
       customer && `Company: ${customer}.`,
       region && `Region: ${region}.`,
@@ -16,7 +27,7 @@ router.post('/generateJourney', async (req, res) => {
       details && `Additional notes: ${details}`
     ].filter(Boolean).join(' ');
 
-    const journey = await generateJourney({ customer, region, journeyType, details: aiHint, website, customSteps });
+    const journey = await generateJourney({ customer, region, journeyType, details: aiHint, website, customSteps, industry, pack });
     res.json({ journey });
   } catch (err) {
     console.error('generateJourney error', err);
@@ -24,4 +35,126 @@ router.post('/generateJourney', async (req, res) => {
   }
 });
 
+// POST /api/journey/validate - accepts { journey }, { aiJourney } or the journey document itself
+router.post('/validate', (req, res) => {
+  try {
+    const body = req.body || {};
+    const journey = body.journey || body.aiJourney || body;
+    const result = validateJourney(journey);
+    res.json({ ok: true, ...result, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[journey] Validation failed:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Journey and industry pack for the timestamp routes: { journey } or the journey document, optional { pack }
+function timestampRequest(body) {
+  const journey = body.journey || body.aiJourney || body;
+  const errors = [];
+  if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+    errors.push('journey.steps must be a non-empty array');
+  } else {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    journey.steps.forEach((step, i) => {
+      if (!isObject(step)) return errors.push(`steps[${i}] must be an object`);
+      if (step.substeps === undefined) return;
+      if (!Array.isArray(step.substeps)) return errors.push(`steps[${i}].substeps must be an array`);
+      step.substeps.forEach((substep, j) => {
+        if (!isObject(substep)) errors.push(`steps[${i}].substeps[${j}] must be an object`);
+      });
+    });
+  }
+  const packId = body.pack || journey.industryPack;
+  if (body.pack && !industryPacks.get(body.pack)) errors.push(`Unknown industry pack "${body.pack}"`);
+  const pack = industryPacks.get(packId) || industryPacks.resolve(journey.industryType);
+  return { journey, pack, errors };
+}
+
+// POST /api/journey/timestamps/validate - ordering errors plus business-hours warnings for a journey's timestamps
+router.post('/timestamps/validate', (req, res) => {
+  try {
+    const { journey, pack, errors } = timestampRequest(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    const timestampErrors = validateTimestampSequence(journey.steps);
+    const warnings = findBusinessHoursViolations(journey.steps, pack);
+    res.json({ ok: true, valid: timestampErrors.length === 0, pack: pack.id, errors: timestampErrors, warnings, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[journey] Timestamp validation failed:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/journey/timestamps/repair - reorder or regenerate timestamps; returns the repaired journey and what changed
+router.post('/timestamps/repair', (req, res) => {
+  try {
+    const { journey, pack, errors } = timestampRequest(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    const errorsBefore = validateTimestampSequence(journey.steps);
+    const { steps, changes, strategy } = repairTimestamps(journey, pack);
+    const repaired = { ...journey, steps };
+    console.log(`[journey] Repaired ${changes.length} timestamps (${strategy}) with pack ${pack.id}`);
+    res.json({
+      ok: true,
+      strategy,
+      pack: pack.id,
+      errorsBefore: errorsBefore.length,
+      changes,
+      journey: repaired,
+      errors: validateTimestampSequence(steps),
+      warnings: findBusinessHoursViolations(steps, pack),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('[journey] Timestamp repair failed:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/journey/schema?version=1.0
+router.get('/schema', (req, res) => {
+  const version = req.query.version || CURRENT_SCHEMA_VERSION;
+  const schema = getJourneySchema(version);
+  if (!schema) {
+    return res.status(404).json({ ok: false, error: `Unknown journey schema version "${version}"` });
+  }
+  res.json(schema);
+});
+
+// POST /api/journey/fields/preview - { fieldGenerators | journey, customers: 3, seed } -> generated fields per customer
+const MAX_PREVIEW_CUSTOMERS = 50;
+router.post('/fields/preview', (req, res) => {
+  try {
+    const body = req.body || {};
+    const journey = body.journey || body.aiJourney || {};
+    const generators = body.fieldGenerators || journey.fieldGenerators;
+    const customers = Math.min(Math.max(parseInt(body.customers ?? 3, 10) || 1, 1), MAX_PREVIEW_CUSTOMERS);
+
+    const seedError = checkSeed(body.seed);
+    if (seedError) return res.status(400).json(seedError);
+    const errors = generators ? validateFieldGenerators(generators).map(e => (e.field ? `${e.field}: ${e.message}` : e.message)) : ['fieldGenerators is required'];
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+
+    // Same per-customer streams as the simulate routes, so a seeded preview matches the seeded run
+    const random = createRandom(body.seed, { epoch: journey.journeyStartTime });
+    const samples = Array.from({ length: customers }, (_, customerIndex) =>
+      evaluateFieldGenerators(generators, {
+        random: random.fork(`fields:${customerIndex}`),
+        customerIndex,
+        fields: body.additionalFields || journey.additionalFields || {}
+      })
+    );
+    res.json({ ok: true, seed: random.seed, customers: samples });
+  } catch (err) {
+    console.error('[journey] Field preview failed:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 export default router;
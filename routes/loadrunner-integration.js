@@ -4,6 +4,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { checkJourney } from '../services/journey-schema.js';
+import { createRandom, checkSeed, isSeeded } from '../services/seeded-random.js';
+import { DEFAULT_WORKSPACE, WORKSPACE_HEADER } from '../services/workspaces.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,11 +26,35 @@ const LOADRUNNER_CONFIGS = {
 // Active test sessions tracking
 const activeTests = new Map();
 
+// A test of the caller's workspace; tests started in other workspaces are not visible
+function findTest(testId, workspace) {
+  const test = activeTests.get(testId);
+  return test && (test.workspace || DEFAULT_WORKSPACE) === workspace ? test : null;
+}
+
+// Test counts by status (used by the /api/metrics exposition)
+// Test counts as [{ workspace, status, count }]
+export function getLoadRunnerTestCounts() {
+  const counts = new Map();
+  for (const test of activeTests.values()) {
+    const workspace = test.workspace || DEFAULT_WORKSPACE;
+    const key = `${workspace}|${test.status}`;
+    counts.set(key, { workspace, status: test.status, count: (counts.get(key)?.count || 0) + 1 });
+  }
+  return [...counts.values()];
+}
+
+// The generated scripts can't run our PRNG, so a seeded test bakes in a tag derived from the seed.
+// Every journey posts seed "<tag>-<journey number>" and the server derives all its data from that.
+function seedTagFor(seed) {
+  return isSeeded(seed) ? createRandom(seed).hex(8) : null;
+}
+
 /**
  * Generate LoadRunner script from JSON journey configuration - Sequential Load Simulation
  * Uses the same journey format as single simulation but generates multiple customers
  */
-function generateLoadRunnerScript(journeyConfig, testConfig, errorSimulationEnabled = true) {
+function generateLoadRunnerScript(journeyConfig, testConfig, errorSimulationEnabled = true, seed = null, workspace = DEFAULT_WORKSPACE) {
   try {
     const { companyName, domain, steps = [], additionalFields = {} } = journeyConfig;
     const testId = crypto.randomUUID();
@@ -43,6 +70,7 @@ function generateLoadRunnerScript(journeyConfig, testConfig, errorSimulationEnab
     }
     
     console.log(`🔧 Generating LoadRunner script for ${companyName} with ${steps.length} steps`);
+    const seedTag = seedTagFor(seed);
   const LSN = `BizObs_${companyName.replace(/\s+/g, '')}_${domain}_Journey`;
   const LTN = `${companyName.replace(/\s+/g, '')}_LoadTest_${timestamp.split('T')[0].replace(/-/g, '')}`;
   
@@ -72,6 +100,7 @@ char correlation_id[64];
 char customer_id[64];
 char session_id[64];
 char trace_id[64];
+char journey_seed[64];
 
 // Demo customer profiles for realistic simulation
 char* customer_names[] = {
@@ -107,7 +136,7 @@ int vuser_init() {
     lr_save_string("${companyName}_Performance_Test_${timestamp}", "LTN");  // Load Test Name
     
     // Generate unique customer profile for this virtual user
-    srand(time(NULL) + lr_get_vuser_id());
+    srand(${seedTag ? `${parseInt(seedTag.slice(0, 7), 16)}` : 'time(NULL)'} + lr_get_vuser_id());
     int customer_index = rand() % 16;
     lr_save_string(customer_names[customer_index], "customer_name");
     lr_save_string(customer_emails[customer_index], "customer_email");
@@ -132,14 +161,22 @@ int Action() {
     int iteration = lr_get_iteration_number();
     int vuser_id = lr_get_vuser_id();
     
-    // Generate unique correlation ID for each iteration
+${seedTag ? `    // Seeded test: ids come from the seed tag instead of the clock so reruns send identical payloads
+    sprintf(correlation_id, "LR_${seedTag}_%d_%d", vuser_id, iteration);
+    lr_save_string(correlation_id, "correlation_id");
+    sprintf(journey_seed, "${seedTag}-%d-%d", vuser_id, iteration);
+    lr_save_string(journey_seed, "journey_seed");
+    
+    sprintf(customer_id, "customer_%d_%d", vuser_id, iteration);
+    sprintf(session_id, "session_${LSN}_%d_%d", vuser_id, iteration);
+    sprintf(trace_id, "trace_%s", correlation_id);` : `    // Generate unique correlation ID for each iteration
     sprintf(correlation_id, "LR_${LTN}_%d_%d_%d", vuser_id, iteration, (int)time(NULL));
     lr_save_string(correlation_id, "correlation_id");
     
     // Generate customer and session IDs with unique values per test run
     sprintf(customer_id, "customer_%d_%d_%d", vuser_id, iteration, (int)time(NULL) % 10000);
     sprintf(session_id, "session_${LSN}_%d_%d", vuser_id, iteration);
-    sprintf(trace_id, "trace_%s_%d", correlation_id, (int)time(NULL));
+    sprintf(trace_id, "trace_%s_%d", correlation_id, (int)time(NULL));`}
     
     lr_save_string(customer_id, "customer_id");
     lr_save_string(session_id, "session_id");
@@ -187,6 +224,7 @@ int Action() {
     // Add all headers exactly as single simulation does
     web_add_header("X-dynaTrace", dt_test_header);
     web_add_header("x-correlation-id", "{correlation_id}");
+    web_add_header("${WORKSPACE_HEADER}", "${workspace}");
     web_add_header("x-customer-id", "{customer_id}");
     web_add_header("x-session-id", "{session_id}");
     web_add_header("x-trace-id", "{trace_id}");
@@ -209,7 +247,8 @@ int Action() {
         "\\"journeyId\\": \\"{correlation_id}\\","
         "\\"customerId\\": \\"{customer_id}\\","
         "\\"sessionId\\": \\"{session_id}\\","
-        "\\"traceId\\": \\"{trace_id}\\","
+        "\\"traceId\\": \\"{trace_id}\\","${seedTag ? `
+        "\\"seed\\": \\"{journey_seed}-${index + 1}\\","` : ''}
         "\\"chained\\": true,"
         "\\"thinkTimeMs\\": 250,"
         "\\"errorSimulationEnabled\\": ${errorSimulationEnabled ? 'true' : 'false'},"
@@ -282,6 +321,7 @@ int Action() {
     // Optional: Add business events for completion tracking
     web_add_header("x-dynatrace-test", dt_test_header);
     web_add_header("x-correlation-id", "{correlation_id}");
+    web_add_header("${WORKSPACE_HEADER}", "${workspace}");
     web_add_header("Content-Type", "application/json");
     
     web_custom_request("Journey_Completion_Event",
@@ -361,8 +401,9 @@ MaxIterations=${runUntilStopped ? 0 : totalJourneys}
  */
 function generateCurlSimulation(journeyConfig, testConfig, testDir, options = {}) {
   const { journeyInterval, duration, runUntilStopped } = testConfig;
-  const { errorSimulationEnabled = true, stopFlagPath = path.join(testDir, '.stop-requested') } = options;
+  const { errorSimulationEnabled = true, stopFlagPath = path.join(testDir, '.stop-requested'), seed = null, workspace = DEFAULT_WORKSPACE } = options;
   const { companyName, domain, steps = [] } = journeyConfig;
+  const seedTag = seedTagFor(seed);
   const testId = crypto.randomUUID();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const effectiveDuration = runUntilStopped ? 0 : (duration || 600);
@@ -451,17 +492,21 @@ execute_customer_journey() {
     local customer_name="\${CUSTOMER_NAMES[$customer_index]}"
     local customer_email="\${CUSTOMER_EMAILS[$customer_index]}"
     local customer_segment="\${CUSTOMER_SEGMENTS[$customer_index]}"
-    local traffic_source="\${TRAFFIC_SOURCES[$((RANDOM % ${trafficSources.length}))]}"
+    local traffic_source="\${TRAFFIC_SOURCES[$((${seedTag ? `(journey_number + ${parseInt(seedTag.slice(0, 4), 16)})` : 'RANDOM'} % ${trafficSources.length}))]}"
     
     local journey_start=$(date +%s)
     
     echo "$(date): Starting journey $journey_number - Customer: $customer_name ($customer_segment)" >> "$log_file"
     
-    # Generate unique correlation ID for this customer journey
+${seedTag ? `    # Seeded test: ids come from the seed tag instead of the clock so reruns send identical payloads
+    local correlation_id="LR_${seedTag}_Journey_\${journey_number}"
+    local customer_id="customer_journey_\${journey_number}"
+    local session_id="session_\${LSN}_journey_\${journey_number}"
+    local trace_id="trace_\${correlation_id}"` : `    # Generate unique correlation ID for this customer journey
     local correlation_id="LR_\${LTN}_Journey_\${journey_number}_$(date +%s)"
     local customer_id="customer_journey_\${journey_number}"
     local session_id="session_\${LSN}_journey_\${journey_number}"
-    local trace_id="trace_\${correlation_id}_$(date +%s)"
+    local trace_id="trace_\${correlation_id}_$(date +%s)"`}
     
     echo "$(date): Journey \$journey_number - Customer: \$customer_name - Correlation: \$correlation_id" >> "$log_file"
         
@@ -471,7 +516,8 @@ execute_customer_journey() {
   "journeyId": "\$correlation_id",
   "customerId": "\$customer_id", 
   "sessionId": "\$session_id",
-  "traceId": "\$trace_id",
+  "traceId": "\$trace_id",${seedTag ? `
+  "seed": "${seedTag}-\$journey_number",` : ''}
   "chained": true,
   "thinkTimeMs": 250,
   "errorSimulationEnabled": ${errorSimulationEnabled ? 'true' : 'false'},
@@ -505,6 +551,7 @@ EOF
             -H "Content-Type: application/json" \\
             -H "X-dynaTrace: \$DYNATRACE_HEADER" \\
             -H "x-correlation-id: \$correlation_id" \\
+            -H "${WORKSPACE_HEADER}: ${workspace}" \\
             -H "x-customer-id: \$customer_id" \\
             -H "x-session-id: \$session_id" \\
             -H "x-trace-id: \$trace_id" \\
@@ -526,6 +573,7 @@ EOF
         -H "Content-Type: application/json" \\
         -H "X-dynaTrace: TSN=Journey_Completion;LSN=${LSN};LTN=${LTN};VU=\$journey_number;SI=CurlSimulation;PC=BizObs-Demo;AN=${companyName};CID=\$correlation_id" \\
         -H "x-correlation-id: \$correlation_id" \\
+        -H "${WORKSPACE_HEADER}: ${workspace}" \\
         -d '{
             "eventType": "journey_completed",
             "correlationId": "'\$correlation_id'",
@@ -678,14 +726,13 @@ router.post('/start-test', async (req, res) => {
       durationMinutes = 5,
       customConfig = null,
       errorSimulationEnabled = true,
-      runUntilStopped = false
+      runUntilStopped = false,
+      seed = null
     } = req.body;
 
-    if (!journeyConfig || !journeyConfig.steps || journeyConfig.steps.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid journey configuration with steps is required'
-      });
+    const journeyError = checkSeed(seed) || checkJourney(journeyConfig);
+    if (journeyError) {
+      return res.status(400).json(journeyError);
     }
 
     // Get test configuration
@@ -717,7 +764,7 @@ router.post('/start-test', async (req, res) => {
     }
 
     // Generate LoadRunner script
-    const lrScript = generateLoadRunnerScript(journeyConfig, testConfig, errorSimulationEnabled);
+    const lrScript = generateLoadRunnerScript(journeyConfig, testConfig, errorSimulationEnabled, seed, req.workspace);
     const scriptPath = path.join(testDir, 'BizObsJourneyTest.c');
     await fs.writeFile(scriptPath, lrScript);
 
@@ -729,7 +776,9 @@ router.post('/start-test', async (req, res) => {
     // Generate curl simulation as fallback
     const curlScript = generateCurlSimulation(journeyConfig, testConfig, testDir, {
       errorSimulationEnabled,
-      stopFlagPath
+      stopFlagPath,
+      seed,
+      workspace: req.workspace
     });
     const curlScriptPath = path.join(testDir, 'run_simulation.sh');
     await fs.writeFile(curlScriptPath, curlScript);
@@ -738,6 +787,7 @@ router.post('/start-test', async (req, res) => {
     // Create test metadata
     const testMetadata = {
       testId,
+      workspace: req.workspace,
       startTime: new Date().toISOString(),
       journeyConfig,
       testConfig,
@@ -748,7 +798,8 @@ router.post('/start-test', async (req, res) => {
       status: 'initialized',
       runUntilStopped: Boolean(runUntilStopped),
       stopRequested: false,
-      stopFlagPath
+      stopFlagPath,
+      seed: isSeeded(seed) ? String(seed) : null
     };
 
     activeTests.set(testId, testMetadata);
@@ -830,11 +881,13 @@ router.post('/start-test', async (req, res) => {
     res.json({
       success: true,
       testId,
+      workspace: req.workspace,
       message: `LoadRunner test started for ${journeyConfig.companyName || 'test company'}`,
       testConfig,
       method: testMetadata.method,
       estimatedDuration: estimatedDurationLabel,
       runUntilStopped: testConfig.runUntilStopped,
+      seed: testMetadata.seed,
       resultsPath: testDir,
       monitoringUrl: `/api/loadrunner/status/${testId}`
     });
@@ -854,7 +907,7 @@ router.post('/start-test', async (req, res) => {
 router.get('/status/:testId', async (req, res) => {
   try {
     const { testId } = req.params;
-    const testData = activeTests.get(testId);
+    const testData = findTest(testId, req.workspace);
 
     if (!testData) {
       return res.status(404).json({
@@ -891,6 +944,7 @@ router.get('/status/:testId', async (req, res) => {
       },
       runUntilStopped: Boolean(testData.runUntilStopped),
       stopRequested: Boolean(testData.stopRequested),
+      seed: testData.seed || null,
       results
     });
 
@@ -908,22 +962,25 @@ router.get('/status/:testId', async (req, res) => {
  */
 router.get('/tests', (req, res) => {
   try {
-    const tests = Array.from(activeTests.entries()).map(([testId, data]) => ({
-      testId,
-      status: data.status,
-      method: data.method,
-      startTime: data.startTime,
-      endTime: data.endTime,
-      companyName: data.journeyConfig.companyName,
-      stepCount: data.journeyConfig.steps.length,
-      virtualUsers: data.testConfig.virtualUsers || 1,
-      duration: data.testConfig.duration,
-      runUntilStopped: Boolean(data.runUntilStopped),
-      stopRequested: Boolean(data.stopRequested)
-    }));
+    const tests = Array.from(activeTests.entries())
+      .filter(([, data]) => (data.workspace || DEFAULT_WORKSPACE) === req.workspace)
+      .map(([testId, data]) => ({
+        testId,
+        status: data.status,
+        method: data.method,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        companyName: data.journeyConfig.companyName,
+        stepCount: data.journeyConfig.steps.length,
+        virtualUsers: data.testConfig.virtualUsers || 1,
+        duration: data.testConfig.duration,
+        runUntilStopped: Boolean(data.runUntilStopped),
+        stopRequested: Boolean(data.stopRequested)
+      }));
 
     res.json({
       success: true,
+      workspace: req.workspace,
       tests,
       activeCount: tests.filter(t => t.status === 'running').length,
       totalCount: tests.length
@@ -943,7 +1000,7 @@ router.get('/tests', (req, res) => {
 router.post('/stop/:testId', async (req, res) => {
   try {
     const { testId } = req.params;
-    const testData = activeTests.get(testId);
+    const testData = findTest(testId, req.workspace);
 
     if (!testData) {
       return res.status(404).json({
@@ -1012,7 +1069,7 @@ router.post('/stop/:testId', async (req, res) => {
 router.get('/results/:testId', async (req, res) => {
   try {
     const { testId } = req.params;
-    const testData = activeTests.get(testId);
+    const testData = findTest(testId, req.workspace);
 
     if (!testData) {
       return res.status(404).json({
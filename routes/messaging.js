@@ -0,0 +1,70 @@
+import express from 'express';
+import { messageBroker } from '../services/message-broker.js';
+
+const router = express.Router();
+const MAX_CONSUME_BATCH = 100;
+
+// GET /api/messaging/topics - the workspace's topics with their counters
+router.get('/topics', (req, res) => {
+  try {
+    const topics = messageBroker.listTopics(req.workspace);
+    res.json({ ok: true, workspace: req.workspace, count: topics.length, topics, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[messaging] Failed to list topics:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/messaging/topics/:topic - counters plus pending, recently delivered and dead-lettered messages
+router.get('/topics/:topic', (req, res) => {
+  const topic = messageBroker.getTopic(req.params.topic, req.workspace);
+  if (!topic) {
+    return res.status(404).json({ ok: false, error: `Topic ${req.params.topic} not found` });
+  }
+  res.json({ ok: true, topic });
+});
+
+// POST /api/messaging/topics/:topic/publish - { payload, headers?, delayMs?, deliverTo?: { stepName, serviceName, context } }
+router.post('/topics/:topic/publish', (req, res) => {
+  try {
+    const { message, errors, full } = messageBroker.publish(req.params.topic, req.body || {});
+    if (errors) {
+      return res.status(full ? 503 : 400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(202).json({ ok: true, message });
+  } catch (err) {
+    console.error('[messaging] Failed to publish:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/messaging/topics/:topic/consume - { max? } pull due messages that no step service is subscribed to
+router.post('/topics/:topic/consume', (req, res) => {
+  const max = req.body?.max ?? 10;
+  if (!(Number.isInteger(max) && max >= 1 && max <= MAX_CONSUME_BATCH)) {
+    return res.status(400).json({ ok: false, error: `max must be an integer from 1 to ${MAX_CONSUME_BATCH}` });
+  }
+  try {
+    const messages = messageBroker.consume(req.params.topic, { max });
+    res.json({ ok: true, count: messages.length, messages });
+  } catch (err) {
+    console.error('[messaging] Failed to consume:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/messaging/topics/:topic - drop the topic and its undelivered messages
+router.delete('/topics/:topic', (req, res) => {
+  try {
+    const dropped = messageBroker.purge(req.params.topic, req.workspace);
+    if (dropped === null) {
+      return res.status(404).json({ ok: false, error: `Topic ${req.params.topic} not found` });
+    }
+    res.json({ ok: true, deleted: req.params.topic, droppedMessages: dropped });
+  } catch (err) {
+    console.error('[messaging] Failed to purge topic:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
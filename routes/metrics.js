@@ -1,18 +1,85 @@
 import express from 'express';
-import { getMetricsSummary } from '../services/metricsService.js';
+import { getMetricsSummary, registry, OPENMETRICS_CONTENT_TYPE } from '../services/metricsService.js';
+import { getChildServices, getChildServiceMeta, getWorkspaceServices } from '../services/service-manager.js';
+import { DEFAULT_WORKSPACE } from '../services/workspaces.js';
+import portManager from '../services/port-manager.js';
+import { circuitBreakers, BREAKER_STATES } from '../services/circuit-breakers.js';
+import { getLoadRunnerTestCounts } from './loadrunner-integration.js';
 
 const router = express.Router();
 
-// Lightweight root metrics endpoint to avoid 404s from pollers
+// Gauges for state owned by other modules, read on every scrape
+registry.gauge('bizobs_circuit_breaker_state', 'Circuit breaker state per step service (1 for the current state)', {
+  collect: () => circuitBreakers.list().flatMap(b => BREAKER_STATES.map(state => ({
+    labels: { workspace: b.workspace, service: b.service, state },
+    value: b.state === state ? 1 : 0
+  })))
+});
+registry.gauge('bizobs_circuit_breaker_failures', 'Consecutive failures counted by each circuit breaker', {
+  collect: () => circuitBreakers.list().map(b => ({ labels: { workspace: b.workspace, service: b.service }, value: b.failureCount }))
+});
+registry.gauge('bizobs_child_services', 'Running child step services per workspace', {
+  collect: () => {
+    const meta = getChildServiceMeta();
+    const counts = {};
+    for (const name of Object.keys(getChildServices())) {
+      const workspace = meta[name]?.workspace || DEFAULT_WORKSPACE;
+      counts[workspace] = (counts[workspace] || 0) + 1;
+    }
+    return Object.entries(counts).map(([workspace, value]) => ({ labels: { workspace }, value }));
+  }
+});
+registry.gauge('bizobs_port_pool_ports', 'Child service port pool by allocation state', {
+  collect: () => {
+    const status = portManager.getStatus();
+    return [
+      { labels: { state: 'allocated' }, value: status.allocatedPorts },
+      { labels: { state: 'pending' }, value: status.pendingAllocations },
+      { labels: { state: 'available' }, value: status.availablePorts }
+    ];
+  }
+});
+registry.gauge('bizobs_port_pool_utilization_ratio', 'Share of the child service port pool in use', {
+  collect: () => {
+    const status = portManager.getStatus();
+    return [{ labels: {}, value: status.totalPorts > 0 ? Number((status.allocatedPorts / status.totalPorts).toFixed(4)) : 0 }];
+  }
+});
+registry.gauge('bizobs_loadrunner_tests', 'LoadRunner tests by workspace and status', {
+  collect: () => getLoadRunnerTestCounts().map(({ workspace, status, count }) => ({ labels: { workspace, status }, value: count }))
+});
+
+// GET /api/metrics - OpenMetrics exposition for Prometheus
 router.get('/', (req, res) => {
-  // Minimal text response; adjust to Prometheus format if needed later
-  res.type('text/plain').send('ok\n');
+  try {
+    res.type(OPENMETRICS_CONTENT_TYPE).send(registry.expose());
+  } catch (err) {
+    console.error('[metrics] Failed to render OpenMetrics:', err.message);
+    res.status(500).type('text/plain').send(`# Failed to render metrics: ${err.message}\n`);
+  }
+});
+
+// GET /api/metrics/targets - Prometheus HTTP service discovery for the workspace's child services' /metrics
+router.get('/targets', (req, res) => {
+  const meta = getChildServiceMeta();
+  const targets = Object.keys(getWorkspaceServices(req.workspace))
+    .filter(name => meta[name]?.port)
+    .map(name => ({
+      targets: [`127.0.0.1:${meta[name].port}`],
+      labels: {
+        service: meta[name].baseServiceName || name,
+        step: meta[name].stepName || '',
+        company: meta[name].companyName || '',
+        workspace: req.workspace
+      }
+    }));
+  res.json(targets);
 });
 
-// GET /api/metrics
+// GET /api/metrics/metrics
 router.get('/metrics', async (req, res) => {
   try {
-    const summary = await getMetricsSummary();
+    const summary = await getMetricsSummary({ workspace: req.workspace });
     res.json(summary);
   } catch (err) {
     console.error('metrics error', err);
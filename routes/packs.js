@@ -0,0 +1,102 @@
+import express from 'express';
+import { industryPacks } from '../services/industry-packs.js';
+import { chaosProfiles } from '../services/chaos-profiles.js';
+
+const router = express.Router();
+
+// GET /api/packs
+router.get('/', (req, res) => {
+  try {
+    const packs = industryPacks.list().map(({ id, name, description, aliases, source, steps }) => ({
+      id, name, description, aliases: aliases || [], source, steps: steps.map(s => s.stepName)
+    }));
+    res.json({ ok: true, count: packs.length, packs, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[packs] Failed to list packs:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/packs/resolve?industry=Retail%20Banking - which pack a free-text industry maps to
+router.get('/resolve', (req, res) => {
+  const pack = industryPacks.resolve(req.query.industry, { fallback: null });
+  if (!pack) {
+    const fallback = industryPacks.resolve(null);
+    return res.json({ ok: true, matched: false, industry: req.query.industry || null, pack: fallback?.id || null });
+  }
+  res.json({ ok: true, matched: true, industry: req.query.industry, pack: pack.id });
+});
+
+// GET /api/packs/:id
+router.get('/:id', (req, res) => {
+  const pack = industryPacks.get(req.params.id);
+  if (!pack) {
+    return res.status(404).json({ ok: false, error: `Industry pack "${req.params.id}" not found` });
+  }
+  res.json({ ok: true, pack });
+});
+
+// POST /api/packs - upload a new pack (409 if the id is taken; use PUT to override a built-in)
+router.post('/', (req, res) => {
+  try {
+    const { pack, errors, conflict } = industryPacks.upsert(req.body, { mustNotExist: true });
+    if (errors) {
+      return res.status(conflict ? 409 : 400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(201).json({ ok: true, pack });
+  } catch (err) {
+    console.error('[packs] Failed to create pack:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// PUT /api/packs/:id - create or replace
+router.put('/:id', (req, res) => {
+  try {
+    const { pack, created, errors } = industryPacks.upsert({ ...req.body, id: req.params.id.toLowerCase() });
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(created ? 201 : 200).json({ ok: true, created, pack });
+  } catch (err) {
+    console.error('[packs] Failed to save pack:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/packs/:id - built-in packs can't be deleted, only overridden
+router.delete('/:id', (req, res) => {
+  try {
+    const result = industryPacks.remove(req.params.id);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: `Industry pack "${req.params.id}" not found` });
+    }
+    if (result.builtIn) {
+      return res.status(403).json({ ok: false, error: `Industry pack "${req.params.id}" is built-in and cannot be deleted` });
+    }
+    res.json({ ok: true, deleted: result.removed, restoredBuiltIn: result.restored });
+  } catch (err) {
+    console.error('[packs] Failed to delete pack:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/packs/:id/chaos-profile - install the pack's error modes as chaos profile "pack-<id>"
+router.post('/:id/chaos-profile', (req, res) => {
+  try {
+    const pack = industryPacks.get(req.params.id);
+    if (!pack) {
+      return res.status(404).json({ ok: false, error: `Industry pack "${req.params.id}" not found` });
+    }
+    const { profile, created, errors } = chaosProfiles.upsert(industryPacks.toChaosProfile(pack));
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(created ? 201 : 200).json({ ok: true, created, profile });
+  } catch (err) {
+    console.error('[packs] Failed to install chaos profile:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
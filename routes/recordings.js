@@ -0,0 +1,91 @@
+import express from 'express';
+import { sessionRecorder } from '../services/session-recorder.js';
+import { callDynamicService } from './journey-simulation.js';
+
+const router = express.Router();
+
+// GET /api/recordings - the workspace's saved sessions plus the one being recorded
+router.get('/', (req, res) => {
+  try {
+    const sessions = sessionRecorder.list(req.workspace);
+    res.json({ ok: true, recording: sessionRecorder.activeIn(req.workspace)?.id || null, count: sessions.length, sessions, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[recordings] Failed to list sessions:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/recordings/start - { name?, description?, companyName? } (409 while another recording runs in the workspace)
+router.post('/start', (req, res) => {
+  const { session, errors, conflict } = sessionRecorder.start(req.workspace, req.body || {});
+  if (errors) {
+    return res.status(conflict ? 409 : 400).json({ ok: false, error: errors[0], details: errors });
+  }
+  res.status(201).json({ ok: true, session });
+});
+
+// POST /api/recordings/stop - stop the active recording and save it
+router.post('/stop', (req, res) => {
+  try {
+    const session = sessionRecorder.stop(req.workspace);
+    if (!session) {
+      return res.status(404).json({ ok: false, error: 'No recording in progress' });
+    }
+    res.json({ ok: true, session });
+  } catch (err) {
+    console.error('[recordings] Failed to save session:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/recordings/replays/:replayId
+router.get('/replays/:replayId', (req, res) => {
+  const replay = sessionRecorder.getReplay(req.workspace, req.params.replayId);
+  if (!replay) {
+    return res.status(404).json({ ok: false, error: `Replay ${req.params.replayId} not found` });
+  }
+  res.json({ ok: true, replay });
+});
+
+// GET /api/recordings/:id - the full session file
+router.get('/:id', (req, res) => {
+  try {
+    const session = sessionRecorder.get(req.workspace, req.params.id);
+    if (!session) {
+      return res.status(404).json({ ok: false, error: `Session ${req.params.id} not found` });
+    }
+    res.json({ ok: true, session });
+  } catch (err) {
+    console.error('[recordings] Failed to read session:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/recordings/:id
+router.delete('/:id', (req, res) => {
+  try {
+    if (!sessionRecorder.remove(req.workspace, req.params.id)) {
+      return res.status(404).json({ ok: false, error: `Session ${req.params.id} not found` });
+    }
+    res.json({ ok: true, deleted: req.params.id });
+  } catch (err) {
+    console.error('[recordings] Failed to delete session:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/recordings/:id/replay - { speed? } e.g. 10 for ten times faster; runs in the background
+router.post('/:id/replay', (req, res) => {
+  try {
+    const { replay, errors, notFound } = sessionRecorder.replay(req.workspace, req.params.id, { speed: req.body?.speed ?? 1 }, callDynamicService);
+    if (errors) {
+      return res.status(notFound ? 404 : 400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(202).json({ ok: true, replay, statusUrl: `/api/recordings/replays/${replay.id}` });
+  } catch (err) {
+    console.error('[recordings] Failed to start replay:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { runStore, checkTimeRange } from '../services/run-store.js';
+
+const router = express.Router();
+
+// GET /api/runs?company=&status=&source=&from=&to=&limit=&offset=
+router.get('/', async (req, res) => {
+  try {
+    const { company, status, source, from, to, limit, offset } = req.query;
+    const errors = checkTimeRange({ from, to });
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    const { total, runs } = await runStore.query({ workspace: req.workspace, company, status, source, from, to, limit, offset });
+    res.json({
+      ok: true,
+      workspace: req.workspace,
+      total,
+      count: runs.length,
+      filters: { company: company || null, status: status || null, source: source || null, from: from || null, to: to || null },
+      runs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('[runs] Failed to query run history:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/runs/:correlationId
+router.get('/:correlationId', async (req, res) => {
+  try {
+    const runs = await runStore.getByCorrelationId(req.params.correlationId, req.workspace);
+    if (runs.length === 0) {
+      return res.status(404).json({ ok: false, error: `No runs found for correlationId ${req.params.correlationId}` });
+    }
+    res.json({ ok: true, correlationId: req.params.correlationId, runs });
+  } catch (err) {
+    console.error('[runs] Failed to load run:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import { scheduler } from '../services/scheduler.js';
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({ ok: false, error: `Schedule "${id}" not found` });
+
+// GET /api/schedules?configId=abc
+router.get('/', (req, res) => {
+  try {
+    const schedules = scheduler.list({ configId: req.query.configId || null });
+    res.json({ ok: true, count: schedules.length, schedules, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[schedules] Failed to list schedules:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/schedules - { configId, cron: "*/2 * * * *", customers: 3, businessHoursOnly: true }
+router.post('/', (req, res) => {
+  try {
+    const { schedule, errors } = scheduler.create(req.body);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors[0], details: errors });
+    }
+    res.status(201).json({ ok: true, schedule });
+  } catch (err) {
+    console.error('[schedules] Failed to create schedule:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/schedules/:id
+router.get('/:id', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) return notFound(res, req.params.id);
+  res.json({ ok: true, schedule });
+});
+
+// PUT /api/schedules/:id - partial update; omitted fields keep their current values
+router.put('/:id', (req, res) => {
+  try {
+    const result = scheduler.update(req.params.id, req.body);
+    if (!result) return notFound(res, req.params.id);
+    if (result.errors) {
+      return res.status(400).json({ ok: false, error: result.errors[0], details: result.errors });
+    }
+    res.json({ ok: true, schedule: result.schedule });
+  } catch (err) {
+    console.error('[schedules] Failed to update schedule:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// DELETE /api/schedules/:id
+router.delete('/:id', (req, res) => {
+  try {
+    if (!scheduler.remove(req.params.id)) return notFound(res, req.params.id);
+    res.json({ ok: true, deleted: req.params.id });
+  } catch (err) {
+    console.error('[schedules] Failed to delete schedule:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// POST /api/schedules/:id/enable and /disable
+for (const [action, enabled] of [['enable', true], ['disable', false]]) {
+  router.post(`/:id/${action}`, (req, res) => {
+    try {
+      const schedule = scheduler.setEnabled(req.params.id, enabled);
+      if (!schedule) return notFound(res, req.params.id);
+      res.json({ ok: true, schedule });
+    } catch (err) {
+      console.error(`[schedules] Failed to ${action} schedule:`, err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+// POST /api/schedules/:id/run - trigger now, regardless of cron, business hours or enabled state
+router.post('/:id/run', async (req, res) => {
+  try {
+    const run = await scheduler.runNow(req.params.id, 'manual');
+    if (!run) return notFound(res, req.params.id);
+    const status = run.status === 'failed' ? 502 : run.status === 'skipped' ? 409 : 202;
+    res.status(status).json({ ok: run.status !== 'failed', run, schedule: scheduler.get(req.params.id) });
+  } catch (err) {
+    console.error('[schedules] Failed to run schedule:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import eventService, { buildEventPayload, emitEvent, inferDomain } from '../services/eventService.js';
 import { ensureServiceRunning, getServiceNameFromStep, getServicePort, ensureServiceReadyForStep } from '../services/service-manager.js';
+import { MAX_JOURNEY_STEPS } from '../services/journey-schema.js';
 
 const router = express.Router();
 
@@ -61,12 +62,14 @@ function stepHandler(stepNum) {
   };
 }
 
-router.post('/step1', stepHandler(1));
-router.post('/step2', stepHandler(2));
-router.post('/step3', stepHandler(3));
-router.post('/step4', stepHandler(4));
-router.post('/step5', stepHandler(5));
-router.post('/step6', stepHandler(6));
+// POST /api/steps/step/:n, and the original /step1, /step2, ... paths
+router.post(['/step/:n', /^\/step(\d+)$/], (req, res) => {
+  const stepNum = Number(req.params.n ?? req.params[0]);
+  if (!Number.isInteger(stepNum) || stepNum < 1 || stepNum > MAX_JOURNEY_STEPS) {
+    return res.status(400).json({ ok: false, error: `Step number must be an integer from 1 to ${MAX_JOURNEY_STEPS}` });
+  }
+  return stepHandler(stepNum)(req, res);
+});
 
 // Optional: trigger a chained flow across services starting at the first step
 // Copilot Prompt: Always return steps as an array ordered by execution (step1, step2, ...), each with a unique serviceName and stepName.
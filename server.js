@@ -18,7 +18,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { randomBytes } from 'crypto';
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
-import { ensureServiceRunning, getServiceNameFromStep, getServicePort, stopAllServices, stopCustomerJourneyServices, getChildServices, getChildServiceMeta, performHealthCheck, getServiceStatus } from './services/service-manager.js';
+import { ensureServiceRunning, getServiceNameFromStep, getServicePort, stopAllServices, stopCustomerJourneyServices, getChildServices, getWorkspaceServices, getChildServiceMeta, performHealthCheck, getServiceStatus, findServiceKey, stopService, resetService, killAllServices, resetAllServices, startIdleEviction, reconcileServiceState } from './services/service-manager.js';
 
 import journeyRouter from './routes/journey.js';
 import simulateRouter from './routes/simulate.js';
@@ -29,6 +29,22 @@ import serviceProxyRouter from './routes/serviceProxy.js';
 import journeySimulationRouter from './routes/journey-simulation.js';
 import configRouter from './routes/config.js';
 import loadrunnerRouter from './routes/loadrunner-integration.js';
+import runsRouter from './routes/runs.js';
+import chaosRouter from './routes/chaos.js';
+import schedulesRouter from './routes/schedules.js';
+import packsRouter from './routes/packs.js';
+import analyticsRouter from './routes/analytics.js';
+import recordingsRouter from './routes/recordings.js';
+import messagingRouter from './routes/messaging.js';
+import dependenciesRouter from './routes/dependencies.js';
+import { jobQueue } from './services/job-queue.js';
+import { scheduler } from './services/scheduler.js';
+import { circuitBreakers } from './services/circuit-breakers.js';
+import { journeyEvents, runIdsOf } from './services/journey-events.js';
+import { sessionRecorder } from './services/session-recorder.js';
+import { dependencyStubs } from './services/dependency-stubs.js';
+import { telemetry } from './services/telemetry.js';
+import { workspaceMiddleware, workspaceConfigDir, checkWorkspaceId, DEFAULT_WORKSPACE, WORKSPACE_HEADER } from './services/workspaces.js';
 import { injectDynatraceMetadata, injectErrorMetadata, propagateMetadata, validateMetadata } from './middleware/dynatrace-metadata.js';
 import { performComprehensiveHealthCheck } from './middleware/observability-hygiene.js';
 // MongoDB integration removed
@@ -56,6 +72,9 @@ const io = new SocketIOServer(server, {
 // Configuration with EasyTravel-style ports
 const portOffset = parseInt(process.env.PORT_OFFSET || '0');
 const PORT = parseInt(process.env.PORT || '8080') + portOffset;
+// Mock third-party APIs for step dependencies; child services inherit the port through the environment
+const DEPENDENCY_STUB_PORT = parseInt(process.env.DEPENDENCY_STUB_PORT || '8079') + portOffset;
+process.env.DEPENDENCY_STUB_PORT = String(DEPENDENCY_STUB_PORT);
 
 // OneAgent Environment Configuration for Host Monitoring
 process.env.DT_RELEASE_PRODUCT = process.env.DT_RELEASE_PRODUCT || 'BizObs-Engine';
@@ -166,6 +185,8 @@ app.use(compression());
 app.use(morgan('dev'));
 app.use(express.json({ limit: '10mb' })); // Increase JSON payload limit
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// Scope the request to its workspace (x-workspace-id header or /api/workspaces/:workspace/...)
+app.use(workspaceMiddleware);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Inject Dynatrace metadata for ACE-Box compatibility
@@ -213,6 +234,30 @@ app.use((req, res, next) => {
   next();
 });
 
+// Server span per API request. Its traceparent replaces the inbound one so every
+// child service call made while handling the request joins the same trace.
+app.use('/api', (req, res, next) => {
+  const span = telemetry.startSpan(`${req.method} ${req.baseUrl}${req.path}`, {
+    kind: 'server',
+    traceparent: req.headers['traceparent'],
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.originalUrl.split('?')[0],
+      'journey.correlation_id': req.correlationId
+    }
+  });
+  req.span = span;
+  req.headers['traceparent'] = span.traceparent();
+  req.tracingHeaders.traceparent = req.headers['traceparent'];
+
+  res.on('finish', () => {
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) span.setStatus('error', `HTTP ${res.statusCode}`);
+    span.end();
+  });
+  telemetry.withSpan(span, next);
+});
+
 // Enhanced event service for separate process communication
 const eventService = {
   async emitEvent(eventType, data) {
@@ -305,9 +350,55 @@ const eventService = {
   }
 };
 
+// Every socket joins its workspace's room; job, schedule, replay, service and breaker events go to the owning workspace only
+const workspaceRoom = (workspace) => `workspace:${workspace}`;
+jobQueue.on('jobProgress', (job) => io.to(workspaceRoom(job.workspace)).emit('simulation_job_progress', job));
+jobQueue.on('jobFinished', (job) => io.to(workspaceRoom(job.workspace)).emit('simulation_job_completed', job));
+scheduler.on('scheduleRun', (run) => io.to(workspaceRoom(run.workspace)).emit('schedule_run', run));
+sessionRecorder.on('replayFinished', (replay) => io.to(workspaceRoom(replay.workspace)).emit('recording_replay_completed', replay));
+
+// Live journey stream: run events go to the rooms of their correlationIds (plus the workspace's "all runs" room),
+// service and breaker events to every client of their workspace
+const allJourneysRoom = (workspace) => `journeys:all:${workspace}`;
+const journeyRoom = (correlationId) => `journey:${correlationId}`;
+circuitBreakers.on('transition', (transition) => io.to(workspaceRoom(transition.workspace)).emit('circuit_breaker_transition', transition));
+journeyEvents.on('event', (event) => {
+  const ids = runIdsOf(event);
+  if (ids.length === 0) {
+    io.to(workspaceRoom(event.workspace)).emit('journey_event', event);
+  } else {
+    io.to([allJourneysRoom(event.workspace), ...ids.map(journeyRoom)]).emit('journey_event', event);
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
+  // Workspace whose runs '*' follows and whose service and breaker events the socket gets,
+  // from the x-workspace-id header or ?workspace= on connect
+  const requestedWorkspace = String(socket.handshake.headers[WORKSPACE_HEADER] || socket.handshake.query.workspace || DEFAULT_WORKSPACE).toLowerCase();
+  const socketWorkspace = checkWorkspaceId(requestedWorkspace) ? DEFAULT_WORKSPACE : requestedWorkspace;
+  socket.join(workspaceRoom(socketWorkspace));
+
+  // journey_subscribe(correlationId | '*', ack) - follow one run (a customer's or a request's correlationId) or all of the workspace's;
+  // the ack carries the run's events so far
+  socket.on('journey_subscribe', (correlationId, ack) => {
+    if (typeof correlationId !== 'string' || !correlationId) {
+      if (typeof ack === 'function') ack({ ok: false, error: 'correlationId is required' });
+      return;
+    }
+    const room = correlationId === '*' ? allJourneysRoom(socketWorkspace) : journeyRoom(correlationId);
+    socket.join(room);
+    if (typeof ack === 'function') {
+      ack({ ok: true, room, history: correlationId === '*' ? [] : journeyEvents.recent(correlationId) });
+    }
+  });
+
+  socket.on('journey_unsubscribe', (correlationId, ack) => {
+    const room = correlationId === '*' ? allJourneysRoom(socketWorkspace) : journeyRoom(correlationId);
+    socket.leave(room);
+    if (typeof ack === 'function') ack({ ok: true, room });
+  });
   
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
@@ -324,6 +415,14 @@ app.use('/api/service-proxy', serviceProxyRouter);
 app.use('/api/journey-simulation', journeySimulationRouter);
 app.use('/api/config', configRouter);
 app.use('/api/loadrunner', loadrunnerRouter);
+app.use('/api/runs', runsRouter);
+app.use('/api/chaos', chaosRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/packs', packsRouter);
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/recordings', recordingsRouter);
+app.use('/api/messaging', messagingRouter);
+app.use('/api/dependencies', dependenciesRouter);
 
 // Internal business event endpoint for OneAgent capture
 app.post('/api/internal/bizevent', (req, res) => {
@@ -356,6 +455,22 @@ app.post('/api/internal/bizevent', (req, res) => {
   });
 });
 
+// Step events reported by chained step services for the live journey stream
+app.post('/api/internal/journey-event', (req, res) => {
+  const { type, ...data } = req.body || {};
+  if (!['step.entered', 'step.completed', 'step.failed'].includes(type)) {
+    return res.status(400).json({ ok: false, error: `Unsupported journey event type: ${type}` });
+  }
+  journeyEvents.publish(type, data);
+  res.status(202).json({ ok: true });
+});
+
+// Hops between chained step services, reported while a session is being recorded
+app.post('/api/internal/recording-hop', (req, res) => {
+  const captured = sessionRecorder.captureHop(req.workspace, req.body || {});
+  res.status(captured ? 202 : 200).json({ ok: true, captured });
+});
+
 // Health check endpoint with metadata validation
 app.get('/health', (req, res) => {
     const metadata = req.dynatraceMetadata || {};
@@ -419,8 +534,8 @@ app.post('/api/test/error-trace', async (req, res) => {
 // --- Admin endpoint to reset all dynamic service ports (for UI Reset button) ---
 app.post('/api/admin/reset-ports', (req, res) => {
   try {
-    stopAllServices();
-    res.json({ ok: true, message: 'All dynamic services stopped and ports freed.' });
+    stopAllServices({ workspace: req.workspace });
+    res.json({ ok: true, workspace: req.workspace, message: 'All dynamic services stopped and ports freed.' });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -429,9 +544,9 @@ app.post('/api/admin/reset-ports', (req, res) => {
 // New endpoint for reset and restart
 app.post('/api/admin/reset-and-restart', async (req, res) => {
   try {
-    // First stop all services and free ports
-    stopAllServices();
-    console.log('🔄 All dynamic services stopped and ports freed.');
+    // First stop all services of the caller's workspace and free their ports
+    stopAllServices({ workspace: req.workspace });
+    console.log(`🔄 All dynamic services of workspace ${req.workspace} stopped and ports freed.`);
     
     // Wait a moment for cleanup to complete
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -446,7 +561,8 @@ app.post('/api/admin/reset-and-restart', async (req, res) => {
     const companyContext = {
       companyName: process.env.DEFAULT_COMPANY || 'DefaultCompany',
       domain: process.env.DEFAULT_DOMAIN || 'default.com',
-      industryType: process.env.DEFAULT_INDUSTRY || 'general'
+      industryType: process.env.DEFAULT_INDUSTRY || 'general',
+      workspace: req.workspace
     };
     
     console.log(`🚀 Restarting ${coreServices.length} essential services after reset...`);
@@ -468,6 +584,7 @@ app.post('/api/admin/reset-and-restart', async (req, res) => {
     
     res.json({ 
       ok: true, 
+      workspace: req.workspace,
       message: `Services reset complete. ${successCount}/${coreServices.length} essential services restarted.`,
       serviceResults
     });
@@ -483,8 +600,9 @@ app.post('/api/admin/ensure-service', async (req, res) => {
     if (!stepName && !serviceName) {
       return res.status(400).json({ ok: false, error: 'stepName or serviceName required' });
     }
-    ensureServiceRunning(stepName || serviceName, { serviceName, ...(context || {}) });
-    res.json({ ok: true });
+    // Chained services call the returned port next, so wait for the start to finish
+    const port = await ensureServiceRunning(stepName || serviceName, { serviceName, ...(context || {}) });
+    res.json({ ok: true, port: port || null });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -493,12 +611,12 @@ app.post('/api/admin/ensure-service', async (req, res) => {
 // --- Admin endpoint to list running dynamic services (simple format) ---
 app.get('/api/admin/services', (req, res) => {
   try {
-    const running = getChildServices();
+    const running = getWorkspaceServices(req.workspace);
     const items = Object.entries(running).map(([name, proc]) => ({
       service: name,
       pid: proc?.pid || null
     }));
-    res.json({ ok: true, services: items });
+    res.json({ ok: true, workspace: req.workspace, services: items });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -507,7 +625,7 @@ app.get('/api/admin/services', (req, res) => {
 // --- Admin endpoint to get detailed service status including startup information ---
 app.get('/api/admin/services/status', (req, res) => {
   try {
-    const running = getChildServices();
+    const running = getWorkspaceServices(req.workspace);
     const metadata = getChildServiceMeta();
     const detailedServices = Object.entries(running).map(([name, proc]) => {
       const meta = metadata[name] || {};
@@ -532,6 +650,7 @@ app.get('/api/admin/services/status', (req, res) => {
     res.json({ 
       ok: true, 
       timestamp: new Date().toISOString(),
+      workspace: req.workspace,
       totalServices: detailedServices.length,
       runningServices: detailedServices.filter(s => s.status === 'running').length,
       services: detailedServices,
@@ -603,8 +722,8 @@ app.post('/api/admin/services/restart-all', async (req, res) => {
   try {
     console.log('🔄 Restarting all core services...');
     
-    // Stop all current services
-    stopAllServices();
+    // Stop all current services of the caller's workspace
+    stopAllServices({ workspace: req.workspace });
     
     // Wait a moment for cleanup
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -620,7 +739,8 @@ app.post('/api/admin/services/restart-all', async (req, res) => {
     const companyContext = {
       companyName: process.env.DEFAULT_COMPANY || 'DefaultCompany',
       domain: process.env.DEFAULT_DOMAIN || 'default.com',
-      industryType: process.env.DEFAULT_INDUSTRY || 'general'
+      industryType: process.env.DEFAULT_INDUSTRY || 'general',
+      workspace: req.workspace
     };
     
     for (const stepName of coreServices) {
@@ -631,12 +751,79 @@ app.post('/api/admin/services/restart-all', async (req, res) => {
       }
     }
     
-    res.json({ ok: true, message: 'All core services restart initiated', servicesCount: coreServices.length });
+    res.json({ ok: true, workspace: req.workspace, message: 'All core services restart initiated', servicesCount: coreServices.length });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// --- Admin endpoints for single-service and bulk lifecycle control (used by the services panel) ---
+// Services are identified by internal name (e.g. "CheckoutService-Acme"), by base name + companyName, or by port,
+// and only services of the caller's workspace can be addressed.
+app.post('/api/admin/services/kill', async (req, res) => {
+  try {
+    const { serviceName, companyName, port } = req.body || {};
+    const key = findServiceKey({ serviceName, companyName, port, workspace: req.workspace });
+    if (!key) {
+      return res.status(404).json({ success: false, error: `Service ${serviceName || port} is not running` });
+    }
+    const result = await stopService(key);
+    res.json({ success: result.status !== 'failed', service: key, result, error: result.error, timestamp: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post('/api/admin/services/reset', async (req, res) => {
+  try {
+    const { serviceName, companyName, port } = req.body || {};
+    const key = findServiceKey({ serviceName, companyName, port, workspace: req.workspace });
+    if (!key) {
+      return res.status(404).json({ success: false, error: `Service ${serviceName || port} is not running` });
+    }
+    const result = await resetService(key);
+    res.json({ success: result.status === 'reset', service: key, result, error: result.error, timestamp: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post('/api/admin/services/kill-all', async (req, res) => {
+  try {
+    const results = await killAllServices({ workspace: req.workspace });
+    const failed = results.filter(r => r.status === 'failed');
+    res.json({
+      success: failed.length === 0,
+      workspace: req.workspace,
+      killedCount: results.length - failed.length,
+      failedCount: failed.length,
+      results,
+      error: failed.length ? `Failed to stop: ${failed.map(r => r.service).join(', ')}` : undefined,
+      timestamp: new Date().toISOString()
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+app.post('/api/admin/services/reset-all', async (req, res) => {
+  try {
+    const results = await resetAllServices({ workspace: req.workspace });
+    const failed = results.filter(r => r.status !== 'reset');
+    res.json({
+      success: failed.length === 0,
+      workspace: req.workspace,
+      resetCount: results.length - failed.length,
+      failedCount: failed.length,
+      results,
+      error: failed.length ? `Failed to reset: ${failed.map(r => r.service).join(', ')}` : undefined,
+      timestamp: new Date().toISOString()
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // Simple test endpoint
 app.get('/api/test', (req, res) => {
   console.log('[server] Test endpoint called');
@@ -646,7 +833,7 @@ app.get('/api/test', (req, res) => {
 // Health check with service status
 app.get('/api/health', (req, res) => {
   console.log('[server] Health check endpoint called');
-  const runningServices = getChildServices();
+  const runningServices = getWorkspaceServices(req.workspace);
   const serviceStatuses = Object.keys(runningServices).map(serviceName => ({
     service: serviceName,
     running: true,
@@ -660,6 +847,7 @@ app.get('/api/health', (req, res) => {
       uptime: process.uptime(),
       port: PORT
     },
+    workspace: req.workspace,
     childServices: serviceStatuses
   });
 });
@@ -712,9 +900,10 @@ app.get('/api/health/detailed', async (req, res) => {
 // Port status endpoint
 app.get('/api/admin/ports', (req, res) => {
   try {
-    const serviceStatus = getServiceStatus();
+    const serviceStatus = getServiceStatus({ workspace: req.workspace });
     res.json({
       ok: true,
+      workspace: req.workspace,
       timestamp: new Date().toISOString(),
       portStatus: {
         available: serviceStatus.availablePorts,
@@ -733,9 +922,10 @@ app.get('/api/admin/ports', (req, res) => {
 app.post('/api/admin/new-customer-journey', (req, res) => {
   try {
     console.log('[server] New Customer Journey requested - stopping customer journey services while preserving essential infrastructure');
-    stopCustomerJourneyServices();
+    stopCustomerJourneyServices({ workspace: req.workspace });
     res.json({
       ok: true,
+      workspace: req.workspace,
       message: 'Customer journey services stopped, essential infrastructure services preserved',
       timestamp: new Date().toISOString()
     });
@@ -749,19 +939,21 @@ app.post('/api/admin/new-customer-journey', (req, res) => {
   }
 });
 
-// Configuration Persistence Endpoints
+// Configuration Persistence Endpoints (saved per workspace)
 const configDir = path.join(__dirname, 'saved-configs');
 
-// Ensure config directory exists
-async function ensureConfigDir() {
+// Ensure the workspace's config directory exists and return it
+async function ensureConfigDir(workspace) {
+  const dir = workspaceConfigDir(configDir, workspace);
   try {
-    if (!existsSync(configDir)) {
-      await fs.mkdir(configDir, { recursive: true });
-      console.log(`📁 Created config directory: ${configDir}`);
+    if (!existsSync(dir)) {
+      await fs.mkdir(dir, { recursive: true });
+      console.log(`📁 Created config directory: ${dir}`);
     }
   } catch (error) {
     console.error('❌ Error creating config directory:', error);
   }
+  return dir;
 }
 
 // Initialize config directory on startup
@@ -770,14 +962,14 @@ ensureConfigDir();
 // Get all saved configurations
 app.get('/api/admin/configs', async (req, res) => {
   try {
-    await ensureConfigDir();
-    const files = await fs.readdir(configDir);
+    const dir = await ensureConfigDir(req.workspace);
+    const files = await fs.readdir(dir);
     const configs = [];
     
     for (const file of files) {
       if (file.endsWith('.json')) {
         try {
-          const filePath = path.join(configDir, file);
+          const filePath = path.join(dir, file);
           const data = await fs.readFile(filePath, 'utf8');
           const config = JSON.parse(data);
           configs.push({
@@ -798,6 +990,7 @@ app.get('/api/admin/configs', async (req, res) => {
     
     res.json({
       ok: true,
+      workspace: req.workspace,
       configs: configs,
       count: configs.length,
       timestamp: new Date().toISOString()
@@ -816,7 +1009,7 @@ app.get('/api/admin/configs', async (req, res) => {
 // Save a configuration
 app.post('/api/admin/configs', async (req, res) => {
   try {
-    await ensureConfigDir();
+    const dir = await ensureConfigDir(req.workspace);
     const config = req.body;
     
     // Validate required fields
@@ -834,7 +1027,7 @@ app.post('/api/admin/configs', async (req, res) => {
     
     // Create filename from ID
     const filename = `config-${config.id}.json`;
-    const filePath = path.join(configDir, filename);
+    const filePath = path.join(dir, filename);
     
     // Save to file
     await fs.writeFile(filePath, JSON.stringify(config, null, 2));
@@ -864,7 +1057,7 @@ app.get('/api/admin/configs/:id', async (req, res) => {
   try {
     const configId = req.params.id;
     const filename = `config-${configId}.json`;
-    const filePath = path.join(configDir, filename);
+    const filePath = path.join(workspaceConfigDir(configDir, req.workspace), filename);
     
     // Check if file exists
     if (!existsSync(filePath)) {
@@ -901,7 +1094,7 @@ app.delete('/api/admin/configs/:id', async (req, res) => {
   try {
     const configId = req.params.id;
     const filename = `config-${configId}.json`;
-    const filePath = path.join(configDir, filename);
+    const filePath = path.join(workspaceConfigDir(configDir, req.workspace), filename);
     
     // Check if file exists
     if (!existsSync(filePath)) {
@@ -945,12 +1138,6 @@ app.delete('/api/admin/configs/:id', async (req, res) => {
   }
 });
 
-// Simple metrics endpoint to silence polling 404s
-app.get('/api/metrics', (req, res) => {
-  res.setHeader('Content-Type', 'text/plain');
-  res.send('# Basic metrics placeholder\napp_status 1\n');
-});
-
 // MongoDB Analytics Endpoints
 // MongoDB analytics and journey endpoints removed
 
@@ -974,10 +1161,11 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server and initialize child services
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   console.log(`🚀 Business Observability Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   app.locals.port = PORT;
+  dependencyStubs.start(DEPENDENCY_STUB_PORT).catch(() => {});
 
   // --- Pre-startup dependency validation ---
   console.log('🔍 Validating dependencies and environment...');
@@ -1027,6 +1215,13 @@ server.listen(PORT, () => {
     }
   });
 
+  // --- Re-adopt child services left running by a previous server process ---
+  try {
+    await reconcileServiceState();
+  } catch (error) {
+    console.error('❌ Failed to reconcile persisted service state:', error.message);
+  }
+
   // --- Auto-start only essential services (on-demand for others) ---
   const coreServices = [
     // Only the most commonly used services - others start on-demand
@@ -1106,6 +1301,12 @@ server.listen(PORT, () => {
   
   // Store health monitor for cleanup
   server.healthMonitor = healthMonitor;
+
+  // Stop dynamic services nobody has used recently so their ports return to the pool
+  server.idleEvictionTimer = startIdleEviction();
+
+  // Recurring simulations from saved configs
+  scheduler.start(PORT);
 });
 
 // Graceful shutdown
@@ -1116,6 +1317,12 @@ process.on('SIGTERM', () => {
   if (server.healthMonitor) {
     clearInterval(server.healthMonitor);
   }
+  if (server.idleEvictionTimer) {
+    clearInterval(server.idleEvictionTimer);
+  }
+  scheduler.stop();
+  dependencyStubs.stop();
+  telemetry.shutdown();
   
   // Close child services
   stopAllServices();
@@ -1133,6 +1340,12 @@ process.on('SIGINT', () => {
   if (server.healthMonitor) {
     clearInterval(server.healthMonitor);
   }
+  if (server.idleEvictionTimer) {
+    clearInterval(server.idleEvictionTimer);
+  }
+  scheduler.stop();
+  dependencyStubs.stop();
+  telemetry.shutdown();
   
   // Close child services using service manager
   stopAllServices();
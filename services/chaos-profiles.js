@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isWithinWindow, validateWindow } from './time-window.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_ERROR_RATE = 0.95;
+const DEFAULT_TIMEOUT_MS = 10000;
+const LATENCY_TYPES = ['fixed', 'uniform', 'percentile'];
+const PERCENTILE_POINTS = [['p50', 0.5], ['p90', 0.9], ['p95', 0.95], ['p99', 0.99]];
+
+// Profiles shipped with the app; these reproduce the original per-company error behaviour
+const BUILT_IN_PROFILES = [
+  {
+    name: 'acme-corp',
+    description: 'Payment and inventory instability',
+    companies: ['acme corp'],
+    errorRate: 0.15,
+    errorTypes: ['payment_gateway_timeout', 'inventory_service_down', 'authentication_failure'],
+    httpErrors: [500, 503, 429],
+    problematicSteps: ['checkout', 'payment', 'order confirmation']
+  },
+  {
+    name: 'globex-corporation',
+    description: 'Database and third-party API failures',
+    companies: ['globex corporation'],
+    errorRate: 0.25,
+    errorTypes: ['database_connection_lost', 'third_party_api_failure', 'rate_limit_exceeded'],
+    httpErrors: [500, 502, 503, 429],
+    problematicSteps: ['product selection', 'cart', 'verification']
+  },
+  {
+    name: 'initech',
+    description: 'Session and validation issues',
+    companies: ['initech'],
+    errorRate: 0.08,
+    errorTypes: ['session_timeout', 'validation_error', 'temporary_service_unavailable'],
+    httpErrors: [408, 422, 503],
+    problematicSteps: ['discovery', 'application', 'login']
+  },
+  {
+    name: 'stark-industries',
+    description: 'Mostly healthy with minor warnings',
+    companies: ['stark industries'],
+    errorRate: 0.05,
+    errorTypes: ['minor_validation_warning', 'cache_miss'],
+    httpErrors: [422, 404],
+    problematicSteps: ['customization']
+  },
+  {
+    name: 'umbrella-corporation',
+    description: 'Severe security and containment failures',
+    companies: ['umbrella corporation'],
+    errorRate: 0.35,
+    errorTypes: ['security_breach_detected', 'system_contamination', 'containment_failure', 'biohazard_alert'],
+    httpErrors: [500, 503, 502],
+    problematicSteps: ['verification', 'security', 'data processing', 'confirmation']
+  },
+  {
+    name: 'default',
+    description: 'Applied to companies without a dedicated profile',
+    companies: [],
+    errorRate: 0.12,
+    errorTypes: ['network_timeout', 'service_unavailable', 'validation_failed'],
+    httpErrors: [500, 503, 422],
+    problematicSteps: ['checkout', 'verification']
+  }
+];
+
+/**
+ * Declarative fault-injection profiles for journey simulation.
+ * A profile sets a base error rate, HTTP codes, latency and timeouts for a company;
+ * rules narrow those to specific steps and optional time windows.
+ */
+class ChaosProfileStore {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.filePath = path.join(this.dataDir, 'chaos-profiles.json');
+    this.profiles = new Map(); // lower-cased name -> profile
+    this._load();
+  }
+
+  _load() {
+    let stored = null;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      }
+    } catch (err) {
+      console.error(`[chaos-profiles] Failed to read ${this.filePath}, falling back to built-in profiles: ${err.message}`);
+    }
+
+    const profiles = Array.isArray(stored?.profiles) ? stored.profiles : BUILT_IN_PROFILES;
+    for (const profile of profiles) {
+      this.profiles.set(profile.name.toLowerCase(), profile);
+    }
+  }
+
+  // Small file, infrequent writes - write synchronously via a temp file so a crash never leaves it half-written
+  _save() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), profiles: this.list() }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  get(name) {
+    return name ? this.profiles.get(String(name).toLowerCase()) || null : null;
+  }
+
+  /**
+   * Create or replace a profile. Returns { profile, created } or { errors } when invalid.
+   */
+  upsert(input, { mustNotExist = false } = {}) {
+    const errors = validateProfile(input);
+    if (errors.length > 0) return { errors };
+
+    const key = input.name.toLowerCase();
+    const existing = this.profiles.get(key);
+    if (mustNotExist && existing) {
+      return { errors: [`Profile "${input.name}" already exists`], conflict: true };
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      ...input,
+      companies: (input.companies || []).map(c => String(c).toLowerCase().trim()),
+      rules: input.rules || [],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    this.profiles.set(key, profile);
+    this._save();
+    console.log(`[chaos-profiles] ${existing ? 'Updated' : 'Created'} profile "${profile.name}"`);
+    return { profile, created: !existing };
+  }
+
+  remove(name) {
+    const key = String(name).toLowerCase();
+    if (!this.profiles.has(key)) return false;
+    this.profiles.delete(key);
+    this._save();
+    console.log(`[chaos-profiles] Deleted profile "${name}"`);
+    return true;
+  }
+
+  /**
+   * Profile for a company when the caller didn't name one: an explicit company match, else "default"
+   */
+  forCompany(companyName) {
+    const company = String(companyName || '').toLowerCase().trim();
+    for (const profile of this.profiles.values()) {
+      if ((profile.companies || []).includes(company)) return profile;
+    }
+    return this.get('default');
+  }
+
+  /**
+   * Decide the fault (if any) for one step call.
+   * Returns { hasError, errorType, httpStatus, timeout, injectedLatencyMs, profile, rules }.
+   * Pass a seeded `random` to make the rolls reproducible.
+   */
+  evaluate({ profileName = null, companyName, stepName, now = new Date(), random = Math.random }) {
+    const profile = profileName ? this.get(profileName) : this.forCompany(companyName);
+    if (!profile || profile.enabled === false) return { hasError: false, injectedLatencyMs: 0, profile: null };
+
+    const step = String(stepName || '').toLowerCase();
+    const isProblematic = (profile.problematicSteps || []).some(s => step.includes(String(s).toLowerCase()));
+
+    // Start from the profile-wide settings; matching rules override them in order
+    const effective = {
+      errorRate: Math.min(MAX_ERROR_RATE, (profile.errorRate || 0) * (isProblematic ? 1.5 : 1)),
+      errorTypes: profile.errorTypes || ['service_unavailable'],
+      httpErrors: profile.httpErrors || [500],
+      latency: profile.latency || null,
+      timeoutRate: profile.timeoutRate || 0,
+      timeoutMs: profile.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+    const matchedRules = [];
+    (profile.rules || []).forEach((rule, index) => {
+      if (rule.enabled === false || !matchesStep(rule.steps, step) || !isWithinWindow(rule.window, now)) return;
+      matchedRules.push(rule.name || `rule-${index + 1}`);
+      for (const field of Object.keys(effective)) {
+        if (rule[field] !== undefined) effective[field] = rule[field];
+      }
+    });
+
+    const injectedLatencyMs = sampleLatency(effective.latency, random);
+    const outcome = { hasError: false, timeout: false, injectedLatencyMs, profile: profile.name, rules: matchedRules };
+
+    if (random() < effective.timeoutRate) {
+      return {
+        ...outcome,
+        hasError: true,
+        timeout: true,
+        errorType: 'upstream_timeout',
+        httpStatus: 504,
+        injectedLatencyMs: injectedLatencyMs + effective.timeoutMs
+      };
+    }
+
+    if (random() < effective.errorRate) {
+      return {
+        ...outcome,
+        hasError: true,
+        errorType: pick(effective.errorTypes, random),
+        httpStatus: pick(effective.httpErrors, random)
+      };
+    }
+
+    return outcome;
+  }
+}
+
+function pick(values, random = Math.random) {
+  return values[Math.floor(random() * values.length)];
+}
+
+// Rules without steps (or with "*") apply to every step; otherwise substring match like problematicSteps
+function matchesStep(steps, step) {
+  if (!steps || steps.length === 0) return true;
+  return steps.some(s => s === '*' || step.includes(String(s).toLowerCase()));
+}
+
+// Latency models: fixed delay, uniform range, or a distribution described by percentiles
+function sampleLatency(latency, random = Math.random) {
+  if (!latency) return 0;
+  if (latency.probability !== undefined && random() >= latency.probability) return 0;
+
+  switch (latency.type) {
+    case 'fixed':
+      return Math.round(latency.ms || 0);
+    case 'uniform': {
+      const min = latency.min || 0;
+      return Math.round(min + random() * ((latency.max ?? min) - min));
+    }
+    case 'percentile': {
+      // Piecewise-linear inverse CDF through the given percentiles
+      const points = [[0, latency.min || 0]];
+      for (const [key, q] of PERCENTILE_POINTS) {
+        if (latency[key] !== undefined) points.push([q, latency[key]]);
+      }
+      points.push([1, latency.max ?? points[points.length - 1][1]]);
+
+      const u = random();
+      for (let i = 1; i < points.length; i++) {
+        const [q0, v0] = points[i - 1];
+        const [q1, v1] = points[i];
+        if (u <= q1) return Math.round(v0 + ((u - q0) / (q1 - q0 || 1)) * (v1 - v0));
+      }
+      return Math.round(points[points.length - 1][1]);
+    }
+    default:
+      return 0;
+  }
+}
+
+const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+const isHttpStatus = value => Number.isInteger(value) && value >= 100 && value <= 599;
+
+function validateFaultFields(target, label, errors) {
+  if (target.errorRate !== undefined && !isRate(target.errorRate)) errors.push(`${label}.errorRate must be between 0 and 1`);
+  if (target.timeoutRate !== undefined && !isRate(target.timeoutRate)) errors.push(`${label}.timeoutRate must be between 0 and 1`);
+  if (target.timeoutMs !== undefined && !(target.timeoutMs > 0)) errors.push(`${label}.timeoutMs must be a positive number`);
+  if (target.httpErrors !== undefined && (!Array.isArray(target.httpErrors) || target.httpErrors.length === 0 || !target.httpErrors.every(isHttpStatus))) {
+    errors.push(`${label}.httpErrors must be a non-empty array of HTTP status codes`);
+  }
+  if (target.errorTypes !== undefined && (!Array.isArray(target.errorTypes) || target.errorTypes.length === 0)) {
+    errors.push(`${label}.errorTypes must be a non-empty array`);
+  }
+  if (target.latency !== undefined && target.latency !== null) {
+    const latency = target.latency;
+    if (!LATENCY_TYPES.includes(latency.type)) errors.push(`${label}.latency.type must be one of ${LATENCY_TYPES.join(', ')}`);
+    if (latency.probability !== undefined && !isRate(latency.probability)) errors.push(`${label}.latency.probability must be between 0 and 1`);
+    if (latency.type === 'fixed' && !(latency.ms >= 0)) errors.push(`${label}.latency.ms is required for fixed latency`);
+    if (latency.type === 'uniform' && !(latency.max >= (latency.min || 0))) errors.push(`${label}.latency.max must be >= min for uniform latency`);
+    if (latency.type === 'percentile' && !PERCENTILE_POINTS.some(([key]) => latency[key] >= 0)) {
+      errors.push(`${label}.latency needs at least one of p50, p90, p95, p99 for percentile latency`);
+    }
+  }
+}
+
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['Profile must be a JSON object'];
+  if (!profile.name || !/^[a-zA-Z0-9 _.-]{1,64}$/.test(profile.name)) {
+    errors.push('name is required (letters, numbers, spaces, "_", "-", ".", max 64 chars)');
+  }
+  if (profile.companies !== undefined && !Array.isArray(profile.companies)) errors.push('companies must be an array');
+  validateFaultFields(profile, 'profile', errors);
+
+  if (profile.rules !== undefined) {
+    if (!Array.isArray(profile.rules)) {
+      errors.push('rules must be an array');
+    } else {
+      profile.rules.forEach((rule, i) => {
+        const label = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+          errors.push(`${label} must be an object`);
+          return;
+        }
+        if (rule.steps !== undefined && !Array.isArray(rule.steps)) errors.push(`${label}.steps must be an array`);
+        validateFaultFields(rule, label, errors);
+        if (rule.window) errors.push(...validateWindow(rule.window, `${label}.window`));
+      });
+    }
+  }
+  return errors;
+}
+
+// Export singleton instance
+export const chaosProfiles = new ChaosProfileStore();
+export default chaosProfiles;
@@ -50,7 +50,30 @@ function getServicePortFromStep(stepNameOrServiceName) {
   return port;
 }
 
-function callService(serviceName, payload, headers = {}, overridePort) {
+// Report a hop to the main server while a session is being recorded (fire and forget)
+function reportRecordedHop(serviceName, payload, headers) {
+  const body = JSON.stringify({
+    recordingId: payload.recordingId,
+    fromService: process.env.SERVICE_NAME || null,
+    toService: serviceName,
+    headers,
+    payload
+  });
+  const req = http.request({
+    hostname: '127.0.0.1',
+    port: process.env.MAIN_SERVER_PORT || '4000',
+    path: '/api/internal/recording-hop',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'x-workspace-id': process.env.WORKSPACE_ID || 'default' },
+    timeout: 2000
+  }, res => res.resume());
+  req.on('error', () => {});
+  req.on('timeout', () => req.destroy());
+  req.end(body);
+}
+
+// timeoutMs (optional) aborts a call that hasn't answered in time
+function callService(serviceName, payload, headers = {}, overridePort, timeoutMs) {
   return new Promise((resolve, reject) => {
     // Use overridePort if provided, else hash-based mapping
     const port = overridePort || getServicePortFromStep(serviceName) || SERVICE_PORTS[serviceName];
@@ -94,6 +117,8 @@ function callService(serviceName, payload, headers = {}, overridePort) {
       });
     }
     
+    if (payload && payload.recordingId) reportRecordedHop(serviceName, payload, requestHeaders);
+
     const options = {
       hostname: '127.0.0.1',
       port,
@@ -128,6 +153,7 @@ function callService(serviceName, payload, headers = {}, overridePort) {
       console.error(`❌ [${serviceName}] Service call failed:`, err.message);
       reject(err);
     });
+    if (timeoutMs) req.setTimeout(timeoutMs, () => req.destroy(new Error(`No response from ${serviceName} within ${timeoutMs}ms`)));
     req.end(JSON.stringify(payload || {}));
   });
 }
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { DEFAULT_WORKSPACE, isDefaultWorkspace } from './workspaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+const MAX_THRESHOLD = 1000;
+const MAX_TIMEOUT_MS = 60 * 60 * 1000;
+
+/**
+ * Circuit breakers for the step services the simulator calls, one per step and workspace,
+ * so one team's failing services don't trip or control another team's breakers.
+ * After `threshold` consecutive failures a breaker opens and calls short-circuit to a
+ * fallback; after `timeoutMs` it half-opens and the next result closes or re-opens it.
+ * Per-service settings and each workspace's defaults persist under the data directory
+ * (other workspaces start from the default workspace's defaults); runtime state does not.
+ * Emits 'transition' with { workspace, service, from, to, reason, failureCount, at }.
+ */
+class CircuitBreakerRegistry extends EventEmitter {
+  constructor(dataDir = null) {
+    super();
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.filePath = path.join(this.dataDir, 'circuit-breakers.json');
+    this.defaults = {
+      threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5'),
+      timeoutMs: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_MS || '10000'),
+      enabled: true
+    };
+    this.workspaceDefaults = new Map(); // workspace -> { threshold?, timeoutMs?, enabled? } (not the default workspace)
+    this.settings = new Map(); // workspace/service -> { workspace, service, threshold?, timeoutMs?, enabled? }
+    this.breakers = new Map(); // workspace/service -> runtime state
+    this._load();
+  }
+
+  _key(workspace, service) {
+    return `${workspace}/${service}`;
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (stored.defaults) this.defaults = { ...this.defaults, ...stored.defaults };
+      const scopes = [[DEFAULT_WORKSPACE, { services: stored.services }], ...Object.entries(stored.workspaces || {})];
+      for (const [workspace, scope] of scopes) {
+        if (scope.defaults && !isDefaultWorkspace(workspace)) this.workspaceDefaults.set(workspace, scope.defaults);
+        for (const [service, settings] of Object.entries(scope.services || {})) {
+          this.settings.set(this._key(workspace, service), { ...settings, workspace, service });
+        }
+      }
+    } catch (err) {
+      console.error(`[circuit-breakers] Failed to read ${this.filePath}, using defaults: ${err.message}`);
+    }
+  }
+
+  _save() {
+    const servicesOf = workspace => Object.fromEntries([...this.settings.values()]
+      .filter(entry => entry.workspace === workspace)
+      .map(({ workspace: _, service, ...settings }) => [service, settings]));
+    const workspaces = [...new Set([...this.workspaceDefaults.keys(), ...[...this.settings.values()].map(entry => entry.workspace)])]
+      .filter(workspace => !isDefaultWorkspace(workspace));
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      defaults: this.defaults,
+      services: servicesOf(DEFAULT_WORKSPACE),
+      workspaces: Object.fromEntries(workspaces.map(workspace => [workspace, {
+        ...(this.workspaceDefaults.has(workspace) && { defaults: this.workspaceDefaults.get(workspace) }),
+        services: servicesOf(workspace)
+      }]))
+    }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _breaker(workspace, service) {
+    const key = this._key(workspace, service);
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, {
+        workspace,
+        service,
+        state: 'CLOSED',
+        failureCount: 0,
+        lastFailureTime: null,
+        lastFailureReason: null,
+        openedAt: null,
+        forced: false, // opened by hand: stays open until closed or reset
+        transitions: 0
+      });
+    }
+    return this.breakers.get(key);
+  }
+
+  defaultsFor(workspace) {
+    return { ...this.defaults, ...(this.workspaceDefaults.get(workspace) || {}) };
+  }
+
+  _settingsFor(workspace, service) {
+    const { workspace: _, service: __, ...own } = this.settings.get(this._key(workspace, service)) || {};
+    return { ...this.defaultsFor(workspace), ...own };
+  }
+
+  _transition(breaker, to, reason) {
+    const { workspace, service } = breaker;
+    const from = breaker.state;
+    if (from === to) return;
+    breaker.state = to;
+    breaker.transitions++;
+    breaker.openedAt = to === 'OPEN' ? Date.now() : breaker.openedAt;
+    console.log(`[circuit-breakers] ${workspace}/${service}: ${from} -> ${to} (${reason})`);
+    this.emit('transition', { workspace, service, from, to, reason, failureCount: breaker.failureCount, at: new Date().toISOString() });
+  }
+
+  _services(workspace) {
+    const entries = [...this.breakers.values(), ...this.settings.values()].filter(entry => entry.workspace === workspace);
+    return [...new Set(entries.map(entry => entry.service))];
+  }
+
+  // Services are looked up case-insensitively so URLs don't have to match the step's casing
+  resolveName(workspace, service) {
+    const wanted = String(service).toLowerCase();
+    return this._services(workspace).find(name => name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Whether a call may go through; an expired OPEN breaker half-opens here
+   */
+  canRequest(workspace, service) {
+    const breaker = this._breaker(workspace, service);
+    const { timeoutMs, enabled } = this._settingsFor(workspace, service);
+    if (breaker.state !== 'OPEN') return true;
+    if (breaker.forced) return false;
+    if (!enabled || Date.now() - breaker.lastFailureTime > timeoutMs) {
+      this._transition(breaker, 'HALF_OPEN', 'timeout elapsed');
+      return true;
+    }
+    return false;
+  }
+
+  record(workspace, service, success, reason = null) {
+    const breaker = this._breaker(workspace, service);
+    const { threshold, enabled } = this._settingsFor(workspace, service);
+    if (breaker.forced) return;
+
+    if (success) {
+      breaker.failureCount = 0;
+      this._transition(breaker, 'CLOSED', 'call succeeded');
+      return;
+    }
+    breaker.failureCount++;
+    breaker.lastFailureTime = Date.now();
+    breaker.lastFailureReason = reason;
+    if (!enabled) return;
+    if (breaker.state === 'HALF_OPEN') {
+      this._transition(breaker, 'OPEN', 'trial call failed');
+    } else if (breaker.failureCount >= threshold) {
+      this._transition(breaker, 'OPEN', `${breaker.failureCount} consecutive failures`);
+    }
+  }
+
+  describe(workspace, service) {
+    const breaker = this.breakers.get(this._key(workspace, service)) || null;
+    const settings = this._settingsFor(workspace, service);
+    return {
+      workspace,
+      service,
+      state: breaker?.state || 'CLOSED',
+      failureCount: breaker?.failureCount || 0,
+      lastFailureTime: breaker?.lastFailureTime ? new Date(breaker.lastFailureTime).toISOString() : null,
+      lastFailureReason: breaker?.lastFailureReason || null,
+      openedAt: breaker?.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      forced: breaker?.forced || false,
+      transitions: breaker?.transitions || 0,
+      threshold: settings.threshold,
+      timeoutMs: settings.timeoutMs,
+      enabled: settings.enabled,
+      customized: this.settings.has(this._key(workspace, service))
+    };
+  }
+
+  // Breakers of one workspace, or of every workspace when none is given
+  list(workspace = null) {
+    const entries = [...this.breakers.values(), ...this.settings.values()].filter(entry => !workspace || entry.workspace === workspace);
+    const keys = [...new Set(entries.map(entry => this._key(entry.workspace, entry.service)))].sort();
+    return keys.map(key => {
+      const { workspace: ws, service } = this.breakers.get(key) || this.settings.get(key);
+      return this.describe(ws, service);
+    });
+  }
+
+  /**
+   * Change settings for one of a workspace's services (or the workspace's defaults when service is null).
+   * Returns { breaker } / { defaults }, or { errors } when invalid.
+   */
+  configure(workspace, service, input) {
+    const errors = validateSettings(input);
+    if (errors.length > 0) return { errors };
+    const changes = {};
+    for (const key of ['threshold', 'timeoutMs', 'enabled']) {
+      if (input[key] !== undefined) changes[key] = input[key];
+    }
+
+    if (service === null) {
+      if (isDefaultWorkspace(workspace)) {
+        this.defaults = { ...this.defaults, ...changes };
+      } else {
+        this.workspaceDefaults.set(workspace, { ...(this.workspaceDefaults.get(workspace) || {}), ...changes });
+      }
+      this._save();
+      console.log(`[circuit-breakers] Updated defaults for ${workspace}: ${JSON.stringify(this.defaultsFor(workspace))}`);
+      return { defaults: this.defaultsFor(workspace) };
+    }
+    const name = this.resolveName(workspace, service) || service;
+    const key = this._key(workspace, name);
+    this.settings.set(key, { ...(this.settings.get(key) || {}), ...changes, workspace, service: name });
+    this._save();
+    console.log(`[circuit-breakers] Updated settings for ${workspace}/${name}: ${JSON.stringify(changes)}`);
+    return { breaker: this.describe(workspace, name) };
+  }
+
+  // Drop a service's own settings so it follows the defaults again
+  clearSettings(workspace, service) {
+    const name = this.resolveName(workspace, service);
+    if (!name || !this.settings.delete(this._key(workspace, name))) return false;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Manual control: 'open' holds the breaker open until closed or reset, 'close' closes it
+   * and clears the failure count, 'reset' forgets all runtime state. Returns the breaker or null.
+   */
+  control(workspace, service, action) {
+    const name = this.resolveName(workspace, service);
+    if (!name) return null;
+    const breaker = this._breaker(workspace, name);
+
+    if (action === 'open') {
+      breaker.forced = true;
+      breaker.lastFailureTime = Date.now();
+      this._transition(breaker, 'OPEN', 'opened manually');
+    } else if (action === 'close') {
+      breaker.forced = false;
+      breaker.failureCount = 0;
+      this._transition(breaker, 'CLOSED', 'closed manually');
+    } else if (action === 'reset') {
+      const from = breaker.state;
+      this.breakers.delete(this._key(workspace, name));
+      if (from !== 'CLOSED') {
+        console.log(`[circuit-breakers] ${workspace}/${name}: ${from} -> CLOSED (reset)`);
+        this.emit('transition', { workspace, service: name, from, to: 'CLOSED', reason: 'reset', failureCount: 0, at: new Date().toISOString() });
+      }
+    }
+    return this.describe(workspace, name);
+  }
+
+  resetAll(workspace) {
+    const services = [...this.breakers.values()].filter(breaker => breaker.workspace === workspace).map(breaker => breaker.service);
+    for (const service of services) this.control(workspace, service, 'reset');
+    return services.length;
+  }
+}
+
+function validateSettings(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return ['Settings must be a JSON object'];
+  if (input.threshold !== undefined && !(Number.isInteger(input.threshold) && input.threshold >= 1 && input.threshold <= MAX_THRESHOLD)) {
+    errors.push(`threshold must be an integer from 1 to ${MAX_THRESHOLD}`);
+  }
+  if (input.timeoutMs !== undefined && !(Number.isInteger(input.timeoutMs) && input.timeoutMs >= 0 && input.timeoutMs <= MAX_TIMEOUT_MS)) {
+    errors.push(`timeoutMs must be an integer from 0 to ${MAX_TIMEOUT_MS}`);
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (input.threshold === undefined && input.timeoutMs === undefined && input.enabled === undefined) {
+    errors.push('Provide at least one of threshold, timeoutMs, enabled');
+  }
+  return errors;
+}
+
+export const BREAKER_STATES = STATES;
+
+// Export singleton instance
+export const circuitBreakers = new CircuitBreakerRegistry();
+export default circuitBreakers;
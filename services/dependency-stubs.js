@@ -0,0 +1,148 @@
+import http from 'http';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { telemetry } from './telemetry.js';
+import { DEFAULT_WORKSPACE, checkWorkspaceId } from './workspaces.js';
+
+const STUB_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,59}$/;
+const STUB_PATH = /^\/([A-Za-z0-9][A-Za-z0-9_-]{0,59})(\/[^?]*)?/;
+const MAX_LATENCY_MS = 30000;
+
+/**
+ * Mock third-party APIs ("payment-gateway", "shipping-api", ...) that step services call as
+ * HTTP dependencies (see step-dependencies.cjs). Served on their own port so they show up as
+ * outbound calls to another host; any path under /<stub name>/ answers.
+ * A call carries the latency and failure its step planned (x-stub-latency-ms, x-stub-fail-status);
+ * faults set through the API add to that for every call to a stub, for live fault injection.
+ * Stubs and their faults are per workspace. Emits 'call' with each call's outcome.
+ */
+class DependencyStubs extends EventEmitter {
+  constructor() {
+    super();
+    this.server = null;
+    this.port = null;
+    this.stubs = new Map(); // workspace/name -> { workspace, name, calls, failures, lastCallAt, faults }
+  }
+
+  start(port) {
+    if (this.server) return Promise.resolve(this.port);
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (err) => {
+        console.error(`[dependency-stubs] Could not listen on port ${port}: ${err.message}`);
+        this.server = null;
+        reject(err);
+      });
+      this.server.listen(port, () => {
+        this.port = port;
+        console.log(`[dependency-stubs] Serving dependency stubs on port ${port}`);
+        resolve(port);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) this.server.close();
+    this.server = null;
+  }
+
+  _stub(workspace, name, create = true) {
+    const key = `${workspace}/${name}`;
+    if (!this.stubs.has(key) && create) {
+      this.stubs.set(key, { workspace, name, calls: 0, failures: 0, lastCallAt: null, faults: null });
+    }
+    return this.stubs.get(key) || null;
+  }
+
+  async _handle(req, res) {
+    const match = STUB_PATH.exec(req.url);
+    const workspace = String(req.headers['x-workspace-id'] || DEFAULT_WORKSPACE).toLowerCase();
+    if (!match || checkWorkspaceId(workspace)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Unknown stub' }));
+    }
+    const [, name, stubPath = '/'] = match;
+    const stub = this._stub(workspace, name);
+    const span = telemetry.startSpan(`${req.method} /${name}${stubPath}`, {
+      kind: 'server',
+      traceparent: req.headers['traceparent'],
+      attributes: { 'http.request.method': req.method, 'url.path': `/${name}${stubPath}`, 'stub.name': name, 'journey.correlation_id': req.headers['x-correlation-id'] }
+    });
+    req.resume();
+
+    const faults = stub.faults || {};
+    const latencyMs = Math.min((Number(req.headers['x-stub-latency-ms']) || 0) + (faults.latencyMs || 0), MAX_LATENCY_MS);
+    const plannedStatus = Number(req.headers['x-stub-fail-status']) || null;
+    const failStatus = plannedStatus || (faults.errorRate > 0 && Math.random() < faults.errorRate ? faults.httpStatus || 503 : null);
+    if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+
+    stub.calls++;
+    stub.lastCallAt = new Date().toISOString();
+    const requestId = randomUUID();
+    let status = 200;
+    let body = { ok: true, stub: name, requestId, path: stubPath, method: req.method, receivedAt: stub.lastCallAt };
+    if (failStatus) {
+      stub.failures++;
+      status = failStatus;
+      body = { ok: false, stub: name, requestId, error: `${name} ${failStatus >= 500 ? 'unavailable' : 'rejected the request'} (HTTP ${failStatus})` };
+      span.setStatus('error', body.error);
+    }
+    span.setAttribute('http.response.status_code', status);
+    span.end();
+    res.writeHead(status, { 'Content-Type': 'application/json', 'x-request-id': requestId });
+    res.end(JSON.stringify(body));
+    this.emit('call', { workspace, stub: name, status, latencyMs });
+  }
+
+  list(workspace) {
+    return [...this.stubs.values()].filter(stub => stub.workspace === workspace).map(stub => ({ ...stub }));
+  }
+
+  /**
+   * Faults applied to every call to a stub: { latencyMs?, errorRate?, httpStatus? }.
+   * Returns { stub } or { errors }.
+   */
+  setFaults(workspace, name, input) {
+    const errors = validateFaults(name, input);
+    if (errors.length > 0) return { errors };
+    const stub = this._stub(workspace, name);
+    stub.faults = {
+      latencyMs: input.latencyMs ?? 0,
+      errorRate: input.errorRate ?? 0,
+      httpStatus: input.httpStatus ?? 503
+    };
+    console.log(`[dependency-stubs] Faults for ${workspace}/${name}: ${JSON.stringify(stub.faults)}`);
+    return { stub: { ...stub } };
+  }
+
+  clearFaults(workspace, name) {
+    const stub = this._stub(workspace, name, false);
+    if (!stub || !stub.faults) return false;
+    stub.faults = null;
+    console.log(`[dependency-stubs] Cleared faults for ${workspace}/${name}`);
+    return true;
+  }
+}
+
+function validateFaults(name, input) {
+  const errors = [];
+  if (!STUB_NAME.test(name)) errors.push('stub name must be 1-60 letters, digits, "-" or "_"');
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return [...errors, 'Faults must be a JSON object'];
+  if (input.latencyMs !== undefined && !(Number.isInteger(input.latencyMs) && input.latencyMs >= 0 && input.latencyMs <= MAX_LATENCY_MS)) {
+    errors.push(`latencyMs must be an integer from 0 to ${MAX_LATENCY_MS}`);
+  }
+  if (input.errorRate !== undefined && !(typeof input.errorRate === 'number' && input.errorRate >= 0 && input.errorRate <= 1)) {
+    errors.push('errorRate must be between 0 and 1');
+  }
+  if (input.httpStatus !== undefined && !(Number.isInteger(input.httpStatus) && input.httpStatus >= 400 && input.httpStatus <= 599)) {
+    errors.push('httpStatus must be an integer from 400 to 599');
+  }
+  if (input.latencyMs === undefined && input.errorRate === undefined && input.httpStatus === undefined) {
+    errors.push('Provide at least one of latencyMs, errorRate, httpStatus');
+  }
+  return errors;
+}
+
+// Export singleton instance
+export const dependencyStubs = new DependencyStubs();
+export default dependencyStubs;
@@ -3,7 +3,9 @@
  * This service dynamically adapts its identity based on the step name provided
  */
 const { createService } = require('./service-runner.cjs');
+const { activeSpan } = require('./otlp-exporter.cjs');
 const { callService, getServiceNameFromStep, getServicePortFromStep } = require('./child-caller.cjs');
+const { runDependencies } = require('./step-dependencies.cjs');
 const { 
   TracedError, 
   withErrorTracking, 
@@ -17,10 +19,86 @@ const {
 const http = require('http');
 const crypto = require('crypto');
 
+// Upper bound on chaos-injected delay so a bad profile can't hang a request indefinitely
+const MAX_INJECTED_LATENCY_MS = 120000;
+// Each parallel branch call gives up after this long, so one stuck dependency can't hold the join forever
+const PARALLEL_BRANCH_TIMEOUT_MS = Number(process.env.PARALLEL_BRANCH_TIMEOUT_MS || 5000);
+
+// Processing-latency model. Without a latency block or estimatedDuration a step takes 100-300ms as before.
+const DEFAULT_BASE_LATENCY_MS = 100;
+const DEFAULT_JITTER_MS = 200;
+// estimatedDuration is in business minutes; scale it down to a demo-friendly response time
+const MS_PER_ESTIMATED_MINUTE = Number(process.env.LATENCY_MS_PER_ESTIMATED_MINUTE || 10);
+const MAX_ESTIMATED_BASE_MS = 3000;
+const degradationState = new Map(); // step name -> { startedAt, requests, lastSeen }
+
+/**
+ * Work out how long this request should take:
+ *   latency: {
+ *     baseMs, jitterMs,                       // base + uniform 0..jitter
+ *     p95Ms, p99Ms, spike: { probability, ms },  // tail spikes
+ *     degradation: { perMinuteMs, perRequestMs, maxMs, resetAfterIdleMs }  // gets slower as a run goes on
+ *   }
+ */
+function computeProcessingLatency(stepName, latency, estimatedDuration) {
+  const model = latency && typeof latency === 'object' ? latency : {};
+  const estimatedBase = Number(estimatedDuration) > 0
+    ? Math.min(Math.max(Number(estimatedDuration) * MS_PER_ESTIMATED_MINUTE, DEFAULT_BASE_LATENCY_MS), MAX_ESTIMATED_BASE_MS)
+    : DEFAULT_BASE_LATENCY_MS;
+  const baseMs = Number(model.baseMs ?? estimatedBase);
+  const jitterMs = Math.floor(Math.random() * Number(model.jitterMs ?? DEFAULT_JITTER_MS));
+
+  // Tail spikes: the rarest configured spike that the roll lands in wins
+  let spikeMs = 0;
+  const spikes = [
+    [0.01, model.p99Ms],
+    [0.05, model.p95Ms],
+    [model.spike?.probability, model.spike?.ms]
+  ].filter(([probability, ms]) => probability > 0 && ms > 0).sort((a, b) => a[0] - b[0]);
+  const roll = Math.random();
+  const spike = spikes.find(([probability]) => roll < probability);
+  if (spike) {
+    const target = spike[1] * (0.9 + Math.random() * 0.2);
+    spikeMs = Math.max(0, target - baseMs - jitterMs);
+  }
+
+  // Gradual degradation, measured from the first request of the current run (a run ends after an idle gap)
+  let degradationMs = 0;
+  if (model.degradation) {
+    const { perMinuteMs = 0, perRequestMs = 0, maxMs = 10000, resetAfterIdleMs = 60000 } = model.degradation;
+    const now = Date.now();
+    let state = degradationState.get(stepName);
+    if (!state || now - state.lastSeen > resetAfterIdleMs) {
+      state = { startedAt: now, requests: 0, lastSeen: now };
+      degradationState.set(stepName, state);
+    }
+    state.requests++;
+    state.lastSeen = now;
+    const minutes = (now - state.startedAt) / 60000;
+    degradationMs = Math.min(maxMs, Math.round(minutes * perMinuteMs + (state.requests - 1) * perRequestMs));
+  }
+
+  const totalMs = Math.min(Math.round(baseMs + jitterMs + spikeMs + degradationMs), MAX_INJECTED_LATENCY_MS);
+  return { totalMs, baseMs, jitterMs, spikeMs: Math.round(spikeMs), degradationMs };
+}
+
 // Enhanced Dynatrace helpers with error tracking
 const withCustomSpan = (name, callback) => {
   console.log('[dynatrace] Custom span:', name);
-  return withErrorTracking(name, callback)();
+  const parent = activeSpan();
+  if (!parent) return withErrorTracking(name, callback)();
+
+  const span = parent.telemetry.startSpan(name);
+  return parent.telemetry.withSpan(span, async () => {
+    try {
+      return await withErrorTracking(name, callback)();
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
 };
 
 const sendBusinessEvent = (eventType, data) => {
@@ -67,6 +145,7 @@ const sendBusinessEvent = (eventType, data) => {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData),
+        'x-workspace-id': process.env.WORKSPACE_ID || 'default',
         ...flattenedHeaders
       },
       timeout: 1000
@@ -146,6 +225,52 @@ if (serviceName) {
 }
 
 // Generic step service that can handle any step name dynamically
+// Report a chained step to the main server's live journey event stream (fire and forget)
+function reportJourneyEvent(type, data) {
+  const body = JSON.stringify({ type, ...data });
+  const req = http.request({
+    hostname: '127.0.0.1',
+    port: process.env.MAIN_SERVER_PORT || '4000',
+    path: '/api/internal/journey-event',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'x-workspace-id': process.env.WORKSPACE_ID || 'default' },
+    timeout: 1000
+  }, res => res.resume());
+  req.on('error', () => {});
+  req.on('timeout', () => req.destroy());
+  req.end(body);
+}
+
+// POST a JSON body to the main server; resolves with the parsed response, or null when it can't be reached
+function postToMainServer(path, body) {
+  return new Promise((resolve) => {
+    const adminPort = process.env.MAIN_SERVER_PORT || '4000';
+    const req = http.request({ hostname: '127.0.0.1', port: adminPort, path, method: 'POST', headers: { 'Content-Type': 'application/json', 'x-workspace-id': process.env.WORKSPACE_ID || 'default' } }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        try { resolve(JSON.parse(data)); } catch { resolve(null); }
+      });
+    });
+    req.on('error', () => resolve(null));
+    req.end(JSON.stringify(body));
+  });
+}
+
+// Company context the main server needs to start a step's service with the right tags
+const serviceContext = (payload, stepName) => ({
+  companyName: payload.companyName,
+  domain: payload.domain,
+  industryType: payload.industryType,
+  stepName
+});
+
+// Ask the main server to ensure a service is running (it may not have been pre-started); resolves with its port or null
+async function ensureServiceOnMain(stepName, serviceName, payload) {
+  const result = await postToMainServer('/api/admin/ensure-service', { stepName, serviceName, context: serviceContext(payload, stepName) });
+  return result?.port || null;
+}
+
 function createStepService(serviceName, stepName) {
   // Convert stepName to proper service format if needed
   const properServiceName = getServiceNameFromStep(stepName || serviceName);
@@ -153,12 +278,30 @@ function createStepService(serviceName, stepName) {
   createService(properServiceName, (app) => {
     // Add error handling middleware
     app.use(errorHandlingMiddleware(properServiceName));
+
+    // Faults the error plan asked this service to inject, on top of service-runner's request metrics
+    const injectedErrors = app.locals.metrics.counter('bizobs_step_injected_errors', 'Errors injected into this step by the error plan');
+    const injectedLatency = app.locals.metrics.counter('bizobs_step_injected_latency_seconds', 'Latency injected into this step by the error plan');
     
     app.post('/process', async (req, res) => {
       const payload = req.body || {};
       const correlationId = req.correlationId;
       const thinkTimeMs = Number(payload.thinkTimeMs || 200);
       const currentStepName = payload.stepName || stepName;
+      const stepStartedAt = Date.now();
+      // The simulator only sees the head of a chain, so chained services report their own steps
+      const stepEvent = payload.isChained ? {
+        correlationId,
+        parentCorrelationId: payload.parentCorrelationId,
+        journeyId: payload.journeyId,
+        customerId: payload.customerId,
+        companyName: payload.companyName,
+        stepName: currentStepName,
+        stepIndex: payload.stepIndex,
+        serviceName: properServiceName,
+        ...(payload.visit ? { visit: payload.visit, attempt: payload.attempt } : {})
+      } : null;
+      if (stepEvent) reportJourneyEvent('step.entered', stepEvent);
       
       // Process payload to ensure single values for arrays (no flattening, just array simplification)
       const processedPayload = { ...payload };
@@ -206,11 +349,297 @@ function createStepService(serviceName, stepName) {
       // Update the request body with the processed payload
       req.body = processedPayload;
       
+      // --- Chaining logic ---
+      // Next hop: the customer's planned route when the journey has one (graph journeys), else the next entry in steps[]
+      const resolveNextStep = () => {
+        const steps = Array.isArray(payload.steps) ? payload.steps : [];
+        const findStep = (name, service) => steps.find(s => s.stepName === name || s.name === name || (service && s.serviceName === service)) || null;
+
+        if (Array.isArray(payload.route)) {
+          const nextVisit = payload.route[(Number(payload.routeIndex) || 0) + 1];
+          if (!nextVisit) return null;
+          const nextStepData = findStep(nextVisit.stepName);
+          const nextServiceName = nextVisit.serviceName || nextStepData?.serviceName || getServiceNameFromStep(nextVisit.stepName);
+          return { nextStepName: nextVisit.stepName, nextServiceName, nextStepData, nextVisit };
+        }
+
+        const currentIndex = steps.findIndex(s =>
+          (s.stepName === currentStepName) ||
+          (s.name === currentStepName) ||
+          (s.serviceName === properServiceName)
+        );
+        if (currentIndex < 0 || currentIndex >= steps.length - 1) return null;
+        const nextStep = steps[currentIndex + 1];
+        const nextStepName = nextStep ? (nextStep.stepName || nextStep.name) : null;
+        const nextServiceName = nextStep && nextStep.serviceName ? nextStep.serviceName : (nextStepName ? getServiceNameFromStep(nextStepName) : undefined);
+        if (!nextStepName || !nextServiceName) return null;
+        return { nextStepName, nextServiceName, nextStepData: findStep(nextStepName, nextServiceName), nextVisit: null, nextStepIndex: currentIndex + 2 };
+      };
+
+      // "async" on the transition taken (or on the step, for every hop out of it) sends the hop through the message broker
+      const asyncHopTo = (nextStepName) => {
+        const steps = Array.isArray(payload.steps) ? payload.steps : [];
+        const current = steps.find(s => s.stepName === currentStepName || s.name === currentStepName || s.serviceName === properServiceName);
+        const transition = Array.isArray(current?.transitions) ? current.transitions.find(t => t.to === nextStepName && t.async) : null;
+        return transition?.async || current?.async || null;
+      };
+
+      // Publish the next hop instead of calling it: the producer span's traceparent travels in the message headers
+      // and the broker delivers to the next service after the delay, so this step returns without waiting for it
+      const publishHop = async (response, nextPayload, { nextStepName, nextServiceName }, asyncHop, { traceId, spanId }) => {
+        const topic = asyncHop.topic || nextServiceName;
+        const producerSpan = req.span && req.span.telemetry.startSpan(`publish ${topic}`, {
+          kind: 'producer',
+          parent: req.span,
+          attributes: {
+            'messaging.system': 'bizobs-broker',
+            'messaging.operation': 'publish',
+            'messaging.destination.name': topic,
+            'journey.step': currentStepName,
+            'journey.next_step': nextStepName,
+            'journey.correlation_id': correlationId
+          }
+        });
+        const headers = {
+          'x-correlation-id': correlationId,
+          'traceparent': producerSpan ? producerSpan.traceparent() : `00-${traceId.padEnd(32, '0')}-${spanId.padEnd(16, '0')}-01`,
+          'x-dynatrace-trace-id': traceId,
+          'x-dynatrace-parent-span-id': spanId
+        };
+        if (req.headers['tracestate']) headers['tracestate'] = req.headers['tracestate'];
+
+        try {
+          const published = await postToMainServer(`/api/messaging/topics/${encodeURIComponent(topic)}/publish`, {
+            headers,
+            payload: nextPayload,
+            delayMs: asyncHop.delayMs || 0,
+            deliverTo: { stepName: nextStepName, serviceName: nextServiceName, context: serviceContext(payload, nextStepName) }
+          });
+          if (!published?.ok) throw new Error(`Publish to ${topic} failed: ${published?.error || 'message broker unreachable'}`);
+          producerSpan?.setAttribute('messaging.message.id', published.message.id);
+          response.queued = { topic, messageId: published.message.id, stepName: nextStepName, serviceName: nextServiceName, deliverAt: published.message.deliverAt };
+          console.log(`[${properServiceName}] Published hop to ${nextServiceName} on ${topic} (message ${published.message.id})`);
+        } catch (publishError) {
+          producerSpan?.recordError(publishError);
+          throw publishError;
+        } finally {
+          producerSpan?.end();
+        }
+      };
+
+      const chainToNext = async (response, { traceId, spanId, parentSpanId, journeyTrace }) => {
+        const hop = resolveNextStep();
+        if (!hop) return;
+        const { nextStepName, nextServiceName, nextStepData, nextVisit } = hop;
+        // Faults are planned per visit on a route, per step otherwise; never inherit this step's plan
+        const fault = nextVisit || nextStepData || {};
+
+        try {
+          await new Promise(r => setTimeout(r, thinkTimeMs));
+
+          const nextPayload = {
+            ...processedPayload,  // Use flattened payload instead of original
+            stepName: nextStepName,
+            serviceName: nextServiceName,
+            stepIndex: nextVisit?.stepIndex ?? hop.nextStepIndex ?? processedPayload.stepIndex,
+            // Add step-specific fields for the next step
+            stepDescription: nextStepData?.description || '',
+            stepCategory: nextStepData?.category || '',
+            estimatedDuration: nextStepData?.estimatedDuration,
+            businessRationale: nextStepData?.businessRationale,
+            substeps: nextStepData?.substeps,
+            estimatedDurationMs: nextStepData?.estimatedDuration ? nextStepData.estimatedDuration * 60 * 1000 : null,
+            latency: nextStepData?.latency,
+            parallel: nextStepData?.parallel,
+            dependencies: nextStepData?.dependencies,
+            messaging: undefined, // set by the broker when this hop is delivered as a message
+            hasError: fault.hasError === true,
+            errorType: fault.errorType,
+            errorMessage: fault.errorMessage,
+            httpStatus: fault.httpStatus,
+            injectedLatencyMs: fault.injectedLatencyMs || 0,
+            action: 'auto_chained',
+            parentStep: currentStepName,
+            correlationId,
+            journeyId: payload.journeyId,
+            domain: payload.domain,
+            companyName: payload.companyName,
+            thinkTimeMs,
+            steps: payload.steps,
+            route: payload.route,
+            routeIndex: nextVisit ? nextVisit.routeIndex : undefined,
+            visit: nextVisit?.visit,
+            attempt: nextVisit?.attempt,
+            traceId,
+            spanId, // pass as parentSpanId to next
+            journeyTrace
+          };
+
+          // A retry is the same step again, never a queue hop
+          const asyncHop = nextVisit?.attempt > 1 ? null : asyncHopTo(nextStepName);
+          if (asyncHop) {
+            await publishHop(response, nextPayload, hop, asyncHop, { traceId, spanId });
+            return;
+          }
+
+          // Ask main server to ensure next service is running and where it listens
+          const ensuredPort = await ensureServiceOnMain(nextStepName, nextServiceName, payload);
+          
+          // Client span for the hop to the next step (parented by this request's server span)
+          const clientSpan = req.span && req.span.telemetry.startSpan(`POST /process ${nextServiceName}`, {
+            kind: 'client',
+            parent: req.span,
+            attributes: { 'journey.step': currentStepName, 'journey.next_step': nextStepName, 'journey.correlation_id': correlationId }
+          });
+
+          // Build proper trace headers for service-to-service call
+          const traceHeaders = { 
+            'x-correlation-id': correlationId,
+            // W3C Trace Context format
+            'traceparent': clientSpan ? clientSpan.traceparent() : `00-${traceId.padEnd(32, '0')}-${spanId.padEnd(16, '0')}-01`,
+            // Dynatrace specific headers
+            'x-dynatrace-trace-id': traceId,
+            'x-dynatrace-parent-span-id': spanId
+          };
+          
+          // Pass through any incoming trace state
+          if (req.headers['tracestate']) {
+            traceHeaders['tracestate'] = req.headers['tracestate'];
+          }
+          
+          console.log(`[${properServiceName}] Propagating trace to ${nextServiceName}: traceparent=${traceHeaders['traceparent']}`);
+          
+          // Prefer the port the main server reported; the hash mapping only matches services it didn't allocate
+          const nextPort = ensuredPort || getServicePortFromStep(nextServiceName);
+          let next;
+          try {
+            // Ensure next service is listening before calling
+            await waitForServiceReady(nextPort, 5000);
+            next = await callService(nextServiceName, nextPayload, traceHeaders, nextPort);
+            if (next?.status === 'error' || next?.status === 'failed') clientSpan?.setStatus('error', next.error || 'downstream step failed');
+          } catch (callError) {
+            clientSpan?.recordError(callError);
+            throw callError;
+          } finally {
+            clientSpan?.end();
+          }
+          // Bubble up the full downstream trace to the current response; ensure our own span is included once
+          if (next && Array.isArray(next.trace)) {
+            // If our span isn't the last, append ours before adopting
+            const hasCurrent = next.trace.some(s => s.spanId === spanId);
+            response.trace = hasCurrent ? next.trace : [...next.trace, { traceId, spanId, parentSpanId, stepName: currentStepName }];
+          }
+          response.next = next;
+        } catch (e) {
+          response.nextError = e.message;
+          response.nextStepName = nextStepName;
+          console.error(`[${properServiceName}] Error calling next service:`, e.message);
+        }
+      };
+
+      // --- Parallel fan-out ---
+      // Call every branch service concurrently (each hop gets its own client span) and join on all of them.
+      // Branches are leaf calls: they get no steps or route, so they never chain on themselves.
+      const fanOut = async (branches, { traceId, spanId }) => {
+        const startedAt = Date.now();
+        const results = await Promise.all(branches.map(async (definition) => {
+          const branchStepName = definition.stepName || definition.serviceName;
+          const branchServiceName = definition.serviceName || getServiceNameFromStep(branchStepName);
+          const branchStartedAt = Date.now();
+          const hasError = definition.hasError === true || (Number(definition.errorRate) > 0 && Math.random() < Number(definition.errorRate));
+          const branchPayload = {
+            ...processedPayload,
+            stepName: branchStepName,
+            serviceName: branchServiceName,
+            stepDescription: definition.description || '',
+            stepCategory: definition.category || '',
+            estimatedDuration: definition.estimatedDuration,
+            estimatedDurationMs: undefined,
+            businessRationale: undefined,
+            substeps: undefined,
+            latency: definition.latency,
+            parallel: undefined,
+            dependencies: definition.dependencies,
+            hasError,
+            errorType: hasError ? (definition.errorType || 'dependency_failure') : undefined,
+            errorMessage: hasError ? definition.errorMessage : undefined,
+            httpStatus: hasError ? definition.httpStatus : undefined,
+            injectedLatencyMs: 0,
+            action: 'parallel_branch',
+            parentStep: currentStepName,
+            isChained: false,
+            steps: undefined,
+            route: undefined,
+            routeIndex: undefined,
+            correlationId,
+            journeyId: payload.journeyId,
+            traceId,
+            spanId,
+            journeyTrace: undefined
+          };
+
+          const clientSpan = req.span && req.span.telemetry.startSpan(`POST /process ${branchServiceName}`, {
+            kind: 'client',
+            parent: req.span,
+            attributes: { 'journey.step': currentStepName, 'journey.branch': branchStepName, 'journey.correlation_id': correlationId }
+          });
+          const traceHeaders = {
+            'x-correlation-id': correlationId,
+            'traceparent': clientSpan ? clientSpan.traceparent() : `00-${traceId.padEnd(32, '0')}-${spanId.padEnd(16, '0')}-01`,
+            'x-dynatrace-trace-id': traceId,
+            'x-dynatrace-parent-span-id': spanId
+          };
+          if (req.headers['tracestate']) traceHeaders['tracestate'] = req.headers['tracestate'];
+
+          const outcome = { stepName: branchStepName, serviceName: branchServiceName, optional: definition.optional === true };
+          try {
+            const port = (await ensureServiceOnMain(branchStepName, branchServiceName, payload)) || getServicePortFromStep(branchServiceName);
+            await waitForServiceReady(port, 5000);
+            const result = await callService(branchServiceName, branchPayload, traceHeaders, port, PARALLEL_BRANCH_TIMEOUT_MS);
+            const failed = result?.status === 'error' || result?.status === 'failed';
+            if (failed) clientSpan?.setStatus('error', result.error || 'parallel branch failed');
+            Object.assign(outcome, {
+              status: failed ? 'failed' : 'completed',
+              httpStatus: result?.httpStatus || (failed ? 500 : 200),
+              error: failed ? (result.error || 'parallel branch failed') : undefined
+            });
+          } catch (callError) {
+            clientSpan?.recordError(callError);
+            Object.assign(outcome, { status: 'failed', httpStatus: null, error: callError.message });
+          } finally {
+            clientSpan?.end();
+          }
+          outcome.latencyMs = Date.now() - branchStartedAt;
+          return outcome;
+        }));
+
+        const failed = results.filter(r => r.status === 'failed');
+        const summary = {
+          branches: results,
+          succeeded: results.length - failed.length,
+          failed: failed.length,
+          requiredFailed: failed.filter(r => !r.optional).length,
+          durationMs: Date.now() - startedAt
+        };
+        console.log(`[${properServiceName}] Parallel branches joined: ${summary.succeeded}/${results.length} succeeded in ${summary.durationMs}ms`);
+        return summary;
+      };
+
+      // Latency injected by a chaos profile - applied before errors so timeouts and slow failures look real
+      const injectedLatencyMs = Math.min(Math.max(Number(payload.injectedLatencyMs) || 0, 0), MAX_INJECTED_LATENCY_MS);
+
       try {
+        if (injectedLatencyMs > 0) {
+          console.log(`[${properServiceName}] Injecting ${injectedLatencyMs}ms latency`);
+          injectedLatency.inc({ service: properServiceName, step: currentStepName }, injectedLatencyMs / 1000);
+          await new Promise(r => setTimeout(r, injectedLatencyMs));
+        }
+
         // Check for step errors first (both explicit and simulated)
         const stepError = checkForStepError(payload, null); // You can pass error profile here
         if (stepError) {
           console.error(`[${properServiceName}] Step error detected:`, stepError.message);
+          injectedErrors.inc({ service: properServiceName, step: currentStepName, error_type: payload.errorType || 'unknown' });
           throw stepError;
         }
         
@@ -246,7 +675,14 @@ function createStepService(serviceName, stepName) {
           parentSpanId = payload.spanId || null;
         }
         
-        const spanId = generateUUID().slice(0, 16).replace(/-/g, '');
+        let spanId = generateUUID().slice(0, 16).replace(/-/g, '');
+
+        // The runner's server span already joined the inbound trace; use its ids so propagation matches what is exported
+        if (req.span) {
+          traceId = req.span.traceId;
+          parentSpanId = req.span.parentSpanId;
+          spanId = req.span.spanId;
+        }
         
         console.log(`[${properServiceName}] Trace context: traceId=${traceId.substring(0,8)}..., spanId=${spanId.substring(0,8)}..., parentSpanId=${parentSpanId ? parentSpanId.substring(0,8) + '...' : 'none'}`);
         
@@ -289,6 +725,42 @@ function createStepService(serviceName, stepName) {
       const businessRationale = currentStepData?.businessRationale || payload.businessRationale;
       const substeps = currentStepData?.substeps || payload.substeps;
 
+      // A step with parallel branches only completes once they have all returned; a failed required branch fails the step
+      const branches = currentStepData?.parallel || payload.parallel;
+      const parallel = Array.isArray(branches) && branches.length > 0 ? await fanOut(branches, { traceId, spanId }) : null;
+      if (parallel && parallel.requiredFailed > 0) {
+        const branchError = new TracedError(
+          `${parallel.requiredFailed} of ${parallel.branches.length} parallel branches failed: ${parallel.branches.filter(b => b.status === 'failed' && !b.optional).map(b => b.serviceName).join(', ')}`,
+          { 'journey.step': currentStepName, 'service.name': properServiceName, 'error.category': 'parallel_branch_failure' }
+        );
+        branchError.status = 502;
+        branchError.parallel = parallel;
+        throw branchError;
+      }
+
+      // The step's own database and third-party calls, each with its own span, latency and failure roll
+      const stepDependencies = currentStepData?.dependencies || payload.dependencies;
+      const dependencies = Array.isArray(stepDependencies) && stepDependencies.length > 0
+        ? await runDependencies(stepDependencies, {
+          correlationId,
+          companyName: processedPayload.companyName,
+          stepName: currentStepName,
+          serviceName: properServiceName,
+          record: processedPayload.additionalFields || {}
+        }, req.span)
+        : null;
+      if (dependencies && dependencies.requiredFailed > 0) {
+        const failedCalls = dependencies.calls.filter(c => c.status === 'failed' && !c.optional);
+        const dependencyError = new TracedError(
+          `Dependency ${failedCalls[0].name} failed: ${failedCalls[0].error}`,
+          { 'journey.step': currentStepName, 'service.name': properServiceName, 'error.category': 'dependency_failure' }
+        );
+        dependencyError.status = failedCalls[0].type === 'http' ? 502 : 500;
+        dependencyError.dependencies = dependencies;
+        if (parallel) dependencyError.parallel = parallel;
+        throw dependencyError;
+      }
+
       // Log service processing with step-specific details
       console.log(`[${properServiceName}] Processing step with payload:`, JSON.stringify({
         stepName: payload.stepName,
@@ -314,8 +786,9 @@ function createStepService(serviceName, stepName) {
       console.log(`[${properServiceName}] Step-specific substeps:`, payload.subSteps || []);
       console.log(`[${properServiceName}] Journey trace so far:`, JSON.stringify(journeyTrace));
 
-      // Simulate processing with realistic timing
-      const processingTime = Math.floor(Math.random() * 200) + 100; // 100-300ms
+      // Simulate processing with the step's latency model (defaults to 100-300ms)
+      const latencyModel = computeProcessingLatency(currentStepName, currentStepData?.latency || payload.latency, estimatedDuration);
+      const processingTime = latencyModel.totalMs;
 
       const finish = async () => {
         // Generate dynamic metadata based on step name
@@ -329,7 +802,7 @@ function createStepService(serviceName, stepName) {
           'journey.company': processedPayload.companyName || 'unknown',
           'journey.domain': processedPayload.domain || 'unknown',
           'journey.industryType': processedPayload.industryType || 'unknown',
-          'journey.processingTime': processingTime
+          'journey.processingTime': processingTime + injectedLatencyMs
         };
         
         addCustomAttributes(customAttributes);
@@ -344,7 +817,8 @@ function createStepService(serviceName, stepName) {
           service: properServiceName,
           status: 'completed',
           correlationId,
-          processingTime,
+          processingTime: processingTime + injectedLatencyMs,
+          latencyBreakdown: { ...latencyModel, injectedMs: injectedLatencyMs },
           pid: process.pid,
           timestamp: new Date().toISOString(),
           // Include step-specific duration fields from the current step data
@@ -355,7 +829,9 @@ function createStepService(serviceName, stepName) {
           duration: processedPayload.duration,
           substeps: substeps,
           metadata,
-          journeyTrace
+          journeyTrace,
+          ...(parallel ? { parallel } : {}),
+          ...(dependencies ? { dependencies } : {})
         };
 
         // No flattened fields duplication - the processedPayload already contains clean data
@@ -369,115 +845,8 @@ function createStepService(serviceName, stepName) {
         } catch (e) {}
 
 
-        // --- Chaining logic ---
-        let nextStepName = null;
-        let nextServiceName = undefined;
-        if (payload.steps && Array.isArray(payload.steps)) {
-          const currentIndex = payload.steps.findIndex(s =>
-            (s.stepName === currentStepName) ||
-            (s.name === currentStepName) ||
-            (s.serviceName === properServiceName)
-          );
-          if (currentIndex >= 0 && currentIndex < payload.steps.length - 1) {
-            const nextStep = payload.steps[currentIndex + 1];
-            nextStepName = nextStep ? (nextStep.stepName || nextStep.name) : null;
-            nextServiceName = nextStep && nextStep.serviceName ? nextStep.serviceName : (nextStepName ? getServiceNameFromStep(nextStepName) : undefined);
-          } else {
-            nextStepName = null;
-            nextServiceName = undefined;
-          }
-        }
-
-        if (nextStepName && nextServiceName) {
-          try {
-            await new Promise(r => setTimeout(r, thinkTimeMs));
-            // Ask main server to ensure next service is running (in case it wasn't pre-started)
-            try {
-              const adminPort = process.env.MAIN_SERVER_PORT || '4000';
-              await new Promise((resolve) => {
-                const req = http.request({ hostname: '127.0.0.1', port: adminPort, path: '/api/admin/ensure-service', method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => { res.resume(); resolve(); });
-                req.on('error', () => resolve());
-                req.end(JSON.stringify({ 
-                  stepName: nextStepName, 
-                  serviceName: nextServiceName,
-                  context: {
-                    companyName: payload.companyName,
-                    domain: payload.domain,
-                    industryType: payload.industryType,
-                    stepName: nextStepName
-                  }
-                }));
-              });
-            } catch {}
-            // Look up next step's specific data
-            let nextStepData = null;
-            if (payload.steps && Array.isArray(payload.steps)) {
-              nextStepData = payload.steps.find(step => 
-                step.stepName === nextStepName || 
-                step.name === nextStepName ||
-                step.serviceName === nextServiceName
-              );
-            }
-
-            const nextPayload = {
-              ...processedPayload,  // Use flattened payload instead of original
-              stepName: nextStepName,
-              serviceName: nextServiceName,
-              // Add step-specific fields for the next step
-              stepDescription: nextStepData?.description || '',
-              stepCategory: nextStepData?.category || '',
-              estimatedDuration: nextStepData?.estimatedDuration,
-              businessRationale: nextStepData?.businessRationale,
-              substeps: nextStepData?.substeps,
-              estimatedDurationMs: nextStepData?.estimatedDuration ? nextStepData.estimatedDuration * 60 * 1000 : null,
-              action: 'auto_chained',
-              parentStep: currentStepName,
-              correlationId,
-              journeyId: payload.journeyId,
-              domain: payload.domain,
-              companyName: payload.companyName,
-              thinkTimeMs,
-              steps: payload.steps,
-              traceId,
-              spanId, // pass as parentSpanId to next
-              journeyTrace
-            };
-            
-            // Build proper trace headers for service-to-service call
-            const traceHeaders = { 
-              'x-correlation-id': correlationId,
-              // W3C Trace Context format
-              'traceparent': `00-${traceId.padEnd(32, '0')}-${spanId.padEnd(16, '0')}-01`,
-              // Dynatrace specific headers
-              'x-dynatrace-trace-id': traceId,
-              'x-dynatrace-parent-span-id': spanId
-            };
-            
-            // Pass through any incoming trace state
-            if (incomingTraceState) {
-              traceHeaders['tracestate'] = incomingTraceState;
-            }
-            
-            console.log(`[${properServiceName}] Propagating trace to ${nextServiceName}: traceparent=${traceHeaders['traceparent']}`);
-            
-            // Always use serviceName for port mapping
-            const nextPort = getServicePortFromStep(nextServiceName);
-            // Ensure next service is listening before calling
-            await waitForServiceReady(nextPort, 5000);
-            const next = await callService(nextServiceName, nextPayload, traceHeaders, nextPort);
-            // Bubble up the full downstream trace to the current response; ensure our own span is included once
-            if (next && Array.isArray(next.trace)) {
-              const last = next.trace[next.trace.length - 1];
-              // If our span isn't the last, append ours before adopting
-              const hasCurrent = next.trace.some(s => s.spanId === spanId);
-              response.trace = hasCurrent ? next.trace : [...next.trace, { traceId, spanId, parentSpanId, stepName: currentStepName }];
-            }
-            response.next = next;
-          } catch (e) {
-            response.nextError = e.message;
-            console.error(`[${properServiceName}] Error calling next service:`, e.message);
-          }
-        }
+        if (stepEvent) reportJourneyEvent('step.completed', { ...stepEvent, latencyMs: Date.now() - stepStartedAt, httpStatus: 200 });
+        await chainToNext(response, { traceId, spanId, parentSpanId, journeyTrace });
 
         res.json(response);
       };
@@ -549,6 +918,8 @@ function createStepService(serviceName, stepName) {
         traceError: true,
         pid: process.pid,
         httpStatus: httpStatus,
+        ...(error.parallel ? { parallel: error.parallel } : {}),
+        ...(error.dependencies ? { dependencies: error.dependencies } : {}),
         // Add OneAgent-friendly trace failure markers
         _traceInfo: {
           failed: true,
@@ -566,6 +937,27 @@ function createStepService(serviceName, stepName) {
       res.setHeader('x-http-status', httpStatus.toString());
       res.setHeader('x-correlation-id', correlationId);
       
+      if (stepEvent) {
+        reportJourneyEvent('step.failed', {
+          ...stepEvent,
+          latencyMs: Date.now() - stepStartedAt,
+          httpStatus,
+          errorType: payload.errorType || error.constructor.name,
+          error: error.message
+        });
+      }
+
+      // On a planned route the customer carries on after a failure (retry, loop back or next step);
+      // plain step lists still stop at the first error
+      if (Array.isArray(payload.route)) {
+        await chainToNext(errorResponse, {
+          traceId: req.span?.traceId || payload.traceId || crypto.randomUUID().replace(/-/g, ''),
+          spanId: req.span?.spanId || crypto.randomUUID().replace(/-/g, '').slice(0, 16),
+          parentSpanId: req.span?.parentSpanId || payload.spanId || null,
+          journeyTrace
+        });
+      }
+      
       // Return with appropriate HTTP status code
       console.log(`[${properServiceName}] Returning error response with HTTP ${httpStatus}`);
       res.status(httpStatus).json(errorResponse);
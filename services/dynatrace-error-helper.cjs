@@ -3,10 +3,13 @@
  * Ensures exceptions are properly captured and propagated in traces
  */
 
-// Dynatrace API helpers for error reporting
+const { activeSpan } = require('./otlp-exporter.cjs');
+
+// Dynatrace API helpers for error reporting; they also annotate the active OTLP span
 const addCustomAttributes = (attributes) => {
   console.log('[dynatrace] Custom attributes:', attributes);
   // In real Dynatrace environment, this would call dynatrace.addCustomAttributes(attributes)
+  activeSpan()?.setAttributes(attributes);
 };
 
 const reportError = (error, context = {}) => {
@@ -16,6 +19,7 @@ const reportError = (error, context = {}) => {
     context
   });
   // In real Dynatrace environment, this would call dynatrace.reportError(error)
+  activeSpan()?.recordError(error);
 };
 
 const markSpanAsFailed = (error, context = {}) => {
@@ -24,6 +28,7 @@ const markSpanAsFailed = (error, context = {}) => {
     context
   });
   // In real Dynatrace environment, this would mark the current span as failed
+  activeSpan()?.setStatus('error', error.message || String(error));
   addCustomAttributes({
     'error.message': error.message || error,
     'error.type': error.constructor.name || 'Error',
@@ -0,0 +1,355 @@
+import { createRandom } from './seeded-random.js';
+
+/**
+ * Field generators let a journey describe its additionalFields instead of inheriting the
+ * built-in retail defaults. Declared on the journey as `fieldGenerators`:
+ *
+ *   "fieldGenerators": {
+ *     "orderTotal": { "type": "normal", "mean": 120, "sd": 40, "min": 0 },
+ *     "location":   { "type": "weighted", "values": { "London": 3, "Leeds": 1 } },
+ *     "policyId":   { "type": "pattern", "format": "POL-#####" },
+ *     "taxAmount":  "= orderTotal * 0.2"
+ *   }
+ *
+ * Every customer gets its own evaluation; derived fields may reference any other field.
+ */
+
+const GENERATOR_TYPES = ['constant', 'uniform', 'int', 'normal', 'weighted', 'pattern', 'sequence', 'boolean', 'date', 'derived'];
+const FUNCTIONS = {
+  round: (x, decimals = 0) => roundTo(x, decimals),
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ALPHANUMERIC = `${LETTERS}0123456789`;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// "= a * b" is shorthand for { type: 'derived', expr: 'a * b' }; other non-objects are constants
+function normalize(spec) {
+  if (typeof spec === 'string' && spec.trim().startsWith('=')) return { type: 'derived', expr: spec.trim().slice(1) };
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) return { type: 'constant', value: spec };
+  return spec;
+}
+
+// --- Derived field expressions: + - * / %, parentheses, field names and a few functions ---
+
+function tokenize(expr) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_.]*)|(.))/gy;
+  let match;
+  while (pattern.lastIndex < expr.length && (match = pattern.exec(expr))) {
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3] !== undefined && match[3].trim()) {
+      if (!'+-*/%(),'.includes(match[3])) throw new Error(`unexpected "${match[3]}"`);
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a small AST; throws with a readable message on syntax errors
+ */
+export function parseExpression(expr) {
+  const tokens = tokenize(String(expr));
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (value) => {
+    const token = tokens[position];
+    if (!token) throw new Error(value ? `expected "${value}" at end` : 'ends unexpectedly');
+    if (value && token.value !== value) throw new Error(`expected "${value}" but found "${token.value}"`);
+    position++;
+    return token;
+  };
+
+  function primary() {
+    const token = take();
+    if (token.type === 'number') return { kind: 'number', value: token.value };
+    if (token.value === '(') {
+      const inner = additive();
+      take(')');
+      return inner;
+    }
+    if (token.value === '-') return { kind: 'negate', operand: primary() };
+    if (token.type === 'name') {
+      if (peek()?.value !== '(') return { kind: 'ref', name: token.value };
+      if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`unknown function "${token.value}"`);
+      take('(');
+      const args = [];
+      if (peek()?.value !== ')') {
+        args.push(additive());
+        while (peek()?.value === ',') {
+          take(',');
+          args.push(additive());
+        }
+      }
+      take(')');
+      return { kind: 'call', name: token.value, args };
+    }
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  function multiplicative() {
+    let node = primary();
+    while (['*', '/', '%'].includes(peek()?.value)) {
+      node = { kind: 'binary', op: take().value, left: node, right: primary() };
+    }
+    return node;
+  }
+
+  function additive() {
+    let node = multiplicative();
+    while (['+', '-'].includes(peek()?.value)) {
+      node = { kind: 'binary', op: take().value, left: node, right: multiplicative() };
+    }
+    return node;
+  }
+
+  if (tokens.length === 0) throw new Error('is empty');
+  const ast = additive();
+  if (position < tokens.length) throw new Error(`unexpected "${tokens[position].value}"`);
+  return ast;
+}
+
+function collectRefs(node, refs = new Set()) {
+  if (node.kind === 'ref') refs.add(node.name.split('.')[0]);
+  if (node.kind === 'negate') collectRefs(node.operand, refs);
+  if (node.kind === 'binary') { collectRefs(node.left, refs); collectRefs(node.right, refs); }
+  if (node.kind === 'call') node.args.forEach(arg => collectRefs(arg, refs));
+  return refs;
+}
+
+function evaluateAst(node, lookup) {
+  switch (node.kind) {
+    case 'number': return node.value;
+    case 'ref': return Number(lookup(node.name));
+    case 'negate': return -evaluateAst(node.operand, lookup);
+    case 'call': return FUNCTIONS[node.name](...node.args.map(arg => evaluateAst(arg, lookup)));
+    case 'binary': {
+      const left = evaluateAst(node.left, lookup);
+      const right = evaluateAst(node.right, lookup);
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      if (node.op === '/') return left / right;
+      return left % right;
+    }
+    default: return NaN;
+  }
+}
+
+// --- Value generators ---
+
+// Box-Muller; 1 - next() keeps the log argument away from zero
+function sampleNormal(random, mean, sd) {
+  const u1 = 1 - random.next();
+  const u2 = random.next();
+  return mean + sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function weightedEntries(values) {
+  return Array.isArray(values) ? values.map(value => [value, 1]) : Object.entries(values);
+}
+
+function sampleWeighted(random, values) {
+  const entries = weightedEntries(values);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random.next() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// "#" digit, "@" capital letter, "*" letter or digit, "\" escapes the next character
+function samplePattern(random, format) {
+  let out = '';
+  for (let i = 0; i < format.length; i++) {
+    const ch = format[i];
+    if (ch === '\\' && i + 1 < format.length) out += format[++i];
+    else if (ch === '#') out += random.int(0, 9);
+    else if (ch === '@') out += random.pick(LETTERS);
+    else if (ch === '*') out += random.pick(ALPHANUMERIC);
+    else out += ch;
+  }
+  return out;
+}
+
+function clamp(value, spec) {
+  if (isNumber(spec.min)) value = Math.max(spec.min, value);
+  if (isNumber(spec.max)) value = Math.min(spec.max, value);
+  return value;
+}
+
+function generate(spec, { random, customerIndex }) {
+  const decimals = Number.isInteger(spec.decimals) ? spec.decimals : 2;
+  switch (spec.type) {
+    case 'constant': return spec.value;
+    case 'uniform': return roundTo(spec.min + random.next() * (spec.max - spec.min), decimals);
+    case 'int': return random.int(spec.min, spec.max);
+    case 'normal': return roundTo(clamp(sampleNormal(random, spec.mean, spec.sd), spec), decimals);
+    case 'weighted': return sampleWeighted(random, spec.values);
+    case 'pattern': return samplePattern(random, spec.format);
+    case 'sequence': {
+      const value = (spec.start ?? 1) + customerIndex * (spec.step ?? 1);
+      return spec.prefix || spec.suffix ? `${spec.prefix || ''}${value}${spec.suffix || ''}` : value;
+    }
+    case 'boolean': return random.chance(spec.probability ?? 0.5);
+    case 'date': {
+      const daysAgo = random.int(spec.minDaysAgo ?? 0, spec.maxDaysAgo ?? 365);
+      return new Date(random.now() - daysAgo * DAY_MS).toISOString().split('T')[0];
+    }
+    default: return null;
+  }
+}
+
+// --- Validation ---
+
+function validateOne(name, spec, errors) {
+  const fail = message => errors.push({ field: name, message });
+  if (!GENERATOR_TYPES.includes(spec.type)) {
+    return fail(`type must be one of: ${GENERATOR_TYPES.join(', ')}`);
+  }
+  if (spec.decimals !== undefined && !(Number.isInteger(spec.decimals) && spec.decimals >= 0 && spec.decimals <= 10)) {
+    fail('decimals must be an integer between 0 and 10');
+  }
+
+  switch (spec.type) {
+    case 'uniform':
+    case 'int':
+      if (!isNumber(spec.min) || !isNumber(spec.max) || spec.min > spec.max) fail('needs numeric min <= max');
+      else if (spec.type === 'int' && !(Number.isInteger(spec.min) && Number.isInteger(spec.max))) fail('min and max must be integers');
+      break;
+    case 'normal':
+      if (!isNumber(spec.mean)) fail('mean must be a number');
+      if (!isNumber(spec.sd) || spec.sd < 0) fail('sd must be a non-negative number');
+      if (isNumber(spec.min) && isNumber(spec.max) && spec.min > spec.max) fail('min must be <= max');
+      break;
+    case 'weighted': {
+      const values = spec.values;
+      const entries = values && typeof values === 'object' ? weightedEntries(values) : [];
+      if (entries.length === 0) fail('values must be a non-empty array or an object of value -> weight');
+      else if (!entries.every(([, weight]) => isNumber(weight) && weight >= 0) || entries.every(([, weight]) => weight === 0)) {
+        fail('weights must be non-negative numbers and not all zero');
+      }
+      break;
+    }
+    case 'pattern':
+      if (typeof spec.format !== 'string' || !/[#@*]/.test(spec.format)) fail('format must be a string with at least one of # (digit), @ (letter), * (either)');
+      break;
+    case 'sequence':
+      if (spec.start !== undefined && !isNumber(spec.start)) fail('start must be a number');
+      if (spec.step !== undefined && !isNumber(spec.step)) fail('step must be a number');
+      break;
+    case 'boolean':
+      if (spec.probability !== undefined && !(isNumber(spec.probability) && spec.probability >= 0 && spec.probability <= 1)) {
+        fail('probability must be between 0 and 1');
+      }
+      break;
+    case 'date': {
+      const min = spec.minDaysAgo ?? 0;
+      const max = spec.maxDaysAgo ?? 365;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max) fail('needs integer 0 <= minDaysAgo <= maxDaysAgo');
+      break;
+    }
+    case 'derived':
+      try {
+        parseExpression(spec.expr ?? '');
+      } catch (err) {
+        fail(`expr ${err.message}`);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function derivedRefs(specs) {
+  const refs = new Map();
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.type !== 'derived') continue;
+    try {
+      refs.set(name, collectRefs(parseExpression(spec.expr)));
+    } catch {
+      refs.set(name, new Set());
+    }
+  }
+  return refs;
+}
+
+/**
+ * Check a fieldGenerators block. Returns [{ field, message }]; empty when valid.
+ */
+export function validateFieldGenerators(generators) {
+  if (generators === null || typeof generators !== 'object' || Array.isArray(generators)) {
+    return [{ field: null, message: 'must be an object of field name -> generator' }];
+  }
+  const errors = [];
+  const specs = Object.fromEntries(Object.entries(generators).map(([name, spec]) => [name, normalize(spec)]));
+  for (const [name, spec] of Object.entries(specs)) validateOne(name, spec, errors);
+
+  // Derived fields referencing each other must not loop
+  const refs = derivedRefs(specs);
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done' || !refs.has(name)) return;
+    if (state.get(name) === 'visiting') {
+      errors.push({ field: name, message: `circular reference: ${[...trail, name].join(' -> ')}` });
+      return;
+    }
+    state.set(name, 'visiting');
+    for (const ref of refs.get(name)) visit(ref, [...trail, name]);
+    state.set(name, 'done');
+  };
+  for (const name of refs.keys()) visit(name, []);
+  return errors;
+}
+
+/**
+ * Produce one customer's fields. `fields` (already-known values, e.g. from the journey's
+ * additionalFields) are kept and can be referenced; generated values replace them.
+ * Derived fields whose inputs are missing or non-numeric come out as null.
+ */
+export function evaluateFieldGenerators(generators, { random = createRandom(), customerIndex = 0, fields = {} } = {}) {
+  const specs = Object.entries(generators || {}).map(([name, spec]) => [name, normalize(spec)]);
+  const result = { ...(fields || {}) };
+
+  // Plain generators first, in declaration order, so the same seed always consumes draws identically
+  for (const [name, spec] of specs) {
+    if (spec.type !== 'derived') result[name] = generate(spec, { random, customerIndex });
+  }
+
+  // Derived fields resolve their dependencies on demand; removing each before evaluating it stops loops
+  const derived = new Map(specs.filter(([, spec]) => spec.type === 'derived'));
+  const resolve = (name) => {
+    if (derived.has(name)) {
+      const spec = derived.get(name);
+      derived.delete(name);
+      let value = null;
+      try {
+        value = evaluateAst(parseExpression(spec.expr), ref => {
+          const [head, ...path] = ref.split('.');
+          resolve(head);
+          return path.reduce((obj, key) => obj?.[key], result[head]);
+        });
+      } catch {
+        value = NaN;
+      }
+      result[name] = Number.isFinite(value) ? roundTo(value, Number.isInteger(spec.decimals) ? spec.decimals : 2) : null;
+    }
+  };
+  for (const name of [...derived.keys()]) resolve(name);
+  return result;
+}
@@ -0,0 +1,156 @@
+import { runStore } from './run-store.js';
+
+// additionalFields checked, in order, for the value a completed customer is worth
+// (covers the built-in retail fields and every industry pack)
+const REVENUE_FIELDS = [
+  'transactionValue', 'orderTotal', 'bookingValue', 'contractValue', 'annualPremium',
+  'monthlyRecurringRevenue', 'estimatedAnnualCost', 'claimAmount', 'initialDeposit', 'revenue', 'amount'
+];
+const BUCKET_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKET_MS = 31 * BUCKET_UNITS.d;
+export const DEFAULT_BUCKET = '1h';
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const rate = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+
+/**
+ * Revenue a customer represents: `revenueField` if given, else the first numeric REVENUE_FIELDS entry
+ */
+export function revenueOf(fields, revenueField = null) {
+  if (!fields || typeof fields !== 'object') return null;
+  for (const key of revenueField ? [revenueField] : REVENUE_FIELDS) {
+    const value = Number(fields[key]);
+    if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '' && Number.isFinite(value)) return round(value);
+  }
+  return null;
+}
+
+/**
+ * "15m", "1h", "1d" -> milliseconds, or null when malformed or out of range
+ */
+export function parseBucket(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * BUCKET_UNITS[match[2]];
+  return ms > 0 && ms <= MAX_BUCKET_MS ? ms : null;
+}
+
+// Nearest-rank percentile over sorted numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+// The journey's defined steps; runs recorded before journeySteps existed fall back to the steps they visited
+function journeyStepsOf(run) {
+  if (Array.isArray(run.journeySteps) && run.journeySteps.length > 0) return run.journeySteps;
+  return [...new Set((run.steps || []).map(s => s.stepName).filter(Boolean))];
+}
+
+// Where a customer left: the recorded exit step, else the last step visited
+const exitStepOf = run => run.exitStep || (run.steps?.length ? run.steps[run.steps.length - 1].stepName : null);
+
+/**
+ * Funnel for runs of one journey: per step how many customers reached it, conversion from the
+ * previous step and from the start, where non-completing customers left, error rate per visit
+ * and median/p95 step latency; revenue counts completed customers only.
+ */
+export function buildFunnel(runs, journeySteps, { detailed = true } = {}) {
+  const completed = runs.filter(r => r.status === 'completed');
+  const revenues = completed.map(r => r.revenue).filter(Number.isFinite);
+  const totalRevenue = revenues.reduce((sum, v) => sum + v, 0);
+
+  let previousReached = runs.length;
+  const funnel = journeySteps.map((stepName, i) => {
+    const visits = runs.flatMap(r => (r.steps || []).filter(s => s.stepName === stepName));
+    const reached = runs.filter(r => (r.steps || []).some(s => s.stepName === stepName)).length;
+    const stage = {
+      step: stepName,
+      stepIndex: i + 1,
+      reached,
+      conversionFromPrevious: rate(reached, previousReached),
+      conversionFromStart: rate(reached, runs.length)
+    };
+    previousReached = reached;
+    if (!detailed) return stage;
+
+    const droppedOff = runs.filter(r => r.status !== 'completed' && exitStepOf(r) === stepName).length;
+    const errors = visits.filter(s => s.status === 'failed').length;
+    const latencies = visits.map(s => s.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+    return {
+      ...stage,
+      visits: visits.length,
+      droppedOff,
+      dropOffRate: rate(droppedOff, reached),
+      errors,
+      errorRate: rate(errors, visits.length),
+      durationMs: {
+        median: latencies.length ? round(percentile(latencies, 50)) : null,
+        p95: latencies.length ? round(percentile(latencies, 95)) : null
+      }
+    };
+  });
+
+  return {
+    customers: runs.length,
+    completed: completed.length,
+    failed: runs.filter(r => r.status === 'failed').length,
+    abandoned: runs.filter(r => r.status === 'abandoned').length,
+    conversionRate: rate(completed.length, runs.length),
+    revenue: {
+      total: round(totalRevenue),
+      perCompletedCustomer: revenues.length ? round(totalRevenue / revenues.length) : null
+    },
+    funnel
+  };
+}
+
+/**
+ * Funnel analytics over the run history, one entry per company and journey (its ordered step names),
+ * each split into time buckets of `bucketMs` by run start time.
+ * Filters: workspace, company, journey (matches the "Step A → Step B" label), source, from, to.
+ */
+export async function getFunnelAnalytics({ workspace, company, journey, source, from, to, bucketMs = parseBucket(DEFAULT_BUCKET) } = {}) {
+  const runs = await runStore.filter({ workspace, company, source, from, to });
+  const wantedJourney = journey ? String(journey).toLowerCase() : null;
+
+  const groups = new Map(); // "company|label" -> { companyName, steps, runs }
+  let skippedRuns = 0;
+  for (const run of runs) {
+    const steps = journeyStepsOf(run);
+    if (steps.length === 0) {
+      skippedRuns++; // failed before any step ran
+      continue;
+    }
+    const label = steps.join(' → ');
+    if (wantedJourney && label.toLowerCase() !== wantedJourney) continue;
+    const key = `${String(run.companyName).toLowerCase()}|${label}`;
+    if (!groups.has(key)) groups.set(key, { companyName: run.companyName, journey: label, steps, runs: [] });
+    groups.get(key).runs.push(run);
+  }
+
+  const journeys = [...groups.values()].map(group => {
+    const buckets = new Map(); // bucket start -> runs
+    for (const run of group.runs) {
+      const start = Math.floor(Date.parse(run.startedAt) / bucketMs) * bucketMs;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(run);
+    }
+    return {
+      companyName: group.companyName,
+      journey: group.journey,
+      steps: group.steps,
+      ...buildFunnel(group.runs, group.steps),
+      buckets: [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucketRuns]) => ({
+          start: new Date(start).toISOString(),
+          end: new Date(start + bucketMs).toISOString(),
+          ...buildFunnel(bucketRuns, group.steps, { detailed: false })
+        }))
+    };
+  });
+
+  journeys.sort((a, b) => a.companyName.localeCompare(b.companyName) || b.customers - a.customers);
+  return { totalRuns: runs.length, skippedRuns, journeys };
+}
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateFieldGenerators } from './field-generators.js';
+import { validateProfile } from './chaos-profiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'packs');
+const FALLBACK_PACK = 'technology';
+const TIMING_TYPES = ['immediate', 'business', 'customer', 'calendar'];
+const PACK_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// "E-Commerce", "e commerce" and "e_commerce" all resolve the same way
+const normalizeKey = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Industry packs: default steps, substeps, timing patterns, rationales, field generators
+ * and typical error modes for one industry. Built-in packs ship as JSON in /packs;
+ * uploaded packs live in <data>/packs and override a built-in with the same id.
+ */
+class IndustryPackStore {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.uploadDir = path.join(this.dataDir, 'packs');
+    this.builtIns = new Map(); // id -> pack
+    this.packs = new Map(); // id -> pack (uploads win)
+    this._load();
+  }
+
+  _readDir(dir, source) {
+    if (!fs.existsSync(dir)) return [];
+    const packs = [];
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      try {
+        const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        const errors = validatePack(pack);
+        if (errors.length > 0) {
+          console.error(`[industry-packs] Skipping ${file}: ${errors[0]}`);
+          continue;
+        }
+        packs.push({ ...pack, source });
+      } catch (err) {
+        console.error(`[industry-packs] Failed to read ${file}: ${err.message}`);
+      }
+    }
+    return packs;
+  }
+
+  _load() {
+    for (const pack of this._readDir(BUILT_IN_DIR, 'built-in')) {
+      this.builtIns.set(pack.id, pack);
+      this.packs.set(pack.id, pack);
+    }
+    for (const pack of this._readDir(this.uploadDir, 'uploaded')) {
+      this.packs.set(pack.id, pack);
+    }
+    console.log(`[industry-packs] Loaded ${this.packs.size} packs (${this.builtIns.size} built-in)`);
+  }
+
+  // One file per pack, written via a temp file like the other stores
+  _save(pack) {
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    const filePath = path.join(this.uploadDir, `${pack.id}.json`);
+    const { source, ...stored } = pack;
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(stored, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  list() {
+    return Array.from(this.packs.values());
+  }
+
+  get(id) {
+    return id ? this.packs.get(String(id).toLowerCase()) || null : null;
+  }
+
+  /**
+   * Pack for a free-text industry ("Healthcare", "Retail Banking", "e-commerce"):
+   * id, name or alias first, then any of them as a whole word in the text.
+   * Falls back to the technology pack unless `fallback` is null.
+   */
+  resolve(industry, { fallback = FALLBACK_PACK } = {}) {
+    const wanted = normalizeKey(industry);
+    if (wanted) {
+      const keysOf = pack => [pack.id, pack.name, ...(pack.aliases || [])].map(normalizeKey).filter(Boolean);
+      const packs = this.list();
+      const exact = packs.find(pack => keysOf(pack).includes(wanted));
+      if (exact) return exact;
+      const padded = ` ${wanted} `;
+      const partial = packs.find(pack => keysOf(pack).some(key => padded.includes(` ${key} `)));
+      if (partial) return partial;
+    }
+    return fallback ? this.get(fallback) : null;
+  }
+
+  /**
+   * Create or replace an uploaded pack. Returns { pack, created } or { errors } when invalid.
+   */
+  upsert(input, { mustNotExist = false } = {}) {
+    const errors = validatePack(input);
+    if (errors.length > 0) return { errors };
+
+    const existing = this.packs.get(input.id);
+    if (mustNotExist && existing) {
+      return { errors: [`Pack "${input.id}" already exists`], conflict: true };
+    }
+
+    const now = new Date().toISOString();
+    const pack = {
+      ...input,
+      source: 'uploaded',
+      overrides: this.builtIns.has(input.id) || undefined,
+      createdAt: existing?.source === 'uploaded' ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this._save(pack);
+    this.packs.set(pack.id, pack);
+    console.log(`[industry-packs] ${existing ? 'Updated' : 'Created'} pack "${pack.id}"`);
+    return { pack, created: !existing };
+  }
+
+  /**
+   * Delete an uploaded pack; a built-in with the same id takes its place again.
+   * Returns { removed, restored } or { builtIn: true } for packs that only exist built-in, null if unknown.
+   */
+  remove(id) {
+    const key = String(id).toLowerCase();
+    const pack = this.packs.get(key);
+    if (!pack) return null;
+    if (pack.source !== 'uploaded') return { builtIn: true };
+
+    fs.rmSync(path.join(this.uploadDir, `${key}.json`), { force: true });
+    const builtIn = this.builtIns.get(key);
+    if (builtIn) this.packs.set(key, builtIn);
+    else this.packs.delete(key);
+    console.log(`[industry-packs] Deleted pack "${key}"${builtIn ? ' (built-in restored)' : ''}`);
+    return { removed: key, restored: !!builtIn };
+  }
+
+  /**
+   * The pack's error modes as a chaos profile ("pack-<id>"), one rule per mode
+   */
+  toChaosProfile(pack) {
+    return {
+      name: `pack-${pack.id}`,
+      description: `Typical ${pack.name} error modes`,
+      companies: [],
+      errorRate: 0,
+      rules: pack.errorModes || []
+    };
+  }
+}
+
+function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['Pack must be a JSON object'];
+  if (typeof pack.id !== 'string' || !PACK_ID.test(pack.id)) {
+    errors.push('id is required (lower-case letters, numbers and "-", max 64 chars)');
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) errors.push('name is required');
+  if (pack.aliases !== undefined && !(Array.isArray(pack.aliases) && pack.aliases.every(a => typeof a === 'string'))) {
+    errors.push('aliases must be an array of strings');
+  }
+
+  if (!Array.isArray(pack.steps) || pack.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+  } else {
+    pack.steps.forEach((step, i) => {
+      const label = `steps[${i}]`;
+      if (!step || typeof step.stepName !== 'string' || !step.stepName.trim()) errors.push(`${label}.stepName is required`);
+      if (step?.businessRationale !== undefined && typeof step.businessRationale !== 'string') {
+        errors.push(`${label}.businessRationale must be a string`);
+      }
+      if (step?.substeps !== undefined && !(Array.isArray(step.substeps) && step.substeps.every(s => typeof s === 'string' && s.trim()))) {
+        errors.push(`${label}.substeps must be an array of substep names`);
+      }
+    });
+  }
+
+  if (pack.timingPatterns !== undefined) {
+    if (!pack.timingPatterns || typeof pack.timingPatterns !== 'object' || Array.isArray(pack.timingPatterns)) {
+      errors.push('timingPatterns must be an object keyed by step name');
+    } else {
+      for (const [stepName, timing] of Object.entries(pack.timingPatterns)) {
+        const label = `timingPatterns["${stepName}"]`;
+        if (!(timing?.min >= 0) || !(timing?.max >= timing?.min)) errors.push(`${label} needs minutes with 0 <= min <= max`);
+        if (timing?.type !== undefined && !TIMING_TYPES.includes(timing.type)) {
+          errors.push(`${label}.type must be one of ${TIMING_TYPES.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  if (pack.stepMetadata !== undefined && (typeof pack.stepMetadata !== 'object' || Array.isArray(pack.stepMetadata))) {
+    errors.push('stepMetadata must be an object');
+  }
+
+  if (pack.fieldGenerators !== undefined) {
+    for (const { field, message } of validateFieldGenerators(pack.fieldGenerators)) {
+      errors.push(`fieldGenerators${field ? `.${field}` : ''} ${message}`);
+    }
+  }
+
+  // Error modes are chaos-profile rules, so they get the same checks
+  if (pack.errorModes !== undefined) {
+    if (!Array.isArray(pack.errorModes)) {
+      errors.push('errorModes must be an array');
+    } else {
+      for (const message of validateProfile({ name: 'pack', rules: pack.errorModes })) {
+        errors.push(message.replace(/^rules\[/, 'errorModes['));
+      }
+    }
+  }
+  return errors;
+}
+
+// Export singleton instance
+export const industryPacks = new IndustryPackStore();
+export default industryPacks;
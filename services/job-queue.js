@@ -0,0 +1,219 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { currentWorkspace } from './workspaces.js';
+
+const MAX_RETAINED_JOBS = 200;
+const MAX_SAMPLE_RESULTS = 20;
+const MAX_RECORDED_ERRORS = 20;
+const PROGRESS_EMIT_INTERVAL_MS = 500;
+const MAX_CONCURRENCY = 50;
+
+/**
+ * Background job engine for bulk journey simulation.
+ * Each job fans its work items out over a bounded pool of workers and
+ * paces item starts to a configurable rate so child services are never flooded.
+ * Jobs belong to the workspace that created them.
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map(); // id -> job
+    this.defaultConcurrency = parseInt(process.env.SIMULATION_JOB_CONCURRENCY || '5');
+    this.defaultRatePerSecond = parseFloat(process.env.SIMULATION_JOB_RATE || '5');
+    this.maxItems = parseInt(process.env.SIMULATION_MAX_CUSTOMERS || '10000');
+  }
+
+  /**
+   * Create and immediately start a job. `worker(index)` runs once per item and
+   * should resolve to an object with a `status` of 'completed' or 'failed'.
+   */
+  createJob({ type, total, concurrency, ratePerSecond, meta = {}, prepare = null, worker }) {
+    const job = {
+      id: randomUUID(),
+      workspace: currentWorkspace(),
+      type,
+      status: 'queued',
+      total,
+      completed: 0,
+      failed: 0,
+      inFlight: 0,
+      concurrency: Math.max(1, Math.min(Number(concurrency) || this.defaultConcurrency, MAX_CONCURRENCY)),
+      ratePerSecond: Math.max(0, Number(ratePerSecond ?? this.defaultRatePerSecond) || 0),
+      meta,
+      samples: [],
+      errors: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false,
+      lastEmit: 0
+    };
+
+    this.jobs.set(job.id, job);
+    this._prune();
+
+    this._run(job, prepare, worker).catch(err => {
+      job.status = 'failed';
+      job.error = err.message;
+      job.finishedAt = new Date().toISOString();
+      console.error(`[job-queue] Job ${job.id} failed: ${err.message}`);
+      this.emit('jobFinished', this.serialize(job));
+    });
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Run the job: optional one-off preparation, then paced workers
+   */
+  async _run(job, prepare, worker) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[job-queue] Starting ${job.type} job ${job.id}: ${job.total} items, concurrency ${job.concurrency}, ${job.ratePerSecond || 'unlimited'}/sec`);
+    this.emit('jobProgress', this.serialize(job));
+
+    if (prepare) await prepare();
+
+    const interval = job.ratePerSecond > 0 ? 1000 / job.ratePerSecond : 0;
+    let nextIndex = 0;
+    let nextStartAt = Date.now();
+
+    // Hand out item indexes in order, spacing their start times by the configured rate
+    const takeSlot = async () => {
+      if (job.cancelRequested || nextIndex >= job.total) return null;
+      const index = nextIndex++;
+      const wait = nextStartAt - Date.now();
+      nextStartAt = Math.max(nextStartAt, Date.now()) + interval;
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      return job.cancelRequested ? null : index;
+    };
+
+    const lane = async () => {
+      let index;
+      while ((index = await takeSlot()) !== null) {
+        job.inFlight++;
+        try {
+          const result = await worker(index);
+          if (result?.status === 'failed') {
+            job.failed++;
+            if (result.error && job.errors.length < MAX_RECORDED_ERRORS) job.errors.push({ index: index + 1, error: result.error });
+          } else {
+            job.completed++;
+          }
+          if (job.samples.length < MAX_SAMPLE_RESULTS) job.samples.push(result);
+        } catch (err) {
+          job.failed++;
+          if (job.errors.length < MAX_RECORDED_ERRORS) job.errors.push({ index: index + 1, error: err.message });
+        } finally {
+          job.inFlight--;
+          this._emitProgress(job);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(job.concurrency, job.total) }, lane));
+
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    job.finishedAt = new Date().toISOString();
+    console.log(`[job-queue] Job ${job.id} ${job.status}: ${job.completed} completed, ${job.failed} failed`);
+    this.emit('jobFinished', this.serialize(job));
+  }
+
+  // Progress fires per item, so throttle what we push to listeners
+  _emitProgress(job) {
+    const now = Date.now();
+    if (now - job.lastEmit < PROGRESS_EMIT_INTERVAL_MS) return;
+    job.lastEmit = now;
+    this.emit('jobProgress', this.serialize(job));
+  }
+
+  /**
+   * Request cancellation; in-flight items finish, no new items start
+   */
+  cancel(id, workspace = null) {
+    const job = this._find(id, workspace);
+    if (!job) return null;
+    if (job.status === 'queued' || job.status === 'running') {
+      job.cancelRequested = true;
+    }
+    return this.serialize(job);
+  }
+
+  // A job by id; jobs of another workspace than `workspace` (when given) are not found
+  _find(id, workspace = null) {
+    const job = this.jobs.get(id);
+    return job && (!workspace || job.workspace === workspace) ? job : null;
+  }
+
+  get(id, workspace = null) {
+    const job = this._find(id, workspace);
+    return job ? this.serialize(job) : null;
+  }
+
+  list(workspace = null) {
+    return Array.from(this.jobs.values()).filter(job => !workspace || job.workspace === workspace).reverse().map(job => {
+      const { samples, errors, ...summary } = this.serialize(job);
+      return summary;
+    });
+  }
+
+  serialize(job) {
+    const processed = job.completed + job.failed;
+    return {
+      id: job.id,
+      workspace: job.workspace,
+      type: job.type,
+      status: job.status,
+      total: job.total,
+      processed,
+      completed: job.completed,
+      failed: job.failed,
+      inFlight: job.inFlight,
+      progress: job.total > 0 ? Math.round((processed / job.total) * 1000) / 10 : 100,
+      concurrency: job.concurrency,
+      ratePerSecond: job.ratePerSecond,
+      cancelRequested: job.cancelRequested,
+      meta: job.meta,
+      error: job.error || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      samples: job.samples,
+      errors: job.errors
+    };
+  }
+
+  // Drop the oldest finished jobs once we hold more than we want to report on
+  _prune() {
+    if (this.jobs.size <= MAX_RETAINED_JOBS) return;
+    for (const [id, job] of this.jobs.entries()) {
+      if (this.jobs.size <= MAX_RETAINED_JOBS) break;
+      if (job.finishedAt) this.jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Errors for the `concurrency` / `ratePerSecond` options of a job request, or null when they are
+ * absent or valid. A rate of 0 means unlimited.
+ */
+export function checkJobOptions({ concurrency, ratePerSecond } = {}) {
+  const numeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+  if (concurrency !== undefined && concurrency !== null) {
+    const value = numeric(concurrency);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CONCURRENCY) {
+      return { ok: false, error: `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}` };
+    }
+  }
+  if (ratePerSecond !== undefined && ratePerSecond !== null) {
+    const value = numeric(ratePerSecond);
+    if (!Number.isFinite(value) || value < 0) {
+      return { ok: false, error: 'ratePerSecond must be a number of 0 or more (0 = unlimited)' };
+    }
+  }
+  return null;
+}
+
+// Export singleton instance
+export const jobQueue = new JobQueue();
+export default jobQueue;
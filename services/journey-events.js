@@ -0,0 +1,95 @@
+import { EventEmitter } from 'events';
+import { runStore } from './run-store.js';
+import { serviceEvents } from './service-manager.js';
+import { circuitBreakers } from './circuit-breakers.js';
+import { currentWorkspace } from './workspaces.js';
+
+const MAX_TRACKED_RUNS = 200;
+const MAX_EVENTS_PER_RUN = 500;
+
+export const EVENT_TYPES = [
+  'journey.started', 'journey.completed',
+  'step.entered', 'step.completed', 'step.failed',
+  'service.spawned', 'service.stopped',
+  'breaker.transition'
+];
+
+/**
+ * Live event stream for the journey visualization. Journey and step events carry the
+ * customer's correlationId (and parentCorrelationId when one request runs many customers)
+ * so clients can follow a single run; service and breaker events have no correlationId.
+ * Every event carries the workspace it happened in.
+ * Emits 'event' for every published event; the last events of recent runs are kept
+ * so a client that subscribes mid-run can catch up.
+ */
+class JourneyEventStream extends EventEmitter {
+  constructor() {
+    super();
+    this.seq = 0;
+    this.history = new Map(); // correlationId -> events, oldest run first
+  }
+
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      console.error(`[journey-events] Ignoring unknown event type "${type}"`);
+      return null;
+    }
+    const event = { type, seq: ++this.seq, timestamp: new Date().toISOString(), workspace: currentWorkspace(), correlationId: null, ...data };
+    for (const id of runIdsOf(event)) this._remember(id, event);
+    try {
+      this.emit('event', event);
+    } catch (err) {
+      console.error(`[journey-events] An 'event' listener failed: ${err.message}`);
+    }
+    return event;
+  }
+
+  _remember(id, event) {
+    let events = this.history.get(id);
+    if (!events) {
+      events = [];
+      this.history.set(id, events);
+      if (this.history.size > MAX_TRACKED_RUNS) this.history.delete(this.history.keys().next().value);
+    }
+    events.push(event);
+    if (events.length > MAX_EVENTS_PER_RUN) events.shift();
+  }
+
+  // Events already published for a run (a customer's correlationId or the request's)
+  recent(correlationId) {
+    return this.history.get(correlationId) || [];
+  }
+}
+
+// The ids a client can subscribe to for this event: the customer's and the request's
+export function runIdsOf(event) {
+  return [...new Set([event.correlationId, event.parentCorrelationId].filter(Boolean))];
+}
+
+// Export singleton instance
+export const journeyEvents = new JourneyEventStream();
+export default journeyEvents;
+
+// Every finished journey lands in the run store, whichever route ran it
+runStore.on('recorded', (run) => {
+  if (!run.correlationId) return;
+  journeyEvents.publish('journey.completed', {
+    workspace: run.workspace,
+    correlationId: run.correlationId,
+    parentCorrelationId: run.parentCorrelationId || undefined,
+    journeyId: run.journeyId,
+    customerId: run.customerId,
+    source: run.source,
+    companyName: run.companyName,
+    status: run.status,
+    exitStep: run.exitStep,
+    completedSteps: run.completedSteps,
+    failedSteps: run.failedSteps,
+    durationMs: run.durationMs,
+    error: run.error
+  });
+});
+
+serviceEvents.on('spawned', (service) => journeyEvents.publish('service.spawned', service));
+serviceEvents.on('stopped', (service) => journeyEvents.publish('service.stopped', service));
+circuitBreakers.on('transition', (transition) => journeyEvents.publish('breaker.transition', transition));
@@ -0,0 +1,199 @@
+/**
+ * Journeys as graphs. Any step may add:
+ *
+ *   "transitions":    [{ "to": "Checkout", "weight": 7 }, { "to": "Product Search", "weight": 2 }, { "to": "$abandon", "weight": 1 }]
+ *   "abandonRate":    0.15                                  // chance the customer drops off after this step
+ *   "abandonOnError": 0.5                                   // chance a failed (and not retried) step ends the journey
+ *   "retry":          { "probability": 0.8, "maxAttempts": 3 } // failed steps are tried again
+ *   "maxVisits":      3                                     // cap on loop-backs into this step
+ *   "terminal":       true                                  // journey completes here
+ *   "async":          { "delayMs": 2000, "topic": "orders" }   // (also per transition) chained hops go through the message broker
+ *
+ * Steps without transitions continue to the next step in the array, so a plain linear
+ * journey plans exactly one visit per step, as before.
+ */
+
+export const COMPLETE = '$complete';
+export const ABANDON = '$abandon';
+const DEFAULT_MAX_VISITS = 3;
+const DEFAULT_MAX_ATTEMPTS = 2;
+const HOPS_PER_STEP = 4;
+const MAX_RETRY_ATTEMPTS = 10;
+
+const stepNameOf = step => step?.stepName || step?.name || null;
+const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * True when any step uses graph features; linear journeys keep their original behaviour
+ */
+export function isGraphJourney(steps) {
+  return Array.isArray(steps) && steps.some(step => step && (
+    Array.isArray(step.transitions) || step.abandonRate !== undefined || step.abandonOnError !== undefined ||
+    step.retry !== undefined || step.terminal === true
+  ));
+}
+
+/**
+ * Semantic checks the JSON Schema can't express. Returns { errors, warnings } with JSON Pointer paths.
+ */
+export function validateGraph(steps) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(steps)) return { errors, warnings };
+  const names = new Set(steps.map(stepNameOf).filter(Boolean));
+
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object') return;
+    const at = `/steps/${i}`;
+    if (step.abandonRate !== undefined && !isRate(step.abandonRate)) errors.push({ path: `${at}/abandonRate`, message: 'must be between 0 and 1' });
+    if (step.abandonOnError !== undefined && !isRate(step.abandonOnError)) errors.push({ path: `${at}/abandonOnError`, message: 'must be between 0 and 1' });
+    if (step.retry !== undefined) {
+      if (!step.retry || typeof step.retry !== 'object') {
+        errors.push({ path: `${at}/retry`, message: 'must be an object like { "probability": 0.8, "maxAttempts": 3 }' });
+      } else {
+        if (step.retry.probability !== undefined && !isRate(step.retry.probability)) errors.push({ path: `${at}/retry/probability`, message: 'must be between 0 and 1' });
+        if (step.retry.maxAttempts !== undefined && !(Number.isInteger(step.retry.maxAttempts) && step.retry.maxAttempts >= 1 && step.retry.maxAttempts <= MAX_RETRY_ATTEMPTS)) {
+          errors.push({ path: `${at}/retry/maxAttempts`, message: `must be an integer from 1 to ${MAX_RETRY_ATTEMPTS}` });
+        }
+      }
+    }
+    if (step.maxVisits !== undefined && !(Number.isInteger(step.maxVisits) && step.maxVisits >= 1)) {
+      errors.push({ path: `${at}/maxVisits`, message: 'must be a positive integer' });
+    }
+
+    if (step.transitions === undefined) return;
+    if (!Array.isArray(step.transitions) || step.transitions.length === 0) {
+      errors.push({ path: `${at}/transitions`, message: 'must be a non-empty array of { to, weight }' });
+      return;
+    }
+    let total = 0;
+    step.transitions.forEach((transition, j) => {
+      const tat = `${at}/transitions/${j}`;
+      if (!transition || typeof transition.to !== 'string') {
+        errors.push({ path: `${tat}/to`, message: 'is required' });
+        return;
+      }
+      if (transition.to !== COMPLETE && transition.to !== ABANDON && !names.has(transition.to)) {
+        errors.push({ path: `${tat}/to`, message: `"${transition.to}" is not a step name, "${COMPLETE}" or "${ABANDON}"` });
+      }
+      const weight = transition.weight ?? 1;
+      if (typeof weight !== 'number' || !(weight >= 0)) errors.push({ path: `${tat}/weight`, message: 'must be a non-negative number' });
+      else total += weight;
+    });
+    if (total === 0 && !errors.some(e => e.path.startsWith(`${at}/transitions`))) {
+      errors.push({ path: `${at}/transitions`, message: 'weights must not all be zero' });
+    }
+  });
+
+  // Steps no path can reach are almost always a typo in a transition target
+  if (errors.length === 0 && isGraphJourney(steps)) {
+    const reachable = new Set();
+    const queue = [0];
+    while (queue.length > 0) {
+      const index = queue.shift();
+      if (reachable.has(index) || !steps[index]) continue;
+      reachable.add(index);
+      for (const target of successors(steps, index)) {
+        const next = steps.findIndex(s => stepNameOf(s) === target);
+        if (next >= 0) queue.push(next);
+      }
+    }
+    steps.forEach((step, i) => {
+      if (!reachable.has(i)) warnings.push({ path: `/steps/${i}`, message: 'is not reachable from the first step' });
+    });
+  }
+  return { errors, warnings };
+}
+
+// Possible targets after a step: its transitions, else the next step in the array (or completion)
+function successors(steps, index) {
+  const step = steps[index];
+  if (step?.terminal === true) return [COMPLETE];
+  if (Array.isArray(step?.transitions)) return step.transitions.map(t => t.to);
+  return [index + 1 < steps.length ? stepNameOf(steps[index + 1]) : COMPLETE];
+}
+
+function pickTransition(step, index, steps, random, isSaturated) {
+  if (!Array.isArray(step.transitions)) return successors(steps, index)[0];
+
+  // maxVisits caps loops, so saturated targets drop out of the draw
+  const candidates = step.transitions
+    .map(t => ({ to: t.to, weight: t.weight ?? 1 }))
+    .filter(({ to, weight }) => weight > 0 && (to === COMPLETE || to === ABANDON || (steps.some(s => stepNameOf(s) === to) && !isSaturated(to))));
+  if (candidates.length === 0) {
+    // Every target is used up: fall through to the next step in the array, else finish
+    return steps[index + 1] ? stepNameOf(steps[index + 1]) : COMPLETE;
+  }
+  const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+  let roll = random() * total;
+  for (const candidate of candidates) {
+    roll -= candidate.weight;
+    if (roll < 0) return candidate.to;
+  }
+  return candidates[candidates.length - 1].to;
+}
+
+/**
+ * Walk the graph for one customer. `random` is a () => [0, 1) function for the routing rolls;
+ * `planVisit(step, { stepIndex, routeIndex, visit, attempt })` returns that visit's fault plan
+ * ({ hasError, errorType, httpStatus, ... }), which also drives retries and abandon-on-error.
+ *
+ * Returns { visits: [{ stepName, serviceName, stepIndex, routeIndex, visit, attempt, ...plan }], outcome, exitStep, reason }
+ * where outcome is "completed" or "abandoned".
+ */
+export function planRoute(steps, { random = Math.random, planVisit = () => ({ hasError: false }), maxHops } = {}) {
+  const visits = [];
+  const visitCounts = new Map();
+  const hopLimit = maxHops || Math.max(steps.length * HOPS_PER_STEP, 1);
+  const maxVisitsOf = name => steps.find(s => stepNameOf(s) === name)?.maxVisits || DEFAULT_MAX_VISITS;
+  const isSaturated = name => (visitCounts.get(name) || 0) >= maxVisitsOf(name);
+  const finish = (outcome, reason) => ({
+    visits,
+    outcome,
+    exitStep: visits.length > 0 ? visits[visits.length - 1].stepName : null,
+    reason
+  });
+
+  if (steps.length === 0) return finish('completed', 'empty');
+
+  let index = 0;
+  let attempt = 1;
+  while (true) {
+    if (visits.length >= hopLimit) return finish('abandoned', 'max_hops');
+
+    const step = steps[index];
+    const stepName = stepNameOf(step);
+    if (attempt === 1) visitCounts.set(stepName, (visitCounts.get(stepName) || 0) + 1);
+    const plan = planVisit(step, { stepIndex: index + 1, routeIndex: visits.length, visit: visitCounts.get(stepName), attempt }) || { hasError: false };
+    visits.push({ ...plan, stepName, serviceName: step.serviceName, stepIndex: index + 1, routeIndex: visits.length, visit: visitCounts.get(stepName), attempt });
+
+    if (plan.hasError) {
+      const retry = step.retry;
+      if (retry && attempt < (retry.maxAttempts ?? DEFAULT_MAX_ATTEMPTS) && random() < (retry.probability ?? 1)) {
+        attempt++;
+        continue;
+      }
+      if (step.abandonOnError && random() < step.abandonOnError) return finish('abandoned', 'error');
+    }
+    attempt = 1;
+
+    if (step.terminal === true) return finish('completed', 'terminal');
+    if (step.abandonRate && random() < step.abandonRate) return finish('abandoned', 'dropped_off');
+
+    const target = pickTransition(step, index, steps, random, isSaturated);
+    if (target === COMPLETE) return finish('completed', index === steps.length - 1 ? 'last_step' : 'transition');
+    if (target === ABANDON) return finish('abandoned', 'transition');
+    index = steps.findIndex(s => stepNameOf(s) === target);
+  }
+}
+
+/**
+ * Journey status from a planned route and the per-visit results:
+ * abandoned, failed when any step's last visit failed, otherwise completed
+ */
+export function routeStatus(route, results) {
+  if (route.outcome === 'abandoned') return 'abandoned';
+  const lastByStep = new Map();
+  results.forEach(result => lastByStep.set(result.stepName, result));
+  return [...lastByStep.values()].some(result => result.status === 'failed') ? 'failed' : 'completed';
+}
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { validateFieldGenerators } from './field-generators.js';
+import { validateGraph } from './journey-graph.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+export const CURRENT_SCHEMA_VERSION = '1.0';
+const SCHEMAS = {
+  '1.0': JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'journey-1.0.schema.json'), 'utf-8'))
+};
+
+// Longest journey the simulate routes, the step router and LoadRunner accept; longer ones are rejected, not truncated
+export const MAX_JOURNEY_STEPS = Math.max(1, parseInt(process.env.MAX_JOURNEY_STEPS) || 50);
+const DURATION_TOLERANCE_MINUTES = 1;
+
+// The published schemas carry the configured step limit
+for (const schema of Object.values(SCHEMAS)) schema.properties.steps.maxItems = MAX_JOURNEY_STEPS;
+
+// Database dependencies run on node:sqlite in the step services (same runtime as this server)
+const SQLITE_NODE_VERSION = '22.13';
+let sqliteAvailable;
+function hasSqlite() {
+  if (sqliteAvailable === undefined) {
+    try {
+      createRequire(import.meta.url)('node:sqlite');
+      sqliteAvailable = true;
+    } catch {
+      sqliteAvailable = false;
+    }
+  }
+  return sqliteAvailable;
+}
+
+// Errors for database dependencies when this runtime can't run them
+function checkDependencyRuntime(steps, errors) {
+  if (!Array.isArray(steps) || hasSqlite()) return;
+  const message = `database dependencies need node:sqlite (Node ${SQLITE_NODE_VERSION} or later); this server runs Node ${process.versions.node}`;
+  const check = (dependencies, at) => {
+    if (!Array.isArray(dependencies)) return;
+    dependencies.forEach((dependency, k) => {
+      if (dependency?.type === 'database') errors.push({ path: `${at}/dependencies/${k}`, keyword: 'runtime', message });
+    });
+  };
+  steps.forEach((step, i) => {
+    check(step?.dependencies, `/steps/${i}`);
+    if (Array.isArray(step?.parallel)) step.parallel.forEach((branch, j) => check(branch?.dependencies, `/steps/${i}/parallel/${j}`));
+  });
+}
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+const pointer = (base, key) => `${base}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Check `value` against the subset of JSON Schema our journey schemas use:
+ * type, enum, required, properties, items, min/maxItems, min/maxLength, pattern,
+ * minimum/maximum, format (date-time), anyOf and local $ref.
+ */
+function checkNode(value, schema, root, at, errors) {
+  if (schema.$ref) return checkNode(value, resolveRef(root, schema.$ref), root, at, errors);
+
+  const fail = (keyword, message) => errors.push({ path: at || '/', keyword, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return fail('type', `must be ${schema.type}, got ${typeOf(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !(ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+      fail('format', 'must be an ISO 8601 date-time, e.g. 2025-01-01T10:00:00.000Z');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkNode(item, schema.items, root, pointer(at, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: pointer(at, key), keyword: 'required', message: 'is required' });
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) checkNode(value[key], propSchema, root, pointer(at, key), errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(option => {
+      const optionErrors = [];
+      checkNode(value, option, root, at, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!passes) {
+      const alternatives = schema.anyOf.map(option => option.required?.join('+') || 'alternative').join(' or ');
+      fail('anyOf', `must have ${alternatives}`);
+    }
+  }
+}
+
+/**
+ * Things that are valid but will surprise the caller at simulation time
+ */
+function collectWarnings(journey) {
+  const warnings = [];
+  const warn = (at, message) => warnings.push({ path: at, message });
+  const steps = Array.isArray(journey.steps) ? journey.steps : [];
+
+  if (!journey.domain) warn('/domain', 'is missing; simulations will use "default.com"');
+  if (!journey.industryType) warn('/industryType', 'is missing; simulations will use "general"');
+
+  const seenNames = new Map();
+  let previousTime = null;
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object') return;
+    const at = `/steps/${i}`;
+    const name = step.stepName || step.name;
+
+    if (!step.stepName && step.name) warn(`${at}/name`, 'legacy alias; use stepName');
+    if (!step.serviceName) warn(`${at}/serviceName`, 'is missing; a service name will be generated from the step name');
+    if (step.stepIndex !== undefined && step.stepIndex !== i + 1) warn(`${at}/stepIndex`, `is ${step.stepIndex}, expected ${i + 1}`);
+    if (name) {
+      if (seenNames.has(name)) warn(`${at}/stepName`, `duplicates /steps/${seenNames.get(name)}; both map to the same service`);
+      else seenNames.set(name, i);
+    }
+
+    if (step.estimatedDuration === undefined) warn(`${at}/estimatedDuration`, 'is missing; default step latency will be used');
+    if (step.timestamp === undefined) {
+      warn(`${at}/timestamp`, 'is missing; timestamps will be generated');
+    } else {
+      const time = Date.parse(step.timestamp);
+      if (previousTime !== null && time < previousTime) warn(`${at}/timestamp`, 'is earlier than the previous step');
+      if (!Number.isNaN(time)) previousTime = time;
+    }
+
+    if (Array.isArray(step.substeps) && step.substeps.length > 0 && typeof step.estimatedDuration === 'number') {
+      const total = step.substeps.reduce((sum, s) => sum + (typeof s?.duration === 'number' ? s.duration : 0), 0);
+      if (total > 0 && Math.abs(total - step.estimatedDuration) > DURATION_TOLERANCE_MINUTES) {
+        warn(`${at}/substeps`, `durations add up to ${total}, but estimatedDuration is ${step.estimatedDuration}`);
+      }
+    }
+
+    if (Array.isArray(step.parallel)) {
+      const branchServices = new Map();
+      step.parallel.forEach((branch, j) => {
+        const service = branch?.serviceName || branch?.stepName;
+        if (!service) return;
+        if (service === step.serviceName || service === name) warn(`${at}/parallel/${j}`, 'is the step itself; the service would call itself');
+        else if (branchServices.has(service)) warn(`${at}/parallel/${j}`, `duplicates ${at}/parallel/${branchServices.get(service)}; the service is called twice`);
+        else branchServices.set(service, j);
+      });
+    }
+  });
+
+  return warnings;
+}
+
+export function getJourneySchema(version = CURRENT_SCHEMA_VERSION) {
+  return SCHEMAS[version] || null;
+}
+
+/**
+ * Validate a journey document. Returns { valid, schemaVersion, errors, warnings };
+ * errors and warnings carry a JSON Pointer `path` into the document.
+ */
+export function validateJourney(journey) {
+  const schemaVersion = journey?.schemaVersion || CURRENT_SCHEMA_VERSION;
+  const schema = SCHEMAS[schemaVersion];
+  if (!schema) {
+    return {
+      valid: false,
+      schemaVersion,
+      errors: [{ path: '/schemaVersion', keyword: 'enum', message: `unsupported version; supported: ${Object.keys(SCHEMAS).join(', ')}` }],
+      warnings: []
+    };
+  }
+
+  const errors = [];
+  checkNode(journey, schema, schema, '', errors);
+  // Generator specs need more than structural checks (known types, parseable expressions, no cycles)
+  if (typeOf(journey?.fieldGenerators) === 'object') {
+    for (const { field, message } of validateFieldGenerators(journey.fieldGenerators)) {
+      errors.push({ path: pointer('/fieldGenerators', field), keyword: 'fieldGenerator', message });
+    }
+  }
+  if (errors.length === 0) checkDependencyRuntime(journey.steps, errors);
+  const warnings = typeOf(journey) === 'object' ? collectWarnings(journey) : [];
+  // Transition targets, rates and reachability for graph journeys
+  if (errors.length === 0) {
+    const graph = validateGraph(journey.steps);
+    errors.push(...graph.errors.map(e => ({ ...e, keyword: 'graph' })));
+    warnings.push(...graph.warnings);
+  }
+  return { valid: errors.length === 0, schemaVersion, errors, warnings };
+}
+
+/**
+ * 400 body shared by every route that accepts a journey
+ */
+export function journeyValidationError(result) {
+  const first = result.errors[0];
+  return {
+    ok: false,
+    success: false,
+    error: `Invalid journey definition: ${first.path} ${first.message}${result.errors.length > 1 ? ` (+${result.errors.length - 1} more)` : ''}`,
+    schemaVersion: result.schemaVersion,
+    errors: result.errors,
+    warnings: result.warnings
+  };
+}
+
+/**
+ * 400 body for a list of steps longer than MAX_JOURNEY_STEPS (for routes that take steps without a journey), or null
+ */
+export function checkStepCount(count) {
+  if (count <= MAX_JOURNEY_STEPS) return null;
+  return journeyValidationError({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    errors: [{ path: '/steps', keyword: 'maxItems', message: `must contain at most ${MAX_JOURNEY_STEPS} items, got ${count} (raise MAX_JOURNEY_STEPS to allow longer journeys)` }],
+    warnings: []
+  });
+}
+
+/**
+ * Validate the journey a simulate route picked out of its request body. Company context may
+ * sit at the top level of the body rather than on the journey, so it is used as a fallback.
+ * Returns a 400 body, or null when the journey is valid (or absent and not `required`).
+ */
+export function checkJourney(journey, body = {}, { required = true } = {}) {
+  if (!journey && !required) return null;
+
+  const fallbacks = { companyName: body.companyName, domain: body.domain, industryType: body.industryType, fieldGenerators: body.fieldGenerators };
+  const document = journey === undefined || journey === null ? fallbacks
+    : typeOf(journey) === 'object' ? { ...fallbacks, ...journey } : journey;
+  const result = validateJourney(document);
+  return result.valid ? null : journeyValidationError(result);
+}
@@ -1,46 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
+import { industryPacks } from './industry-packs.js';
 
-// Industry-specific timing patterns (in minutes)
-const INDUSTRY_TIMING_PATTERNS = {
-  'retail': {
-    'Product Discovery': { min: 5, max: 15, type: 'immediate' },
-    'Product Selection': { min: 2, max: 8, type: 'immediate' },
-    'Cart Addition': { min: 1, max: 3, type: 'immediate' },
-    'Checkout Process': { min: 0.5, max: 2, type: 'immediate' },
-    'Order Confirmation': { min: 0.5, max: 1, type: 'immediate' },
-    'Order Shipped': { min: 240, max: 1440, type: 'business' }, // 4-24 hours
-    'Order Delivered': { min: 1440, max: 4320, type: 'calendar' } // 1-3 days
-  },
-  'insurance': {
-    'Initial Inquiry': { min: 0, max: 0, type: 'immediate' },
-    'Document Submission': { min: 1440, max: 10080, type: 'customer' }, // 1-7 days
-    'Review Process': { min: 2880, max: 7200, type: 'business' }, // 2-5 business days
-    'Approval Decision': { min: 1440, max: 4320, type: 'business' }, // 1-3 business days
-    'Policy Issuance': { min: 60, max: 1440, type: 'business' }, // 1-24 hours
-    'Premium Payment': { min: 1440, max: 43200, type: 'customer' } // 1-30 days
-  },
-  'banking': {
-    'Application Start': { min: 0, max: 0, type: 'immediate' },
-    'Document Upload': { min: 10, max: 30, type: 'immediate' },
-    'Identity Verification': { min: 5, max: 15, type: 'immediate' },
-    'Credit Check': { min: 1, max: 5, type: 'immediate' },
-    'Approval Decision': { min: 120, max: 1440, type: 'business' }, // 2-24 hours
-    'Account Opening': { min: 1440, max: 2880, type: 'business' } // 1-2 business days
-  },
-  'technology': {
-    'Discovery': { min: 5, max: 20, type: 'immediate' },
-    'Feature Exploration': { min: 10, max: 30, type: 'immediate' },
-    'Trial Signup': { min: 2, max: 5, type: 'immediate' },
-    'Implementation': { min: 1440, max: 10080, type: 'business' }, // 1-7 days
-    'Go Live': { min: 60, max: 240, type: 'business' }, // 1-4 hours
-    'Data Persistence': { min: 1, max: 2, type: 'immediate' }
-  }
-};
+// Timing for steps the industry pack doesn't describe (in minutes)
+const DEFAULT_TIMING = { min: 5, max: 15, type: 'immediate' };
+const SUBSTEP_GAP_MS = 30000; // 30 seconds between substeps
 
 // Calculate realistic timestamp based on business logic
-function calculateRealisticTimestamp(baseTimestamp, stepName, industry, stepIndex) {
-  const patterns = INDUSTRY_TIMING_PATTERNS[industry?.toLowerCase()] || INDUSTRY_TIMING_PATTERNS['technology'];
-  const timing = patterns[stepName] || { min: 5, max: 15, type: 'immediate' };
+function calculateRealisticTimestamp(baseTimestamp, stepName, pack, stepIndex) {
+  const timing = pack?.timingPatterns?.[stepName] || DEFAULT_TIMING;
   
   let delayMinutes = timing.min + Math.random() * (timing.max - timing.min);
   
@@ -122,7 +89,7 @@ function adjustForCalendarDays(baseDate, delayMinutes) {
 }
 
 // Generate metadata based on step and industry with timestamps
-function generateStepMetadata(stepName, industry, timestamp) {
+function generateStepMetadata(stepName, industry, timestamp, pack) {
   const baseMetadata = {
     timestamp: new Date(timestamp).getTime(),
     timestampISO: timestamp,
@@ -132,18 +99,8 @@ function generateStepMetadata(stepName, industry, timestamp) {
     businessHours: isBusinessHours(new Date(timestamp))
   };
   
-  // Add industry-specific metadata
-  if (industry === 'retail') {
-    return { ...baseMetadata, productCategory: 'general', priceRange: 'medium', shoppingSession: 'active' };
-  } else if (industry === 'travel') {
-    return { ...baseMetadata, destination: 'various', tripType: 'leisure', bookingWindow: 'advance' };
-  } else if (industry === 'banking') {
-    return { ...baseMetadata, accountType: 'personal', riskLevel: 'low', complianceCheck: 'required' };
-  } else if (industry === 'insurance') {
-    return { ...baseMetadata, policyType: 'personal', riskAssessment: 'standard', claimHistory: 'clean' };
-  }
-  
-  return baseMetadata;
+  // Add industry-specific metadata from the pack
+  return { ...baseMetadata, ...(pack?.stepMetadata || {}) };
 }
 
 // Check if date is a business day
@@ -165,67 +122,185 @@ function validateTimestampSequence(steps) {
   
   for (let i = 0; i < steps.length; i++) {
     const step = steps[i];
-    const stepTime = new Date(step.timestamp);
+    const stepIndex = step.stepIndex ?? i + 1;
+    const stepTime = parseTimestamp(step.timestamp);
     
-    if (previousTimestamp && stepTime <= previousTimestamp) {
+    if (!stepTime) {
+      errors.push({
+        stepIndex,
+        stepName: step.stepName,
+        timestamp: step.timestamp ?? null,
+        error: `Step ${stepIndex} has a missing or invalid timestamp (${step.timestamp ?? 'none'})`
+      });
+    } else if (previousTimestamp && stepTime <= previousTimestamp) {
       errors.push({
-        stepIndex: step.stepIndex,
+        stepIndex,
         stepName: step.stepName,
         timestamp: step.timestamp,
         previousTimestamp: previousTimestamp.toISOString(),
-        error: `Step ${step.stepIndex} timestamp (${step.timestamp}) is not after previous step timestamp (${previousTimestamp.toISOString()})`
+        error: `Step ${stepIndex} timestamp (${step.timestamp}) is not after previous step timestamp (${previousTimestamp.toISOString()})`
       });
     }
     
     // Validate substep sequences within this step
     let previousSubstepTime = stepTime;
-    for (let j = 0; j < step.substeps.length; j++) {
-      const substep = step.substeps[j];
-      const substepTime = new Date(substep.timestamp);
+    const substeps = Array.isArray(step.substeps) ? step.substeps : [];
+    for (let j = 0; j < substeps.length; j++) {
+      const substep = substeps[j];
+      const substepIndex = substep.substepIndex ?? j + 1;
+      const substepTime = parseTimestamp(substep.timestamp);
       
-      if (substepTime < previousSubstepTime) {
+      if (!substepTime) {
+        errors.push({
+          stepIndex,
+          stepName: step.stepName,
+          substepIndex,
+          substepName: substep.substepName,
+          timestamp: substep.timestamp ?? null,
+          error: `Substep ${substepIndex} in step ${stepIndex} has a missing or invalid timestamp (${substep.timestamp ?? 'none'})`
+        });
+        continue;
+      }
+      if (previousSubstepTime && substepTime < previousSubstepTime) {
         errors.push({
-          stepIndex: step.stepIndex,
+          stepIndex,
           stepName: step.stepName,
-          substepIndex: substep.substepIndex,
+          substepIndex,
           substepName: substep.substepName,
           timestamp: substep.timestamp,
           previousTimestamp: previousSubstepTime.toISOString(),
-          error: `Substep ${substep.substepIndex} in step ${step.stepIndex} has timestamp (${substep.timestamp}) before previous substep (${previousSubstepTime.toISOString()})`
+          error: `Substep ${substepIndex} in step ${stepIndex} has timestamp (${substep.timestamp}) before previous substep (${previousSubstepTime.toISOString()})`
         });
       }
       previousSubstepTime = substepTime;
     }
     
-    previousTimestamp = stepTime;
+    if (stepTime) previousTimestamp = stepTime;
   }
   
   return errors;
 }
 
-// Generate a deterministic template journey with realistic timestamps
-async function generateTemplateJourney({ customer, region, journeyType, details, website, customSteps }) {
+// Date for an ISO string or epoch millis, or null when missing or unparseable
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Steps the pack times as 'business' that are timestamped outside business hours
+function findBusinessHoursViolations(steps, pack) {
+  const warnings = [];
+  steps.forEach((step, i) => {
+    const stepTime = parseTimestamp(step.timestamp);
+    if (!stepTime || pack?.timingPatterns?.[step.stepName]?.type !== 'business') return;
+    if (!isBusinessDay(stepTime) || !isBusinessHours(stepTime)) {
+      warnings.push({
+        stepIndex: step.stepIndex ?? i + 1,
+        stepName: step.stepName,
+        timestamp: step.timestamp,
+        warning: `Step ${step.stepIndex ?? i + 1} (${step.stepName}) is a business-hours step but is timestamped outside 09:00-17:00 Mon-Fri`
+      });
+    }
+  });
+  return warnings;
+}
+
+// Repair a journey's step and substep timestamps. When every step has a valid, distinct timestamp but
+// they are shuffled, the existing times are reassigned in step order; otherwise each step that
+// is missing, out of order or a business-hours step outside business hours gets a new timestamp from
+// calculateRealisticTimestamp, following on from the previous step. Substeps move with their step and
+// are then kept in order (30 seconds apart where they have to be regenerated).
+// Returns { steps, changes: [{ path, stepIndex, stepName, substepIndex?, from, to, reason }] }; input is not modified.
+function repairTimestamps(journey, pack) {
+  const steps = journey.steps.map(step => ({ ...step, ...(Array.isArray(step.substeps) && { substeps: step.substeps.map(substep => ({ ...substep })) }) }));
+  const changes = [];
+  const setTimestamp = (target, path, stepInfo, timestamp, reason) => {
+    changes.push({ path, ...stepInfo, from: target.timestamp ?? null, to: timestamp, reason });
+    target.timestamp = timestamp;
+    if (target.metadata && typeof target.metadata === 'object') {
+      target.metadata = { ...target.metadata, timestamp: new Date(timestamp).getTime(), timestampISO: timestamp, businessDay: isBusinessDay(new Date(timestamp)), businessHours: isBusinessHours(new Date(timestamp)) };
+    }
+  };
+
+  const originalTimes = steps.map(step => parseTimestamp(step.timestamp));
+  const allValid = originalTimes.every(Boolean);
+  const sorted = allValid ? [...originalTimes].sort((a, b) => a - b) : [];
+  const reorder = allValid && sorted.every((time, i) => i === 0 || time > sorted[i - 1])
+    && sorted.some((time, i) => time.getTime() !== originalTimes[i].getTime());
+
+  let previous = null;
+  steps.forEach((step, i) => {
+    const stepInfo = { stepIndex: step.stepIndex ?? i + 1, stepName: step.stepName };
+    const original = originalTimes[i];
+    let stepTime = original;
+
+    if (reorder) {
+      stepTime = sorted[i];
+      if (stepTime.getTime() !== original.getTime()) {
+        setTimestamp(step, `steps[${i}].timestamp`, stepInfo, stepTime.toISOString(), 'reordered');
+      }
+    } else {
+      let reason = null;
+      if (!original) reason = step.timestamp === undefined || step.timestamp === null ? 'missing' : 'invalid';
+      else if (previous && original <= previous) reason = 'out of order';
+      else if (i > 0 && findBusinessHoursViolations([step], pack).length > 0) reason = 'outside business hours';
+
+      if (reason) {
+        const base = previous || parseTimestamp(journey.journeyStartTime) || new Date();
+        const timestamp = i === 0 && !previous
+          ? base.toISOString()
+          : calculateRealisticTimestamp(base.toISOString(), step.stepName, pack, i);
+        stepTime = new Date(timestamp);
+        setTimestamp(step, `steps[${i}].timestamp`, stepInfo, timestamp, reason);
+      }
+    }
+
+    // Substeps keep their offset from the step, then must not go backwards
+    const shiftMs = original ? stepTime - original : 0;
+    let previousSubstep = stepTime;
+    (step.substeps || []).forEach((substep, j) => {
+      const substepPath = `steps[${i}].substeps[${j}].timestamp`;
+      const substepInfo = { ...stepInfo, substepIndex: substep.substepIndex ?? j + 1 };
+      const substepTime = parseTimestamp(substep.timestamp);
+      let timestamp = substepTime && new Date(substepTime.getTime() + shiftMs);
+      let reason = shiftMs !== 0 ? 'moved with step' : null;
+      if (!substepTime) {
+        reason = substep.timestamp === undefined || substep.timestamp === null ? 'missing' : 'invalid';
+        timestamp = null;
+      } else if (timestamp < previousSubstep) {
+        reason = 'out of order';
+        timestamp = null;
+      }
+      if (!timestamp) timestamp = new Date(previousSubstep.getTime() + (j === 0 ? 0 : SUBSTEP_GAP_MS));
+      if (reason) setTimestamp(substep, substepPath, substepInfo, timestamp.toISOString(), reason);
+      previousSubstep = timestamp;
+    });
+
+    previous = stepTime;
+  });
+
+  return { steps, changes, strategy: reorder ? 'reorder' : 'regenerate' };
+}
+
+// Generate a deterministic template journey with realistic timestamps.
+// Steps, timings, substeps and rationales come from the industry pack (`pack` id, else resolved from the industry).
+async function generateTemplateJourney({ customer, region, journeyType, details, website, customSteps, industry, pack: packId }) {
+  const industryName = industry || region;
+  const pack = industryPacks.get(packId) || industryPacks.resolve(industryName);
   const startTime = new Date(); // Current time as journey start
   let currentTimestamp = startTime.toISOString();
   
-  // Use custom steps if provided, otherwise use default template
+  // Use custom steps if provided, otherwise use the pack's default steps
   let stepNames;
   if (customSteps && Array.isArray(customSteps) && customSteps.length > 0) {
-    stepNames = customSteps.slice(0, 6); // Limit to 6 steps
-    // Ensure we have exactly 6 steps
+    stepNames = [...customSteps];
+    // Short lists are padded to a full 6-step template; longer ones are kept as they are
     while (stepNames.length < 6) {
       stepNames.push(`Step${stepNames.length + 1}`);
     }
   } else {
-    // Default template based on industry with MongoDB as final step
-    const industrySteps = {
-      'retail': ['Product Discovery', 'Product Selection', 'Cart Addition', 'Checkout Process', 'Order Confirmation', 'Data Persistence'],
-      'travel': ['Destination Discovery', 'Package Selection', 'Customization', 'Booking Process', 'Confirmation', 'Data Persistence'],
-      'banking': ['Application Start', 'Document Upload', 'Identity Verification', 'Credit Check', 'Account Opening', 'Data Persistence'],
-      'insurance': ['Initial Inquiry', 'Document Submission', 'Review Process', 'Approval Decision', 'Policy Issuance', 'Data Persistence'],
-      'technology': ['Discovery', 'Feature Exploration', 'Trial Signup', 'Implementation', 'Go Live', 'Data Persistence']
-    };
-    stepNames = industrySteps[region?.toLowerCase()] || industrySteps['technology'];
+    stepNames = pack.steps.map(step => step.stepName);
   }
   
   // Ensure the last step is always Data Persistence for MongoDB integration
@@ -235,17 +310,19 @@ async function generateTemplateJourney({ customer, region, journeyType, details,
   
   // Convert step names to full step objects with realistic timestamps
   const steps = stepNames.map((stepName, index) => {
+    const packStep = pack.steps.find(step => step.stepName === stepName);
+
     // Calculate realistic timestamp for this step
     if (index > 0) {
-      currentTimestamp = calculateRealisticTimestamp(currentTimestamp, stepName, region, index);
+      currentTimestamp = calculateRealisticTimestamp(currentTimestamp, stepName, pack, index);
     }
     
-    const substepNames = generateSubstepsForStep(stepName, index);
+    const substepNames = packStep?.substeps || generateSubstepsForStep(stepName, index);
     const stepTimestamp = currentTimestamp;
     
     // Generate substeps with incremental timestamps within the step
     const substeps = substepNames.map((substepName, substepIndex) => {
-      const substepDelay = substepIndex * 30000; // 30 seconds between substeps
+      const substepDelay = substepIndex * SUBSTEP_GAP_MS;
       const substepTimestamp = new Date(new Date(stepTimestamp).getTime() + substepDelay).toISOString();
       
       return {
@@ -257,23 +334,26 @@ async function generateTemplateJourney({ customer, region, journeyType, details,
         duration: 500 + Math.random() * 1000,
         timestamp: substepTimestamp,
         eventType: `${stepName.toLowerCase().replace(/\s+/g, '_')}_${substepName.toLowerCase().replace(/\s+/g, '_')}`,
-        metadata: generateStepMetadata(stepName, region, substepTimestamp)
+        metadata: generateStepMetadata(stepName, industryName, substepTimestamp, pack)
       };
     });
     
     // Calculate step duration based on substeps and next step timing
     const stepDuration = index < stepNames.length - 1 ? 
-      Math.round((new Date(calculateRealisticTimestamp(currentTimestamp, stepNames[index + 1], region, index + 1)).getTime() - new Date(stepTimestamp).getTime()) / 60000) :
+      Math.round((new Date(calculateRealisticTimestamp(currentTimestamp, stepNames[index + 1], pack, index + 1)).getTime() - new Date(stepTimestamp).getTime()) / 60000) :
       Math.round(substeps.length * 0.5); // Default to 0.5 minutes per substep for last step
     
     return {
       stepIndex: index + 1,
       stepName,
-      description: `Customer ${stepName.toLowerCase()} phase`,
+      description: packStep?.description || `Customer ${stepName.toLowerCase()} phase`,
+      ...(packStep?.category && { category: packStep.category }),
       duration: `${stepDuration} minutes`,
       timestamp: stepTimestamp,
       estimatedDuration: stepDuration,
-      businessRationale: generateBusinessRationale(stepName, region, stepDuration),
+      businessRationale: packStep?.businessRationale
+        ? packStep.businessRationale.replace(/\{duration\}/g, stepDuration)
+        : generateBusinessRationale(stepName, industryName, stepDuration),
       substeps
     };
   });
@@ -281,7 +361,8 @@ async function generateTemplateJourney({ customer, region, journeyType, details,
   return {
     companyName: customer || 'Demo Company',
     domain: website || 'demo.com',
-    industryType: region || 'general',
+    industryType: industryName || 'general',
+    industryPack: pack.id,
     journeyId: uuidv4(),
     journeyStartTime: startTime.toISOString(),
     businessHours: {
@@ -290,6 +371,7 @@ async function generateTemplateJourney({ customer, region, journeyType, details,
       workingHours: '09:00-17:00'
     },
     steps,
+    ...(pack.fieldGenerators && { fieldGenerators: pack.fieldGenerators }),
     sources: [],
     provider: 'enhanced-template-with-timestamps'
   };
@@ -363,8 +445,8 @@ function generateSubstepsForStep(stepName, index) {
   return [`${stepName} Start`, `${stepName} Progress`, `${stepName} Complete`];
 }
 
-export async function generateJourney({ customer, region, journeyType, details, website, customSteps }) {
-  const journey = await generateTemplateJourney({ customer, region, journeyType, details, website, customSteps });
+export async function generateJourney({ customer, region, journeyType, details, website, customSteps, industry, pack }) {
+  const journey = await generateTemplateJourney({ customer, region, journeyType, details, website, customSteps, industry, pack });
   
   // Validate timestamp sequence
   const validationErrors = validateTimestampSequence(journey.steps);
@@ -377,5 +459,5 @@ export async function generateJourney({ customer, region, journeyType, details,
   return journey;
 }
 
-// Export validation function for external use
-export { validateTimestampSequence };
+// Export timestamp checks and repair for external use
+export { validateTimestampSequence, findBusinessHoursViolations, repairTimestamps };
@@ -0,0 +1,308 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { ensureServiceRunning } from './service-manager.js';
+import { currentWorkspace, runInWorkspace } from './workspaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TOPIC_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,119}$/;
+export const MAX_DELIVERY_DELAY_MS = 10 * 60 * 1000;
+const MAX_PENDING_MESSAGES = parseInt(process.env.MESSAGE_BROKER_MAX_PENDING || '10000');
+const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 1000;
+// A delivered message runs the rest of the chain before the consumer answers
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.MESSAGE_DELIVERY_TIMEOUT_MS || '120000');
+const MAX_RETAINED_PER_TOPIC = 50;
+const SAVE_DELAY_MS = 500;
+
+/**
+ * In-process stand-in for a message broker, so journeys can model queue hops
+ * ("order placed, fulfilment later") without Kafka.
+ * Messages are published to a topic with headers (which carry the producer's traceparent)
+ * and an optional delivery delay. A message addressed to a step (`deliverTo`) is pushed to
+ * that step's service when it is due; others wait on the topic until pulled with consume().
+ * Delivery is retried when the consumer can't be reached and dead-lettered after
+ * MAX_DELIVERY_ATTEMPTS. Topics are per workspace.
+ * Memory-backed by default; MESSAGE_BROKER_STORE=file keeps undelivered messages under
+ * the data directory so they survive a restart.
+ * Emits 'published', 'delivered' and 'deadLettered' with the message.
+ */
+class MessageBroker extends EventEmitter {
+  constructor(dataDir = null) {
+    super();
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.filePath = path.join(this.dataDir, 'message-broker.json');
+    this.persistent = process.env.MESSAGE_BROKER_STORE === 'file';
+    this.topics = new Map(); // workspace/topic -> topic state
+    this.timers = new Map(); // message id -> delivery timer
+    this.pendingCount = 0;
+    this.saveTimer = null;
+    if (this.persistent) this._load();
+  }
+
+  _key(workspace, topic) {
+    return `${workspace}/${topic}`;
+  }
+
+  _topic(workspace, name, create = true) {
+    const key = this._key(workspace, name);
+    if (!this.topics.has(key) && create) {
+      this.topics.set(key, { workspace, name, published: 0, delivered: 0, deadLettered: 0, pending: [], recent: [], dead: [] });
+    }
+    return this.topics.get(key) || null;
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const message of stored.pending || []) {
+        this._topic(message.workspace, message.topic).pending.push(message);
+        this.pendingCount++;
+        if (message.deliverTo) this._schedule(message);
+      }
+      if (this.pendingCount > 0) console.log(`[message-broker] Restored ${this.pendingCount} undelivered messages`);
+    } catch (err) {
+      console.error(`[message-broker] Failed to read ${this.filePath}, starting empty: ${err.message}`);
+    }
+  }
+
+  // Writes are coalesced: a burst of publishes costs one save
+  _scheduleSave() {
+    if (!this.persistent || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this._save();
+      } catch (err) {
+        console.error(`[message-broker] Failed to save pending messages: ${err.message}`);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  _save() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const pending = [...this.topics.values()].flatMap(topic => topic.pending);
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), pending }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _schedule(message, delayMs = Date.parse(message.deliverAt) - Date.now()) {
+    const timer = setTimeout(() => {
+      this.timers.delete(message.id);
+      this._deliver(message).catch(err => console.error(`[message-broker] Delivery of ${message.id} failed: ${err.message}`));
+    }, Math.max(0, delayMs));
+    timer.unref();
+    this.timers.set(message.id, timer);
+  }
+
+  // Move a message off the pending list into the topic's recent (or dead) messages
+  _settle(message, status) {
+    const topic = this._topic(message.workspace, message.topic);
+    const index = topic.pending.findIndex(m => m.id === message.id);
+    if (index >= 0) {
+      topic.pending.splice(index, 1);
+      this.pendingCount--;
+    }
+    message.status = status;
+    message.settledAt = new Date().toISOString();
+    const list = status === 'dead' ? topic.dead : topic.recent;
+    list.push(message);
+    if (list.length > MAX_RETAINED_PER_TOPIC) list.shift();
+    if (status === 'dead') topic.deadLettered++;
+    else topic.delivered++;
+    this._scheduleSave();
+  }
+
+  /**
+   * Publish to a topic in the current workspace. `deliverTo` ({ stepName, serviceName, context })
+   * names the step service the message is pushed to. Returns { message } or { errors, full }.
+   */
+  publish(topicName, { payload = {}, headers = {}, delayMs = 0, deliverTo = null } = {}) {
+    const errors = validatePublish(topicName, { payload, headers, delayMs, deliverTo });
+    if (errors.length > 0) return { errors };
+    if (this.pendingCount >= MAX_PENDING_MESSAGES) {
+      return { errors: [`Broker holds ${this.pendingCount} undelivered messages; try again once consumers catch up`], full: true };
+    }
+
+    const workspace = currentWorkspace();
+    const publishedAt = Date.now();
+    const message = {
+      id: randomUUID(),
+      topic: topicName,
+      workspace,
+      headers: { ...headers },
+      payload,
+      deliverTo: deliverTo || null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      publishedAt: new Date(publishedAt).toISOString(),
+      deliverAt: new Date(publishedAt + (Number(delayMs) || 0)).toISOString(),
+      settledAt: null
+    };
+    const topic = this._topic(workspace, topicName);
+    topic.pending.push(message);
+    topic.published++;
+    this.pendingCount++;
+    if (message.deliverTo) this._schedule(message, Number(delayMs) || 0);
+    this._scheduleSave();
+    console.log(`[message-broker] Published ${message.id} to ${workspace}/${topicName}${delayMs ? ` (delivery in ${delayMs}ms)` : ''}`);
+    this.emit('published', message);
+    return { message: describeMessage(message) };
+  }
+
+  /**
+   * Pull up to `max` due messages that no step is subscribed to; pulled messages count as delivered
+   */
+  consume(topicName, { max = 10 } = {}) {
+    const topic = this._topic(currentWorkspace(), topicName, false);
+    if (!topic) return [];
+    const now = Date.now();
+    const due = topic.pending.filter(m => !m.deliverTo && Date.parse(m.deliverAt) <= now).slice(0, max);
+    for (const message of due) {
+      message.attempts++;
+      this._settle(message, 'delivered');
+      this.emit('delivered', message);
+    }
+    return due.map(m => ({ ...describeMessage(m), headers: m.headers, payload: m.payload }));
+  }
+
+  // Push a due message to its step service with the message headers (and so the producer's trace context)
+  async _deliver(message) {
+    message.attempts++;
+    const { stepName, serviceName, context = {} } = message.deliverTo;
+    try {
+      const port = await runInWorkspace(message.workspace, () => ensureServiceRunning(stepName, { ...context, stepName, serviceName }));
+      if (!port) throw Object.assign(new Error(`Service for ${stepName} did not start`), { retryable: true });
+      const result = await postMessage(port, message);
+      message.result = { httpStatus: result.statusCode, status: result.body?.status || null };
+      this._settle(message, 'delivered');
+      console.log(`[message-broker] Delivered ${message.id} to ${serviceName || stepName} (HTTP ${result.statusCode}, attempt ${message.attempts})`);
+      this.emit('delivered', message);
+    } catch (err) {
+      message.lastError = err.message;
+      if (err.retryable && message.attempts < MAX_DELIVERY_ATTEMPTS) {
+        console.log(`[message-broker] Delivery of ${message.id} failed (${err.message}); retrying`);
+        this._scheduleSave();
+        this._schedule(message, RETRY_BACKOFF_MS * message.attempts);
+        return;
+      }
+      this._settle(message, 'dead');
+      console.error(`[message-broker] Dead-lettered ${message.id} on ${message.topic} after ${message.attempts} attempt(s): ${err.message}`);
+      this.emit('deadLettered', message);
+    }
+  }
+
+  listTopics(workspace = currentWorkspace()) {
+    return [...this.topics.values()]
+      .filter(topic => topic.workspace === workspace)
+      .map(describeTopic)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getTopic(topicName, workspace = currentWorkspace()) {
+    const topic = this._topic(workspace, topicName, false);
+    if (!topic) return null;
+    return {
+      ...describeTopic(topic),
+      pendingMessages: topic.pending.map(describeMessage),
+      recentMessages: topic.recent.map(describeMessage),
+      deadLetters: topic.dead.map(describeMessage)
+    };
+  }
+
+  // Drop a topic's undelivered messages (and cancel their deliveries); returns how many were dropped, or null
+  purge(topicName, workspace = currentWorkspace()) {
+    const topic = this._topic(workspace, topicName, false);
+    if (!topic) return null;
+    const dropped = topic.pending.length;
+    for (const message of topic.pending) {
+      clearTimeout(this.timers.get(message.id));
+      this.timers.delete(message.id);
+    }
+    this.pendingCount -= dropped;
+    this.topics.delete(this._key(workspace, topicName));
+    this._scheduleSave();
+    console.log(`[message-broker] Purged ${workspace}/${topicName} (${dropped} undelivered messages dropped)`);
+    return dropped;
+  }
+}
+
+function validatePublish(topicName, { payload, headers, delayMs, deliverTo }) {
+  const errors = [];
+  if (!TOPIC_PATTERN.test(String(topicName))) errors.push('topic must be 1-120 letters, digits, ".", "_" or "-", starting with a letter or digit');
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) errors.push('payload must be a JSON object');
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+    errors.push('headers must be an object of string values');
+  }
+  if (!(Number.isInteger(Number(delayMs)) && Number(delayMs) >= 0 && Number(delayMs) <= MAX_DELIVERY_DELAY_MS)) {
+    errors.push(`delayMs must be an integer from 0 to ${MAX_DELIVERY_DELAY_MS}`);
+  }
+  if (deliverTo !== null && deliverTo !== undefined && (typeof deliverTo !== 'object' || !(deliverTo.stepName || deliverTo.serviceName))) {
+    errors.push('deliverTo must be an object with stepName or serviceName');
+  }
+  return errors;
+}
+
+function postMessage(port, message) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify({
+      ...message.payload,
+      messaging: { messageId: message.id, topic: message.topic, publishedAt: message.publishedAt, attempt: message.attempts }
+    });
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port,
+      path: '/process',
+      method: 'POST',
+      headers: {
+        ...message.headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'x-message-id': message.id,
+        'x-message-topic': message.topic
+      },
+      timeout: DELIVERY_TIMEOUT_MS
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = null;
+        try { parsed = data ? JSON.parse(data) : null; } catch {}
+        resolve({ statusCode: res.statusCode, body: parsed });
+      });
+    });
+    // Only a consumer that never took the message is retried; a timed-out one may already have run it
+    req.on('error', err => reject(Object.assign(err, { retryable: err.code === 'ECONNREFUSED' })));
+    req.on('timeout', () => req.destroy(new Error(`Consumer did not answer within ${DELIVERY_TIMEOUT_MS}ms`)));
+    req.end(body);
+  });
+}
+
+function describeTopic(topic) {
+  return {
+    name: topic.name,
+    workspace: topic.workspace,
+    published: topic.published,
+    delivered: topic.delivered,
+    deadLettered: topic.deadLettered,
+    pending: topic.pending.length
+  };
+}
+
+function describeMessage(message) {
+  const { payload, headers, ...summary } = message;
+  return { ...summary, correlationId: headers?.['x-correlation-id'] || payload?.correlationId || null };
+}
+
+// Export singleton instance
+export const messageBroker = new MessageBroker();
+export default messageBroker;
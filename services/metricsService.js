@@ -1,20 +1,61 @@
+import { Registry, registerProcessMetrics, CONTENT_TYPE } from './openmetrics.cjs';
+import { runStore } from './run-store.js';
+import { DEFAULT_WORKSPACE, currentWorkspace } from './workspaces.js';
+
+export const OPENMETRICS_CONTENT_TYPE = CONTENT_TYPE;
+
+// OpenMetrics for the main server; routes/metrics.js adds scrape-time gauges for state owned elsewhere.
+// Journey and step series carry a workspace label so one scrape covers every workspace.
+export const registry = new Registry();
+registerProcessMetrics(registry);
+
+const journeysStarted = registry.counter('bizobs_journeys_started', 'Customer journeys started by the simulator');
+const journeysCompleted = registry.counter('bizobs_journeys_completed', 'Customer journeys that completed every step');
+const journeysFailed = registry.counter('bizobs_journeys_failed', 'Customer journeys with a failed step');
+const journeysAbandoned = registry.counter('bizobs_journeys_abandoned', 'Customer journeys that dropped off a journey graph');
+const stepDuration = registry.histogram('bizobs_step_duration_seconds', 'Step latency reported by the step services', {
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+const stepErrors = registry.counter('bizobs_step_errors', 'Failed step visits');
+
+export function recordJourneyStarted(source, companyName) {
+  journeysStarted.inc({ workspace: currentWorkspace(), source, company: companyName || 'DefaultCompany' });
+}
+
+// Every finished journey lands in the run store, whichever route ran it
+function recordJourneyFinished(run) {
+  const workspace = run.workspace || DEFAULT_WORKSPACE;
+  const labels = { workspace, source: run.source, company: run.companyName };
+  if (run.status === 'completed') journeysCompleted.inc(labels);
+  else if (run.status === 'abandoned') journeysAbandoned.inc(labels);
+  else journeysFailed.inc(labels);
+
+  for (const step of run.steps || []) {
+    const stepLabels = { workspace, company: run.companyName, step: step.stepName || 'unknown', service: step.serviceName || 'unknown' };
+    if (Number.isFinite(step.latencyMs)) stepDuration.observe(stepLabels, step.latencyMs / 1000);
+    if (step.status === 'failed') stepErrors.inc({ ...stepLabels, error_type: step.errorType || 'unknown' });
+  }
+}
+runStore.on('recorded', recordJourneyFinished);
+
 let EVENTS = [];
 
 export function recordEvent(evt) {
-  EVENTS.push(evt);
+  EVENTS.push({ workspace: currentWorkspace(), ...evt });
   if (EVENTS.length > 5000) EVENTS = EVENTS.slice(-2500);
 }
 
-export async function getMetricsSummary() {
-  const count = EVENTS.length;
-  const totalCost = EVENTS.reduce((sum, e) => sum + (e.cost || 0), 0);
+export async function getMetricsSummary({ workspace } = {}) {
+  const events = workspace ? EVENTS.filter(e => e.workspace === workspace) : EVENTS;
+  const count = events.length;
+  const totalCost = events.reduce((sum, e) => sum + (e.cost || 0), 0);
   const avgCost = count ? (totalCost / count) : 0;
-  const npsScores = EVENTS.map(e => (Number.isFinite(e.npsScore) ? e.npsScore : e.nps)).filter(n => Number.isFinite(n));
+  const npsScores = events.map(e => (Number.isFinite(e.npsScore) ? e.npsScore : e.nps)).filter(n => Number.isFinite(n));
   const avgNps = npsScores.length ? (npsScores.reduce((a,b)=>a+b,0)/npsScores.length) : 0;
   const byStep = {};
   const byDomain = {};
   const byServiceName = {};
-  for (const e of EVENTS) {
+  for (const e of events) {
     byStep[e.journeyStep] = (byStep[e.journeyStep] || 0) + 1;
     if (e.domain) byDomain[e.domain] = (byDomain[e.domain] || 0) + 1;
     if (e.serviceName) byServiceName[e.serviceName] = (byServiceName[e.serviceName] || 0) + 1;
@@ -27,6 +68,6 @@ export async function getMetricsSummary() {
     byStep,
     byDomain,
     byServiceName,
-    last10: EVENTS.slice(-10)
+    last10: events.slice(-10)
   };
 }
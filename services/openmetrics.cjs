@@ -0,0 +1,158 @@
+/**
+ * Minimal OpenMetrics registry shared by the main server and the child step services.
+ * Counters, gauges and histograms with labels; gauges can also be collected at scrape time.
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+// {a: 1, b: 2} -> 'a="1",b="2"' (sorted, so the same labels always map to the same series)
+function labelKey(labels = {}) {
+  return Object.keys(labels)
+    .filter(name => labels[name] !== undefined && labels[name] !== null)
+    .sort()
+    .map(name => `${name}="${escapeLabel(labels[name])}"`)
+    .join(',');
+}
+
+const formatValue = value => (value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : Number.isNaN(value) ? 'NaN' : String(value));
+const sample = (name, key, value) => `${name}${key ? `{${key}}` : ''} ${formatValue(value)}`;
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map(); // label key -> value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    this.series.set(key, (this.series.get(key) || 0) + amount);
+  }
+
+  lines() {
+    return [...this.series].map(([key, value]) => sample(`${this.name}_total`, key, value));
+  }
+}
+
+class Gauge {
+  constructor(name, help, { collect = null } = {}) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.series = new Map();
+    this.collect = collect; // () => [{ labels, value }], evaluated on every scrape
+  }
+
+  set(labels = {}, value) {
+    this.series.set(labelKey(labels), value);
+  }
+
+  lines() {
+    const series = this.collect
+      ? this.collect().map(({ labels, value }) => [labelKey(labels), value])
+      : [...this.series];
+    return series.map(([key, value]) => sample(this.name, key, value));
+  }
+}
+
+class Histogram {
+  constructor(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // label key -> { counts, sum, count }
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) return;
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    const entry = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const [key, entry] of this.series) {
+      const withLe = le => (key ? `${key},le="${le}"` : `le="${le}"`);
+      this.buckets.forEach((bound, i) => lines.push(sample(`${this.name}_bucket`, withLe(bound), entry.counts[i])));
+      lines.push(sample(`${this.name}_bucket`, withLe('+Inf'), entry.count));
+      lines.push(sample(`${this.name}_count`, key, entry.count));
+      lines.push(sample(`${this.name}_sum`, key, Number(entry.sum.toFixed(6))));
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.families = new Map(); // name -> metric
+  }
+
+  _register(metric) {
+    if (this.families.has(metric.name)) return this.families.get(metric.name);
+    this.families.set(metric.name, metric);
+    return metric;
+  }
+
+  // Counter names are given without the _total suffix, which exposition adds
+  counter(name, help) {
+    return this._register(new Counter(name, help));
+  }
+
+  gauge(name, help, options) {
+    return this._register(new Gauge(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this._register(new Histogram(name, help, options));
+  }
+
+  /**
+   * OpenMetrics text for every family, terminated by "# EOF". A collector that throws
+   * only drops its own family so one broken source can't fail the scrape.
+   */
+  expose() {
+    const out = [];
+    for (const metric of this.families.values()) {
+      let lines;
+      try {
+        lines = metric.lines();
+      } catch (err) {
+        console.error(`[openmetrics] Failed to collect ${metric.name}: ${err.message}`);
+        continue;
+      }
+      out.push(`# TYPE ${metric.name} ${metric.type}`, `# HELP ${metric.name} ${escapeHelp(metric.help)}`, ...lines);
+    }
+    out.push('# EOF');
+    return out.join('\n') + '\n';
+  }
+}
+
+/**
+ * process_* gauges every scrape target should have
+ */
+function registerProcessMetrics(registry) {
+  const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+  registry.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', {
+    collect: () => [{ labels: {}, value: startTime }]
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+    collect: () => [{ labels: {}, value: process.memoryUsage().rss }]
+  });
+  registry.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', {
+    collect: () => [{ labels: {}, value: process.memoryUsage().heapUsed }]
+  });
+}
+
+module.exports = { Registry, registerProcessMetrics, CONTENT_TYPE, DEFAULT_BUCKETS };
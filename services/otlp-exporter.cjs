@@ -0,0 +1,336 @@
+/**
+ * Minimal OpenTelemetry OTLP/HTTP (JSON) exporter for traces and logs.
+ * Shared by the main server and every child service so spans stay connected through
+ * the existing W3C traceparent propagation, with or without OneAgent on the host.
+ *
+ * Configured with the standard OpenTelemetry variables; nothing is exported unless an endpoint is set:
+ *   OTEL_EXPORTER_OTLP_ENDPOINT          base URL, e.g. http://localhost:4318 for a local collector
+ *   OTEL_EXPORTER_OTLP_TRACES_ENDPOINT   full traces URL (default: <base>/v1/traces)
+ *   OTEL_EXPORTER_OTLP_LOGS_ENDPOINT     full logs URL (default: <base>/v1/logs)
+ *   OTEL_EXPORTER_OTLP_HEADERS           key=value,... e.g. Authorization=Api-Token%20dt0c01...
+ *   OTEL_RESOURCE_ATTRIBUTES             key=value,... added to every process's resource
+ *   OTEL_TRACES_EXPORTER / OTEL_LOGS_EXPORTER=none, OTEL_SDK_DISABLED=true
+ */
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const FLUSH_INTERVAL_MS = Number(process.env.OTEL_BSP_SCHEDULE_DELAY || 2000);
+const MAX_BATCH_SIZE = 512;
+const MAX_QUEUE_SIZE = 4096;
+const EXPORT_TIMEOUT_MS = 10000;
+const EXPORT_ERROR_LOG_INTERVAL_MS = 60000;
+const MAX_LOG_BODY_LENGTH = 8192;
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/i;
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+const SEVERITIES = { debug: [5, 'DEBUG'], info: [9, 'INFO'], warn: [13, 'WARN'], error: [17, 'ERROR'] };
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+
+// Span active for the current request; lets console capture and the error helpers find it
+const activeSpanStore = new AsyncLocalStorage();
+
+// Keep the un-patched console so exporter diagnostics never feed back into the log queue
+const originalConsole = {};
+for (const method of Object.keys(CONSOLE_LEVELS)) originalConsole[method] = console[method].bind(console);
+
+// Nanosecond wall clock: Date.now() for the epoch, hrtime for resolution
+const clockOrigin = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNanos = () => (clockOrigin + process.hrtime.bigint()).toString();
+
+const randomHex = bytes => crypto.randomBytes(bytes).toString('hex');
+
+function parseKeyValues(text) {
+  const result = {};
+  for (const pair of String(text || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index <= 0) continue;
+    try {
+      result[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch {
+      result[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+  }
+  return result;
+}
+
+function resolveEndpoint(signal) {
+  const env = process.env;
+  const upper = signal.toUpperCase();
+  if (env.OTEL_SDK_DISABLED === 'true' || env[`OTEL_${upper}_EXPORTER`] === 'none') return null;
+  if (env[`OTEL_EXPORTER_OTLP_${upper}_ENDPOINT`]) return env[`OTEL_EXPORTER_OTLP_${upper}_ENDPOINT`];
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  return base ? `${base.replace(/\/+$/, '')}/v1/${signal}` : null;
+}
+
+/**
+ * { traceId, spanId, traceFlags } from a W3C traceparent header, or null if absent/malformed
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1].toLowerCase(), spanId: match[2].toLowerCase(), traceFlags: parseInt(match[3], 16) };
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (value && typeof value === 'object') return { stringValue: JSON.stringify(value) };
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+class Span {
+  constructor(telemetry, name, { kind = 'internal', parent = null, attributes = {} } = {}) {
+    this.telemetry = telemetry;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.traceFlags = parent?.traceFlags ?? 1;
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'unset' };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowNanos(), attributes });
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordError(error) {
+    this.addEvent('exception', {
+      'exception.type': error?.constructor?.name || 'Error',
+      'exception.message': error?.message || String(error),
+      'exception.stacktrace': error?.stack
+    });
+    return this.setStatus('error', error?.message || String(error));
+  }
+
+  // Header value that makes this span the parent of the next hop
+  traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.traceFlags.toString(16).padStart(2, '0')}`;
+  }
+
+  end() {
+    if (this.endTime) return;
+    this.endTime = nowNanos();
+    this.telemetry._enqueue('spans', this);
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: SPAN_KINDS[this.kind] || SPAN_KINDS.internal,
+      startTimeUnixNano: this.startTime,
+      endTimeUnixNano: this.endTime,
+      attributes: toAttributes(this.attributes),
+      events: this.events.map(e => ({ name: e.name, timeUnixNano: e.time, attributes: toAttributes(e.attributes) })),
+      status: { code: STATUS_CODES[this.status.code] || 0, ...(this.status.message ? { message: this.status.message } : {}) }
+    };
+  }
+}
+
+/**
+ * Per-process telemetry: span factory, log capture and a batching exporter.
+ * Spans are always created (their ids drive traceparent propagation); they are only
+ * shipped when a traces endpoint is configured.
+ */
+class Telemetry {
+  constructor({ serviceName, resource = {} }) {
+    this.serviceName = serviceName;
+    this.tracesUrl = resolveEndpoint('traces');
+    this.logsUrl = resolveEndpoint('logs');
+    this.headers = parseKeyValues(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.enabled = Boolean(this.tracesUrl || this.logsUrl);
+    this.resource = {
+      attributes: toAttributes({
+        'service.name': serviceName,
+        'service.namespace': 'bizobs',
+        'service.instance.id': `${os.hostname()}-${process.pid}`,
+        'host.name': os.hostname(),
+        'process.pid': process.pid,
+        'process.runtime.name': 'nodejs',
+        'process.runtime.version': process.versions.node,
+        'telemetry.sdk.name': 'bizobs-otlp',
+        'telemetry.sdk.language': 'nodejs',
+        ...parseKeyValues(process.env.OTEL_RESOURCE_ATTRIBUTES),
+        ...resource
+      })
+    };
+    this.queues = { spans: [], logs: [] };
+    this.dropped = { spans: 0, logs: 0 };
+    this.lastExportErrorAt = 0;
+    this.timer = null;
+
+    if (this.enabled) {
+      this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.timer.unref();
+      originalConsole.log(`[otlp] Exporting ${[this.tracesUrl && `traces to ${this.tracesUrl}`, this.logsUrl && `logs to ${this.logsUrl}`].filter(Boolean).join(', ')} as ${serviceName}`);
+    }
+  }
+
+  /**
+   * Start a span. The parent is, in order: `parent` ({ traceId, spanId }), an inbound
+   * `traceparent` header, the span active in this async context, else a new trace.
+   */
+  startSpan(name, { kind = 'internal', traceparent = null, parent = null, attributes = {} } = {}) {
+    const parentContext = parent || parseTraceparent(traceparent) || activeSpanStore.getStore() || null;
+    return new Span(this, name, { kind, parent: parentContext, attributes });
+  }
+
+  // Run `fn` with `span` as the active span (for console capture and nested spans)
+  withSpan(span, fn) {
+    return activeSpanStore.run(span, fn);
+  }
+
+  activeSpan() {
+    return activeSpanStore.getStore() || null;
+  }
+
+  log(level, body, attributes = {}) {
+    if (!this.logsUrl) return;
+    const [severityNumber, severityText] = SEVERITIES[level] || SEVERITIES.info;
+    const span = activeSpanStore.getStore();
+    const time = nowNanos();
+    this._enqueue('logs', {
+      timeUnixNano: time,
+      observedTimeUnixNano: time,
+      severityNumber,
+      severityText,
+      body: { stringValue: String(body).slice(0, MAX_LOG_BODY_LENGTH) },
+      attributes: toAttributes(attributes),
+      ...(span ? { traceId: span.traceId, spanId: span.spanId, flags: span.traceFlags } : {})
+    });
+  }
+
+  /**
+   * Mirror console output into OTLP log records, tagged with the active span's trace context
+   */
+  captureConsole() {
+    if (!this.logsUrl || this.consoleCaptured) return;
+    this.consoleCaptured = true;
+    for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+      console[method] = (...args) => {
+        originalConsole[method](...args);
+        try {
+          this.log(level, util.format(...args));
+        } catch {}
+      };
+    }
+  }
+
+  _enqueue(signal, item) {
+    if (signal === 'spans' ? !this.tracesUrl : !this.logsUrl) return;
+    const queue = this.queues[signal];
+    if (queue.length >= MAX_QUEUE_SIZE) {
+      queue.shift();
+      this.dropped[signal]++;
+    }
+    queue.push(item);
+    if (queue.length >= MAX_BATCH_SIZE) this.flush();
+  }
+
+  /**
+   * Send everything queued so far. Export failures are reported at most once a minute and never thrown.
+   */
+  async flush() {
+    const sends = [];
+    while (this.queues.spans.length > 0) {
+      const batch = this.queues.spans.splice(0, MAX_BATCH_SIZE);
+      sends.push(this._post(this.tracesUrl, {
+        resourceSpans: [{ resource: this.resource, scopeSpans: [{ scope: { name: 'bizobs' }, spans: batch.map(span => span.toOtlp()) }] }]
+      }));
+    }
+    while (this.queues.logs.length > 0) {
+      const batch = this.queues.logs.splice(0, MAX_BATCH_SIZE);
+      sends.push(this._post(this.logsUrl, {
+        resourceLogs: [{ resource: this.resource, scopeLogs: [{ scope: { name: 'bizobs' }, logRecords: batch }] }]
+      }));
+    }
+    await Promise.all(sends);
+  }
+
+  _post(url, body) {
+    return new Promise((resolve) => {
+      let target;
+      try {
+        target = new URL(url);
+      } catch (err) {
+        this._reportExportError(`invalid endpoint ${url}`);
+        return resolve(false);
+      }
+      const payload = JSON.stringify(body);
+      const client = target.protocol === 'https:' ? https : http;
+      const req = client.request(target, {
+        method: 'POST',
+        headers: { ...this.headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+        timeout: EXPORT_TIMEOUT_MS
+      }, (res) => {
+        res.resume();
+        if (res.statusCode >= 400) this._reportExportError(`${url} returned HTTP ${res.statusCode}`);
+        resolve(res.statusCode < 400);
+      });
+      req.on('timeout', () => req.destroy(new Error('export timed out')));
+      req.on('error', (err) => {
+        this._reportExportError(`${url}: ${err.message}`);
+        resolve(false);
+      });
+      req.end(payload);
+    });
+  }
+
+  _reportExportError(message) {
+    if (Date.now() - this.lastExportErrorAt < EXPORT_ERROR_LOG_INTERVAL_MS) return;
+    this.lastExportErrorAt = Date.now();
+    originalConsole.warn(`[otlp] Export failed (${this.serviceName}): ${message}`);
+  }
+
+  async shutdown() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
+
+function createTelemetry(options) {
+  return new Telemetry(options);
+}
+
+// Span active in the current async context, for helpers that don't hold a Telemetry instance
+function activeSpan() {
+  return activeSpanStore.getStore() || null;
+}
+
+module.exports = { createTelemetry, activeSpan, parseTraceparent };
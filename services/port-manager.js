@@ -141,6 +141,21 @@ class PortManager extends EventEmitter {
     }
   }
 
+  /**
+   * Record an allocation for a port already held by a live service (e.g. a child re-adopted after restart)
+   */
+  adoptPort(port, serviceName, companyName = 'default') {
+    this.allocatedPorts.set(port, {
+      service: serviceName,
+      company: companyName,
+      timestamp: Date.now(),
+      adopted: true
+    });
+    console.log(`♻️ [PortManager] Adopted port ${port} for ${serviceName}-${companyName} (${this.allocatedPorts.size} total allocated)`);
+    this.emit('portAllocated', { port, serviceName, companyName });
+    return port;
+  }
+
   /**
    * Release a port when service stops
    */
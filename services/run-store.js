@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { DEFAULT_WORKSPACE, currentWorkspace } from './workspaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// runs.jsonl rotates to runs.1.jsonl (runs.2.jsonl, ...) once it reaches this size
+const MAX_FILE_BYTES = parseFloat(process.env.RUN_STORE_MAX_FILE_MB || '50') * 1024 * 1024;
+// Rotated files kept; older ones are deleted, as are rotated files last written longer ago than the retention
+const MAX_ROTATED_FILES = Math.max(0, parseInt(process.env.RUN_STORE_MAX_FILES || '4'));
+const RETENTION_MS = parseFloat(process.env.RUN_STORE_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+/**
+ * Durable history of simulated journeys.
+ * Runs are appended to a JSON-lines file under the data directory so they
+ * survive restarts; queries stream the files rather than holding them in memory.
+ * The file rotates by size and old rotated files are dropped (RUN_STORE_MAX_FILE_MB,
+ * RUN_STORE_MAX_FILES, RUN_STORE_RETENTION_DAYS; a retention of 0 keeps them by count only).
+ * Emits 'recorded' with each normalised entry.
+ */
+class RunStore extends EventEmitter {
+  constructor(dataDir = null) {
+    super();
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.filePath = path.join(this.dataDir, 'runs.jsonl');
+    this.writeQueue = Promise.resolve(); // serialises appends so lines never interleave
+    this.fileBytes = null; // size of runs.jsonl, read on the first append
+  }
+
+  _rotatedPath(n) {
+    return path.join(this.dataDir, `runs.${n}.jsonl`);
+  }
+
+  // Every file holding runs, oldest first
+  _files() {
+    const rotated = [];
+    for (let n = MAX_ROTATED_FILES; n >= 1; n--) {
+      if (fs.existsSync(this._rotatedPath(n))) rotated.push(this._rotatedPath(n));
+    }
+    return fs.existsSync(this.filePath) ? [...rotated, this.filePath] : rotated;
+  }
+
+  async _append(line) {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    if (this.fileBytes === null) {
+      this.fileBytes = await fs.promises.stat(this.filePath).then(stat => stat.size, () => 0);
+    }
+    await fs.promises.appendFile(this.filePath, line);
+    this.fileBytes += Buffer.byteLength(line);
+    if (this.fileBytes >= MAX_FILE_BYTES) await this._rotate();
+  }
+
+  // Shift runs.jsonl -> runs.1.jsonl -> runs.2.jsonl ..., dropping what falls off the end or out of retention
+  async _rotate() {
+    const remove = file => fs.promises.rm(file, { force: true });
+    if (MAX_ROTATED_FILES === 0) {
+      await remove(this.filePath);
+    } else {
+      await remove(this._rotatedPath(MAX_ROTATED_FILES));
+      for (let n = MAX_ROTATED_FILES - 1; n >= 1; n--) {
+        if (fs.existsSync(this._rotatedPath(n))) await fs.promises.rename(this._rotatedPath(n), this._rotatedPath(n + 1));
+      }
+      await fs.promises.rename(this.filePath, this._rotatedPath(1));
+    }
+    this.fileBytes = 0;
+
+    if (RETENTION_MS > 0) {
+      for (let n = 1; n <= MAX_ROTATED_FILES; n++) {
+        const stat = await fs.promises.stat(this._rotatedPath(n)).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > RETENTION_MS) await remove(this._rotatedPath(n));
+      }
+    }
+    console.log(`[run-store] Rotated ${this.filePath} (keeping up to ${MAX_ROTATED_FILES} older files)`);
+  }
+
+  /**
+   * Normalise and append a run. Never throws - a failed write must not fail the simulation.
+   */
+  record(run) {
+    const steps = Array.isArray(run.steps) ? run.steps : [];
+    const failedSteps = steps.filter(s => s.status === 'failed').length;
+    const finishedAt = run.finishedAt || new Date().toISOString();
+
+    const entry = {
+      runId: run.runId || randomUUID(),
+      workspace: run.workspace || currentWorkspace(),
+      correlationId: run.correlationId || null,
+      parentCorrelationId: run.parentCorrelationId || null, // the request that ran this customer among others
+      journeyId: run.journeyId || null,
+      customerId: run.customerId || null,
+      source: run.source || 'unknown',
+      companyName: run.companyName || 'DefaultCompany',
+      domain: run.domain || null,
+      industryType: run.industryType || null,
+      status: run.status || (failedSteps > 0 ? 'failed' : 'completed'),
+      exitStep: run.exitStep || null, // last step reached when a graph journey was abandoned or left early
+      journeySteps: Array.isArray(run.journeySteps) ? run.journeySteps : null, // the journey's defined steps, in order
+      revenue: Number.isFinite(run.revenue) ? run.revenue : null, // what the customer is worth if they complete
+      startedAt: run.startedAt || finishedAt,
+      finishedAt,
+      durationMs: run.startedAt ? Date.parse(finishedAt) - Date.parse(run.startedAt) : null,
+      totalSteps: run.totalSteps ?? steps.length,
+      completedSteps: steps.filter(s => s.status === 'completed').length,
+      failedSteps,
+      injectedErrors: steps.filter(s => s.injectedError).length,
+      error: run.error || null,
+      steps
+    };
+
+    this.writeQueue = this.writeQueue
+      .then(() => this._append(JSON.stringify(entry) + '\n'))
+      .catch(err => console.error(`[run-store] Failed to persist run ${entry.runId}: ${err.message}`));
+
+    try {
+      this.emit('recorded', entry);
+    } catch (err) {
+      console.error(`[run-store] A 'recorded' listener failed: ${err.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Stream every stored run, oldest file first, through a predicate. Matches are collected and
+   * returned, or handed to `visit` one by one (and not kept) when it is given.
+   */
+  async scan(predicate, visit = null) {
+    const matches = [];
+
+    // Make sure pending appends (and rotations) are visible to the reader
+    await this.writeQueue;
+
+    for (const file of this._files()) {
+      let input;
+      try {
+        input = fs.createReadStream(file);
+        await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+      } catch (e) {
+        continue; // rotated away since we listed it
+      }
+      const rl = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line.trim()) continue;
+        let run;
+        try {
+          run = JSON.parse(line);
+        } catch (e) {
+          // Skip a torn line (e.g. the process died mid-write) rather than failing the whole query
+          continue;
+        }
+        if (!predicate(run)) continue;
+        if (visit) visit(run);
+        else matches.push(run);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Every run matching the filters, in file order. Filters: workspace, company, status, source, from, to (ISO date or epoch ms)
+   */
+  async filter(filters = {}) {
+    return this.scan(matcher(filters));
+  }
+
+  /**
+   * Query runs, newest first, with the same filters as filter(). Only the offset + limit newest
+   * matches are held while the files are read.
+   */
+  async query({ limit = 100, offset = 0, ...filters } = {}) {
+    const start = Math.max(0, Number(offset) || 0);
+    const size = Math.max(1, Math.min(Number(limit) || 100, 1000));
+    const keep = start + size;
+    const newest = []; // newest first, at most `keep` long
+    let total = 0;
+
+    await this.scan(matcher(filters), run => {
+      total++;
+      const time = Date.parse(run.startedAt) || 0;
+      if (newest.length === keep && time <= newest[keep - 1].time) return;
+      // Binary search for the first kept run older than this one; ties keep file order
+      let low = 0;
+      let high = newest.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (newest[mid].time >= time) low = mid + 1;
+        else high = mid;
+      }
+      newest.splice(low, 0, { time, run });
+      if (newest.length > keep) newest.pop();
+    });
+
+    return { total, runs: newest.slice(start).map(entry => entry.run) };
+  }
+
+  /**
+   * All runs sharing a correlation id (batch routes may reuse one id for several customers)
+   */
+  async getByCorrelationId(correlationId, workspace = null) {
+    return this.scan(run => run.correlationId === correlationId && (!workspace || (run.workspace || DEFAULT_WORKSPACE) === workspace));
+  }
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const asNumber = Number(value);
+  const ms = Number.isFinite(asNumber) ? asNumber : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Predicate for the run filters: workspace, company, status, source, from, to
+function matcher({ workspace, company, status, source, from, to }) {
+  const fromMs = parseTime(from);
+  const toMs = parseTime(to);
+  const companyLower = company ? String(company).toLowerCase() : null;
+
+  return run => {
+    // Runs recorded before workspaces existed belong to the default workspace
+    if (workspace && (run.workspace || DEFAULT_WORKSPACE) !== workspace) return false;
+    if (companyLower && String(run.companyName).toLowerCase() !== companyLower) return false;
+    if (status && run.status !== status) return false;
+    if (source && run.source !== source) return false;
+    const startedMs = Date.parse(run.startedAt);
+    if (fromMs !== null && startedMs < fromMs) return false;
+    if (toMs !== null && startedMs > toMs) return false;
+    return true;
+  };
+}
+
+// Errors for `from` / `to` query values that are set but aren't a date or epoch milliseconds
+export function checkTimeRange({ from, to }) {
+  return Object.entries({ from, to })
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' && parseTime(value) === null)
+    .map(([name, value]) => `${name} must be an ISO date or epoch milliseconds, got "${value}"`);
+}
+
+// Export singleton instance
+export const runStore = new RunStore();
+export default runStore;
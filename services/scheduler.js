@@ -0,0 +1,461 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { wallClock, isWithinWindow, validateWindow, isValidTimeZone } from './time-window.js';
+import { chaosProfiles } from './chaos-profiles.js';
+import { jobQueue } from './job-queue.js';
+import { DEFAULT_WORKSPACE, WORKSPACE_HEADER, currentWorkspace, runInWorkspace, workspaceConfigDir } from './workspaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_DIR = path.join(__dirname, '..', 'saved-configs');
+const SCHEDULE_ENDPOINTS = ['simulate-multiple-journeys', 'simulate-batch-chained', 'simulate-single-step-journeys'];
+const DEFAULT_BUSINESS_HOURS = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+// Long enough for leap-day schedules (0 0 29 2 *), which fire once every four years
+const NEXT_RUN_LOOKAHEAD_DAYS = 5 * 366;
+const MAX_RUN_HISTORY = 20;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 7 is Sunday, as in crontab
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Each field accepts *, n, a-b, a,b and a step (*\/n, a-b/n). Throws on anything else.
+ */
+export function parseCron(expression) {
+  const source = CRON_MACROS[String(expression).trim()] || String(expression).trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${fields.length}: "${expression}"`);
+  }
+
+  return fields.reduce((parsed, field, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!match) throw new Error(`Invalid ${name} field "${field}"`);
+
+      const [, range, stepText] = match;
+      const step = stepText ? Number(stepText) : 1;
+      let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+      if (to === undefined) to = stepText ? max : from;
+      if (step < 1 || from < min || to > max || from > to) {
+        throw new Error(`${name} field "${field}" is out of range ${min}-${max}`);
+      }
+      for (let v = from; v <= to; v += step) values.add(name === 'dayOfWeek' ? v % 7 : v);
+    }
+
+    parsed[name] = values;
+    parsed[`${name}Restricted`] = field !== '*';
+    return parsed;
+  }, {});
+}
+
+function cronMatches(cron, clock) {
+  return cron.minute.has(clock.minute) && cron.hour.has(clock.hour) && cronDayMatches(cron, clock);
+}
+
+function cronDayMatches(cron, clock) {
+  if (!cron.month.has(clock.month)) return false;
+  const dom = cron.dayOfMonth.has(clock.dayOfMonth);
+  const dow = cron.dayOfWeek.has(clock.dayOfWeek);
+  // crontab semantics: when both day fields are restricted, either one matching is enough
+  return cron.dayOfMonthRestricted && cron.dayOfWeekRestricted ? dom || dow : dom && dow;
+}
+
+// Smallest value in the set above `current`, or undefined
+function nextInSet(values, current) {
+  let next;
+  for (const value of values) {
+    if (value > current && (next === undefined || value < next)) next = value;
+  }
+  return next;
+}
+
+/**
+ * Recurring journey simulations driven by saved configs.
+ * Each schedule pairs a config from saved-configs/ with a cron expression and a customer count;
+ * on every matching minute the scheduler posts the config to the simulation API as a background job.
+ * Schedules belong to the workspace they were created in and only see that workspace's configs.
+ */
+class Scheduler extends EventEmitter {
+  constructor(dataDir = null) {
+    super();
+    this.dataDir = dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+    this.filePath = path.join(this.dataDir, 'schedules.json');
+    this.schedules = new Map(); // id -> schedule
+    this.inFlight = new Set(); // ids with a trigger request outstanding
+    this.timer = null;
+    this.port = null;
+    this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const schedule of stored.schedules || []) {
+        this.schedules.set(schedule.id, schedule);
+      }
+    } catch (err) {
+      console.error(`[scheduler] Failed to read ${this.filePath}, starting with no schedules: ${err.message}`);
+    }
+  }
+
+  // Same approach as the chaos profile store - small file, write via a temp file and rename
+  _save() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), schedules: Array.from(this.schedules.values()) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Begin evaluating schedules at the top of every minute. `port` is where this server's API listens.
+   */
+  start(port) {
+    this.port = port;
+    const enabled = Array.from(this.schedules.values()).filter(s => s.enabled).length;
+    console.log(`[scheduler] Started with ${this.schedules.size} schedule(s), ${enabled} enabled`);
+
+    const armNextTick = () => {
+      const delay = 60000 - (Date.now() % 60000) + 50;
+      this.timer = setTimeout(() => {
+        this._tick(new Date());
+        armNextTick();
+      }, delay);
+      this.timer.unref();
+    };
+    armNextTick();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _tick(now) {
+    for (const schedule of this.schedules.values()) {
+      if (!schedule.enabled || !this.isDue(schedule, now)) continue;
+      runInWorkspace(workspaceOf(schedule), () => this.runNow(schedule.id, 'schedule')).catch(err => {
+        console.error(`[scheduler] Scheduled run of "${schedule.name}" failed: ${err.message}`);
+      });
+    }
+  }
+
+  isDue(schedule, now, cron = parseCron(schedule.cron)) {
+    if (!cronMatches(cron, wallClock(now, schedule.timezone || null))) return false;
+    return !schedule.businessHoursOnly || isWithinWindow(schedule.businessHours, now);
+  }
+
+  /**
+   * Next minute the schedule would fire, or null if disabled / nothing matches within the lookahead.
+   * Days, then hours, then minutes that cannot match are skipped whole rather than tested minute by minute.
+   */
+  nextRunAt(schedule, from = new Date()) {
+    if (!schedule.enabled) return null;
+    const cron = parseCron(schedule.cron);
+    const timezone = schedule.timezone || null;
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setTime(candidate.getTime() + 60000);
+    const end = candidate.getTime() + NEXT_RUN_LOOKAHEAD_DAYS * 24 * 60 * 60000;
+
+    while (candidate.getTime() <= end) {
+      const clock = wallClock(candidate, timezone);
+      let skipMinutes;
+      if (!cronDayMatches(cron, clock)) {
+        // Jumps over several hours land an hour early so a DST change cannot carry them past a match
+        skipMinutes = Math.max(60 - clock.minute, (23 - clock.hour) * 60 - clock.minute);
+      } else if (!cron.hour.has(clock.hour)) {
+        const nextHour = nextInSet(cron.hour, clock.hour) ?? 24;
+        skipMinutes = Math.max(60 - clock.minute, (nextHour - clock.hour - 1) * 60 - clock.minute);
+      } else if (cron.minute.has(clock.minute) && this.isDue(schedule, candidate, cron)) {
+        return candidate.toISOString();
+      } else {
+        // Not a cron minute, or one outside business hours - move to the next cron minute
+        skipMinutes = (nextInSet(cron.minute, clock.minute) ?? 60) - clock.minute;
+      }
+      candidate.setTime(candidate.getTime() + skipMinutes * 60000);
+    }
+    return null;
+  }
+
+  // A schedule of the current workspace; other workspaces' schedules are treated as unknown
+  _lookup(id) {
+    const schedule = this.schedules.get(id);
+    return schedule && workspaceOf(schedule) === currentWorkspace() ? schedule : null;
+  }
+
+  list({ configId = null } = {}) {
+    const workspace = currentWorkspace();
+    return Array.from(this.schedules.values())
+      .filter(s => workspaceOf(s) === workspace && (!configId || s.configId === configId))
+      .map(s => this.serialize(s));
+  }
+
+  get(id) {
+    const schedule = this._lookup(id);
+    return schedule ? this.serialize(schedule) : null;
+  }
+
+  serialize(schedule) {
+    return { ...schedule, running: this.inFlight.has(schedule.id), nextRunAt: this.nextRunAt(schedule) };
+  }
+
+  /**
+   * Create a schedule. Returns { schedule } or { errors } when invalid.
+   */
+  create(input) {
+    const normalized = normalizeSchedule(input);
+    const errors = validateSchedule(normalized);
+    if (errors.length > 0) return { errors };
+
+    const now = new Date().toISOString();
+    const workspace = currentWorkspace();
+    const schedule = {
+      id: randomUUID(),
+      ...normalized,
+      workspace,
+      name: normalized.name || `${loadSavedConfig(normalized.configId, workspace)?.name || normalized.configId} (${normalized.cron})`,
+      createdAt: now,
+      updatedAt: now,
+      runCount: 0,
+      lastRun: null,
+      history: []
+    };
+    this.schedules.set(schedule.id, schedule);
+    this._save();
+    console.log(`[scheduler] Created schedule "${schedule.name}" (${schedule.cron}) for config ${schedule.configId}`);
+    return { schedule: this.serialize(schedule) };
+  }
+
+  /**
+   * Merge changes into an existing schedule. Returns { schedule }, { errors } or null if unknown.
+   */
+  update(id, changes) {
+    const existing = this._lookup(id);
+    if (!existing) return null;
+
+    const { id: _id, createdAt, runCount, lastRun, history, workspace, ...editable } = changes || {};
+    const normalized = normalizeSchedule({ ...existing, ...editable });
+    const errors = validateSchedule(normalized);
+    if (errors.length > 0) return { errors };
+
+    const schedule = { ...existing, ...normalized, updatedAt: new Date().toISOString() };
+    this.schedules.set(id, schedule);
+    this._save();
+    console.log(`[scheduler] Updated schedule "${schedule.name}"`);
+    return { schedule: this.serialize(schedule) };
+  }
+
+  setEnabled(id, enabled) {
+    const schedule = this._lookup(id);
+    if (!schedule) return null;
+    schedule.enabled = enabled;
+    schedule.updatedAt = new Date().toISOString();
+    this._save();
+    console.log(`[scheduler] ${enabled ? 'Enabled' : 'Disabled'} schedule "${schedule.name}"`);
+    return this.serialize(schedule);
+  }
+
+  remove(id) {
+    const schedule = this._lookup(id);
+    if (!schedule) return false;
+    this.schedules.delete(id);
+    this._save();
+    console.log(`[scheduler] Deleted schedule "${schedule.name}"`);
+    return true;
+  }
+
+  /**
+   * Trigger a schedule immediately. Resolves to the run record; returns null for an unknown id.
+   * A run is skipped while the previous one's simulation job is still going.
+   */
+  async runNow(id, trigger = 'manual') {
+    const schedule = this._lookup(id);
+    if (!schedule) return null;
+
+    const run = { trigger, startedAt: new Date().toISOString() };
+    const previousJob = schedule.lastRun?.jobId ? jobQueue.get(schedule.lastRun.jobId) : null;
+
+    if (this.inFlight.has(id) || previousJob?.status === 'queued' || previousJob?.status === 'running') {
+      console.log(`[scheduler] Skipping "${schedule.name}" - previous run still in progress`);
+      return { ...run, status: 'skipped', reason: 'previous run still in progress', jobId: previousJob?.id || null };
+    }
+
+    this.inFlight.add(id);
+    try {
+      const config = loadSavedConfig(schedule.configId, workspaceOf(schedule));
+      if (!config) throw new Error(`Saved config "${schedule.configId}" not found`);
+
+      const body = buildSimulationBody(config, schedule);
+      console.log(`[scheduler] Running "${schedule.name}" (${trigger}): ${schedule.customers} customer(s) via ${schedule.endpoint}`);
+      const { statusCode, data } = await this._post(`/api/journey-simulation/${schedule.endpoint}`, body, workspaceOf(schedule));
+
+      if (statusCode >= 400 || data?.ok === false) {
+        throw new Error(data?.error || `Simulation request returned HTTP ${statusCode}`);
+      }
+      Object.assign(run, { status: 'started', httpStatus: statusCode, jobId: data?.jobId || null });
+    } catch (err) {
+      Object.assign(run, { status: 'failed', error: err.message });
+      console.error(`[scheduler] Run of "${schedule.name}" failed: ${err.message}`);
+    } finally {
+      this.inFlight.delete(id);
+    }
+
+    // The schedule may have been deleted while the request was out
+    if (this.schedules.has(id)) {
+      schedule.runCount = (schedule.runCount || 0) + 1;
+      schedule.lastRun = run;
+      schedule.history = [run, ...(schedule.history || [])].slice(0, MAX_RUN_HISTORY);
+      this._save();
+    }
+    this.emit('scheduleRun', { scheduleId: id, workspace: workspaceOf(schedule), name: schedule.name, ...run });
+    return run;
+  }
+
+  _post(urlPath, body, workspace = DEFAULT_WORKSPACE) {
+    return new Promise((resolve, reject) => {
+      if (!this.port) return reject(new Error('Scheduler has not been started'));
+      const payload = JSON.stringify(body);
+      const req = http.request({
+        hostname: '127.0.0.1',
+        port: this.port,
+        path: urlPath,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), [WORKSPACE_HEADER]: workspace },
+        timeout: 60000
+      }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => {
+          try {
+            resolve({ statusCode: res.statusCode, data: raw ? JSON.parse(raw) : null });
+          } catch {
+            resolve({ statusCode: res.statusCode, data: { error: raw.slice(0, 200) } });
+          }
+        });
+      });
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error('Simulation request timed out')));
+      req.end(payload);
+    });
+  }
+}
+
+// Schedules saved before workspaces existed belong to the default workspace
+const workspaceOf = schedule => schedule.workspace || DEFAULT_WORKSPACE;
+
+function loadSavedConfig(configId, workspace = DEFAULT_WORKSPACE) {
+  if (!configId || !/^[\w-]+$/.test(configId)) return null;
+  const filePath = path.join(workspaceConfigDir(CONFIG_DIR, workspace), `config-${configId}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a saved config into the body the simulate endpoints expect (same shape the UI posts)
+ */
+function buildSimulationBody(config, schedule) {
+  const saved = config.currentJourneyData || {};
+  const journey = saved.journey || config.lastJourney;
+  if (!Array.isArray(journey?.steps) || journey.steps.length === 0) {
+    throw new Error(`Saved config "${config.name || config.id}" has no journey steps`);
+  }
+
+  return {
+    journey,
+    companyName: journey.companyName || config.companyName,
+    domain: journey.domain || config.domain,
+    industryType: journey.industryType,
+    additionalFields: saved.additionalFields || journey.additionalFields || null,
+    customerProfile: saved.customerProfile || journey.customerProfile || null,
+    traceMetadata: saved.traceMetadata || journey.traceMetadata || null,
+    customers: schedule.customers,
+    errorSimulationEnabled: schedule.errorSimulationEnabled,
+    chaosProfile: schedule.chaosProfile || null,
+    async: true,
+    scheduleId: schedule.id
+  };
+}
+
+function normalizeSchedule(input = {}) {
+  const businessHoursOnly = input.businessHoursOnly === true;
+  return {
+    name: input.name ? String(input.name).trim() : '',
+    configId: input.configId ? String(input.configId) : '',
+    cron: String(input.cron || '').trim(),
+    timezone: input.timezone || null,
+    customers: Number(input.customers ?? 1),
+    endpoint: input.endpoint || 'simulate-multiple-journeys',
+    businessHoursOnly,
+    businessHours: businessHoursOnly ? { ...DEFAULT_BUSINESS_HOURS, timezone: input.timezone || null, ...(input.businessHours || {}) } : null,
+    errorSimulationEnabled: input.errorSimulationEnabled !== false,
+    chaosProfile: input.chaosProfile || null,
+    enabled: input.enabled !== false
+  };
+}
+
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!schedule.configId) {
+    errors.push('configId is required');
+  } else if (!loadSavedConfig(schedule.configId, currentWorkspace())) {
+    errors.push(`Saved config "${schedule.configId}" not found`);
+  }
+
+  if (!schedule.cron) {
+    errors.push('cron is required, e.g. "*/2 * * * *" for every 2 minutes');
+  } else {
+    try {
+      parseCron(schedule.cron);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  if (!Number.isInteger(schedule.customers) || schedule.customers < 1 || schedule.customers > jobQueue.maxItems) {
+    errors.push(`customers must be an integer between 1 and ${jobQueue.maxItems}`);
+  }
+  if (!SCHEDULE_ENDPOINTS.includes(schedule.endpoint)) {
+    errors.push(`endpoint must be one of: ${SCHEDULE_ENDPOINTS.join(', ')}`);
+  }
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+    errors.push('timezone is not a valid IANA time zone');
+  }
+  if (schedule.businessHours) {
+    errors.push(...validateWindow(schedule.businessHours, 'businessHours'));
+  }
+  if (schedule.chaosProfile && !chaosProfiles.get(schedule.chaosProfile)) {
+    errors.push(`Unknown chaos profile "${schedule.chaosProfile}"`);
+  }
+
+  return errors;
+}
+
+// Export singleton instance
+export const scheduler = new Scheduler();
+export default scheduler;
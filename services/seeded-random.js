@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+/**
+ * Random source for simulations. With a seed every draw, id and timestamp it hands out
+ * repeats exactly, so the same seed and config produce byte-identical payloads.
+ * Without a seed it falls back to Math.random, crypto.randomUUID and the wall clock.
+ */
+
+// Seeded runs stamp generated timestamps from this instant unless the journey has its own start time
+const DEFAULT_SEED_EPOCH = Date.parse('2025-01-01T00:00:00.000Z');
+const MAX_SEED_LENGTH = 200;
+
+// FNV-1a: spreads string seeds like "demo" and "demo:customer:1" across the 32-bit state
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for demo data (not for anything security related)
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const isSeeded = seed => seed !== undefined && seed !== null && seed !== '';
+
+/**
+ * createRandom('demo-1') -> { seed, seeded, next, int, pick, chance, hex, uuid, now, fork }
+ * `fork(label)` derives an independent stream (e.g. per customer) so concurrent workers
+ * don't change each other's draws; unseeded it returns the same unseeded source.
+ */
+export function createRandom(seed = null, { epoch = null } = {}) {
+  const seeded = isSeeded(seed);
+  const next = seeded ? mulberry32(hashSeed(String(seed))) : Math.random;
+  const epochMs = epoch !== null && epoch !== undefined ? new Date(epoch).getTime() : NaN;
+  const startedAt = Number.isNaN(epochMs) ? DEFAULT_SEED_EPOCH : epochMs;
+
+  const hex = length => {
+    let out = '';
+    while (out.length < length) out += Math.floor(next() * 0x100000000).toString(16).padStart(8, '0');
+    return out.slice(0, length);
+  };
+
+  const random = {
+    seed: seeded ? String(seed) : null,
+    seeded,
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: values => values[Math.floor(next() * values.length)],
+    chance: probability => next() < probability,
+    hex: length => (seeded ? hex(length) : crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length)),
+    uuid: () => {
+      if (!seeded) return crypto.randomUUID();
+      const h = hex(32);
+      const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16);
+      return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+    },
+    now: () => (seeded ? startedAt : Date.now()),
+    fork: label => (seeded ? createRandom(`${seed}:${label}`, { epoch: startedAt }) : random)
+  };
+  return random;
+}
+
+/**
+ * 400 body for a malformed `seed`, or null (absent seeds are fine)
+ */
+export function checkSeed(seed) {
+  if (!isSeeded(seed)) return null;
+  if ((typeof seed !== 'string' && !Number.isFinite(seed)) || String(seed).length > MAX_SEED_LENGTH) {
+    return { ok: false, success: false, error: `seed must be a string or number of at most ${MAX_SEED_LENGTH} characters` };
+  }
+  return null;
+}
@@ -3,8 +3,10 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import http from 'http';
+import { EventEmitter } from 'events';
 import portManager from './port-manager.js';
 import { propagateMetadata } from '../middleware/dynatrace-metadata.js';
+import { DEFAULT_WORKSPACE, currentWorkspace, isDefaultWorkspace } from './workspaces.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,6 +15,40 @@ const __dirname = path.dirname(__filename);
 const childServices = {};
 const childServiceMeta = {};
 
+// 'spawned' and 'stopped' for every child process, whatever started or stopped it
+export const serviceEvents = new EventEmitter();
+
+// Infrastructure services that are never stopped by cleanup or eviction
+const ESSENTIAL_SERVICES = [
+  'DiscoveryService-Dynatrace',
+  'PurchaseService-Dynatrace',
+  'DataPersistenceService-Dynatrace'
+];
+
+// Child process budget: services idle longer than the timeout are stopped (0 disables),
+// and once the max is reached the least recently used service makes room for a new one
+const SERVICE_IDLE_TIMEOUT_MS = parseFloat(process.env.SERVICE_IDLE_TIMEOUT_MINUTES || '10') * 60 * 1000;
+const MAX_CHILD_SERVICES = parseInt(process.env.MAX_CHILD_SERVICES || String(portManager.maxPort - portManager.minPort + 1));
+const IDLE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Port allocations and child PIDs are persisted here so a restarted main server can re-adopt its children
+const DATA_DIR = process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data');
+const SERVICE_STATE_FILE = path.join(DATA_DIR, 'service-state.json');
+
+// Services are keyed per company, and per workspace outside the default one
+// (e.g. "CheckoutService-Acme" or "CheckoutService-Acme@team-a")
+function serviceKey(baseServiceName, companyName, workspace = DEFAULT_WORKSPACE) {
+  const key = `${baseServiceName}-${String(companyName).replace(/[^a-zA-Z0-9]/g, '')}`;
+  return isDefaultWorkspace(workspace) ? key : `${key}@${workspace}`;
+}
+
+const workspaceOf = name => childServiceMeta[name]?.workspace || name.split('@')[1] || DEFAULT_WORKSPACE;
+
+// Tracked service keys, limited to one workspace when given
+function serviceNamesIn(workspace) {
+  return Object.keys(childServices).filter(name => !workspace || workspaceOf(name) === workspace);
+}
+
 // Check if a service port is ready to accept connections
 export async function isServiceReady(port, timeout = 5000) {
   return new Promise((resolve) => {
@@ -105,12 +141,12 @@ export function getServiceNameFromStep(stepName, context = {}) {
 }
 
 // Get port for service using robust port manager
-export async function getServicePort(stepName, companyName = 'DefaultCompany') {
+export async function getServicePort(stepName, companyName = 'DefaultCompany', workspace = currentWorkspace()) {
   const baseServiceName = getServiceNameFromStep(stepName);
   if (!baseServiceName) return null;
   
   // Create compound service name for internal tracking and port allocation
-  const internalServiceName = `${baseServiceName}-${companyName.replace(/[^a-zA-Z0-9]/g, '')}`;
+  const internalServiceName = serviceKey(baseServiceName, companyName, workspace);
   // Use clean service name for Dynatrace service identification (per user request)
   const dynatraceServiceName = baseServiceName;
   
@@ -158,6 +194,24 @@ function cleanupDeadServices() {
   console.log(`[service-manager] Cleanup completed: ${deadServices.length} dead services removed`);
 }
 
+// Clean up tracking and release the port once a child exits
+function watchChildExit(internalServiceName, child, label) {
+  child.on('exit', (code, signal) => {
+    console.log(`[${label}] exited with code ${code}`);
+    serviceEvents.emit('stopped', { service: internalServiceName, serviceName: label, workspace: workspaceOf(internalServiceName), pid: child.pid, exitCode: code, signal: signal || null });
+    // A reset may already have replaced this process - only clean up our own entry
+    if (childServices[internalServiceName] !== child) return;
+    const meta = childServiceMeta[internalServiceName];
+    delete childServices[internalServiceName];
+    delete childServiceMeta[internalServiceName];
+    // Free up the port using port manager
+    if (meta?.port) {
+      portManager.releasePort(meta.port);
+    }
+    persistServiceState();
+  });
+}
+
 // Start child service process
 export async function startChildService(internalServiceName, scriptPath, env = {}) {
   // Use the original step name from env, not derived from service name
@@ -172,21 +226,26 @@ export async function startChildService(internalServiceName, scriptPath, env = {
   const domain = env.DOMAIN || 'default.com';
   const industryType = env.INDUSTRY_TYPE || 'general';
   
+  const workspace = env.WORKSPACE_ID || DEFAULT_WORKSPACE;
+  
   // Get Dynatrace service name (clean name without company suffix)
   const dynatraceServiceName = env.DYNATRACE_SERVICE_NAME || env.BASE_SERVICE_NAME || internalServiceName.replace(/-[^-]*$/, '');
   
   let port; // Declare port outside try block for error handling
   try {
-    port = await getServicePort(stepName, companyName);
+    port = await getServicePort(stepName, companyName, workspace);
     console.log(`🚀 Starting child service: ${dynatraceServiceName} (${internalServiceName}) on port ${port} for company: ${companyName} (domain: ${domain}, industry: ${industryType})`);
     
-    const child = spawn('node', [`--title=${dynatraceServiceName}`, scriptPath, dynatraceServiceName], {
+    // Same runtime (and sqlite flag) as the server, so step services get node:sqlite wherever the server has it
+    const runtimeFlags = process.execArgv.filter(arg => arg === '--experimental-sqlite');
+    const child = spawn(process.execPath, [...runtimeFlags, `--title=${dynatraceServiceName}`, scriptPath, dynatraceServiceName], {
       env: { 
         ...process.env, 
         SERVICE_NAME: dynatraceServiceName, 
         FULL_SERVICE_NAME: internalServiceName,
         PORT: port,
         MAIN_SERVER_PORT: process.env.PORT || '8080',
+        WORKSPACE_ID: workspace,
         // Company context for business observability
         COMPANY_NAME: companyName,
         DOMAIN: domain,
@@ -206,7 +265,7 @@ export async function startChildService(internalServiceName, scriptPath, env = {
         DT_CLUSTER_ID: dynatraceServiceName,
         DT_NODE_ID: `${dynatraceServiceName}-node`,
         // Dynatrace tags - space separated format like old working version
-        DT_TAGS: `company=${companyName.replace(/ /g, '_')} app=BizObs-CustomerJourney service=${dynatraceServiceName}`,
+        DT_TAGS: `company=${companyName.replace(/ /g, '_')} app=BizObs-CustomerJourney service=${dynatraceServiceName}${isDefaultWorkspace(workspace) ? '' : ` workspace=${workspace}`}`,
         // Release information
         DT_RELEASE_PRODUCT: 'BizObs-Engine',
         DT_RELEASE_STAGE: 'production',
@@ -230,13 +289,7 @@ export async function startChildService(internalServiceName, scriptPath, env = {
     
     child.stdout.on('data', d => console.log(`[${dynatraceServiceName}] ${d.toString().trim()}`));
     child.stderr.on('data', d => console.error(`[${dynatraceServiceName}][ERR] ${d.toString().trim()}`));
-    child.on('exit', code => {
-      console.log(`[${dynatraceServiceName}] exited with code ${code}`);
-      delete childServices[internalServiceName];
-      delete childServiceMeta[internalServiceName];
-      // Free up the port using port manager
-      portManager.releasePort(port, internalServiceName);
-    });
+    watchChildExit(internalServiceName, child, dynatraceServiceName);
     
     // Track startup time and metadata
     child.startTime = new Date().toISOString();
@@ -247,15 +300,24 @@ export async function startChildService(internalServiceName, scriptPath, env = {
       domain, 
       industryType, 
       startTime: child.startTime,
-      port 
+      lastUsedAt: Date.now(),
+      port,
+      // Kept so admin resets can restart the service with the same identity
+      stepName,
+      baseServiceName: dynatraceServiceName,
+      category: env.CATEGORY || 'general',
+      scriptPath,
+      workspace
     };
+    persistServiceState();
+    serviceEvents.emit('spawned', { service: internalServiceName, serviceName: dynatraceServiceName, stepName, companyName, workspace, port, pid: child.pid });
     return child;
     
   } catch (error) {
-    console.error(`[service-manager] Failed to start service ${serviceName}: ${error.message}`);
+    console.error(`[service-manager] Failed to start service ${internalServiceName}: ${error.message}`);
     // Release port if allocation succeeded but service start failed
     if (port) {
-      portManager.releasePort(port, serviceName);
+      portManager.releasePort(port);
     }
     throw error;
   }
@@ -278,9 +340,10 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
   const industryType = companyContext.industryType || 'general';
   const stepEnvName = companyContext.stepName || stepName;
   const category = stepContext.category || 'general';
+  const workspace = companyContext.workspace || currentWorkspace();
   
-  // Create a unique service key per company to allow service reuse within same company
-  const internalServiceName = `${baseServiceName}-${companyName.replace(/[^a-zA-Z0-9]/g, '')}`;
+  // Create a unique service key per company (and workspace) to allow service reuse within same company
+  const internalServiceName = serviceKey(baseServiceName, companyName, workspace);
   // Use clean service name for Dynatrace service identification (per user request)
   const dynatraceServiceName = baseServiceName;
   console.log(`[service-manager] Company-specific service name: ${internalServiceName} (base: ${baseServiceName}, company: ${companyName})`);
@@ -311,6 +374,7 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
   // If service exists and is still running AND context matches, return it immediately
   if (existing && !existing.killed && existing.exitCode === null && !metaMismatch) {
     console.log(`[service-manager] Service ${internalServiceName} already running (PID: ${existing.pid}), reusing existing instance for ${companyName}`);
+    existingMeta.lastUsedAt = Date.now();
     // Return the port number
     return existingMeta?.port;
   }
@@ -328,6 +392,7 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
       }
     }
     console.log(`[service-manager] Service ${internalServiceName} not running, starting it for company: ${companyName}...`);
+    await makeRoomForService(internalServiceName);
     // Try to start with existing service file, fallback to dynamic service
     const specificServicePath = path.join(__dirname, `${internalServiceName}.cjs`);
     const dynamicServicePath = path.join(__dirname, 'dynamic-step-service.cjs');
@@ -345,7 +410,8 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
           INDUSTRY_TYPE: industryType,
           CATEGORY: category,
           BASE_SERVICE_NAME: baseServiceName,
-          DYNATRACE_SERVICE_NAME: dynatraceServiceName
+          DYNATRACE_SERVICE_NAME: dynatraceServiceName,
+          WORKSPACE_ID: workspace
         });
         const meta = childServiceMeta[internalServiceName];
         const allocatedPort = meta?.port;
@@ -405,7 +471,8 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
           INDUSTRY_TYPE: industryType,
           CATEGORY: category,
           BASE_SERVICE_NAME: baseServiceName,
-          DYNATRACE_SERVICE_NAME: dynatraceServiceName
+          DYNATRACE_SERVICE_NAME: dynatraceServiceName,
+          WORKSPACE_ID: workspace
         });
         const meta = childServiceMeta[internalServiceName];
         const allocatedPort = meta?.port;
@@ -434,12 +501,8 @@ export async function ensureServiceRunning(stepName, companyContext = {}) {
         delete childServices[internalServiceName];
         delete childServiceMeta[internalServiceName];
         // Free the port allocation and return to pool
-        if (portAllocations.has(internalServiceName)) {
-          const port = portAllocations.get(internalServiceName);
-          portAllocations.delete(internalServiceName);
-          portPool.add(port);
-          console.log(`[service-manager] Freed port ${port} for unresponsive service ${internalServiceName}`);
-        }
+        portManager.releasePort(meta.port);
+        console.log(`[service-manager] Freed port ${meta.port} for unresponsive service ${internalServiceName}`);
         // Restart the service
         return ensureServiceRunning(stepName, companyContext);
       }
@@ -461,14 +524,20 @@ export function getChildServiceMeta() {
   return childServiceMeta;
 }
 
-// Stop all services and free all ports
-export function stopAllServices() {
-  Object.values(childServices).forEach(child => {
-    child.kill('SIGTERM');
+// Running services of one workspace
+export function getWorkspaceServices(workspace = currentWorkspace()) {
+  return Object.fromEntries(serviceNamesIn(workspace).map(name => [name, childServices[name]]));
+}
+
+// Stop all services (only those of `workspace` when given) and free their ports
+export function stopAllServices({ workspace } = {}) {
+  const names = serviceNamesIn(workspace);
+  names.forEach(serviceName => {
+    childServices[serviceName].kill('SIGTERM');
   });
   
   // Clear all port allocations using port manager
-  Object.keys(childServices).forEach(serviceName => {
+  names.forEach(serviceName => {
     const meta = childServiceMeta[serviceName];
     if (meta && meta.port) {
       portManager.releasePort(meta.port, serviceName);
@@ -476,19 +545,16 @@ export function stopAllServices() {
     delete childServices[serviceName];
     delete childServiceMeta[serviceName];
   });
-  console.log(`[service-manager] All services stopped and ports freed from port manager`);
+  persistServiceState();
+  console.log(`[service-manager] ${workspace ? `All services of workspace ${workspace}` : 'All services'} stopped and ports freed from port manager`);
 }
 
 // Stop only customer journey services, preserve essential infrastructure services
-export function stopCustomerJourneyServices() {
-  const essentialServices = [
-    'DiscoveryService-Dynatrace',
-    'PurchaseService-Dynatrace', 
-    'DataPersistenceService-Dynatrace'
-  ];
+export function stopCustomerJourneyServices({ workspace } = {}) {
+  const essentialServices = ESSENTIAL_SERVICES;
   
   let stoppedCount = 0;
-  Object.keys(childServices).forEach(serviceName => {
+  serviceNamesIn(workspace).forEach(serviceName => {
     // Preserve essential infrastructure services
     if (essentialServices.includes(serviceName)) {
       console.log(`[service-manager] Preserving essential service: ${serviceName}`);
@@ -511,7 +577,329 @@ export function stopCustomerJourneyServices() {
     delete childServiceMeta[serviceName];
   });
   
-  console.log(`[service-manager] Stopped ${stoppedCount} customer journey services, preserved ${essentialServices.length} essential services`);
+  persistServiceState();
+  console.log(`[service-manager] Stopped ${stoppedCount} customer journey services${workspace ? ` in workspace ${workspace}` : ''}, preserved ${essentialServices.length} essential services`);
+}
+
+// Write the current port/PID table; synchronous so it is complete even when called during shutdown
+function persistServiceState() {
+  const services = Object.entries(childServices).map(([name, child]) => {
+    const meta = childServiceMeta[name] || {};
+    return {
+      internalServiceName: name,
+      pid: child.pid,
+      port: meta.port,
+      allocation: meta.port ? portManager.allocatedPorts.get(meta.port) || null : null,
+      meta
+    };
+  });
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${SERVICE_STATE_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), serverPid: process.pid, services }, null, 2));
+    fs.renameSync(tmpPath, SERVICE_STATE_FILE);
+  } catch (error) {
+    console.error(`[service-manager] Failed to persist service state: ${error.message}`);
+  }
+}
+
+function isPidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Read a service's /health body, or null if it doesn't answer with JSON
+function fetchServiceHealth(port, timeout = 1500) {
+  return new Promise(resolve => {
+    const req = http.request({ hostname: '127.0.0.1', port, path: '/health', method: 'GET', timeout }, res => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try { resolve(JSON.parse(body)); } catch { resolve(null); }
+      });
+    });
+    req.on('error', () => resolve(null));
+    req.on('timeout', () => { req.destroy(); resolve(null); });
+    req.end();
+  });
+}
+
+// Only signal a PID we can confirm is still running our script, in case the OS has reused it
+function isOwnChildProcess(pid, scriptPath) {
+  try {
+    const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf-8');
+    return Boolean(scriptPath) && cmdline.includes(scriptPath);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Handle for a child service re-adopted after a main-server restart.
+ * We no longer own its stdio or exit event, so liveness is polled and 'exit'
+ * is emitted once the PID disappears - enough for the code paths that expect a ChildProcess.
+ */
+class AdoptedChildProcess extends EventEmitter {
+  constructor(pid) {
+    super();
+    this.pid = pid;
+    this.adopted = true;
+    this.killed = false;
+    this.exitCode = null;
+    this.signalCode = null;
+    this.lastSignal = null;
+    this.pollTimer = null;
+    this.watch(5000);
+  }
+
+  watch(intervalMs) {
+    clearInterval(this.pollTimer);
+    this.pollTimer = setInterval(() => {
+      if (isPidAlive(this.pid)) return;
+      clearInterval(this.pollTimer);
+      this.signalCode = this.lastSignal;
+      this.exitCode = this.lastSignal ? null : 0;
+      this.emit('exit', this.exitCode, this.signalCode);
+    }, intervalMs);
+    this.pollTimer.unref();
+  }
+
+  kill(signal = 'SIGTERM') {
+    try {
+      process.kill(this.pid, signal);
+      this.killed = true;
+      this.lastSignal = signal;
+      this.watch(100);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Reconcile the persisted port/PID table after a restart: re-adopt children still
+ * answering /health as the expected service, stop our own stale ones, and forget the rest.
+ */
+export async function reconcileServiceState() {
+  const summary = { adopted: [], killed: [], released: [] };
+  let state;
+  try {
+    if (!fs.existsSync(SERVICE_STATE_FILE)) return summary;
+    state = JSON.parse(fs.readFileSync(SERVICE_STATE_FILE, 'utf-8'));
+  } catch (error) {
+    console.warn(`[service-manager] Ignoring unreadable service state file: ${error.message}`);
+    return summary;
+  }
+
+  for (const entry of state.services || []) {
+    const { internalServiceName, pid, port, allocation, meta = {} } = entry;
+    if (!internalServiceName || !pid || !port || childServices[internalServiceName]) continue;
+
+    const alive = isPidAlive(pid);
+    const health = alive ? await fetchServiceHealth(port) : null;
+    const healthy = health && health.pid === pid && (health.serviceName || health.service) === meta.baseServiceName;
+
+    if (healthy) {
+      const child = new AdoptedChildProcess(pid);
+      childServices[internalServiceName] = child;
+      childServiceMeta[internalServiceName] = { ...meta, port, lastUsedAt: Date.now() };
+      portManager.adoptPort(port, allocation?.service || internalServiceName, allocation?.company || meta.companyName);
+      watchChildExit(internalServiceName, child, meta.baseServiceName || internalServiceName);
+      summary.adopted.push({ service: internalServiceName, pid, port });
+      console.log(`[service-manager] Re-adopted ${internalServiceName} (PID ${pid}) on port ${port}`);
+    } else if (alive && isOwnChildProcess(pid, meta.scriptPath)) {
+      try { process.kill(pid, 'SIGTERM'); } catch {}
+      summary.killed.push({ service: internalServiceName, pid, port });
+      console.log(`[service-manager] Stopped stale ${internalServiceName} (PID ${pid}, port ${port}) - it no longer answers /health as expected`);
+    } else {
+      summary.released.push({ service: internalServiceName, pid, port });
+      console.log(`[service-manager] Released stale allocation for ${internalServiceName} (PID ${pid} gone, port ${port})`);
+    }
+  }
+
+  persistServiceState();
+  console.log(`[service-manager] Service state reconciled: ${summary.adopted.length} adopted, ${summary.killed.length} stopped, ${summary.released.length} released`);
+  return summary;
+}
+
+// Resolve an admin-supplied identifier (internal name, base name + company, or port) to a tracked service key
+// (only services of `workspace` are considered when given)
+export function findServiceKey({ serviceName, companyName, port, workspace } = {}) {
+  const names = serviceNamesIn(workspace);
+  if (serviceName && names.includes(serviceName)) return serviceName;
+
+  if (serviceName && companyName) {
+    const key = serviceKey(serviceName, companyName, workspace);
+    if (names.includes(key)) return key;
+  }
+
+  if (port) {
+    const byPort = names.find(name => String(childServiceMeta[name]?.port) === String(port));
+    if (byPort) return byPort;
+  }
+
+  if (serviceName) {
+    // Fall back to the Dynatrace (base) service name when it identifies exactly one process
+    const matches = names.filter(name => childServiceMeta[name]?.baseServiceName === serviceName);
+    if (matches.length === 1) return matches[0];
+  }
+
+  return null;
+}
+
+// Resolve once the child has exited, or false if it is still alive after timeoutMs
+function waitForExit(child, timeoutMs) {
+  return new Promise(resolve => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve(true);
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+// Stop one child service, escalating to SIGKILL if it ignores SIGTERM, and release its port
+export async function stopService(internalServiceName, timeoutMs = 5000) {
+  const child = childServices[internalServiceName];
+  const meta = childServiceMeta[internalServiceName] || {};
+  if (!child) {
+    return { service: internalServiceName, status: 'not_found', error: `Service ${internalServiceName} is not running` };
+  }
+
+  const outcome = { service: internalServiceName, pid: child.pid, port: meta.port || null, companyName: meta.companyName || null };
+  delete childServices[internalServiceName];
+  delete childServiceMeta[internalServiceName];
+  persistServiceState();
+
+  try {
+    child.kill('SIGTERM');
+    let exited = await waitForExit(child, timeoutMs);
+    if (!exited) {
+      console.log(`[service-manager] ${internalServiceName} (PID ${child.pid}) ignored SIGTERM, sending SIGKILL`);
+      child.kill('SIGKILL');
+      exited = await waitForExit(child, 2000);
+    }
+    if (meta.port) {
+      portManager.releasePort(meta.port);
+    }
+    console.log(`[service-manager] Stopped ${internalServiceName} (PID ${child.pid}, port ${meta.port || 'unknown'})`);
+    return { ...outcome, status: exited ? 'killed' : 'kill_pending' };
+  } catch (error) {
+    console.error(`[service-manager] Failed to stop ${internalServiceName}: ${error.message}`);
+    return { ...outcome, status: 'failed', error: error.message };
+  }
+}
+
+// Stop a service and start it again with the context it was originally started with
+export async function resetService(internalServiceName) {
+  const meta = childServiceMeta[internalServiceName];
+  if (!childServices[internalServiceName] || !meta) {
+    return { service: internalServiceName, status: 'not_found', error: `Service ${internalServiceName} is not running` };
+  }
+
+  const restartContext = {
+    companyName: meta.companyName,
+    domain: meta.domain,
+    industryType: meta.industryType,
+    stepName: meta.stepName,
+    serviceName: meta.baseServiceName,
+    category: meta.category,
+    workspace: meta.workspace
+  };
+
+  const stopped = await stopService(internalServiceName);
+  if (stopped.status === 'failed') {
+    return { ...stopped, status: 'failed' };
+  }
+
+  try {
+    const port = await ensureServiceRunning(meta.stepName, restartContext);
+    const restarted = childServices[internalServiceName];
+    if (!port || !restarted) {
+      throw new Error(`Service ${internalServiceName} did not come back up`);
+    }
+    return { service: internalServiceName, status: 'reset', previousPid: stopped.pid, pid: restarted.pid, previousPort: stopped.port, port };
+  } catch (error) {
+    console.error(`[service-manager] Failed to restart ${internalServiceName}: ${error.message}`);
+    return { service: internalServiceName, status: 'failed', previousPid: stopped.pid, previousPort: stopped.port, error: error.message };
+  }
+}
+
+// Stop every running child service (of `workspace` when given), reporting the outcome for each
+export async function killAllServices({ workspace } = {}) {
+  const names = serviceNamesIn(workspace);
+  return Promise.all(names.map(name => stopService(name)));
+}
+
+// Reset every running child service (of `workspace` when given) one at a time so restarts don't contend for ports
+export async function resetAllServices({ workspace } = {}) {
+  const results = [];
+  for (const name of serviceNamesIn(workspace)) {
+    results.push(await resetService(name));
+  }
+  return results;
+}
+
+// Mark the service listening on `port` as used so idle eviction and the LRU budget leave it alone.
+// For callers that post straight to a known port instead of going through ensureServiceRunning.
+export function touchService(port) {
+  const meta = Object.values(childServiceMeta).find(m => m?.port !== undefined && Number(m.port) === Number(port));
+  if (meta) meta.lastUsedAt = Date.now();
+}
+
+// Running services that may be evicted, least recently used first
+function evictionCandidates(excludeName = null) {
+  return Object.keys(childServices)
+    .filter(name => name !== excludeName && !ESSENTIAL_SERVICES.includes(name))
+    .sort((a, b) => (childServiceMeta[a]?.lastUsedAt || 0) - (childServiceMeta[b]?.lastUsedAt || 0));
+}
+
+// Evict least recently used services until there is a free process slot and a free port
+async function makeRoomForService(internalServiceName) {
+  const hasRoom = () => Object.keys(childServices).length < MAX_CHILD_SERVICES && portManager.getStatus().availablePorts > 0;
+  const candidates = evictionCandidates(internalServiceName);
+
+  while (!hasRoom() && candidates.length > 0) {
+    const victim = candidates.shift();
+    const idleSeconds = Math.round((Date.now() - (childServiceMeta[victim]?.lastUsedAt || 0)) / 1000);
+    console.log(`[service-manager] Budget reached (${Object.keys(childServices).length}/${MAX_CHILD_SERVICES} services) - evicting least recently used ${victim} (idle ${idleSeconds}s) to start ${internalServiceName}`);
+    await stopService(victim);
+  }
+}
+
+// Stop every service that has not been used within the idle timeout
+export async function evictIdleServices(idleTimeoutMs = SERVICE_IDLE_TIMEOUT_MS) {
+  if (!idleTimeoutMs || idleTimeoutMs <= 0) return [];
+  const cutoff = Date.now() - idleTimeoutMs;
+  const idle = evictionCandidates().filter(name => (childServiceMeta[name]?.lastUsedAt || 0) < cutoff);
+
+  const results = [];
+  for (const name of idle) {
+    console.log(`[service-manager] Evicting idle service ${name} (unused for more than ${Math.round(idleTimeoutMs / 1000)}s)`);
+    results.push(await stopService(name));
+  }
+  return results;
+}
+
+// Periodically evict idle services; returns the timer so the caller can clear it on shutdown
+export function startIdleEviction(intervalMs = IDLE_SWEEP_INTERVAL_MS) {
+  if (!SERVICE_IDLE_TIMEOUT_MS || SERVICE_IDLE_TIMEOUT_MS <= 0) {
+    console.log('[service-manager] Idle service eviction disabled (SERVICE_IDLE_TIMEOUT_MINUTES=0)');
+    return null;
+  }
+  console.log(`[service-manager] Idle eviction enabled: services unused for ${SERVICE_IDLE_TIMEOUT_MS / 60000} min are stopped (max ${MAX_CHILD_SERVICES} services)`);
+  const timer = setInterval(() => {
+    evictIdleServices().catch(err => console.error(`[service-manager] Idle eviction failed: ${err.message}`));
+  }, intervalMs);
+  timer.unref();
+  return timer;
 }
 
 // Convenience helper: ensure a service is started and ready (health endpoint responding)
@@ -569,6 +957,7 @@ export async function performHealthCheck() {
           if (meta && meta.port) {
             portManager.releasePort(meta.port, serviceName);
           }
+          persistServiceState();
           
           // Allow some time for cleanup
           await new Promise(resolve => setTimeout(resolve, 1000));
@@ -591,21 +980,26 @@ export async function performHealthCheck() {
   return healthResults;
 }
 
-// Get comprehensive service status
-export function getServiceStatus() {
+// Get comprehensive service status (services of `workspace` only when given)
+export function getServiceStatus({ workspace } = {}) {
   const portStatus = portManager.getStatus();
+  const names = serviceNamesIn(workspace);
   return {
-    activeServices: Object.keys(childServices).length,
+    activeServices: names.length,
     availablePorts: portStatus.availablePorts,
     allocatedPorts: portStatus.allocatedPorts,
   portRange: `${portManager.minPort || 8081}-${portManager.maxPort || 8120}`,
-    services: Object.entries(childServices).map(([name, child]) => ({
+    maxServices: MAX_CHILD_SERVICES,
+    idleTimeoutMinutes: SERVICE_IDLE_TIMEOUT_MS / 60000,
+    services: names.map(name => ({
       name,
-      pid: child.pid,
+      pid: childServices[name].pid,
       port: childServiceMeta[name]?.port || 'unknown',
       company: childServiceMeta[name]?.companyName || 'unknown',
+      workspace: workspaceOf(name),
       startTime: childServiceMeta[name]?.startTime || 'unknown',
-      alive: !child.killed && child.exitCode === null
+      lastUsedAt: childServiceMeta[name]?.lastUsedAt ? new Date(childServiceMeta[name].lastUsedAt).toISOString() : null,
+      alive: !childServices[name].killed && childServices[name].exitCode === null
     }))
   };
 }
\ No newline at end of file
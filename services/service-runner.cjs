@@ -5,6 +5,8 @@
 const express = require('express');
 const http = require('http');
 const crypto = require('crypto');
+const { createTelemetry } = require('./otlp-exporter.cjs');
+const { Registry, registerProcessMetrics, CONTENT_TYPE } = require('./openmetrics.cjs');
 
 // Load enhanced error handling if available
 let errorHandlingMiddleware;
@@ -33,6 +35,11 @@ const stepNameEnv = process.env.STEP_NAME || 'UnknownStep';
 // Set Dynatrace environment variables for OneAgent
 const serviceName = process.argv[2] || 'UnknownService';
 
+// Keep serving if the main server restarts and our stdout/stderr pipes close;
+// the restarted server re-adopts this process through /health
+process.stdout.on('error', () => {});
+process.stderr.on('error', () => {});
+
 // Set process title for OneAgent detection
 process.title = serviceName;
 
@@ -71,11 +78,63 @@ function createService(serviceName, mountFn) {
     console.error(`[service-runner] Failed to set service identity: ${e.message}`);
   }
   
+  // OTLP export (no-op unless OTEL_EXPORTER_OTLP_ENDPOINT is set); company and step identify the process
+  const telemetry = createTelemetry({
+    serviceName: process.env.SERVICE_NAME || serviceName,
+    resource: {
+      'company.name': companyName,
+      'company.domain': domain,
+      'industry.type': industryType,
+      'step.name': stepNameEnv
+    }
+  });
+  telemetry.captureConsole();
+
+  // Per-process metrics served on /metrics; routes mounted below can add their own via app.locals.metrics
+  const metrics = new Registry();
+  registerProcessMetrics(metrics);
+  const requestsTotal = metrics.counter('bizobs_service_requests', 'Requests handled by this step service');
+  const requestDuration = metrics.histogram('bizobs_service_request_duration_seconds', 'Request handling time in seconds');
+
   const app = express();
+  app.locals.metrics = metrics;
   
   // CRITICAL: Add body parsing middleware for JSON payloads
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Server span per request, parented by the inbound traceparent so the journey stays one trace.
+  // A message delivered by the broker gets a consumer span, parented by the producer's span.
+  app.use((req, res, next) => {
+    if (req.path === '/health' || req.path === '/metrics') return next();
+    const messageId = req.headers['x-message-id'];
+    const topic = req.headers['x-message-topic'];
+    const span = telemetry.startSpan(messageId ? `process ${topic}` : `${req.method} ${req.path}`, {
+      kind: messageId ? 'consumer' : 'server',
+      traceparent: req.headers['traceparent'],
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'journey.step': (req.body && req.body.stepName) || stepNameEnv,
+        'journey.correlation_id': req.headers['x-correlation-id'],
+        'messaging.system': messageId ? 'bizobs-broker' : undefined,
+        'messaging.operation': messageId ? 'process' : undefined,
+        'messaging.destination.name': topic,
+        'messaging.message.id': messageId
+      }
+    });
+    req.span = span;
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) span.setStatus('error', `HTTP ${res.statusCode}`);
+      span.end();
+      const labels = { service: serviceName, step: (req.body && req.body.stepName) || stepNameEnv, path: req.path, code: res.statusCode };
+      requestsTotal.inc(labels);
+      requestDuration.observe({ service: labels.service, step: labels.step, path: labels.path }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    telemetry.withSpan(span, next);
+  });
   
   // Add error handling middleware
   app.use(errorHandlingMiddleware(serviceName));
@@ -131,6 +190,7 @@ function createService(serviceName, mountFn) {
       res.json({ 
         status: 'ok', 
         service: serviceName,
+        serviceName: process.env.SERVICE_NAME || serviceName,
         pid: process.pid,
         timestamp: new Date().toISOString(),
         correlationId: req.correlationId,
@@ -147,6 +207,11 @@ function createService(serviceName, mountFn) {
     }
   });
 
+  // OpenMetrics scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.type(CONTENT_TYPE).send(metrics.expose());
+  });
+
   // Mount service-specific routes
   mountFn(app);
 
@@ -163,14 +228,14 @@ function createService(serviceName, mountFn) {
   process.on('SIGTERM', () => {
     console.log(`[${serviceName}] Received SIGTERM, shutting down...`);
     server.close(() => {
-      process.exit(0);
+      telemetry.shutdown().finally(() => process.exit(0));
     });
   });
   
   process.on('SIGINT', () => {
     console.log(`[${serviceName}] Received SIGINT, shutting down...`);
     server.close(() => {
-      process.exit(0);
+      telemetry.shutdown().finally(() => process.exit(0));
     });
   });
 }
@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { ensureServiceRunning, getServiceNameFromStep } from './service-manager.js';
+import { runInWorkspace, workspaceConfigDir } from './workspaces.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_RECORDED_REQUESTS = parseInt(process.env.RECORDING_MAX_REQUESTS || '5000');
+const MAX_RETAINED_REPLAYS = 50;
+const MAX_SPEED = 1000;
+
+// Trace state that must not be re-sent: a replay starts fresh traces
+const TRACE_PAYLOAD_FIELDS = ['traceId', 'spanId', 'parentSpanId', 'journeyTrace', '_traceInfo', 'recordingId'];
+const TRACE_HEADERS = ['traceparent', 'tracestate', 'x-dynatrace-trace-id', 'x-dynatrace-parent-span-id', 'uber-trace-id'];
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'session';
+
+/**
+ * Record-and-replay of the traffic the simulator sends to the step services.
+ * While a recording is active every request to a step service is captured with its payload
+ * (which carries the planned error outcome), headers, offset from the start and outcome;
+ * chained services report the hops they make so the session shows the full sequence.
+ * Each workspace records on its own: it has at most one active recording, which only captures
+ * that workspace's traffic, and its sessions are saved under <data>/recordings[/workspaces/<id>].
+ * Emits 'replayFinished' with the replay's final status.
+ */
+class SessionRecorder extends EventEmitter {
+  constructor(dataDir = null) {
+    super();
+    this.dataDir = path.join(dataDir || process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data'), 'recordings');
+    this.active = new Map(); // workspace -> the session being recorded
+    this.replays = new Map(); // replay id -> status
+  }
+
+  _dir(workspace) {
+    return workspaceConfigDir(this.dataDir, workspace);
+  }
+
+  _filePath(workspace, id) {
+    return path.join(this._dir(workspace), `${id}.json`);
+  }
+
+  activeIn(workspace) {
+    return this.active.get(workspace) || null;
+  }
+
+  _save(session) {
+    fs.mkdirSync(this._dir(session.workspace), { recursive: true });
+    const filePath = this._filePath(session.workspace, session.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(session, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Start recording in a workspace. Only one recording per workspace runs at a time;
+   * `companyName` limits it to one company's traffic. Returns { session } or { errors, conflict }.
+   */
+  start(workspace, { name, description = '', companyName = null } = {}) {
+    const running = this.activeIn(workspace);
+    if (running) {
+      return { errors: [`Recording "${running.name}" (${running.id}) is already in progress`], conflict: true };
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return { errors: ['name must be a non-empty string'] };
+    }
+    const startedAt = new Date();
+    const label = name ? name.trim() : `recording ${startedAt.toISOString()}`;
+    const session = {
+      id: `${slug(label)}-${randomUUID().slice(0, 8)}`,
+      workspace,
+      name: label,
+      description,
+      companyName: companyName || null,
+      status: 'recording',
+      startedAt: startedAt.toISOString(),
+      stoppedAt: null,
+      durationMs: null,
+      truncated: false,
+      requests: [],
+      hops: []
+    };
+    this.active.set(workspace, session);
+    console.log(`[session-recorder] Recording "${label}" started in ${workspace} (${session.id})`);
+    return { session: this.summarize(session) };
+  }
+
+  // The workspace's active session when it takes traffic from `companyName`, or null
+  _accepting(workspace, companyName) {
+    const session = this.activeIn(workspace);
+    if (!session) return null;
+    if (session.companyName && String(companyName).toLowerCase() !== session.companyName.toLowerCase()) return null;
+    if (session.requests.length + session.hops.length >= MAX_RECORDED_REQUESTS) {
+      session.truncated = true;
+      return null;
+    }
+    return session;
+  }
+
+  // Id to stamp on a chained payload so the services down the chain report their hops, or null
+  recordingIdFor(workspace, payload) {
+    return this._accepting(workspace, payload?.companyName)?.id || null;
+  }
+
+  /**
+   * Capture one request the simulator sent to one of the workspace's step services
+   */
+  capture(workspace, { stepName, startedAt, headers, payload, result }) {
+    const session = this._accepting(workspace, payload?.companyName);
+    if (!session) return;
+    session.requests.push({
+      seq: session.requests.length + 1,
+      offsetMs: startedAt - Date.parse(session.startedAt),
+      stepName,
+      serviceName: payload?.serviceName || getServiceNameFromStep(stepName),
+      companyName: payload?.companyName || null,
+      domain: payload?.domain || null,
+      industryType: payload?.industryType || null,
+      correlationId: headers?.['x-correlation-id'] || payload?.correlationId || null,
+      chained: payload?.isChained === true,
+      headers: { ...headers },
+      payload,
+      outcome: {
+        status: result?.status === 'failed' || result?.status === 'error' || result?.httpStatus >= 400 ? 'failed' : 'completed',
+        httpStatus: result?.httpStatus || null,
+        errorType: result?.errorType || null,
+        latencyMs: result?.latencyMs ?? null
+      }
+    });
+  }
+
+  /**
+   * Capture a hop one chained service made to the next (reported by the service)
+   */
+  captureHop(workspace, hop) {
+    const session = this._accepting(workspace, hop.payload?.companyName);
+    if (!session || hop.recordingId !== session.id) return false;
+    session.hops.push({
+      offsetMs: Date.now() - Date.parse(session.startedAt),
+      fromService: hop.fromService || null,
+      toService: hop.toService || null,
+      stepName: hop.payload?.stepName || null,
+      correlationId: hop.payload?.correlationId || null,
+      headers: hop.headers || {},
+      payload: hop.payload || null
+    });
+    return true;
+  }
+
+  // Stop the workspace's active recording and save it as a session file
+  stop(workspace) {
+    const session = this.activeIn(workspace);
+    if (!session) return null;
+    this.active.delete(workspace);
+    session.status = 'saved';
+    session.stoppedAt = new Date().toISOString();
+    session.durationMs = Date.parse(session.stoppedAt) - Date.parse(session.startedAt);
+    this._save(session);
+    console.log(`[session-recorder] Recording "${session.name}" saved: ${session.requests.length} requests, ${session.hops.length} chained hops`);
+    return this.summarize(session);
+  }
+
+  summarize(session) {
+    const { requests, hops, ...rest } = session;
+    return {
+      ...rest,
+      requestCount: requests.length,
+      hopCount: hops.length,
+      services: [...new Set(requests.map(r => r.serviceName).concat(hops.map(h => h.toService)).filter(Boolean))],
+      failedRequests: requests.filter(r => r.outcome.status === 'failed').length
+    };
+  }
+
+  list(workspace) {
+    const sessions = [];
+    const dir = this._dir(workspace);
+    if (this.activeIn(workspace)) sessions.push(this.summarize(this.activeIn(workspace)));
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+          sessions.push(this.summarize(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'))));
+        } catch (err) {
+          console.error(`[session-recorder] Skipping unreadable session ${file}: ${err.message}`);
+        }
+      }
+    }
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  get(workspace, id) {
+    if (this.activeIn(workspace)?.id === id) return this.activeIn(workspace);
+    if (!/^[a-z0-9-]+$/.test(id) || !fs.existsSync(this._filePath(workspace, id))) return null;
+    return JSON.parse(fs.readFileSync(this._filePath(workspace, id), 'utf-8'));
+  }
+
+  remove(workspace, id) {
+    if (this.activeIn(workspace)?.id === id || !/^[a-z0-9-]+$/.test(id) || !fs.existsSync(this._filePath(workspace, id))) return false;
+    fs.unlinkSync(this._filePath(workspace, id));
+    return true;
+  }
+
+  /**
+   * Re-execute one of the workspace's saved sessions in the background, in that workspace. Requests fire at their recorded offsets divided
+   * by `speed` (chained services' think time is compressed the same way), with fresh correlation
+   * and trace ids. `callStep(stepName, port, payload, headers)` sends one request.
+   * Returns { replay } or { errors }.
+   */
+  replay(workspace, id, { speed = 1 } = {}, callStep) {
+    const session = this.get(workspace, id);
+    if (!session) return { errors: [`Session ${id} not found`], notFound: true };
+    if (session.status !== 'saved') return { errors: [`Session ${id} is still recording; stop it first`] };
+    const factor = Number(speed);
+    if (!Number.isFinite(factor) || factor <= 0 || factor > MAX_SPEED) {
+      return { errors: [`speed must be a number above 0 and at most ${MAX_SPEED}`] };
+    }
+
+    const replay = {
+      id: randomUUID(),
+      workspace,
+      sessionId: session.id,
+      sessionName: session.name,
+      speed: factor,
+      status: 'running',
+      total: session.requests.length,
+      sent: 0,
+      completed: 0,
+      failed: 0,
+      matchedOutcomes: 0,
+      correlationIds: {}, // recorded -> replayed
+      errors: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.replays.set(replay.id, replay);
+    if (this.replays.size > MAX_RETAINED_REPLAYS) this.replays.delete(this.replays.keys().next().value);
+
+    runInWorkspace(workspace, () => this._runReplay(session, replay, callStep)).catch(err => {
+      replay.status = 'failed';
+      replay.errors.push(err.message);
+      replay.finishedAt = new Date().toISOString();
+      console.error(`[session-recorder] Replay ${replay.id} failed: ${err.message}`);
+      this.emit('replayFinished', { ...replay });
+    });
+    return { replay: { ...replay } };
+  }
+
+  getReplay(workspace, replayId) {
+    const replay = this.replays.get(replayId);
+    return replay && replay.workspace === workspace ? { ...replay } : null;
+  }
+
+  async _runReplay(session, replay, callStep) {
+    console.log(`[session-recorder] Replaying "${session.name}" (${session.requests.length} requests) at ${replay.speed}x`);
+    const freshId = (recorded) => {
+      if (!recorded) return recorded;
+      if (!replay.correlationIds[recorded]) replay.correlationIds[recorded] = randomUUID();
+      return replay.correlationIds[recorded];
+    };
+
+    // Bring every recorded service up first so start-up time doesn't skew the timing
+    const ports = new Map();
+    for (const request of session.requests) {
+      const key = `${request.companyName}|${request.stepName}`;
+      if (ports.has(key)) continue;
+      ports.set(key, await ensureServiceRunning(request.stepName, {
+        companyName: request.companyName,
+        domain: request.domain,
+        industryType: request.industryType,
+        stepName: request.stepName,
+        serviceName: request.serviceName
+      }));
+    }
+
+    const replayStartedAt = Date.now();
+    const inFlight = [];
+    for (const request of session.requests) {
+      const wait = replayStartedAt + request.offsetMs / replay.speed - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+      const payload = { ...request.payload };
+      for (const field of TRACE_PAYLOAD_FIELDS) delete payload[field];
+      payload.correlationId = freshId(request.payload.correlationId);
+      if (payload.parentCorrelationId) payload.parentCorrelationId = freshId(payload.parentCorrelationId);
+      if (Number.isFinite(Number(payload.thinkTimeMs))) payload.thinkTimeMs = Math.round(Number(payload.thinkTimeMs) / replay.speed);
+      payload.replayOf = { sessionId: session.id, seq: request.seq };
+
+      const headers = { ...request.headers };
+      for (const header of TRACE_HEADERS) delete headers[header];
+      headers['x-correlation-id'] = freshId(request.correlationId) || payload.correlationId;
+
+      replay.sent++;
+      inFlight.push(callStep(request.stepName, ports.get(`${request.companyName}|${request.stepName}`), payload, headers)
+        .then(result => {
+          const failed = result?.status === 'failed' || result?.status === 'error' || result?.httpStatus >= 400;
+          if (failed) replay.failed++;
+          else replay.completed++;
+          if ((failed ? 'failed' : 'completed') === request.outcome.status) replay.matchedOutcomes++;
+        })
+        .catch(err => {
+          replay.failed++;
+          if (replay.errors.length < 20) replay.errors.push(`${request.stepName}: ${err.message}`);
+        }));
+    }
+
+    await Promise.all(inFlight);
+    replay.status = 'completed';
+    replay.finishedAt = new Date().toISOString();
+    console.log(`[session-recorder] Replay ${replay.id} finished: ${replay.completed} completed, ${replay.failed} failed, ${replay.matchedOutcomes}/${replay.total} outcomes as recorded`);
+    this.emit('replayFinished', { ...replay });
+  }
+}
+
+// Export singleton instance
+export const sessionRecorder = new SessionRecorder();
+export default sessionRecorder;
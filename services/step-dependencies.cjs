@@ -0,0 +1,241 @@
+/**
+ * Simulated dependencies a step service exercises per request, so traces show database and
+ * third-party calls next to the service-to-service hops. A step declares them as
+ *
+ *   "dependencies": [
+ *     { "type": "database", "name": "orders-db", "operations": ["select", "insert"], "table": "orders",
+ *       "latency": { "baseMs": 5, "jitterMs": 20 }, "errorRate": 0.02 },
+ *     { "type": "http", "name": "payment-gateway", "method": "POST", "path": "/charge",
+ *       "latency": { "baseMs": 80, "jitterMs": 120 }, "errorRate": 0.1, "httpStatus": 503, "optional": true }
+ *   ]
+ *
+ * Databases are local SQLite files under <data>/dependencies queried with real SQL through node:sqlite.
+ * Journeys with database dependencies are rejected up front on runtimes without it (journey-schema.js);
+ * a call that gets here anyway fails rather than pretending to hit a database.
+ * HTTP dependencies are stubs served by the main server on DEPENDENCY_STUB_PORT.
+ * Each call gets its own client span and its own latency and failure roll.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LATENCY = { database: { baseMs: 5, jitterMs: 20 }, http: { baseMs: 50, jitterMs: 100 } };
+const DEFAULT_OPERATIONS = ['insert'];
+const DEFAULT_TABLE = 'journey_events';
+const HTTP_TIMEOUT_MS = Number(process.env.DEPENDENCY_TIMEOUT_MS || 5000);
+const MAX_LATENCY_MS = 30000;
+const MAX_ROWS = 10000; // rows kept per table; older ones are pruned
+const PRUNE_EVERY = 500;
+// Names end up in file paths and table names in SQL, so only plain identifiers get through
+const DEPENDENCY_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,59}$/;
+const TABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+let sqlite; // node:sqlite module, loaded on first database call; null where the runtime lacks it
+
+function loadSqlite() {
+  if (sqlite === undefined) {
+    try {
+      sqlite = require('node:sqlite');
+    } catch {
+      sqlite = null;
+      console.error(`[step-dependencies] node:sqlite not available on Node ${process.versions.node}; database dependencies need Node 22.13+ and will fail`);
+    }
+  }
+  if (!sqlite) throw new Error(`Database dependencies need node:sqlite (Node 22.13+); this service runs Node ${process.versions.node}`);
+  return sqlite;
+}
+
+const databases = new Map(); // name -> { db, tables, inserts }
+
+function databasePath(name) {
+  const baseDir = path.join(process.env.BIZOBS_DATA_DIR || path.join(__dirname, '..', 'data'), 'dependencies');
+  const workspace = process.env.WORKSPACE_ID || 'default';
+  const dir = workspace === 'default' ? baseDir : path.join(baseDir, 'workspaces', workspace);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, `${name}.sqlite`);
+}
+
+function openDatabase(name) {
+  if (databases.has(name)) return databases.get(name);
+  const db = new (loadSqlite().DatabaseSync)(databasePath(name));
+  // Every step service of the workspace shares the file
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 2000;');
+  const handle = { db, tables: new Set(), inserts: 0 };
+  databases.set(name, handle);
+  return handle;
+}
+
+// Why a dependency can't be called, or null
+function checkDependency(dependency) {
+  if (!dependency || !['database', 'http'].includes(dependency.type)) return 'type must be "database" or "http"';
+  if (!DEPENDENCY_NAME.test(String(dependency.name))) return 'name must be 1-60 letters, digits, "-" or "_"';
+  if (dependency.type === 'database') {
+    if (dependency.table !== undefined && !TABLE_NAME.test(String(dependency.table))) return 'table must be a plain SQL identifier';
+    const unknown = (dependency.operations || []).find(op => !STATEMENTS[op]);
+    if (unknown) return `unknown operation "${unknown}"; use ${Object.keys(STATEMENTS).join(', ')}`;
+  }
+  return null;
+}
+
+// SQL for each operation
+const STATEMENTS = {
+  insert: table => `INSERT INTO ${table} (correlation_id, company, step_name, service_name, payload, status, created_at) VALUES (?, ?, ?, ?, ?, 'new', ?)`,
+  select: table => `SELECT id, step_name, status, created_at FROM ${table} WHERE correlation_id = ? ORDER BY id DESC LIMIT 20`,
+  update: table => `UPDATE ${table} SET status = ? WHERE correlation_id = ?`
+};
+
+function runStatement(handle, table, operation, context) {
+  const now = new Date().toISOString();
+  const statement = STATEMENTS[operation](table);
+
+  if (!handle.tables.has(table)) {
+    handle.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, correlation_id TEXT, company TEXT, step_name TEXT,
+      service_name TEXT, payload TEXT, status TEXT, created_at TEXT
+    ); CREATE INDEX IF NOT EXISTS ${table}_correlation ON ${table} (correlation_id);`);
+    handle.tables.add(table);
+  }
+  const prepared = handle.db.prepare(statement);
+  if (operation === 'insert') {
+    prepared.run(context.correlationId, context.companyName, context.stepName, context.serviceName, JSON.stringify(context.record), now);
+    if (++handle.inserts % PRUNE_EVERY === 0) {
+      handle.db.prepare(`DELETE FROM ${table} WHERE id <= (SELECT MAX(id) FROM ${table}) - ?`).run(MAX_ROWS);
+    }
+    return { statement, rows: 1 };
+  }
+  if (operation === 'select') return { statement, rows: prepared.all(context.correlationId).length };
+  return { statement, rows: Number(prepared.run(context.stepName, context.correlationId).changes) };
+}
+
+function plannedLatency(dependency) {
+  const model = { ...DEFAULT_LATENCY[dependency.type], ...(dependency.latency || {}) };
+  return Math.min(Math.round(Number(model.baseMs) + Math.random() * Number(model.jitterMs)), MAX_LATENCY_MS);
+}
+
+const shouldFail = dependency => dependency.hasError === true || (Number(dependency.errorRate) > 0 && Math.random() < Number(dependency.errorRate));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function callDatabase(dependency, context, parentSpan) {
+  const handle = openDatabase(dependency.name);
+  const table = dependency.table || DEFAULT_TABLE;
+  const operations = dependency.operations || DEFAULT_OPERATIONS;
+  let rows = 0;
+  for (const operation of operations) {
+    const span = parentSpan && parentSpan.telemetry.startSpan(`${operation.toUpperCase()} ${dependency.name}.${table}`, {
+      kind: 'client',
+      parent: parentSpan,
+      attributes: {
+        'db.system': 'sqlite',
+        'db.name': dependency.name,
+        'db.operation': operation.toUpperCase(),
+        'db.sql.table': table,
+        'db.statement': STATEMENTS[operation](table),
+        'journey.correlation_id': context.correlationId
+      }
+    });
+    try {
+      await sleep(plannedLatency(dependency));
+      if (shouldFail(dependency)) throw new Error(dependency.errorMessage || 'SQLITE_BUSY: database is locked');
+      rows += runStatement(handle, table, operation, context).rows;
+    } catch (error) {
+      span?.recordError(error);
+      throw error;
+    } finally {
+      span?.end();
+    }
+  }
+  return { rows };
+}
+
+function callHttpStub(dependency, context, parentSpan) {
+  const method = (dependency.method || 'POST').toUpperCase();
+  const urlPath = `/${dependency.name}${dependency.path || '/'}`;
+  const port = process.env.DEPENDENCY_STUB_PORT || '8079';
+  const fail = shouldFail(dependency);
+  const span = parentSpan && parentSpan.telemetry.startSpan(`${method} ${dependency.name}`, {
+    kind: 'client',
+    parent: parentSpan,
+    attributes: {
+      'http.request.method': method,
+      'url.full': `http://127.0.0.1:${port}${urlPath}`,
+      'server.address': '127.0.0.1',
+      'server.port': Number(port),
+      'peer.service': dependency.name,
+      'journey.correlation_id': context.correlationId
+    }
+  });
+  const body = method === 'GET' ? '' : JSON.stringify({ correlationId: context.correlationId, company: context.companyName, step: context.stepName, service: context.serviceName });
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'x-correlation-id': context.correlationId || '',
+    'x-workspace-id': process.env.WORKSPACE_ID || 'default',
+    // The stub plays out the latency and failure this call planned
+    'x-stub-latency-ms': String(plannedLatency(dependency)),
+    ...(fail ? { 'x-stub-fail-status': String(dependency.httpStatus || 503) } : {}),
+    ...(span ? { traceparent: span.traceparent() } : {})
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ hostname: '127.0.0.1', port, path: urlPath, method, headers, timeout: HTTP_TIMEOUT_MS }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        span?.setAttribute('http.response.status_code', res.statusCode);
+        let parsed = null;
+        try { parsed = data ? JSON.parse(data) : null; } catch {}
+        if (res.statusCode >= 400) {
+          const error = new Error(dependency.errorMessage || parsed?.error || `${dependency.name} answered HTTP ${res.statusCode}`);
+          error.httpStatus = res.statusCode;
+          span?.recordError(error);
+          span?.end();
+          return reject(error);
+        }
+        span?.end();
+        resolve({ httpStatus: res.statusCode });
+      });
+    });
+    req.on('error', (error) => {
+      span?.recordError(error);
+      span?.end();
+      reject(error);
+    });
+    req.on('timeout', () => req.destroy(new Error(`${dependency.name} did not answer within ${HTTP_TIMEOUT_MS}ms`)));
+    req.end(body);
+  });
+}
+
+/**
+ * Call a step's dependencies one after another, as a handler would.
+ * `context` is { correlationId, companyName, stepName, serviceName, record }.
+ * Returns { calls, succeeded, failed, requiredFailed }; a failure doesn't stop the remaining calls.
+ */
+async function runDependencies(dependencies, context, parentSpan) {
+  const calls = [];
+  for (const dependency of dependencies) {
+    const startedAt = Date.now();
+    const call = { name: dependency?.name, type: dependency?.type, optional: dependency?.optional === true };
+    try {
+      const invalid = checkDependency(dependency);
+      if (invalid) throw new Error(`Invalid dependency: ${invalid}`);
+      const result = dependency.type === 'database'
+        ? await callDatabase(dependency, context, parentSpan)
+        : await callHttpStub(dependency, context, parentSpan);
+      Object.assign(call, { status: 'completed' }, result);
+    } catch (error) {
+      Object.assign(call, { status: 'failed', error: error.message, ...(error.httpStatus ? { httpStatus: error.httpStatus } : {}) });
+    }
+    call.latencyMs = Date.now() - startedAt;
+    calls.push(call);
+  }
+  const failed = calls.filter(c => c.status === 'failed');
+  return {
+    calls,
+    succeeded: calls.length - failed.length,
+    failed: failed.length,
+    requiredFailed: failed.filter(c => !c.optional).length
+  };
+}
+
+module.exports = { runDependencies };
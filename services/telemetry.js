@@ -0,0 +1,14 @@
+import { createTelemetry } from './otlp-exporter.cjs';
+
+/**
+ * OTLP telemetry for the main server process. Child services create their own in service-runner.cjs.
+ */
+export const telemetry = createTelemetry({
+  serviceName: process.env.OTEL_SERVICE_NAME || 'bizobs-main-server',
+  resource: { 'service.version': process.env.npm_package_version || '0.1.0' }
+});
+
+// Mirror console output as OTLP logs when a logs endpoint is configured
+telemetry.captureConsole();
+
+export default telemetry;
@@ -0,0 +1,93 @@
+/**
+ * Wall-clock helpers shared by chaos profile windows and the scheduler.
+ * Times are server local unless an IANA `timezone` is given.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat (creating these is expensive)
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Calendar fields for a date: { minute, hour, dayOfMonth, month (1-12), dayOfWeek (0 = Sunday) }
+ */
+export function wallClock(date, timezone = null) {
+  if (!timezone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      dayOfMonth: date.getDate(),
+      month: date.getMonth() + 1,
+      dayOfWeek: date.getDay()
+    };
+  }
+  const parts = formatterFor(timezone).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+export function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isTimeOfDay(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Is `date` inside { start: 'HH:MM', end: 'HH:MM', days: [0-6], timezone }?
+ * Windows may wrap midnight; a missing start/end means all day, missing days means every day.
+ */
+export function isWithinWindow(window, date = new Date()) {
+  if (!window) return true;
+  const clock = wallClock(date, window.timezone || null);
+
+  if (Array.isArray(window.days) && window.days.length > 0 && !window.days.includes(clock.dayOfWeek)) return false;
+  if (!window.start || !window.end) return true;
+
+  const minutes = clock.hour * 60 + clock.minute;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Validation messages for a window object, prefixed with `label`
+ */
+export function validateWindow(window, label) {
+  const errors = [];
+  if ((window.start || window.end) && !(isTimeOfDay(window.start) && isTimeOfDay(window.end))) {
+    errors.push(`${label}.start and end must both be HH:MM`);
+  }
+  if (window.days !== undefined && (!Array.isArray(window.days) || !window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    errors.push(`${label}.days must be weekday numbers 0-6`);
+  }
+  if (window.timezone && !isValidTimeZone(window.timezone)) {
+    errors.push(`${label}.timezone is not a valid IANA time zone`);
+  }
+  return errors;
+}
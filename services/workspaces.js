@@ -0,0 +1,66 @@
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Workspaces let several teams share one server: saved configs, child services, LoadRunner
+ * tests, run history and metrics are scoped to a workspace id taken from the x-workspace-id
+ * header or an /api/workspaces/:workspace/... path. Requests without one use the default
+ * workspace, which is what the server did before workspaces existed.
+ */
+export const DEFAULT_WORKSPACE = 'default';
+export const WORKSPACE_HEADER = 'x-workspace-id';
+
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const WORKSPACE_PATH = /^\/api\/workspaces\/([^/?]+)(\/[^?]*)(\?.*)?$/;
+
+// Workspace of the request being handled, carried through its async work (jobs, service starts, run records)
+const workspaceStore = new AsyncLocalStorage();
+
+export function checkWorkspaceId(id) {
+  if (typeof id !== 'string' || !WORKSPACE_ID_PATTERN.test(id)) {
+    return 'Workspace id must be 1-40 lower-case letters, digits, "-" or "_", starting with a letter or digit';
+  }
+  return null;
+}
+
+export function currentWorkspace() {
+  return workspaceStore.getStore() || DEFAULT_WORKSPACE;
+}
+
+export function runInWorkspace(workspace, fn) {
+  return workspaceStore.run(workspace || DEFAULT_WORKSPACE, fn);
+}
+
+export const isDefaultWorkspace = workspace => !workspace || workspace === DEFAULT_WORKSPACE;
+
+// saved-configs/ for the default workspace, saved-configs/workspaces/<id>/ for the others
+export function workspaceConfigDir(baseDir, workspace) {
+  return isDefaultWorkspace(workspace) ? baseDir : path.join(baseDir, 'workspaces', workspace);
+}
+
+/**
+ * Resolve the request's workspace and run the rest of the request inside it.
+ * /api/workspaces/acme/journey-simulation/... is served as /api/journey-simulation/... in workspace "acme".
+ */
+export function workspaceMiddleware(req, res, next) {
+  let workspace = req.headers[WORKSPACE_HEADER];
+  const match = WORKSPACE_PATH.exec(req.url);
+  if (match) {
+    try {
+      workspace = decodeURIComponent(match[1]);
+    } catch {
+      // Malformed escape such as %E0 - still encoded, it fails checkWorkspaceId below
+      workspace = match[1];
+    }
+    req.url = `/api${match[2]}${match[3] || ''}`;
+  }
+  workspace = workspace ? String(workspace).toLowerCase() : DEFAULT_WORKSPACE;
+
+  const error = checkWorkspaceId(workspace);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+  req.workspace = workspace;
+  res.setHeader(WORKSPACE_HEADER, workspace);
+  runInWorkspace(workspace, next);
+}